@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Database migrations CLI
+ *
+ *   npm run migrate                       Apply pending migrations (creates the schema in an empty database)
+ *   npm run migrate -- status             Show applied and pending migrations
+ *   npm run migrate -- baseline <NNN>     Record migrations up to NNN as applied without running them,
+ *                                         for databases migrated by hand before the runner existed
+ */
+const pool = require('./pool');
+const migrationRunner = require('./migrationRunner');
+
+const printStatus = (status) => {
+  const applied = new Map(status.applied.map(row => [row.version, row]));
+  const changed = new Set(status.changed.map(m => m.version));
+
+  for (const migration of migrationRunner.loadMigrations()) {
+    const row = applied.get(migration.version);
+    let state = 'pending';
+    if (row) {
+      state = row.baseline ? 'baseline' : `applied ${row.applied_at.toISOString()}`;
+      if (changed.has(migration.version)) state += '  CHANGED SINCE APPLIED';
+    }
+    console.log(`  ${migration.name.padEnd(40)} ${state}`);
+  }
+  for (const row of status.missing) {
+    console.log(`  ${row.name.padEnd(40)} applied, FILE MISSING`);
+  }
+
+  if (status.state !== 'tracked') {
+    console.log(`\nDatabase is ${status.state}.`);
+  }
+  for (const problem of migrationRunner.describeProblems(status, false)) {
+    console.log(`\n${problem}`);
+  }
+};
+
+const main = async () => {
+  const [command = 'up', argument] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const result = await migrationRunner.migrate(message => console.log(message));
+      if (!result.created && result.applied.length === 0) {
+        console.log('Database is up to date');
+      } else {
+        console.log(`Applied ${result.applied.length} migration(s)`);
+      }
+      break;
+    }
+    case 'status':
+      printStatus(await migrationRunner.getStatus());
+      break;
+    case 'baseline': {
+      const recorded = await migrationRunner.baseline(argument);
+      console.log(`Recorded ${recorded.length} migration(s) as applied: ${recorded.join(', ')}`);
+      console.log('Run npm run migrate to apply the rest');
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}" (expected up, status or baseline)`);
+  }
+};
+
+main()
+  .then(() => pool.end())
+  .catch(async (error) => {
+    console.error(`Migration failed: ${error.message}`);
+    await pool.end().catch(() => {});
+    process.exit(1);
+  });
@@ -0,0 +1,335 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const pool = require('./pool');
+
+/**
+ * Migration Runner
+ * Applies database/migrations/NNN_name.sql in order and records each one in
+ * schema_migrations with a SHA-256 checksum of the file.
+ *
+ *   - An empty database is created from database/schema.sql, and the
+ *     migrations up to its "Schema version" are recorded as a baseline.
+ *   - Each pending migration runs in one transaction together with its
+ *     schema_migrations row: the row goes in just before the file's own
+ *     COMMIT, or the file is wrapped in BEGIN/COMMIT if it has none.
+ *   - A recorded migration whose file has since changed (or disappeared)
+ *     stops everything - edit the schema with a new migration instead.
+ *   - Databases that were migrated by hand before the runner existed have
+ *     tables but no schema_migrations rows; record what they already have
+ *     with baseline(version).
+ *
+ * The server calls verify() at startup and refuses to run on a database
+ * that isn't current. `npm run migrate` (api/db/migrate.js) is the CLI.
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, '../../database/migrations');
+const SCHEMA_FILE = path.join(__dirname, '../../database/schema.sql');
+const FILE_PATTERN = /^(\d{3})_[a-z0-9_]+\.sql$/;
+const SCHEMA_VERSION_PATTERN = /^-- Schema version: (\d{3})\s*$/m;
+
+// pg_advisory_lock key, so two runners (or two servers starting) never overlap
+const LOCK_KEY = 72617401;
+
+const CREATE_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version VARCHAR(10) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    checksum VARCHAR(64) NOT NULL,
+    baseline BOOLEAN DEFAULT false,
+    execution_ms INTEGER,
+    applied_at TIMESTAMP DEFAULT NOW()
+  )
+`;
+
+// Values are file names and hex digests checked against the patterns above,
+// so they can go into multi-statement SQL as plain literals
+const literal = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+class MigrationRunner {
+  /**
+   * Migration files, in order
+   * @returns {Array} [{ version, name, checksum, sql }]
+   */
+  loadMigrations() {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+      .filter(name => FILE_PATTERN.test(name))
+      .sort()
+      .map(name => {
+        const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, name), 'utf8');
+        return { version: FILE_PATTERN.exec(name)[1], name, checksum: this.checksum(sql), sql };
+      });
+
+    for (let i = 1; i < migrations.length; i++) {
+      if (migrations[i].version === migrations[i - 1].version) {
+        throw new Error(`Two migrations share version ${migrations[i].version}: ${migrations[i - 1].name}, ${migrations[i].name}`);
+      }
+    }
+    return migrations;
+  }
+
+  /**
+   * SHA-256 of a migration, ignoring line-ending differences between checkouts
+   * @param {String} sql - File contents
+   * @returns {String} Hex digest
+   */
+  checksum(sql) {
+    return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+  }
+
+  /**
+   * The migration version database/schema.sql corresponds to
+   * @returns {Object} { version, sql }
+   */
+  loadSchema() {
+    const sql = fs.readFileSync(SCHEMA_FILE, 'utf8');
+    const match = SCHEMA_VERSION_PATTERN.exec(sql);
+    if (!match) {
+      throw new Error('database/schema.sql has no "-- Schema version: NNN" line');
+    }
+    return { version: match[1], sql };
+  }
+
+  /**
+   * Compare the migration files with what the database has recorded.
+   * Read-only: creates nothing.
+   * @param {Object} db - pool or client
+   * @returns {Object} { state, applied, pending, changed, missing }
+   *   state: 'empty' (no tables), 'untracked' (tables but no records), 'tracked'
+   */
+  async getStatus(db = pool) {
+    const migrations = this.loadMigrations();
+
+    const tables = await db.query(`
+      SELECT to_regclass('schema_migrations') IS NOT NULL AS tracked,
+             to_regclass('tasks') IS NOT NULL AS has_tables
+    `);
+    const { tracked, has_tables: hasTables } = tables.rows[0];
+
+    const applied = tracked
+      ? (await db.query('SELECT * FROM schema_migrations ORDER BY version')).rows
+      : [];
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+    const fileVersions = new Set(migrations.map(m => m.version));
+
+    let state = 'tracked';
+    if (applied.length === 0) {
+      state = hasTables ? 'untracked' : 'empty';
+    }
+
+    return {
+      state,
+      applied,
+      pending: migrations.filter(m => !appliedByVersion.has(m.version)),
+      changed: migrations.filter(m => appliedByVersion.has(m.version) && appliedByVersion.get(m.version).checksum !== m.checksum),
+      missing: applied.filter(row => !fileVersions.has(row.version))
+    };
+  }
+
+  /**
+   * Problems that stop the server from starting or the runner from migrating
+   * @param {Object} status - From getStatus()
+   * @param {Boolean} includePending - Count pending migrations as a problem
+   * @returns {Array<String>}
+   */
+  describeProblems(status, includePending) {
+    const problems = [];
+
+    if (status.state === 'untracked') {
+      problems.push('The database has tables but no schema_migrations records. ' +
+        'Record the migrations it already has with: npm run migrate -- baseline <version>');
+    }
+    for (const m of status.changed) {
+      problems.push(`Migration ${m.name} was changed after it was applied (checksum mismatch)`);
+    }
+    for (const row of status.missing) {
+      problems.push(`Migration ${row.name} was applied but its file is missing`);
+    }
+    if (includePending && status.state !== 'untracked' && status.pending.length > 0) {
+      problems.push(`${status.pending.length} pending migration(s): ${status.pending.map(m => m.name).join(', ')}. ` +
+        'Run: npm run migrate');
+    }
+
+    return problems;
+  }
+
+  /**
+   * Startup check
+   * @throws {Error} code 'SCHEMA_NOT_CURRENT' with `problems` when the
+   *   database is empty, untracked, behind or has modified migrations
+   */
+  async verify() {
+    const status = await this.getStatus();
+    const problems = this.describeProblems(status, true);
+
+    if (status.state === 'empty') {
+      problems.push('The database is empty. Create the schema with: npm run migrate');
+    }
+
+    if (problems.length > 0) {
+      const error = new Error('Database schema is not current');
+      error.code = 'SCHEMA_NOT_CURRENT';
+      error.problems = problems;
+      throw error;
+    }
+
+    return status;
+  }
+
+  /**
+   * Bring the database up to date
+   * @param {Function} log - Progress callback
+   * @returns {Object} { created: Boolean, applied: [names] }
+   */
+  async migrate(log = () => {}) {
+    const client = await pool.connect();
+    const result = { created: false, applied: [] };
+
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+
+      let status = await this.getStatus(client);
+      const problems = this.describeProblems(status, false);
+      if (problems.length > 0) {
+        const error = new Error(problems.join('\n'));
+        error.code = 'SCHEMA_NOT_CURRENT';
+        error.problems = problems;
+        throw error;
+      }
+
+      if (status.state === 'empty') {
+        const schema = this.loadSchema();
+        log(`Empty database - creating schema version ${schema.version} from database/schema.sql`);
+        await this.runInTransaction(client, schema.sql, async () => {
+          await client.query(CREATE_TABLE);
+          await this.recordBaseline(client, schema.version);
+        });
+        result.created = true;
+        status = await this.getStatus(client);
+      }
+
+      for (const migration of status.pending) {
+        log(`Applying ${migration.name}`);
+        const started = Date.now();
+        await this.apply(client, migration);
+        log(`  done in ${Date.now() - started}ms`);
+        result.applied.push(migration.name);
+      }
+
+      return result;
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+      client.release();
+    }
+  }
+
+  /**
+   * Run one migration and record it in the same transaction
+   * @param {Object} client - pg client
+   * @param {Object} migration - From loadMigrations()
+   */
+  async apply(client, migration) {
+    const started = Date.now();
+    const record = `
+INSERT INTO schema_migrations (version, name, checksum)
+VALUES (${literal(migration.version)}, ${literal(migration.name)}, ${literal(migration.checksum)});
+`;
+
+    // Record just before the file's own COMMIT; wrap files that have none
+    const commits = [...migration.sql.matchAll(/^\s*COMMIT\s*;/gim)];
+    const hasBegin = /^\s*BEGIN\s*;/im.test(migration.sql);
+    let sql;
+    if (hasBegin && commits.length > 0) {
+      const last = commits[commits.length - 1];
+      sql = migration.sql.slice(0, last.index) + record + migration.sql.slice(last.index);
+    } else {
+      sql = `BEGIN;\n${migration.sql}\n${record}COMMIT;\n`;
+    }
+
+    try {
+      await client.query(sql);
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      error.message = `${migration.name}: ${error.message}`;
+      throw error;
+    }
+
+    await client.query(
+      'UPDATE schema_migrations SET execution_ms = $1 WHERE version = $2',
+      [Date.now() - started, migration.version]
+    );
+  }
+
+  /**
+   * Record migrations as applied without running them
+   * @param {Object} client - pg client inside a transaction
+   * @param {String} version - Record every migration up to and including this one
+   * @returns {Array<String>} Recorded names
+   */
+  async recordBaseline(client, version) {
+    const recorded = [];
+    for (const migration of this.loadMigrations()) {
+      if (migration.version > version) break;
+      await client.query(`
+        INSERT INTO schema_migrations (version, name, checksum, baseline)
+        VALUES ($1, $2, $3, true)
+        ON CONFLICT (version) DO NOTHING
+      `, [migration.version, migration.name, migration.checksum]);
+      recorded.push(migration.name);
+    }
+    return recorded;
+  }
+
+  /**
+   * Mark a hand-migrated database as being at `version`
+   * @param {String} version - Last migration the database already has, e.g. '010'
+   * @returns {Array<String>} Recorded names
+   */
+  async baseline(version) {
+    if (!/^\d{3}$/.test(version || '')) {
+      throw new Error('Baseline version must be a migration number like 010');
+    }
+    if (!this.loadMigrations().some(m => m.version === version)) {
+      throw new Error(`No migration ${version} in database/migrations`);
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+
+      const status = await this.getStatus(client);
+      if (status.state === 'tracked') {
+        throw new Error('The database already has schema_migrations records; baseline is only for untracked databases');
+      }
+
+      let recorded;
+      await this.runInTransaction(client, CREATE_TABLE, async () => {
+        recorded = await this.recordBaseline(client, version);
+      });
+      return recorded;
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+      client.release();
+    }
+  }
+
+  /**
+   * Run SQL and a follow-up step in one transaction
+   * @param {Object} client - pg client
+   * @param {String} sql - Statements (no transaction control)
+   * @param {Function} then - Async step run before COMMIT
+   */
+  async runInTransaction(client, sql, then) {
+    try {
+      await client.query('BEGIN');
+      await client.query(sql);
+      await then();
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    }
+  }
+}
+
+module.exports = new MigrationRunner();
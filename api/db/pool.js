@@ -1,6 +1,12 @@
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
 require('dotenv').config();
 
+// tsvector columns (search_vector, items_vector) exist for /api/search only.
+// Read them as undefined so `SELECT *` rows don't carry them into API
+// responses, audit states or RAG payloads - JSON drops undefined fields.
+const TSVECTOR_OID = 3614;
+types.setTypeParser(TSVECTOR_OID, () => undefined);
+
 // PostgreSQL connection pool
 const pool = new Pool({
   host: process.env.DB_HOST || 'localhost',
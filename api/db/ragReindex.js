@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * RAG reindex CLI - re-sends the board to Vivaldi (VIVALDI_RAG_URL)
+ *
+ *   npm run rag:reindex                             Every task, note and routine
+ *   npm run rag:reindex -- --type task,note         Only these entity types
+ *   npm run rag:reindex -- --since 2026-10-01       Only what changed (or was removed) since then
+ */
+const pool = require('./pool');
+const ragReindexService = require('../services/ragReindexService');
+
+const parseArgs = (args) => {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inline] = args[i].split('=');
+    const value = inline !== undefined ? inline : args[++i];
+    if (flag === '--type' || flag === '--types') {
+      options.types = value;
+    } else if (flag === '--since') {
+      options.since = value;
+    } else {
+      throw new Error(`Unknown option "${args[i]}" (expected --type or --since)`);
+    }
+    if (value === undefined) {
+      throw new Error(`${flag} needs a value`);
+    }
+  }
+  return options;
+};
+
+const printProgress = (progress) => {
+  if (progress.status !== 'running') return; // main prints the totals
+  const types = Object.entries(progress.byType)
+    .map(([type, counts]) => `${type} ${counts.processed}/${counts.total}`)
+    .join(', ');
+  console.log(`  ${progress.processed}/${progress.total} sent (${types})`);
+};
+
+const main = async () => {
+  const options = ragReindexService.normalizeOptions(parseArgs(process.argv.slice(2)));
+  console.log(`Reindexing ${options.types.join(', ')}${options.since ? ` changed since ${options.since.toISOString()}` : ''}`);
+
+  const progress = await ragReindexService.run(options, printProgress);
+
+  console.log(`Indexed ${progress.indexed}, deleted ${progress.deleted}, failed ${progress.failed}`);
+  for (const error of progress.errors) {
+    console.log(`  ${error.entityType} ${error.entityId}: ${error.error}`);
+  }
+  if (progress.status === 'failed') {
+    throw new Error(progress.error);
+  }
+};
+
+main()
+  .then(() => pool.end())
+  .catch(async (error) => {
+    console.error(`Reindex failed: ${error.message}`);
+    await pool.end().catch(() => {});
+    process.exit(1);
+  });
@@ -0,0 +1,31 @@
+const pool = require('./pool');
+
+/**
+ * Run fn(client) in a transaction: BEGIN, COMMIT when it resolves, ROLLBACK
+ * when it throws. Given the client of an enclosing transaction, fn runs on
+ * that instead and the enclosing caller commits or rolls back - so service
+ * methods can be composed into one atomic change (undo, bulk edits).
+ * @param {Function} fn - async (client) => result
+ * @param {Object} outer - pg client already inside a transaction (optional)
+ * @returns {*} What fn returns
+ */
+async function withTransaction(fn, outer = null) {
+  if (outer) {
+    return fn(outer);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { withTransaction };
@@ -70,6 +70,19 @@ const authenticateAgent = (req, res, next) => {
   next();
 };
 
+// For routes that are the board user's alone (reverting agent changes,
+// backups, saved filters, webhooks, inbound hooks): agents get 403
+const requireUser = (req, res, next) => {
+  if (req.isAgent) {
+    return res.status(403).json({
+      error: 'agent_forbidden',
+      message: 'Agents cannot do this - it is for the board\'s user'
+    });
+  }
+  next();
+};
+
 module.exports = {
-  authenticateAgent
+  authenticateAgent,
+  requireUser
 };
\ No newline at end of file
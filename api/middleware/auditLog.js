@@ -1,46 +1,74 @@
 const pool = require('../db/pool');
 const { logger } = require('./logger');
+const eventService = require('../services/eventService');
 
-// Audit logging middleware
-const auditLogger = async (action, entityType, entityId, previousState, newState, req) => {
-  try {
-    const auditEntry = {
-      actor: req.actor || 'user',
-      action,
-      entity_type: entityType,
-      entity_id: entityId,
-      previous_state: previousState ? JSON.stringify(previousState) : null,
-      new_state: newState ? JSON.stringify(newState) : null,
-      agent_key_hash: req.agentKeyHash || null
-    };
+// Stand-in request for background jobs, which have no HTTP request to attribute
+const systemRequest = { actor: 'system' };
 
-    const query = `
-      INSERT INTO audit_log (actor, action, entity_type, entity_id, previous_state, new_state, agent_key_hash)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-      RETURNING id, created_at
-    `;
+// Insert one audit_log row on db (pool or client); returns { id, created_at }
+const writeAuditEntry = async (db, action, entityType, entityId, previousState, newState, req, options = {}) => {
+  const auditEntry = {
+    actor: req.actor || 'user',
+    actor_name: req.actorName || null, // Inbound hooks sign with their name
+    action,
+    entity_type: entityType,
+    entity_id: entityId,
+    previous_state: previousState ? JSON.stringify(previousState) : null,
+    new_state: newState ? JSON.stringify(newState) : null,
+    agent_key_hash: req.agentKeyHash || null,
+    reverts_id: options.revertsId || null
+  };
 
-    const values = [
-      auditEntry.actor,
-      auditEntry.action,
-      auditEntry.entity_type,
-      auditEntry.entity_id,
-      auditEntry.previous_state,
-      auditEntry.new_state,
-      auditEntry.agent_key_hash
-    ];
+  const query = `
+    INSERT INTO audit_log (actor, action, entity_type, entity_id, previous_state, new_state, agent_key_hash, reverts_id, actor_name)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING id, created_at
+  `;
 
-    const result = await pool.query(query, values);
-    
-    logger.debug('Audit log entry created', {
-      auditId: result.rows[0].id,
-      actor: auditEntry.actor,
-      action,
-      entityType,
-      entityId
-    });
+  const values = [
+    auditEntry.actor,
+    auditEntry.action,
+    auditEntry.entity_type,
+    auditEntry.entity_id,
+    auditEntry.previous_state,
+    auditEntry.new_state,
+    auditEntry.agent_key_hash,
+    auditEntry.reverts_id,
+    auditEntry.actor_name
+  ];
+
+  const result = await db.query(query, values);
+
+  logger.debug('Audit log entry created', {
+    auditId: result.rows[0].id,
+    actor: auditEntry.actor,
+    action,
+    entityType,
+    entityId
+  });
 
-    return result.rows[0];
+  return result.rows[0];
+};
+
+// Every audited change is also pushed to live /api/events streams
+const auditEvent = (entry, action, entityType, entityId, previousState, newState) => {
+  const state = newState || previousState;
+  return {
+    entityType,
+    entityId,
+    action,
+    taskId: entityType === 'list_item' && state ? state.task_id : null,
+    auditId: entry.id,
+    state: newState
+  };
+};
+
+// Audit logging middleware
+const auditLogger = async (action, entityType, entityId, previousState, newState, req, options = {}) => {
+  try {
+    const entry = await writeAuditEntry(pool, action, entityType, entityId, previousState, newState, req, options);
+    eventService.publishFromRequest(req, auditEvent(entry, action, entityType, entityId, previousState, newState));
+    return entry;
   } catch (error) {
     logger.error('Failed to create audit log entry', {
       error: error.message,
@@ -52,6 +80,27 @@ const auditLogger = async (action, entityType, entityId, previousState, newState
   }
 };
 
+// Audit entries that belong to a caller's transaction (undo, bulk edits).
+// log() writes on the transaction's client, so the entries commit or roll
+// back with the change, and throws on failure instead of leaving a change
+// with no record. Live events are held until the caller has committed and
+// calls publish().
+const transactionAudit = (client, req) => {
+  const events = [];
+  return {
+    log: async (action, entityType, entityId, previousState, newState, options = {}) => {
+      const entry = await writeAuditEntry(client, action, entityType, entityId, previousState, newState, req, options);
+      events.push(auditEvent(entry, action, entityType, entityId, previousState, newState));
+      return entry;
+    },
+    publish: () => {
+      for (const event of events.splice(0)) {
+        eventService.publishFromRequest(req, event);
+      }
+    }
+  };
+};
+
 // Middleware factory for different audit actions
 const createAuditMiddleware = (action, entityType) => {
   return (req, res, next) => {
@@ -65,5 +114,7 @@ const createAuditMiddleware = (action, entityType) => {
 
 module.exports = {
   auditLogger,
-  createAuditMiddleware
+  createAuditMiddleware,
+  transactionAudit,
+  systemRequest
 };
\ No newline at end of file
@@ -0,0 +1,86 @@
+const { logger } = require('./logger');
+
+// Optimistic concurrency for tasks, notes, routines and list items.
+// Each row has a `version` that a database trigger bumps on every change
+// (migration 010); it is served as the ETag. A client sends it back in
+// If-Match and gets 412 with the current state if someone else got there first.
+
+const etagFor = (entity) => `"${entity.version}"`;
+
+// Set the ETag header for a single-entity response
+const setETag = (res, entity) => {
+  if (entity && entity.version !== undefined && entity.version !== null) {
+    res.set('ETag', etagFor(entity));
+  }
+};
+
+// Returns true when the request may go ahead. Otherwise a 412 carrying the
+// current state has been sent and the handler should return.
+const checkIfMatch = (req, res, current, entityType) => {
+  const ifMatch = req.get('If-Match');
+  if (!ifMatch || ifMatch.trim() === '*') {
+    return true;
+  }
+
+  const tags = ifMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+  if (tags.includes(etagFor(current))) {
+    return true;
+  }
+
+  rejectStale(req, res, current, entityType);
+  return false;
+};
+
+// 412 with the current state, so the client can show what changed
+const rejectStale = (req, res, current, entityType) => {
+  logger.info('Rejected stale update', {
+    entityType,
+    entityId: current.id,
+    ifMatch: req.get('If-Match'),
+    currentVersion: current.version,
+    actor: req.actor
+  });
+
+  setETag(res, current);
+  res.status(412).json({
+    error: 'precondition_failed',
+    message: `This ${entityType.replace('_', ' ')} was changed by someone else`,
+    current
+  });
+};
+
+// The version a write must still find once checkIfMatch has passed: the
+// checked entity's, or null when the request didn't send If-Match. Services
+// put it in the UPDATE's WHERE so a write that lands between the check and
+// the UPDATE can't be overwritten.
+const expectedVersion = (req, current) => {
+  const ifMatch = req.get('If-Match');
+  return ifMatch && ifMatch.trim() !== '*' ? current.version : null;
+};
+
+// Thrown by a service when its version-guarded UPDATE matched no row
+const staleWriteError = (entityType, current) => {
+  const error = new Error(`This ${entityType.replace('_', ' ')} was changed by someone else`);
+  error.statusCode = 412;
+  error.code = 'precondition_failed';
+  error.entityType = entityType;
+  error.current = current;
+  return error;
+};
+
+// Error middleware: answer staleWriteError like a failed If-Match check
+const handleStaleWrite = (err, req, res, next) => {
+  if (err.code !== 'precondition_failed' || !err.current) {
+    return next(err);
+  }
+  rejectStale(req, res, err.current, err.entityType);
+};
+
+module.exports = {
+  etagFor,
+  setETag,
+  checkIfMatch,
+  expectedVersion,
+  staleWriteError,
+  handleStaleWrite
+};
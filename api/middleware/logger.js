@@ -49,6 +49,13 @@ const logger = winston.createLogger({
   ],
 });
 
+// Inbound hook tokens (POST /api/hooks/{token}) are credentials; log only their start
+const redactUrl = (url) => url.replace(/^(\/api\/hooks\/)([^/?]+)/, (match, prefix, segment) =>
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment)
+    ? match
+    : `${prefix}${segment.slice(0, 4)}…`
+);
+
 // Request logging middleware
 const requestLogger = (req, res, next) => {
   const start = Date.now();
@@ -56,7 +63,7 @@ const requestLogger = (req, res, next) => {
   // Log request
   logger.info('Request received', {
     method: req.method,
-    url: req.url,
+    url: redactUrl(req.url),
     ip: req.ip,
     userAgent: req.get('User-Agent'),
     isAgent: !!req.headers['x-agent-key']
@@ -69,7 +76,7 @@ const requestLogger = (req, res, next) => {
     
     logger.log(logLevel, 'Request completed', {
       method: req.method,
-      url: req.url,
+      url: redactUrl(req.url),
       statusCode: res.statusCode,
       duration: `${duration}ms`,
       ip: req.ip
@@ -85,7 +92,7 @@ const errorLogger = (err, req, res, next) => {
     error: err.message,
     stack: err.stack,
     method: req.method,
-    url: req.url,
+    url: redactUrl(req.url),
     ip: req.ip,
     body: req.body
   });
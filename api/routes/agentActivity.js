@@ -0,0 +1,214 @@
+const express = require('express');
+const router = express.Router();
+const agentActivityService = require('../services/agentActivityService');
+const taskService = require('../services/taskService');
+const { notifyRAGIndex } = require('../services/ragNotifier');
+const { requireUser } = require('../middleware/agentAuth');
+
+/**
+ * Parse the optional session gap (minutes)
+ * @param {*} value - Raw query/body value
+ * @returns {Number|null|undefined} Minutes, undefined when absent, null when invalid
+ */
+function parseGap(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const gap = parseInt(value);
+  return isNaN(gap) || gap < 1 || gap > 24 * 60 ? null : gap;
+}
+
+/**
+ * Re-index whatever a revert touched so the RAG store matches the board again
+ * @param {Array} results - Revert results
+ */
+async function notifyReverted(results) {
+  for (const result of results) {
+    if (result.status !== 'reverted' || !result.entity) continue;
+
+    if (result.entityType === 'task' || result.entityType === 'note') {
+      const action = result.entity.is_archived ? 'archive' : 'upsert';
+      notifyRAGIndex(result.entity, result.entityType, action);
+    } else if (result.entityType === 'list_item' && result.entity.task_id) {
+      const fullTask = await taskService.getTaskById(result.entity.task_id);
+      if (fullTask) notifyRAGIndex(fullTask, 'task', 'upsert');
+    }
+  }
+}
+
+/**
+ * @swagger
+ * /api/agent-activity:
+ *   get:
+ *     summary: Agent activity feed
+ *     description: |
+ *       Groups the agent's audit entries into sessions, newest first. A session is a
+ *       run of agent changes with no pause longer than `gap` minutes. Each entry shows
+ *       its field-level changes and whether it can still be reverted.
+ *     tags: [Agent Activity]
+ *     parameters:
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only activity at or after this time (default 7 days ago)
+ *       - in: query
+ *         name: gap
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *         description: Minutes of inactivity that end a session
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Maximum number of sessions
+ *     responses:
+ *       200:
+ *         description: Agent sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AgentSession'
+ *       400:
+ *         description: Invalid parameters
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { since, limit } = req.query;
+    const gapMinutes = parseGap(req.query.gap);
+
+    if (since && isNaN(Date.parse(since))) {
+      return res.status(400).json({ error: 'since must be a valid date/time' });
+    }
+
+    if (gapMinutes === null) {
+      return res.status(400).json({ error: 'gap must be between 1 and 1440 minutes' });
+    }
+
+    const sessions = await agentActivityService.getSessions({
+      ...(since && { since: new Date(since) }),
+      ...(gapMinutes && { gapMinutes }),
+      ...(limit && { limit: Math.min(parseInt(limit) || 20, 100) })
+    });
+
+    res.json({ sessions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/agent-activity/entries/{auditId}/revert:
+ *   post:
+ *     summary: Revert a single agent change
+ *     description: |
+ *       Restores the entity to the audit entry's previous_state. Agent creations are
+ *       reverted by archiving what was created. If the user has changed the entity
+ *       since, the revert is refused with status "conflict" unless `force` is true.
+ *     tags: [Agent Activity]
+ *     parameters:
+ *       - in: path
+ *         name: auditId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               force:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Revert result (status is reverted, skipped, unsupported, conflict or failed)
+ *       403:
+ *         description: Called with an agent key
+ *       404:
+ *         description: Agent audit entry not found
+ */
+router.post('/entries/:auditId/revert', requireUser, async (req, res, next) => {
+  try {
+    const force = !!(req.body && req.body.force);
+    const result = await agentActivityService.revertEntry(req.params.auditId, req, { force });
+
+    await notifyReverted([result]);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/agent-activity/sessions/{sessionId}/revert:
+ *   post:
+ *     summary: Revert an entire agent session
+ *     description: |
+ *       Reverts every change in the session, newest first. Entries that were already
+ *       reverted, cannot be reverted, or were changed by the user since (unless
+ *       `force` is true) are skipped and reported in `results`.
+ *     tags: [Agent Activity]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Session ID from GET /api/agent-activity
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               gap:
+ *                 type: integer
+ *                 default: 30
+ *                 description: Must match the gap the session was listed with
+ *               force:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Per-entry revert results
+ *       403:
+ *         description: Called with an agent key
+ *       404:
+ *         description: Session not found
+ */
+router.post('/sessions/:sessionId/revert', requireUser, async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const gapMinutes = parseGap(body.gap);
+
+    if (gapMinutes === null) {
+      return res.status(400).json({ error: 'gap must be between 1 and 1440 minutes' });
+    }
+
+    const outcome = await agentActivityService.revertSession(req.params.sessionId, req, {
+      gapMinutes,
+      force: !!body.force
+    });
+
+    await notifyReverted(outcome.results);
+
+    res.json(outcome);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const auditService = require('../services/auditService');
+
+const ENTITY_TYPES = ['task', 'list_item', 'note', 'routine', 'board'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Query the audit log
+ *     description: |
+ *       Returns audit entries newest first, each with a field-level diff of
+ *       previous_state → new_state and a one-line summary.
+ *
+ *       Results are paginated with an opaque cursor: pass `nextCursor` from
+ *       the previous response as `cursor` to fetch the next page.
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *           enum: [user, agent, system, hook]
+ *         description: Filter by who made the change (system = background jobs, hook = inbound hooks)
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Comma-separated actions (e.g., "move_task,archive_task")
+ *       - in: query
+ *         name: entity_type
+ *         schema:
+ *           type: string
+ *           enum: [task, list_item, note, routine, board]
+ *         description: board = whole-board operations such as the daily rollover
+ *       - in: query
+ *         name: entity_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only entries at or after this time
+ *       - in: query
+ *         name: until
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only entries before this time
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor from a previous page
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           minimum: 1
+ *           maximum: 200
+ *         description: Larger values are capped at 200
+ *     responses:
+ *       200:
+ *         description: A page of audit entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEntry'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Invalid filter or cursor
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { actor, action, entity_type, entity_id, since, until, cursor, limit } = req.query;
+
+    if (entity_type && !ENTITY_TYPES.includes(entity_type)) {
+      return res.status(400).json({ error: `entity_type must be one of: ${ENTITY_TYPES.join(', ')}` });
+    }
+
+    if (since && isNaN(Date.parse(since))) {
+      return res.status(400).json({ error: 'since must be a valid date/time' });
+    }
+
+    if (until && isNaN(Date.parse(until))) {
+      return res.status(400).json({ error: 'until must be a valid date/time' });
+    }
+
+    if (entity_id && !UUID_PATTERN.test(entity_id)) {
+      return res.status(400).json({ error: 'entity_id must be a UUID' });
+    }
+
+    if (limit !== undefined && !/^\d+$/.test(limit)) {
+      return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+
+    const filters = {
+      actor,
+      action,
+      entity_type,
+      entity_id,
+      since: since ? new Date(since) : null,
+      until: until ? new Date(until) : null,
+      cursor,
+      limit: limit !== undefined ? parseInt(limit, 10) : null
+    };
+
+    const page = await auditService.getEntries(filters);
+    res.json(page);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
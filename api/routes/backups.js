@@ -0,0 +1,183 @@
+const express = require('express');
+const router = express.Router();
+const backupService = require('../services/backupService');
+const { requireUser } = require('../middleware/agentAuth');
+
+/**
+ * @swagger
+ * /api/backups:
+ *   get:
+ *     summary: List board backups
+ *     description: |
+ *       Backups are full exports (archived items and audit log included) written to
+ *       BACKUP_DIR on BACKUP_SCHEDULE, a cron expression in server local time
+ *       (default "0 2 * * *"). After each scheduled run only the newest backup of each
+ *       of the last BACKUP_KEEP_DAILY days (default 7) and of each of the last
+ *       BACKUP_KEEP_WEEKLY weeks (default 4) is kept. Manual and pre-restore backups
+ *       are not rotated.
+ *     tags: [Backups]
+ *     responses:
+ *       200:
+ *         description: Scheduler configuration and backups on disk, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 enabled:
+ *                   type: boolean
+ *                 schedule:
+ *                   type: string
+ *                   example: "0 2 * * *"
+ *                 directory:
+ *                   type: string
+ *                 retention:
+ *                   type: object
+ *                   properties:
+ *                     daily:
+ *                       type: integer
+ *                     weekly:
+ *                       type: integer
+ *                 nextRunAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 lastRun:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Most recent scheduled run since the server started
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                       nullable: true
+ *                     ranAt:
+ *                       type: string
+ *                       format: date-time
+ *                     rotated:
+ *                       type: integer
+ *                     error:
+ *                       type: string
+ *                       nullable: true
+ *                 backups:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Backup'
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const status = await backupService.getStatus();
+    res.json(status);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/backups:
+ *   post:
+ *     summary: Write a backup now
+ *     description: Writes a manual backup. Manual backups are kept until deleted.
+ *     tags: [Backups]
+ *     responses:
+ *       201:
+ *         description: Backup written
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Backup'
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const backup = await backupService.createBackup('manual');
+    res.status(201).json(backup);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/backups/{name}/restore:
+ *   post:
+ *     summary: Roll the board back to a backup
+ *     description: |
+ *       Replaces the whole board, audit log included, with the backup's contents
+ *       (a replace-mode import). The current board is first saved as a pre-restore
+ *       backup, whose name is returned as `safetyBackup` - restore it to undo the
+ *       restore. Users only.
+ *
+ *       With dry_run=true nothing is written and the report shows what would happen.
+ *     tags: [Backups]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: clio-backup-20261019T020000Z-scheduled.json
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Import report, plus `backup` and `safetyBackup` file names
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       400:
+ *         description: The backup is not a valid export document (the report lists the errors)
+ *       403:
+ *         description: Agents cannot restore backups
+ *       404:
+ *         description: Backup not found
+ *       422:
+ *         description: Backup file could not be read
+ */
+router.post('/:name/restore', requireUser, async (req, res, next) => {
+  try {
+    const dryRun = req.query.dry_run === 'true';
+    const report = await backupService.restore(req.params.name, { dryRun }, req);
+
+    if (!report.valid && !dryRun) {
+      return res.status(400).json({ error: 'Invalid backup document', ...report });
+    }
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/backups/{name}:
+ *   delete:
+ *     summary: Delete a backup
+ *     tags: [Backups]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Backup deleted
+ *       403:
+ *         description: Agents cannot delete backups
+ *       404:
+ *         description: Backup not found
+ */
+router.delete('/:name', requireUser, async (req, res, next) => {
+  try {
+    await backupService.deleteBackup(req.params.name);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,137 @@
+const express = require('express');
+const router = express.Router();
+const captureService = require('../services/captureService');
+const taskService = require('../services/taskService');
+const duplicateService = require('../services/duplicateService');
+const { auditLogger } = require('../middleware/auditLog');
+const { notifyRAGIndex } = require('../services/ragNotifier');
+
+/**
+ * @swagger
+ * /api/capture:
+ *   post:
+ *     summary: Create a task from one line of text
+ *     description: |
+ *       Parses a quick capture line into a task - or a list with items - and creates it.
+ *       With `dry_run` nothing is created; the response is just the interpretation, for
+ *       showing the user before they confirm.
+ *
+ *       - `#routine` - routine by name (`#"deep clean"` for names with spaces); unique
+ *         prefixes work
+ *       - `!section` - Today section by divider label (`!morning`); puts the task last
+ *         in that section
+ *       - `@column` - `@today`, `@tomorrow`, `@week`, `@horizon` (`@later`)
+ *       - due date at the start or end: `today`, `tonight`, `tomorrow`, `friday`,
+ *         `on fri`, `next tue`, `in 3 days`, `in 2 weeks`, `2026-11-01`
+ *       - `title: a, b, c` - a list with items a, b and c
+ *
+ *       Without `@column` the task goes to the due date's column, or else Today. Sections
+ *       only apply to tasks in Today. Routines and sections that don't match are left out
+ *       and listed under `warnings`.
+ *     tags: [Tasks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *               dry_run:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Only return the interpretation
+ *               force:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Create the task even if similar open tasks exist
+ *           examples:
+ *             task:
+ *               value:
+ *                 text: 'buy grout tomorrow #bathroom !morning'
+ *             list:
+ *               value:
+ *                 text: 'costco: milk, eggs, syrup'
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Same as `dry_run` in the body
+ *     responses:
+ *       200:
+ *         description: Interpretation (dry run)
+ *         content:
+ *           application/json:
+ *             example:
+ *               interpretation:
+ *                 input: 'buy grout tomorrow #bathroom'
+ *                 title: buy grout
+ *                 items: []
+ *                 column: tomorrow
+ *                 due_date: '2026-10-20'
+ *                 routine:
+ *                   id: 550e8400-e29b-41d4-a716-446655440001
+ *                   title: Bathroom
+ *                   icon: 🛁
+ *                 section: null
+ *                 recognized:
+ *                   - kind: routine
+ *                     text: '#bathroom'
+ *                   - kind: due_date
+ *                     text: tomorrow
+ *                 warnings: []
+ *                 summary: 'Task "buy grout" in Tomorrow, due 2026-10-20, routine Bathroom'
+ *       201:
+ *         description: |
+ *           Created: `{ interpretation, task }`, the task with its items
+ *       400:
+ *         description: No text, nothing left for a title, or a title / item over the length limit
+ *       409:
+ *         description: |
+ *           Open tasks with a similar title already exist; nothing was created. Same body
+ *           as `POST /api/tasks` plus the interpretation. Resend with `force=true`.
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const interpretation = await captureService.interpret(body.text);
+
+    if (body.dry_run === true || req.query.dry_run === 'true') {
+      return res.json({ interpretation });
+    }
+
+    if (body.force !== true && req.query.force !== 'true') {
+      const duplicates = await duplicateService.findTaskDuplicates(interpretation.title);
+      if (duplicates.length > 0) {
+        return res.status(409).json({
+          error: 'Possible duplicate',
+          message: 'Similar open tasks already exist. Resend with force=true to create it anyway.',
+          duplicates,
+          interpretation
+        });
+      }
+    }
+
+    const { task, items } = await captureService.create(interpretation);
+
+    // Audited like creating the task and then adding its items
+    await auditLogger('create_task', 'task', task.id, null, task, req);
+    for (const item of items) {
+      await auditLogger('add_item', 'list_item', item.id, null, item, req);
+    }
+
+    const fullTask = await taskService.getTaskById(task.id);
+    notifyRAGIndex(fullTask, 'task', 'upsert');
+
+    res.status(201).json({ interpretation, task: fullTask });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
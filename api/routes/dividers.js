@@ -2,7 +2,23 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../db/pool');
 const { logger } = require('../middleware/logger');
-const taskService = require('../services/taskService');
+const orderingService = require('../services/orderingService');
+const eventService = require('../services/eventService');
+
+/**
+ * Divider with its derived position in the Today column
+ * @param {String} id - Divider ID
+ * @returns {Object|undefined}
+ */
+async function getDivider(id) {
+  const result = await pool.query(`
+    SELECT d.*, bp.position
+    FROM column_dividers d
+    LEFT JOIN board_positions bp ON bp.id = d.id
+    WHERE d.id = $1
+  `, [id]);
+  return result.rows[0];
+}
 
 /**
  * @swagger
@@ -33,6 +49,7 @@ const taskService = require('../services/taskService');
  *       ```
  *
  *       Note: Dividers share the same position space as tasks, so positions are interleaved.
+ *       Positions are derived from rank keys on every read (0 = top of the column).
  *     tags: [Dividers]
  *     responses:
  *       200:
@@ -61,12 +78,18 @@ const taskService = require('../services/taskService');
  *                   position:
  *                     type: integer
  *                     description: Position in the Today column (shared position space with tasks)
+ *                   rank:
+ *                     type: string
+ *                     description: Fractional ordering key the position is derived from
  */
 router.get('/', async (req, res, next) => {
   try {
-    const result = await pool.query(
-      'SELECT * FROM column_dividers ORDER BY position'
-    );
+    const result = await pool.query(`
+      SELECT d.*, bp.position
+      FROM column_dividers d
+      LEFT JOIN board_positions bp ON bp.id = d.id
+      ORDER BY d.column_name, d.rank, d.id
+    `);
     res.json(result.rows);
   } catch (error) {
     next(error);
@@ -78,7 +101,9 @@ router.get('/', async (req, res, next) => {
  * /api/dividers/{id}/move:
  *   put:
  *     summary: Move a divider to a new position
- *     description: Updates the divider's position within the Today column
+ *     description: |
+ *       Moves the divider to a position within the Today column. Only the divider
+ *       is rewritten; tasks around it keep their rank keys.
  *     tags: [Dividers]
  *     parameters:
  *       - in: path
@@ -99,7 +124,7 @@ router.get('/', async (req, res, next) => {
  *             properties:
  *               position:
  *                 type: integer
- *                 description: New position for the divider
+ *                 description: New index in the Today column (counting tasks and other dividers)
  *     responses:
  *       200:
  *         description: Updated divider
@@ -115,30 +140,42 @@ router.put('/:id/move', async (req, res, next) => {
       return res.status(400).json({ error: 'Position is required and must be a number' });
     }
 
-    // Update the divider's position
-    const result = await pool.query(
-      `UPDATE column_dividers
-       SET position = $1
-       WHERE id = $2
-       RETURNING *`,
-      [position, id]
-    );
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const existing = await client.query(
+        'SELECT column_name FROM column_dividers WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+      if (existing.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Divider not found' });
+      }
+
+      const rank = await orderingService.rankForIndex(client, 'board', existing.rows[0].column_name, position, id);
+      await client.query('UPDATE column_dividers SET rank = $1 WHERE id = $2', [rank, id]);
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Divider not found' });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
 
-    // Renumber all positions in Today column to keep tasks and dividers in sync
-    await taskService.renumberColumnPositions('today');
+    const divider = await getDivider(id);
 
-    // Re-fetch the divider to get its final position after renumbering
-    const finalResult = await pool.query(
-      'SELECT * FROM column_dividers WHERE id = $1',
-      [id]
-    );
+    // Divider moves are not audited, so publish the live update here
+    eventService.publishFromRequest(req, {
+      entityType: 'divider',
+      entityId: id,
+      action: 'MOVE_DIVIDER',
+      state: divider
+    });
 
-    logger.info('Divider moved', { dividerId: id, newPosition: finalResult.rows[0].position });
-    res.json(finalResult.rows[0]);
+    logger.info('Divider moved', { dividerId: id, newPosition: divider.position });
+    res.json(divider);
   } catch (error) {
     next(error);
   }
@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const eventService = require('../services/eventService');
+const { logger } = require('../middleware/logger');
+
+/**
+ * @swagger
+ * /api/events:
+ *   get:
+ *     summary: Live board updates (server-sent events)
+ *     description: |
+ *       Keeps the connection open and streams a `change` event for every task,
+ *       list item, note, routine and divider change, whoever made it (user,
+ *       agent or a background job). Open it with `new EventSource('/api/events')`.
+ *
+ *       - `ready` is sent once connected.
+ *       - `change` carries a BoardEvent. Requests that send an `X-Client-Id`
+ *         header get it back as `origin`, so a client can skip its own changes.
+ *       - `resync` means events were missed and the client should reload.
+ *
+ *       On reconnect the browser sends `Last-Event-ID` and recent missed
+ *       events are replayed.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: integer
+ *         description: Last event received (sent automatically by EventSource)
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               $ref: '#/components/schemas/BoardEvent'
+ */
+router.get('/', (req, res) => {
+  const lastEventId = parseInt(req.headers['last-event-id'], 10);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 3000\n\n');
+
+  const unsubscribe = eventService.subscribe(res, Number.isNaN(lastEventId) ? null : lastEventId);
+  logger.debug('Event stream opened', { actor: req.actor, ...eventService.getStatus() });
+
+  req.on('close', () => {
+    unsubscribe();
+    logger.debug('Event stream closed', { actor: req.actor, ...eventService.getStatus() });
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,289 @@
+const express = require('express');
+const router = express.Router();
+const filterService = require('../services/filterService');
+const taskService = require('../services/taskService');
+const llmSummaryService = require('../services/llmSummaryService');
+const { createAuditMiddleware } = require('../middleware/auditLog');
+const { requireUser } = require('../middleware/agentAuth');
+
+/**
+ * @swagger
+ * /api/filters:
+ *   get:
+ *     summary: List saved filters
+ *     description: |
+ *       Saved filters are named board views. Apply one with `GET /api/tasks?filter={id}`
+ *       or `GET /api/filters/{id}/tasks`. Pinned filters come first and are shown in the
+ *       board header.
+ *
+ *       Use `summary=true` for LLM integrations: each filter comes with a one-line
+ *       description of what it matches and its current task count.
+ *     tags: [Filters]
+ *     parameters:
+ *       - in: query
+ *         name: summary
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Concise response with descriptions and task counts
+ *     responses:
+ *       200:
+ *         description: |
+ *           Saved filters, pinned first. In summary mode:
+ *           `{ total, filters: [{ id, name, pinned, matches, tasks }] }`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SavedFilter'
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    if (req.query.summary === 'true') {
+      return res.json(await llmSummaryService.getFiltersSummary());
+    }
+    res.json(await filterService.getFilters());
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/filters/{id}:
+ *   get:
+ *     summary: Get a saved filter
+ *     tags: [Filters]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Saved filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SavedFilter'
+ *       404:
+ *         description: Filter not found
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const filter = await filterService.getFilterById(req.params.id);
+    if (!filter) {
+      return res.status(404).json({ error: 'Filter not found' });
+    }
+    res.json(filter);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/filters/{id}/tasks:
+ *   get:
+ *     summary: Tasks matching a saved filter
+ *     description: |
+ *       Active (not archived) tasks matching the filter, in board order - the same as
+ *       `GET /api/tasks?filter={id}`. With `summary=true` the tasks are grouped by column
+ *       like `GET /api/tasks/summary`, with the filter's name and a description of what
+ *       it matches.
+ *     tags: [Filters]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: summary
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Max tasks per column (summary mode)
+ *     responses:
+ *       200:
+ *         description: Matching tasks
+ *       404:
+ *         description: Filter not found
+ */
+router.get('/:id/tasks', async (req, res, next) => {
+  try {
+    const filter = await filterService.getFilterById(req.params.id);
+    if (!filter) {
+      return res.status(404).json({ error: 'Filter not found' });
+    }
+
+    if (req.query.summary === 'true') {
+      const limit = req.query.limit ? parseInt(req.query.limit) : null;
+      return res.json(await llmSummaryService.getFilterSummary(filter, { limit }));
+    }
+    res.json(await taskService.getTasks({ criteria: filter.criteria }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/filters:
+ *   post:
+ *     summary: Save a filter
+ *     tags: [Filters]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               criteria:
+ *                 $ref: '#/components/schemas/SavedFilter/properties/criteria'
+ *               pinned:
+ *                 type: boolean
+ *                 default: false
+ *           example:
+ *             name: Bathroom this week
+ *             criteria:
+ *               routine_ids: ['550e8400-e29b-41d4-a716-446655440001']
+ *               due: { from: 0, to: 7 }
+ *               status: pending
+ *             pinned: true
+ *     responses:
+ *       201:
+ *         description: Created filter
+ *       400:
+ *         description: Missing name or invalid criteria
+ *       403:
+ *         description: Agents cannot change saved filters
+ *       409:
+ *         description: A filter with this name already exists
+ */
+router.post('/',
+  requireUser,
+  createAuditMiddleware('create_filter', 'saved_filter'),
+  async (req, res, next) => {
+    try {
+      const filter = await filterService.createFilter(req.body);
+      await req.audit(filter.id, null, filter);
+      res.status(201).json(filter);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/filters/{id}:
+ *   put:
+ *     summary: Update a saved filter
+ *     description: Changes any of name, criteria (replaced as a whole) and pinned
+ *     tags: [Filters]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               criteria:
+ *                 $ref: '#/components/schemas/SavedFilter/properties/criteria'
+ *               pinned:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Updated filter
+ *       400:
+ *         description: Invalid name or criteria
+ *       403:
+ *         description: Agents cannot change saved filters
+ *       404:
+ *         description: Filter not found
+ *       409:
+ *         description: A filter with this name already exists
+ */
+router.put('/:id',
+  requireUser,
+  createAuditMiddleware('update_filter', 'saved_filter'),
+  async (req, res, next) => {
+    try {
+      const previous = await filterService.getFilterById(req.params.id);
+      if (!previous) {
+        return res.status(404).json({ error: 'Filter not found' });
+      }
+
+      const filter = await filterService.updateFilter(req.params.id, req.body);
+      if (!filter) {
+        return res.status(404).json({ error: 'Filter not found' });
+      }
+      await req.audit(filter.id, previous, filter);
+      res.json(filter);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/filters/{id}:
+ *   delete:
+ *     summary: Delete a saved filter
+ *     tags: [Filters]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: Filter deleted
+ *       403:
+ *         description: Agents cannot change saved filters
+ *       404:
+ *         description: Filter not found
+ */
+router.delete('/:id',
+  requireUser,
+  createAuditMiddleware('delete_filter', 'saved_filter'),
+  async (req, res, next) => {
+    try {
+      const filter = await filterService.deleteFilter(req.params.id);
+      if (!filter) {
+        return res.status(404).json({ error: 'Filter not found' });
+      }
+      await req.audit(filter.id, filter, null);
+      res.status(204).send();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,380 @@
+const express = require('express');
+const router = express.Router();
+const inboundHookService = require('../services/inboundHookService');
+const taskService = require('../services/taskService');
+const noteService = require('../services/noteService');
+const { auditLogger, createAuditMiddleware } = require('../middleware/auditLog');
+const { notifyRAGIndex } = require('../services/ragNotifier');
+const { requireUser } = require('../middleware/agentAuth');
+
+// Audit action for what each scope creates
+const CAPTURE_ACTIONS = {
+  task: 'create_task',
+  note: 'create_note',
+  list_item: 'add_item'
+};
+
+/**
+ * @swagger
+ * /api/hooks:
+ *   get:
+ *     summary: List inbound hooks
+ *     description: |
+ *       Inbound hooks let phone shortcuts and home automations add to the board
+ *       without the agent key: each has a secret URL, `POST /api/hooks/{token}`,
+ *       that does one thing (its scope). Tokens are only shown when a hook is
+ *       created or its token rotated; the list shows `token_hint`.
+ *     tags: [Hooks]
+ *     responses:
+ *       200:
+ *         description: Hooks by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/InboundHook'
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    res.json(await inboundHookService.getHooks());
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/hooks/{id}:
+ *   get:
+ *     summary: Get an inbound hook
+ *     tags: [Hooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Hook
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InboundHook'
+ *       404:
+ *         description: Hook not found
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const hook = await inboundHookService.getHookById(req.params.id);
+    if (!hook) {
+      return res.status(404).json({ error: 'Hook not found' });
+    }
+    res.json(inboundHookService.present(hook));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/hooks:
+ *   post:
+ *     summary: Create an inbound hook
+ *     description: |
+ *       The response includes the token and the hook's URL; store them, they are
+ *       not shown again.
+ *
+ *       `template` fills the new entity's fields from the request body. Placeholders
+ *       are dotted paths into the JSON body (`{{data.message}}`); `{{a|b}}` takes the
+ *       first that is set. `{{hook}}`, `{{date}}` (today) and `{{now}}` are built in,
+ *       and a `text/plain` body is `{{text}}`. Fields left out of the template use the
+ *       defaults:
+ *
+ *       - create_task: `title` `{{title|text}}`, `notes` `{{notes}}`, `due_date` `{{due_date}}`
+ *       - create_note: `title` `{{title}}`, `content` `{{content|text}}`
+ *       - add_item: `title` `{{title|text}}`
+ *     tags: [Hooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scope
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Shown as the author of its changes in the audit log
+ *               scope:
+ *                 type: string
+ *                 enum: [create_task, create_note, add_item]
+ *               column_name:
+ *                 type: string
+ *                 enum: [today, tomorrow, this_week, horizon]
+ *                 default: today
+ *                 description: create_task - column for new tasks
+ *               column_position:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 4
+ *                 default: 1
+ *                 description: create_note - notes column
+ *               task_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: add_item - the list (required)
+ *               routine_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: create_task / create_note - routine for new entries
+ *               template:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *               active:
+ *                 type: boolean
+ *                 default: true
+ *           example:
+ *             name: Washing machine
+ *             scope: create_task
+ *             column_name: today
+ *             template:
+ *               title: Empty the washing machine
+ *               notes: 'Finished at {{now}} ({{program}})'
+ *     responses:
+ *       201:
+ *         description: Created hook, with its token and URL
+ *       400:
+ *         description: Missing name, unknown scope, missing target or bad template
+ *       403:
+ *         description: Agents cannot manage hooks
+ *       409:
+ *         description: A hook with this name already exists
+ */
+router.post('/',
+  requireUser,
+  createAuditMiddleware('create_hook', 'inbound_hook'),
+  async (req, res, next) => {
+    try {
+      const { hook, token } = await inboundHookService.createHook(req.body);
+      await req.audit(hook.id, null, inboundHookService.present(hook));
+      res.status(201).json(inboundHookService.present(hook, token));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/hooks/{id}:
+ *   put:
+ *     summary: Update an inbound hook
+ *     description: |
+ *       Changes any of name, scope, target, template and active. The token stays the
+ *       same. Changing the scope resets the template unless a new one is given.
+ *     tags: [Hooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InboundHook'
+ *     responses:
+ *       200:
+ *         description: Updated hook
+ *       400:
+ *         description: Invalid field
+ *       403:
+ *         description: Agents cannot manage hooks
+ *       404:
+ *         description: Hook not found
+ *       409:
+ *         description: A hook with this name already exists
+ */
+router.put('/:id',
+  requireUser,
+  createAuditMiddleware('update_hook', 'inbound_hook'),
+  async (req, res, next) => {
+    try {
+      const previous = await inboundHookService.getHookById(req.params.id);
+      if (!previous) {
+        return res.status(404).json({ error: 'Hook not found' });
+      }
+
+      const hook = await inboundHookService.updateHook(previous, req.body || {});
+      if (!hook) {
+        return res.status(404).json({ error: 'Hook not found' });
+      }
+      await req.audit(hook.id, inboundHookService.present(previous), inboundHookService.present(hook));
+      res.json(inboundHookService.present(hook));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/hooks/{id}:
+ *   delete:
+ *     summary: Delete an inbound hook
+ *     tags: [Hooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: Hook deleted; its URL stops working
+ *       403:
+ *         description: Agents cannot manage hooks
+ *       404:
+ *         description: Hook not found
+ */
+router.delete('/:id',
+  requireUser,
+  createAuditMiddleware('delete_hook', 'inbound_hook'),
+  async (req, res, next) => {
+    try {
+      const hook = await inboundHookService.deleteHook(req.params.id);
+      if (!hook) {
+        return res.status(404).json({ error: 'Hook not found' });
+      }
+      await req.audit(hook.id, inboundHookService.present(hook), null);
+      res.status(204).send();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/hooks/{id}/token:
+ *   post:
+ *     summary: Rotate an inbound hook's token
+ *     description: The old URL stops working immediately.
+ *     tags: [Hooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Hook with its new token and URL
+ *       403:
+ *         description: Agents cannot manage hooks
+ *       404:
+ *         description: Hook not found
+ */
+router.post('/:id/token',
+  requireUser,
+  createAuditMiddleware('rotate_hook_token', 'inbound_hook'),
+  async (req, res, next) => {
+    try {
+      const rotated = await inboundHookService.rotateToken(req.params.id);
+      if (!rotated) {
+        return res.status(404).json({ error: 'Hook not found' });
+      }
+      await req.audit(rotated.hook.id, null, inboundHookService.present(rotated.hook));
+      res.json(inboundHookService.present(rotated.hook, rotated.token));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/hooks/{token}:
+ *   post:
+ *     summary: Capture through an inbound hook
+ *     description: |
+ *       Does what the hook is for - creates a task, creates a note or adds a list
+ *       item - with its fields rendered from the body through the hook's template.
+ *       Needs no agent key: the token is the credential. Accepts JSON, form data or
+ *       plain text (available as `{{text}}`). Titles over the length limit are
+ *       shortened. The change is audited under actor `hook` with the hook's name.
+ *     tags: [Hooks]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           example:
+ *             text: Buy oat milk
+ *         text/plain:
+ *           example: Buy oat milk
+ *     responses:
+ *       201:
+ *         description: What was created
+ *         content:
+ *           application/json:
+ *             example:
+ *               hook: Shopping shortcut
+ *               entityType: list_item
+ *               entity:
+ *                 id: 550e8400-e29b-41d4-a716-446655440002
+ *                 task_id: 550e8400-e29b-41d4-a716-446655440000
+ *                 title: Buy oat milk
+ *                 completed: false
+ *       400:
+ *         description: The template rendered an empty title / content, or an invalid due date
+ *       404:
+ *         description: Unknown or inactive hook
+ */
+router.post('/:token',
+  express.text({ type: 'text/*', limit: '100kb' }),
+  async (req, res, next) => {
+    try {
+      const hook = await inboundHookService.getHookByToken(req.params.token);
+      if (!hook) {
+        return res.status(404).json({ error: 'Unknown hook' });
+      }
+
+      // Attribute the change to the hook, whatever headers came with it
+      req.isAgent = false;
+      req.actor = 'hook';
+      req.actorName = hook.name;
+      req.agentKeyHash = null;
+
+      const { entityType, entity } = await inboundHookService.capture(hook, req.body);
+      await auditLogger(CAPTURE_ACTIONS[entityType], entityType, entity.id, null, entity, req);
+
+      if (entityType === 'note') {
+        notifyRAGIndex(await noteService.getNoteById(entity.id), 'note', 'upsert');
+      } else {
+        const taskId = entityType === 'task' ? entity.id : entity.task_id;
+        notifyRAGIndex(await taskService.getTaskById(taskId), 'task', 'upsert');
+      }
+
+      res.status(201).json({ hook: hook.name, entityType, entity });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
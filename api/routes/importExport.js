@@ -0,0 +1,216 @@
+const express = require('express');
+const router = express.Router();
+const exportService = require('../services/exportService');
+const importService = require('../services/importService');
+const trelloImportService = require('../services/trelloImportService');
+const { requireUser } = require('../middleware/agentAuth');
+
+/**
+ * Agents may merge into the board but only the user may replace it
+ */
+function requireUserToReplace(req, res, next) {
+  if (req.query.mode === 'replace') {
+    return requireUser(req, res, next);
+  }
+  next();
+}
+
+/**
+ * @swagger
+ * /api/export:
+ *   get:
+ *     summary: Export the complete board as JSON
+ *     description: |
+ *       Returns a versioned document with routines, tasks (with their list items),
+ *       notes and dividers, in board order. POST it to /api/import to restore it
+ *       or merge it into another board.
+ *
+ *       Archived routines that an exported task or note belongs to are always included.
+ *     tags: [Import/Export]
+ *     parameters:
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include archived tasks, notes and routines
+ *       - in: query
+ *         name: includeAudit
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include the audit log (restored by replace-mode imports)
+ *     responses:
+ *       200:
+ *         description: Export document
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BoardExport'
+ */
+router.get('/export', async (req, res, next) => {
+  try {
+    const document = await exportService.exportBoard({
+      includeArchived: req.query.includeArchived === 'true',
+      includeAudit: req.query.includeAudit === 'true'
+    });
+
+    const day = document.exported_at.slice(0, 10);
+    res.set('Content-Disposition', `attachment; filename="clio-board-${day}.json"`);
+    res.json(document);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/import:
+ *   post:
+ *     summary: Import a board export
+ *     description: |
+ *       Restores or merges a document produced by GET /api/export.
+ *
+ *       - **merge** (default): adds the document's routines, tasks and notes next to
+ *         the existing ones. Everything gets a new ID and references are remapped;
+ *         tasks and notes go to the end of their columns. Dividers are only added
+ *         if the board has none. The audit log is not merged.
+ *       - **replace**: empties the board and restores the document with its
+ *         original IDs, including the audit log when the document has one.
+ *         Users only - agents cannot replace the board.
+ *
+ *       Documents from a newer export version are rejected. With dry_run=true the
+ *       import runs in a transaction that is rolled back, and the report shows
+ *       what would have happened.
+ *     tags: [Import/Export]
+ *     parameters:
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [merge, replace]
+ *           default: merge
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BoardExport'
+ *     responses:
+ *       200:
+ *         description: Import report (for a dry run, also when the document is invalid)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       400:
+ *         description: Invalid mode or document (the report lists the errors)
+ *       403:
+ *         description: Agents cannot replace the board
+ */
+router.post('/import', requireUserToReplace, async (req, res, next) => {
+  try {
+    const mode = req.query.mode || 'merge';
+    const dryRun = req.query.dry_run === 'true';
+
+    if (!importService.modes.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${importService.modes.join(', ')}` });
+    }
+
+    const report = await importService.importBoard(req.body, { mode, dryRun }, req);
+
+    if (!report.valid && !dryRun) {
+      return res.status(400).json({ error: 'Invalid import document', ...report });
+    }
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/import/trello:
+ *   post:
+ *     summary: Import a Trello board export
+ *     description: |
+ *       Merges a Trello board JSON export into the board. Send the export itself,
+ *       or `{ board, mapping }` to control where lists go.
+ *
+ *       - Lists map to columns. Lists not in `mapping.lists` are matched by name
+ *         ("Today", "Tomorrow", "This Week"; "Done" lists are archived) and otherwise
+ *         go to `mapping.defaultColumn` (horizon).
+ *       - Labels become routines with the label's color; a card joins its first label's routine.
+ *       - Checklists become list items and card descriptions become task notes.
+ *       - Archived cards, and cards on archived lists, become archived tasks
+ *         (leave them out with `mapping.includeArchived: false`).
+ *
+ *       With dry_run=true the import is rolled back and the report shows what would happen.
+ *     tags: [Import/Export]
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               board:
+ *                 type: object
+ *                 description: Trello board export
+ *               mapping:
+ *                 type: object
+ *                 properties:
+ *                   lists:
+ *                     type: object
+ *                     description: List name or ID to target
+ *                     additionalProperties:
+ *                       type: string
+ *                       enum: [today, tomorrow, this_week, horizon, archive, skip]
+ *                     example: { "To Do": "today", "Someday": "horizon", "Done": "archive" }
+ *                   defaultColumn:
+ *                     type: string
+ *                     enum: [today, tomorrow, this_week, horizon]
+ *                     default: horizon
+ *                   includeArchived:
+ *                     type: boolean
+ *                     default: true
+ *     responses:
+ *       200:
+ *         description: Import report, plus `trello` with where each list went and what was skipped
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       400:
+ *         description: Not a Trello export, or an invalid mapping
+ */
+router.post('/import/trello', async (req, res, next) => {
+  try {
+    const dryRun = req.query.dry_run === 'true';
+    const wrapped = req.body && req.body.board && typeof req.body.board === 'object';
+    const board = wrapped ? req.body.board : req.body;
+    const mapping = wrapped ? req.body.mapping : undefined;
+
+    const report = await trelloImportService.importBoard(board, mapping, { dryRun }, req);
+
+    if (!report.valid && !dryRun) {
+      return res.status(400).json({ error: 'Invalid import document', ...report });
+    }
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
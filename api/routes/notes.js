@@ -2,10 +2,14 @@ const express = require('express');
 const router = express.Router();
 const noteService = require('../services/noteService');
 const llmSummaryService = require('../services/llmSummaryService');
+const duplicateService = require('../services/duplicateService');
+const relatedService = require('../services/relatedService');
 const { createAuditMiddleware } = require('../middleware/auditLog');
 const { logger } = require('../middleware/logger');
 const validation = require('../middleware/validation');
 const { notifyRAGIndex } = require('../services/ragNotifier');
+const auditService = require('../services/auditService');
+const { setETag, checkIfMatch, expectedVersion } = require('../middleware/concurrency');
 
 /**
  * @swagger
@@ -198,7 +202,7 @@ router.get('/archived', async (req, res, next) => {
  *         description: Max characters in excerpt (only used when excerpt=true)
  *     responses:
  *       200:
- *         description: Note object (or excerpt if excerpt=true)
+ *         description: Note object (or excerpt if excerpt=true); the ETag header carries the note's version
  *       404:
  *         description: Note not found
  */
@@ -219,12 +223,127 @@ router.get('/:id', async (req, res, next) => {
     if (!note) {
       return res.status(404).json({ error: 'Note not found' });
     }
+    setETag(res, note);
     res.json(note);
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * @swagger
+ * /api/notes/{id}/related:
+ *   get:
+ *     summary: Get tasks and notes related to a note
+ *     description: |
+ *       Computed locally, so it works when the Vivaldi RAG service is down. Related items
+ *       are linked to the note, share its routine, share keywords with it, or have a
+ *       similar title; each comes with a `score` (best first) and the `reasons` it matched:
+ *       `linked`, `routine`, `keywords`, `title`. Archived items are left out.
+ *     tags: [Notes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Note ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *           maximum: 20
+ *         description: Max related tasks and max related notes
+ *     responses:
+ *       200:
+ *         description: Related items
+ *         content:
+ *           application/json:
+ *             example:
+ *               entityType: note
+ *               entityId: 550e8400-e29b-41d4-a716-446655440000
+ *               title: Replace furnace filter
+ *               tasks:
+ *                 - id: 550e8400-e29b-41d4-a716-446655440001
+ *                   title: Order furnace filters
+ *                   column: this_week
+ *                   status: pending
+ *                   due: null
+ *                   routine: House
+ *                   score: 1.12
+ *                   reasons: [routine, keywords, title]
+ *               notes:
+ *                 - id: 550e8400-e29b-41d4-a716-446655440002
+ *                   title: Furnace model
+ *                   preview: Carrier 59SC5, filter size 16x25x1
+ *                   type: user
+ *                   routine: House
+ *                   score: 0.64
+ *                   reasons: [routine, keywords]
+ *       404:
+ *         description: Note not found
+ */
+router.get('/:id/related', async (req, res, next) => {
+  try {
+    const related = await relatedService.getRelated('note', req.params.id, { limit: req.query.limit });
+    if (!related) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    res.json(related);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/notes/{id}/history:
+ *   get:
+ *     summary: Get note change history
+ *     description: |
+ *       Returns a field-level diff timeline (oldest first) built from the audit log.
+ *     tags: [Notes, Audit]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Note ID
+ *     responses:
+ *       200:
+ *         description: Note history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EntityHistory'
+ *       404:
+ *         description: Note not found
+ */
+router.get('/:id/history', async (req, res, next) => {
+  try {
+    const note = await noteService.getNoteById(req.params.id);
+    const timeline = await auditService.getEntityHistory('note', req.params.id);
+
+    // Deleted entities still have history - only 404 when there is nothing at all
+    if (!note && timeline.length === 0) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    res.json({
+      entityType: 'note',
+      entityId: req.params.id,
+      title: note ? note.title : (timeline[timeline.length - 1].title || null),
+      timeline
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/notes:
@@ -268,11 +387,38 @@ router.get('/:id', async (req, res, next) => {
  *                 type: string
  *                 format: uuid
  *                 description: Associated routine ID
+ *               force:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Skip the on_duplicate check and create the note anyway
+ *     parameters:
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Same as `force` in the body
+ *       - in: query
+ *         name: on_duplicate
+ *         schema:
+ *           type: string
+ *           enum: [reject, warn]
+ *         description: |
+ *           Check for similar notes first (compared by title, or by the start of the
+ *           content for untitled notes): `reject` answers 409 with the matches, `warn`
+ *           creates the note and lists them under `warnings`. Without it the note is
+ *           created without checking
  *     responses:
  *       201:
- *         description: Created note
+ *         description: |
+ *           Created note. With `on_duplicate=warn` and likely duplicates, it also has
+ *           `warnings: [{ type: 'possible_duplicate', duplicates }]`
  *       400:
- *         description: Invalid input
+ *         description: Invalid input or on_duplicate value
+ *       409:
+ *         description: |
+ *           `on_duplicate=reject` and similar notes already exist; nothing was created.
+ *           Resend with `force=true` to create it anyway. Body: `{ error, message, duplicates: [{ id, title, preview, type, similarity }] }`
  */
 router.post('/',
   validation.validateNote,
@@ -290,6 +436,23 @@ router.post('/',
         return res.status(400).json({ error: 'Column position must be between 1 and 4' });
       }
 
+      const onDuplicate = req.query.on_duplicate;
+      if (onDuplicate !== undefined && !duplicateService.modes.includes(onDuplicate)) {
+        return res.status(400).json({ error: `on_duplicate must be one of: ${duplicateService.modes.join(', ')}` });
+      }
+
+      let duplicates = [];
+      if (onDuplicate && req.body.force !== true && req.query.force !== 'true') {
+        duplicates = await duplicateService.findNoteDuplicates({ title, content });
+        if (duplicates.length > 0 && onDuplicate === 'reject') {
+          return res.status(409).json({
+            error: 'Possible duplicate',
+            message: 'Similar notes already exist. Resend with force=true to create it anyway.',
+            duplicates
+          });
+        }
+      }
+
       // Override type based on actor
       const noteType = req.isAgent ? 'agent' : (type || 'user');
 
@@ -310,6 +473,9 @@ router.post('/',
       const fullNote = await noteService.getNoteById(note.id);
       notifyRAGIndex(fullNote, 'note', 'upsert');
 
+      if (duplicates.length > 0) {
+        return res.status(201).json({ ...note, warnings: [{ type: 'possible_duplicate', duplicates }] });
+      }
       res.status(201).json(note);
     } catch (error) {
       next(error);
@@ -331,6 +497,7 @@ router.post('/',
  *         schema:
  *           type: string
  *           format: uuid
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       content:
  *         application/json:
@@ -350,6 +517,8 @@ router.post('/',
  *         description: Updated note
  *       404:
  *         description: Note not found
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  */
 router.put('/:id',
   validation.validateNote,
@@ -363,6 +532,7 @@ router.put('/:id',
       if (!originalNote) {
         return res.status(404).json({ error: 'Note not found' });
       }
+      if (!checkIfMatch(req, res, originalNote, 'note')) return;
 
       // Validate column position if provided
       if (req.body.column_position && 
@@ -370,7 +540,7 @@ router.put('/:id',
         return res.status(400).json({ error: 'Column position must be between 1 and 4' });
       }
 
-      const updatedNote = await noteService.updateNote(noteId, req.body);
+      const updatedNote = await noteService.updateNote(noteId, req.body, expectedVersion(req, originalNote));
 
       // Audit log
       await req.audit(noteId, originalNote, updatedNote);
@@ -379,6 +549,7 @@ router.put('/:id',
       const fullNote = await noteService.getNoteById(noteId);
       notifyRAGIndex(fullNote, 'note', 'upsert');
 
+      setETag(res, updatedNote);
       res.json(updatedNote);
     } catch (error) {
       next(error);
@@ -400,6 +571,7 @@ router.put('/:id',
  *         schema:
  *           type: string
  *           format: uuid
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -414,9 +586,14 @@ router.put('/:id',
  *                 minimum: 1
  *                 maximum: 4
  *                 description: New column position
+ *               position:
+ *                 type: integer
+ *                 description: Index within the column (0 = top, the default)
  *     responses:
  *       200:
  *         description: Moved note
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  */
 router.put('/:id/move',
   createAuditMiddleware('move_note', 'note'),
@@ -434,8 +611,9 @@ router.put('/:id/move',
       if (!originalNote) {
         return res.status(404).json({ error: 'Note not found' });
       }
+      if (!checkIfMatch(req, res, originalNote, 'note')) return;
 
-      const movedNote = await noteService.moveNote(noteId, column, position);
+      const movedNote = await noteService.moveNote(noteId, column, position, expectedVersion(req, originalNote));
 
       // Audit log
       await req.audit(noteId, originalNote, movedNote);
@@ -444,6 +622,7 @@ router.put('/:id/move',
       const fullNote = await noteService.getNoteById(noteId);
       notifyRAGIndex(fullNote, 'note', 'upsert');
 
+      setETag(res, movedNote);
       res.json(movedNote);
     } catch (error) {
       next(error);
@@ -555,6 +734,7 @@ router.put('/:id/archive',
       // RAG notification - use originalNote which has relationships
       notifyRAGIndex(originalNote, 'note', 'archive');
 
+      setETag(res, archivedNote);
       res.json(archivedNote);
     } catch (error) {
       next(error);
@@ -602,6 +782,7 @@ router.put('/:id/restore',
       const fullNote = await noteService.getNoteById(noteId);
       notifyRAGIndex(fullNote, 'note', 'unarchive');
 
+      setETag(res, restoredNote);
       res.json(restoredNote);
     } catch (error) {
       next(error);
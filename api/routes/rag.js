@@ -0,0 +1,139 @@
+const express = require('express');
+const router = express.Router();
+const ragOutboxService = require('../services/ragOutboxService');
+const ragReindexService = require('../services/ragReindexService');
+
+/**
+ * @swagger
+ * /api/rag/status:
+ *   get:
+ *     summary: RAG indexing status
+ *     description: |
+ *       Changes to tasks, notes and routines are queued in an outbox in the same
+ *       transaction as the change and delivered to the Vivaldi RAG service
+ *       (VIVALDI_RAG_URL) by a background worker. Failed deliveries are retried with
+ *       exponential backoff (30s doubling up to 1h); after RAG_MAX_ATTEMPTS (default 10)
+ *       an entry is dead-lettered. Repeated changes to one entity are delivered once.
+ *
+ *       `failures` lists the most recent entries that have failed at least once, both
+ *       still retrying and dead-lettered. Worker counters are since the server started.
+ *     tags: [RAG]
+ *     responses:
+ *       200:
+ *         description: Outbox backlog, dead letters and worker state
+ *         content:
+ *           application/json:
+ *             example:
+ *               endpoint: http://192.168.10.21:3002/api/rag/index
+ *               worker:
+ *                 running: true
+ *                 intervalSeconds: 30
+ *                 maxAttempts: 10
+ *                 lastRunAt: '2026-10-19T14:02:11.000Z'
+ *                 lastDeliveredAt: '2026-10-19T13:40:02.000Z'
+ *                 lastFailureAt: '2026-10-19T14:02:16.000Z'
+ *                 lastError: No response within 5000ms
+ *                 delivered: 212
+ *                 failed: 4
+ *               backlog:
+ *                 pending: 3
+ *                 retrying: 1
+ *                 oldestPendingAt: '2026-10-19T13:55:40.000Z'
+ *                 nextAttemptAt: '2026-10-19T14:04:16.000Z'
+ *               deadLettered: 0
+ *               failures:
+ *                 - entityType: task
+ *                   entityId: 550e8400-e29b-41d4-a716-446655440000
+ *                   action: upsert
+ *                   status: pending
+ *                   attempts: 3
+ *                   lastError: No response within 5000ms
+ *                   nextAttemptAt: '2026-10-19T14:04:16.000Z'
+ *                   updatedAt: '2026-10-19T14:02:16.000Z'
+ */
+router.get('/status', async (req, res, next) => {
+  try {
+    res.json(await ragOutboxService.getStatus());
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/rag/reindex:
+ *   post:
+ *     summary: Re-send the board to the RAG service
+ *     description: |
+ *       For when Vivaldi's vector store was wiped or the indexed text format changed.
+ *       Every task, note and routine is sent in batches: active ones as upserts,
+ *       archived ones as deletes. Entities that no longer exist but appear in the audit
+ *       log are sent as deletes too. Runs in the background; follow it with
+ *       `GET /api/rag/reindex`. Stops early if Vivaldi can't be reached.
+ *
+ *       Also available from the command line: `npm run rag:reindex`.
+ *     tags: [RAG]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               types:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [task, note, routine]
+ *                 description: Entity types to reindex (default all)
+ *               since:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Only entities changed (or removed) since then
+ *           example:
+ *             types: [task, note]
+ *             since: '2026-10-01'
+ *     responses:
+ *       202:
+ *         description: Reindex started; its progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RagReindexProgress'
+ *       400:
+ *         description: Unknown type or invalid since
+ *       409:
+ *         description: A reindex is already running
+ */
+router.post('/reindex', (req, res, next) => {
+  try {
+    const { types, since } = req.body || {};
+    res.status(202).json(ragReindexService.start({ types, since }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/rag/reindex:
+ *   get:
+ *     summary: Progress of the current or last reindex
+ *     tags: [RAG]
+ *     responses:
+ *       200:
+ *         description: Reindex progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RagReindexProgress'
+ *       404:
+ *         description: No reindex has run since the server started
+ */
+router.get('/reindex', (req, res) => {
+  if (!ragReindexService.progress) {
+    return res.status(404).json({ error: 'No reindex has run since the server started' });
+  }
+  res.json(ragReindexService.progress);
+});
+
+module.exports = router;
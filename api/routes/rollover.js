@@ -0,0 +1,120 @@
+const express = require('express');
+const router = express.Router();
+const rolloverService = require('../services/rolloverService');
+
+/**
+ * @swagger
+ * /api/rollover:
+ *   get:
+ *     summary: Daily rollover status
+ *     description: |
+ *       With ROLLOVER_ENABLED=true the daily rollover runs at ROLLOVER_TIME (server
+ *       local time, default 03:00). The first run ever only records a baseline.
+ *       It moves Tomorrow's tasks into Today and dated tasks into the column their
+ *       due date now belongs in. Undated This Week tasks move to Tomorrow when the
+ *       week is down to its last day (the rollover into Saturday, when This Week
+ *       switches to next week).
+ *     tags: [Rollover]
+ *     responses:
+ *       200:
+ *         description: Scheduler configuration and the most recent run
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 enabled:
+ *                   type: boolean
+ *                 time:
+ *                   type: string
+ *                   example: "03:00"
+ *                 nextRunAt:
+ *                   type: string
+ *                   format: date-time
+ *                 lastRun:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     auditId:
+ *                       type: string
+ *                       format: uuid
+ *                     ranAt:
+ *                       type: string
+ *                       format: date-time
+ *                     moved:
+ *                       type: integer
+ *                     undone:
+ *                       type: boolean
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const status = await rolloverService.getStatus();
+    res.json(status);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/rollover/run:
+ *   post:
+ *     summary: Run the daily rollover now
+ *     description: |
+ *       Runs the rollover immediately. Without `force`, does nothing if it already
+ *       ran since the last scheduled time, and the first run ever only records a
+ *       baseline.
+ *     tags: [Rollover]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               force:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Run result with the tasks that moved
+ */
+router.post('/run', async (req, res, next) => {
+  try {
+    const force = !!(req.body && req.body.force);
+    const result = await rolloverService.run({ force });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/rollover/undo:
+ *   post:
+ *     summary: Undo the most recent rollover
+ *     description: |
+ *       Moves tasks back to the columns and positions they had before the last
+ *       rollover. Tasks that were moved again since are left where they are.
+ *     tags: [Rollover]
+ *     responses:
+ *       200:
+ *         description: Number of tasks restored and skipped
+ *       404:
+ *         description: No rollover to undo
+ *       409:
+ *         description: The rollover was undone by another request at the same time
+ */
+router.post('/undo', async (req, res, next) => {
+  try {
+    const result = await rolloverService.undoLastRun(req);
+    if (!result) {
+      return res.status(404).json({ error: 'No rollover to undo' });
+    }
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,8 @@ const { createAuditMiddleware } = require('../middleware/auditLog');
 const { logger } = require('../middleware/logger');
 const validation = require('../middleware/validation');
 const { notifyRAGIndex } = require('../services/ragNotifier');
+const auditService = require('../services/auditService');
+const { setETag, checkIfMatch, expectedVersion } = require('../middleware/concurrency');
 
 /**
  * @swagger
@@ -171,6 +173,7 @@ router.get('/:id', async (req, res, next) => {
     if (!routine) {
       return res.status(404).json({ error: 'Routine not found' });
     }
+    setETag(res, routine);
     res.json(routine);
   } catch (error) {
     next(error);
@@ -270,6 +273,53 @@ router.get('/:id/tasks', async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/routines/{id}/history:
+ *   get:
+ *     summary: Get routine change history
+ *     description: |
+ *       Returns a field-level diff timeline (oldest first) built from the audit log.
+ *     tags: [Routines, Audit]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Routine ID
+ *     responses:
+ *       200:
+ *         description: Routine history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EntityHistory'
+ *       404:
+ *         description: Routine not found
+ */
+router.get('/:id/history', async (req, res, next) => {
+  try {
+    const routine = await routineService.getRoutineById(req.params.id);
+    const timeline = await auditService.getEntityHistory('routine', req.params.id);
+
+    // Deleted entities still have history - only 404 when there is nothing at all
+    if (!routine && timeline.length === 0) {
+      return res.status(404).json({ error: 'Routine not found' });
+    }
+
+    res.json({
+      entityType: 'routine',
+      entityId: req.params.id,
+      title: routine ? routine.title : (timeline[timeline.length - 1].title || null),
+      timeline
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/routines:
@@ -357,6 +407,7 @@ router.post('/',
  *         schema:
  *           type: string
  *           format: uuid
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       content:
  *         application/json:
@@ -382,6 +433,8 @@ router.post('/',
  *         description: Updated routine
  *       404:
  *         description: Routine not found
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  */
 
 /**
@@ -445,8 +498,9 @@ router.put('/:id',
       if (!originalRoutine) {
         return res.status(404).json({ error: 'Routine not found' });
       }
+      if (!checkIfMatch(req, res, originalRoutine, 'routine')) return;
 
-      const updatedRoutine = await routineService.updateRoutine(routineId, req.body);
+      const updatedRoutine = await routineService.updateRoutine(routineId, req.body, expectedVersion(req, originalRoutine));
 
       // Audit log
       await req.audit(routineId, originalRoutine, updatedRoutine);
@@ -455,6 +509,7 @@ router.put('/:id',
       const fullRoutine = await routineService.getRoutineById(routineId);
       notifyRAGIndex(fullRoutine, 'routine', 'upsert');
 
+      setETag(res, updatedRoutine);
       res.json(updatedRoutine);
     } catch (error) {
       next(error);
@@ -513,6 +568,7 @@ router.put('/:id/pause',
       const fullRoutine = await routineService.getRoutineById(routineId);
       notifyRAGIndex(fullRoutine, 'routine', 'upsert');
 
+      setETag(res, pausedRoutine);
       res.json(pausedRoutine);
     } catch (error) {
       next(error);
@@ -562,6 +618,7 @@ router.put('/:id/complete',
       const fullRoutine = await routineService.getRoutineById(routineId);
       notifyRAGIndex(fullRoutine, 'routine', 'upsert');
 
+      setETag(res, completedRoutine);
       res.json(completedRoutine);
     } catch (error) {
       if (error.message === 'Routine is not marked as achievable') {
@@ -611,6 +668,7 @@ router.put('/:id/archive',
       // RAG notification - use originalRoutine
       notifyRAGIndex(originalRoutine, 'routine', 'archive');
 
+      setETag(res, archivedRoutine);
       res.json(archivedRoutine);
     } catch (error) {
       next(error);
@@ -658,6 +716,7 @@ router.put('/:id/restore',
       const fullRoutine = await routineService.getRoutineById(routineId);
       notifyRAGIndex(fullRoutine, 'routine', 'unarchive');
 
+      setETag(res, restoredRoutine);
       res.json(restoredRoutine);
     } catch (error) {
       next(error);
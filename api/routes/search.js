@@ -8,7 +8,39 @@ const llmSummaryService = require('../services/llmSummaryService');
  *   get:
  *     summary: Cross-entity search
  *     description: |
- *       Search across tasks, notes, and routines.
+ *       Full-text search across tasks (title, notes and list items), notes, and routines.
+ *       Results are ranked by relevance, title matches first.
+ *
+ *       **Query syntax** - all terms must match:
+ *       - `oil change` - the words or their variations ("changed", "changing")
+ *       - `"oil change"` - the exact phrase
+ *       - `groc*` - words starting with "groc"
+ *       - `-word`, `-"phrase"`, `-is:completed` - leave out what matches
+ *
+ *       Queries of plain words also find titles that look like them (trigram similarity),
+ *       so "contractr" finds "Call the contractor". Those results come after real matches
+ *       and are marked `fuzzy: true`; `fuzzy=false` turns this off.
+ *
+ *       **Qualifiers** (comma-separated values match any of them, e.g. `column:today,tomorrow`):
+ *       - `routine:"Bathroom"` - routine name contains the text (routines: their own name)
+ *       - `column:today|tomorrow|this_week|horizon` - tasks only
+ *       - `is:completed|pending|overdue|recurring|archived` (tasks), `is:active|paused|completed`
+ *         (routines), `is:agent` (notes)
+ *       - `has:items|notes|due|routine` - tasks; `has:routine` also notes
+ *       - `type:tasks|notes|routines`
+ *       - `due:`, `created:`, `updated:`, `completed:`, `archived:` - a day (`2026-11-01`,
+ *         `today`, `tomorrow`, `yesterday`), a comparison (`<2026-11-01`, `>=today`) or a
+ *         range (`2026-11-01..2026-11-30`)
+ *
+ *       A qualifier leaves out entity types it doesn't apply to: `column:today` only returns
+ *       tasks. Text containing a colon must be quoted. A query with only qualifiers lists the
+ *       most recently updated matches. Example:
+ *       `routine:"Bathroom" column:today is:completed due:<2026-11-01 has:items grout`
+ *
+ *       **Archives**: archived items are left out unless `archived=include` (everything)
+ *       or `archived=only`. Queries using `is:archived` or `archived:` default to `include`. Date filters take whole days (YYYY-MM-DD, inclusive) and
+ *       drop entity types that don't have the date - e.g. `completed_from` only returns tasks.
+ *       "When did I change the oil?": `q=oil change&archived=include&type=tasks`.
  *
  *       **Two modes available:**
  *       - **User mode (default)**: Full results with all fields, higher limit (15)
@@ -22,7 +54,8 @@ const llmSummaryService = require('../services/llmSummaryService');
  *         required: true
  *         schema:
  *           type: string
- *         description: Search query
+ *         description: Search query (see query syntax above)
+ *         example: 'routine:"Car" "oil change" -is:archived'
  *       - in: query
  *         name: type
  *         schema:
@@ -35,6 +68,52 @@ const llmSummaryService = require('../services/llmSummaryService');
  *           type: integer
  *         description: Max results per type (default 15 for user mode, 5 for LLM mode)
  *       - in: query
+ *         name: archived
+ *         schema:
+ *           type: string
+ *           enum: [exclude, include, only]
+ *         description: |
+ *           Whether archived tasks, notes and routines are searched. Defaults to `exclude`,
+ *           or `include` when the query has `is:archived` or `archived:`
+ *       - in: query
+ *         name: created_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: created_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: completed_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Tasks completed on or after this day
+ *       - in: query
+ *         name: completed_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: archived_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Items archived on or after this day
+ *       - in: query
+ *         name: archived_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: fuzzy
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Also match titles similar to the words (typos, missing words)
+ *       - in: query
  *         name: summary
  *         schema:
  *           type: boolean
@@ -53,33 +132,54 @@ const llmSummaryService = require('../services/llmSummaryService');
  *                 query:
  *                   type: string
  *                   description: The search query
+ *                 archived:
+ *                   type: string
+ *                   description: Archive scope that was searched
  *                 results:
  *                   type: object
  *                   properties:
  *                     tasks:
  *                       type: array
  *                       description: |
- *                         Matching tasks. In summary mode: id, title (truncated), column, routine.
- *                         In full mode: adds due, notes, updatedAt.
+ *                         Matching tasks, best first. In summary mode: id, title (truncated), column,
+ *                         routine, `completed` / `archived` days when set, and `match` (a short snippet)
+ *                         when the title itself didn't match.
+ *                         In full mode: adds due, notes, status, isArchived, completedAt, archivedAt,
+ *                         updatedAt, score and highlight.
  *                     notes:
  *                       type: array
  *                       description: |
- *                         Matching notes. In summary mode: id, title (truncated), preview, routine.
- *                         In full mode: adds content, type, source, updatedAt.
+ *                         Matching notes, best first. In summary mode: id, title (truncated), preview
+ *                         (snippet around the match), routine, `archived` day when archived.
+ *                         In full mode: adds content, type, source, isArchived, archivedAt, updatedAt,
+ *                         score and highlight.
  *                     routines:
  *                       type: array
  *                       description: |
- *                         Matching routines. In summary mode: id, name, status.
- *                         In full mode: adds description, icon, updatedAt.
+ *                         Matching routines, best first. In summary mode: id, name, status, `archived`
+ *                         day when archived.
+ *                         In full mode: adds description, icon, isArchived, archivedAt, updatedAt,
+ *                         score and highlight.
+ *
+ *                         `highlight` is `{ title, snippet }`: the title and a snippet of the body
+ *                         text with matches wrapped in `<mark>` tags (`**` in summary mode). The
+ *                         text is not HTML-escaped.
  *                 totalHits:
  *                   type: integer
  *                   description: Total number of matches across all types
  *       400:
- *         description: Search query is required
+ *         description: |
+ *           Search query is required, a filter is invalid, or the query has a syntax error.
+ *           Syntax errors say what's wrong and include `position` (1-based character).
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: 'Unknown value "finished" for is: (expected completed, pending, overdue, recurring, archived, active, paused, agent, done, open) (at character 1)'
+ *               position: 1
  */
 router.get('/', async (req, res, next) => {
   try {
-    const { q, type, limit, summary } = req.query;
+    const { q, type, limit, summary, archived } = req.query;
 
     if (!q || q.trim().length === 0) {
       return res.status(400).json({ error: 'Search query (q) is required' });
@@ -88,12 +188,20 @@ router.get('/', async (req, res, next) => {
     const options = {
       type: type || null,
       limit: limit ? parseInt(limit) : null,
-      summary: summary === 'true'
+      summary: summary === 'true',
+      fuzzy: req.query.fuzzy !== 'false',
+      archived: archived || null,
+      created: { from: req.query.created_from, to: req.query.created_to },
+      completed: { from: req.query.completed_from, to: req.query.completed_to },
+      archivedAt: { from: req.query.archived_from, to: req.query.archived_to }
     };
 
     const results = await llmSummaryService.search(q.trim(), options);
     res.json(results);
   } catch (error) {
+    if (error.code === 'SEARCH_SYNTAX') {
+      return res.status(400).json({ error: error.message, position: error.position });
+    }
     next(error);
   }
 });
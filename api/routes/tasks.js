@@ -6,6 +6,28 @@ const { createAuditMiddleware } = require('../middleware/auditLog');
 const { logger } = require('../middleware/logger');
 const validation = require('../middleware/validation');
 const { notifyRAGIndex } = require('../services/ragNotifier');
+const auditService = require('../services/auditService');
+const recurrenceService = require('../services/recurrenceService');
+const routineService = require('../services/routineService');
+const filterService = require('../services/filterService');
+const duplicateService = require('../services/duplicateService');
+const relatedService = require('../services/relatedService');
+const { setETag, checkIfMatch, expectedVersion } = require('../middleware/concurrency');
+
+const COLUMNS = ['today', 'tomorrow', 'this_week', 'horizon'];
+const BULK_LIMIT = 200;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Bulk operation -> audit action, so each task's entry looks like the single-task endpoint's
+const BULK_AUDIT_ACTIONS = {
+  move: 'move_task',
+  complete: 'complete_task',
+  reopen: 'update_task',
+  archive: 'archive_task',
+  restore: 'restore_task',
+  assign_routine: 'update_task',
+  set_due_date: 'update_task'
+};
 
 /**
  * @swagger
@@ -92,6 +114,12 @@ router.get('/summary', async (req, res, next) => {
  *           type: string
  *           format: uuid
  *         description: Filter by routine
+ *       - in: query
+ *         name: filter
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Apply a saved filter (see /api/filters)
  *     responses:
  *       200:
  *         description: Array of tasks
@@ -108,6 +136,14 @@ router.get('/', async (req, res, next) => {
       column: req.query.column,
       routine_id: req.query.routine_id
     };
+
+    if (req.query.filter) {
+      const savedFilter = await filterService.getFilterById(req.query.filter);
+      if (!savedFilter) {
+        return res.status(404).json({ error: 'Filter not found' });
+      }
+      filters.criteria = savedFilter.criteria;
+    }
     
     const tasks = await taskService.getTasks(filters);
     res.json(tasks);
@@ -171,7 +207,7 @@ router.get('/archived', async (req, res, next) => {
  *         description: Task ID
  *     responses:
  *       200:
- *         description: Task object
+ *         description: Task object (ETag header carries its version)
  *         content:
  *           application/json:
  *             schema:
@@ -185,6 +221,7 @@ router.get('/:id', async (req, res, next) => {
     if (!task) {
       return res.status(404).json({ error: 'Task not found' });
     }
+    setETag(res, task);
     res.json(task);
   } catch (error) {
     next(error);
@@ -263,6 +300,265 @@ router.get('/:id/context', async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/tasks/{id}/related:
+ *   get:
+ *     summary: Get tasks and notes related to a task
+ *     description: |
+ *       Computed locally, so it works when the Vivaldi RAG service is down. Related items
+ *       are linked to the task, share its routine, share keywords with it, or have a
+ *       similar title; each comes with a `score` (best first) and the `reasons` it matched:
+ *       `linked`, `routine`, `keywords`, `title`. Archived items are left out.
+ *     tags: [Tasks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Task ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *           maximum: 20
+ *         description: Max related tasks and max related notes
+ *     responses:
+ *       200:
+ *         description: Related items
+ *         content:
+ *           application/json:
+ *             example:
+ *               entityType: task
+ *               entityId: 550e8400-e29b-41d4-a716-446655440000
+ *               title: Replace furnace filter
+ *               tasks:
+ *                 - id: 550e8400-e29b-41d4-a716-446655440001
+ *                   title: Order furnace filters
+ *                   column: this_week
+ *                   status: pending
+ *                   due: null
+ *                   routine: House
+ *                   score: 1.12
+ *                   reasons: [routine, keywords, title]
+ *               notes:
+ *                 - id: 550e8400-e29b-41d4-a716-446655440002
+ *                   title: Furnace model
+ *                   preview: Carrier 59SC5, filter size 16x25x1
+ *                   type: user
+ *                   routine: House
+ *                   score: 0.64
+ *                   reasons: [routine, keywords]
+ *       404:
+ *         description: Task not found
+ */
+router.get('/:id/related', async (req, res, next) => {
+  try {
+    const related = await relatedService.getRelated('task', req.params.id, { limit: req.query.limit });
+    if (!related) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    res.json(related);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/history:
+ *   get:
+ *     summary: Get task change history
+ *     description: |
+ *       Returns a field-level diff timeline (oldest first) built from the audit log.
+ *       Includes changes to the task's list items.
+ *     tags: [Tasks, Audit]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Task history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EntityHistory'
+ *       404:
+ *         description: Task not found
+ */
+router.get('/:id/history', async (req, res, next) => {
+  try {
+    const task = await taskService.getTaskById(req.params.id);
+    const timeline = await auditService.getEntityHistory('task', req.params.id);
+
+    // Deleted entities still have history - only 404 when there is nothing at all
+    if (!task && timeline.length === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    res.json({
+      entityType: 'task',
+      entityId: req.params.id,
+      title: task ? task.title : (timeline[timeline.length - 1].title || null),
+      timeline
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/bulk:
+ *   post:
+ *     summary: Apply one operation to many tasks
+ *     description: |
+ *       Runs the operation on every listed task in a single transaction. Tasks moved into
+ *       a column are appended in request order. Each changed task gets its own audit
+ *       entry, so the changes can be undone one by one.
+ *
+ *       Tasks that don't exist or that the operation doesn't apply to (e.g. completing an
+ *       already completed task) are reported in `results` and don't fail the batch.
+ *     tags: [Tasks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ids
+ *               - operation
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 maxItems: 200
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               operation:
+ *                 type: string
+ *                 enum: [move, complete, reopen, archive, restore, assign_routine, set_due_date]
+ *               column:
+ *                 type: string
+ *                 enum: [today, tomorrow, this_week, horizon]
+ *                 description: Required for move - tasks are appended in the order given
+ *               routine_id:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: For assign_routine - null removes the routine
+ *               due_date:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *                 description: For set_due_date - null clears the due date
+ *               place_by_due_date:
+ *                 type: boolean
+ *                 description: For set_due_date - also move tasks to the matching column
+ *     responses:
+ *       200:
+ *         description: Per-task results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 operation:
+ *                   type: string
+ *                 updated:
+ *                   type: integer
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         format: uuid
+ *                       status:
+ *                         type: string
+ *                         enum: [updated, skipped, not_found]
+ *                       message:
+ *                         type: string
+ *                       task:
+ *                         $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Invalid operation or parameters
+ */
+router.post('/bulk', async (req, res, next) => {
+  try {
+    const { ids, operation, column, routine_id, due_date, place_by_due_date } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'ids must be a non-empty array' });
+    }
+
+    if (ids.length > BULK_LIMIT) {
+      return res.status(400).json({ error: `At most ${BULK_LIMIT} tasks per request` });
+    }
+
+    if (ids.some(id => typeof id !== 'string' || !UUID_PATTERN.test(id))) {
+      return res.status(400).json({ error: 'ids must be task UUIDs' });
+    }
+
+    if (!BULK_AUDIT_ACTIONS[operation]) {
+      return res.status(400).json({ error: `operation must be one of: ${Object.keys(BULK_AUDIT_ACTIONS).join(', ')}` });
+    }
+
+    if (operation === 'move' && !COLUMNS.includes(column)) {
+      return res.status(400).json({ error: `column must be one of: ${COLUMNS.join(', ')}` });
+    }
+
+    if (operation === 'assign_routine' && routine_id) {
+      const routine = await routineService.getRoutineById(routine_id);
+      if (!routine) {
+        return res.status(400).json({ error: 'Routine not found' });
+      }
+    }
+
+    if (operation === 'set_due_date' && due_date && isNaN(Date.parse(due_date))) {
+      return res.status(400).json({ error: 'due_date must be a valid date' });
+    }
+
+    // Audited inside the bulk transaction, so the before-states are read under
+    // the row locks and the entries commit with the changes
+    const results = await taskService.bulkUpdate(ids, operation, {
+      column,
+      routine_id,
+      due_date,
+      place_by_due_date: taskService.shouldPlaceByDueDate(place_by_due_date)
+    }, { req, action: BULK_AUDIT_ACTIONS[operation] });
+
+    for (const result of results) {
+      if (result.status !== 'updated') continue;
+
+      if (operation === 'complete') {
+        await recurrenceService.handleCompletion(result.id);
+      }
+
+      const ragAction = operation === 'archive' ? 'archive' : operation === 'restore' ? 'unarchive' : 'upsert';
+      notifyRAGIndex(result.task, 'task', ragAction);
+    }
+
+    res.json({
+      operation,
+      updated: results.filter(r => r.status === 'updated').length,
+      results
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/tasks:
@@ -296,29 +592,95 @@ router.get('/:id/context', async (req, res, next) => {
  *               due_date:
  *                 type: string
  *                 format: date
+ *               recurrence_rule:
+ *                 $ref: '#/components/schemas/RecurrenceRule'
+ *               place_by_due_date:
+ *                 type: boolean
+ *                 description: |
+ *                   Put the task in the column matching due_date (today / tomorrow / this_week /
+ *                   horizon, overdue goes to today) instead of column_name.
+ *                   Defaults to the server's DUE_DATE_PLACEMENT setting.
+ *               force:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Skip the on_duplicate check and create the task anyway
+ *     parameters:
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Same as `force` in the body
+ *       - in: query
+ *         name: on_duplicate
+ *         schema:
+ *           type: string
+ *           enum: [reject, warn]
+ *         description: |
+ *           Check for open tasks with a similar title first: `reject` answers 409 with
+ *           the matches, `warn` creates the task and lists them under `warnings`.
+ *           Without it the task is created without checking
  *     responses:
  *       201:
- *         description: Created task
+ *         description: |
+ *           Created task. With `on_duplicate=warn` and likely duplicates, it also has
+ *           `warnings: [{ type: 'possible_duplicate', duplicates }]`
  *       400:
- *         description: Invalid input
+ *         description: Invalid input or on_duplicate value
+ *       409:
+ *         description: |
+ *           `on_duplicate=reject` and open tasks with a similar title already exist;
+ *           nothing was created. Resend with `force=true` to create it anyway.
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: Possible duplicate
+ *               message: Similar open tasks already exist. Resend with force=true to create it anyway.
+ *               duplicates:
+ *                 - id: 550e8400-e29b-41d4-a716-446655440000
+ *                   title: Change furnace filter
+ *                   column: this_week
+ *                   status: pending
+ *                   due: null
+ *                   routine: House
+ *                   similarity: 0.72
  */
 router.post('/', 
   validation.validateTask,
   createAuditMiddleware('create_task', 'task'),
   async (req, res, next) => {
     try {
-      const { title, notes, routine_id, column_name, due_date } = req.body;
+      const { title, notes, routine_id, column_name, due_date, recurrence_rule, place_by_due_date } = req.body;
       
       if (!title) {
         return res.status(400).json({ error: 'Title is required' });
       }
 
+      const onDuplicate = req.query.on_duplicate;
+      if (onDuplicate !== undefined && !duplicateService.modes.includes(onDuplicate)) {
+        return res.status(400).json({ error: `on_duplicate must be one of: ${duplicateService.modes.join(', ')}` });
+      }
+
+      let duplicates = [];
+      if (onDuplicate && req.body.force !== true && req.query.force !== 'true') {
+        duplicates = await duplicateService.findTaskDuplicates(title);
+        if (duplicates.length > 0 && onDuplicate === 'reject') {
+          return res.status(409).json({
+            error: 'Possible duplicate',
+            message: 'Similar open tasks already exist. Resend with force=true to create it anyway.',
+            duplicates
+          });
+        }
+      }
+
       const task = await taskService.createTask({
         title,
         notes,
         routine_id,
         column_name,
-        due_date
+        due_date,
+        recurrence_rule: recurrenceService.normalizeRule(recurrence_rule),
+        place_by_due_date: taskService.shouldPlaceByDueDate(place_by_due_date)
       });
 
       // Audit log
@@ -328,6 +690,9 @@ router.post('/',
       const fullTask = await taskService.getTaskById(task.id);
       notifyRAGIndex(fullTask, 'task', 'upsert');
 
+      if (duplicates.length > 0) {
+        return res.status(201).json({ ...task, warnings: [{ type: 'possible_duplicate', duplicates }] });
+      }
       res.status(201).json(task);
     } catch (error) {
       next(error);
@@ -349,6 +714,7 @@ router.post('/',
  *         schema:
  *           type: string
  *           format: uuid
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       content:
  *         application/json:
@@ -370,11 +736,20 @@ router.post('/',
  *               due_date:
  *                 type: string
  *                 format: date
+ *               recurrence_rule:
+ *                 $ref: '#/components/schemas/RecurrenceRule'
+ *               place_by_due_date:
+ *                 type: boolean
+ *                 description: |
+ *                   When due_date changes, move the task into the matching column.
+ *                   Defaults to the server's DUE_DATE_PLACEMENT setting.
  *     responses:
  *       200:
  *         description: Updated task
  *       404:
  *         description: Task not found
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  */
 router.put('/:id',
   validation.validateTask,
@@ -388,17 +763,37 @@ router.put('/:id',
       if (!originalTask) {
         return res.status(404).json({ error: 'Task not found' });
       }
+      if (!checkIfMatch(req, res, originalTask, 'task')) return;
+
+      const updates = { ...req.body };
+      if (updates.hasOwnProperty('recurrence_rule')) {
+        updates.recurrence_rule = recurrenceService.normalizeRule(updates.recurrence_rule);
+      }
 
-      const updatedTask = await taskService.updateTask(taskId, req.body);
+      let updatedTask = await taskService.updateTask(taskId, updates, expectedVersion(req, originalTask));
+
+      // Due-date placement: a new due date moves the task to the matching column
+      const dueDateChanged = updates.hasOwnProperty('due_date') &&
+        String(updatedTask.due_date) !== String(originalTask.due_date);
+      if (dueDateChanged && taskService.shouldPlaceByDueDate(req.body.place_by_due_date)) {
+        updatedTask = (await taskService.placeByDueDate(taskId)) || updatedTask;
+      }
 
       // Audit log
       await req.audit(taskId, originalTask, updatedTask);
 
+      // Recurring tasks spawn their next instance when completed
+      if (updatedTask.status === 'completed' && originalTask.status !== 'completed') {
+        await recurrenceService.handleCompletion(taskId);
+      }
+
       // RAG notification - get full task with relationships
       const fullTask = await taskService.getTaskById(taskId);
       notifyRAGIndex(fullTask, 'task', 'upsert');
 
-      res.json(updatedTask);
+      // Re-read: recurrence may have linked the next instance (a new version)
+      setETag(res, fullTask);
+      res.json(fullTask);
     } catch (error) {
       next(error);
     }
@@ -410,7 +805,9 @@ router.put('/:id',
  * /api/tasks/{id}/move:
  *   put:
  *     summary: Move task to different column
- *     description: Moves a task to a different column and/or position
+ *     description: |
+ *       Moves a task to a different column and/or position. The task gets a rank key
+ *       between its new neighbours; no other task is rewritten.
  *     tags: [Tasks]
  *     parameters:
  *       - in: path
@@ -419,6 +816,7 @@ router.put('/:id',
  *         schema:
  *           type: string
  *           format: uuid
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -433,9 +831,14 @@ router.put('/:id',
  *                 enum: [today, tomorrow, this_week, horizon]
  *               position:
  *                 type: integer
+ *                 description: |
+ *                   Index in the target column (0 = top; Today counts dividers). Omit to
+ *                   append at the end.
  *     responses:
  *       200:
  *         description: Moved task
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  */
 router.put('/:id/move',
   createAuditMiddleware('move_task', 'task'),
@@ -453,8 +856,9 @@ router.put('/:id/move',
       if (!originalTask) {
         return res.status(404).json({ error: 'Task not found' });
       }
+      if (!checkIfMatch(req, res, originalTask, 'task')) return;
 
-      const movedTask = await taskService.moveTask(taskId, column, position);
+      const movedTask = await taskService.moveTask(taskId, column, position, expectedVersion(req, originalTask));
 
       // Audit log
       await req.audit(taskId, originalTask, movedTask);
@@ -463,6 +867,7 @@ router.put('/:id/move',
       const fullTask = await taskService.getTaskById(taskId);
       notifyRAGIndex(fullTask, 'task', 'upsert');
 
+      setETag(res, movedTask);
       res.json(movedTask);
     } catch (error) {
       next(error);
@@ -509,6 +914,7 @@ router.put('/:id/archive',
       // RAG notification - use originalTask which has relationships
       notifyRAGIndex(originalTask, 'task', 'archive');
 
+      setETag(res, archivedTask);
       res.json(archivedTask);
     } catch (error) {
       next(error);
@@ -542,17 +948,19 @@ router.put('/:id/restore',
     try {
       const taskId = req.params.id;
       
-      // Don't check if task exists first since getTaskById only finds active tasks
+      // getTaskById also returns archived tasks - snapshot it for the audit log.
       // The restoreTask method will handle task not found errors
+      const originalTask = await taskService.getTaskById(taskId);
       const restoredTask = await taskService.restoreTask(taskId);
 
-      // Audit log (use restored task as both original and new for audit)
-      await req.audit(taskId, restoredTask, restoredTask);
+      // Audit log
+      await req.audit(taskId, originalTask, restoredTask);
 
       // RAG notification - get full task with relationships
       const fullTask = await taskService.getTaskById(taskId);
       notifyRAGIndex(fullTask, 'task', 'unarchive');
 
+      setETag(res, restoredTask);
       res.json(restoredTask);
     } catch (error) {
       next(error);
@@ -596,11 +1004,18 @@ router.post('/:id/complete',
       // Audit log
       await req.audit(taskId, originalTask, completedTask);
 
+      // Recurring tasks spawn their next instance when completed
+      if (originalTask.status !== 'completed') {
+        await recurrenceService.handleCompletion(taskId);
+      }
+
       // RAG notification - get full task with relationships
       const fullTask = await taskService.getTaskById(taskId);
       notifyRAGIndex(fullTask, 'task', 'upsert');
 
-      res.json(completedTask);
+      // Re-read: recurrence may have linked the next instance (a new version)
+      setETag(res, fullTask);
+      res.json(fullTask);
     } catch (error) {
       next(error);
     }
@@ -714,6 +1129,7 @@ router.post('/:id/items',
  *         schema:
  *           type: string
  *           format: uuid
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       content:
  *         application/json:
@@ -727,6 +1143,8 @@ router.post('/:id/items',
  *     responses:
  *       200:
  *         description: Updated item
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  */
 router.put('/:id/items/:itemId',
   validation.validateListItem,
@@ -734,20 +1152,27 @@ router.put('/:id/items/:itemId',
   async (req, res, next) => {
     try {
       const { id: taskId, itemId } = req.params;
+
+      // Get original item for audit
+      const originalItem = await taskService.getItemById(taskId, itemId);
+      if (originalItem && !checkIfMatch(req, res, originalItem, 'list_item')) return;
       
-      const updatedItem = await taskService.updateItem(taskId, itemId, req.body);
+      const updatedItem = await taskService.updateItem(
+        taskId, itemId, req.body, originalItem ? expectedVersion(req, originalItem) : null
+      );
 
       if (!updatedItem) {
         return res.status(404).json({ error: 'Item not found' });
       }
 
       // Audit log
-      await req.audit(itemId, null, updatedItem);
+      await req.audit(itemId, originalItem || null, updatedItem);
 
       // RAG notification - re-index parent task with updated items
       const fullTask = await taskService.getTaskById(taskId);
       notifyRAGIndex(fullTask, 'task', 'upsert');
 
+      setETag(res, updatedItem);
       res.json(updatedItem);
     } catch (error) {
       next(error);
@@ -786,6 +1211,12 @@ router.delete('/:id/items/:itemId',
   async (req, res, next) => {
     try {
       const { id: taskId, itemId } = req.params;
+
+      // Snapshot the item before deleting so the change can be undone
+      const originalItem = await taskService.getItemById(taskId, itemId);
+      if (!originalItem) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
       
       const success = await taskService.deleteItem(taskId, itemId);
 
@@ -794,7 +1225,7 @@ router.delete('/:id/items/:itemId',
       }
 
       // Audit log
-      await req.audit(itemId, { deleted: true }, null);
+      await req.audit(itemId, originalItem, null);
 
       // RAG notification - re-index parent task with updated items
       const fullTask = await taskService.getTaskById(taskId);
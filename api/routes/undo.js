@@ -0,0 +1,169 @@
+const express = require('express');
+const router = express.Router();
+const undoService = require('../services/undoService');
+const taskService = require('../services/taskService');
+const { notifyRAGIndex } = require('../services/ragNotifier');
+
+/**
+ * Re-index whatever a replay touched so the RAG store matches the board again
+ * @param {Array} replayed - Entries returned by undoService.undo/redo
+ */
+async function notifyReplayed(replayed) {
+  for (const entry of replayed) {
+    if (entry.entityType === 'task') {
+      const action = entry.entity && entry.entity.is_archived ? 'archive' : 'upsert';
+      notifyRAGIndex(entry.entity, 'task', action);
+    } else if (entry.entityType === 'note') {
+      const action = entry.entity && entry.entity.is_archived ? 'archive' : 'upsert';
+      notifyRAGIndex(entry.entity, 'note', action);
+    } else if (entry.entityType === 'list_item' && entry.taskId) {
+      // Re-index the parent task with its updated items
+      const fullTask = await taskService.getTaskById(entry.taskId);
+      if (fullTask) notifyRAGIndex(fullTask, 'task', 'upsert');
+    }
+  }
+}
+
+/**
+ * @swagger
+ * /api/undo/preview:
+ *   get:
+ *     summary: Preview the next undo and redo
+ *     description: |
+ *       Returns the audit entries that POST /api/undo and POST /api/redo would replay
+ *       for the current actor, with the field-level changes each would make.
+ *       Nothing is modified.
+ *     tags: [Undo]
+ *     responses:
+ *       200:
+ *         description: Undo/redo preview
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 undo:
+ *                   $ref: '#/components/schemas/UndoEntry'
+ *                 redo:
+ *                   $ref: '#/components/schemas/UndoEntry'
+ */
+router.get('/undo/preview', async (req, res, next) => {
+  try {
+    const preview = await undoService.preview(req.actor || 'user');
+    res.json(preview);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/undo:
+ *   post:
+ *     summary: Undo the most recent change(s)
+ *     description: |
+ *       Reverts the current actor's most recent task, list item or note changes by
+ *       restoring the audit log's previous_state snapshot. Covers task updates, moves,
+ *       archives, restores and completions, list item edits, and note changes.
+ *
+ *       Undo is per actor: the agent's undo never reverts the user's changes.
+ *       Returns 409 if another actor changed the same item afterwards.
+ *     tags: [Undo]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               steps:
+ *                 type: integer
+ *                 default: 1
+ *                 maximum: 20
+ *                 description: Number of changes to undo
+ *     responses:
+ *       200:
+ *         description: Undone entries (empty when there is nothing to undo)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 undone:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UndoEntry'
+ *                 message:
+ *                   type: string
+ *       409:
+ *         description: The item was changed by another actor since
+ */
+router.post('/undo', async (req, res, next) => {
+  try {
+    const steps = req.body && req.body.steps ? req.body.steps : 1;
+    const undone = await undoService.undo(req, steps);
+
+    await notifyReplayed(undone);
+
+    res.json({
+      undone,
+      message: undone.length > 0 ? `Undid ${undone.length} change(s)` : 'Nothing to undo'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/redo:
+ *   post:
+ *     summary: Redo the most recently undone change(s)
+ *     description: |
+ *       Re-applies changes reverted by POST /api/undo using the audit log's new_state
+ *       snapshot. The redo stack is cleared as soon as the actor makes a new change.
+ *     tags: [Undo]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               steps:
+ *                 type: integer
+ *                 default: 1
+ *                 maximum: 20
+ *                 description: Number of changes to redo
+ *     responses:
+ *       200:
+ *         description: Redone entries (empty when there is nothing to redo)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 redone:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UndoEntry'
+ *                 message:
+ *                   type: string
+ *       409:
+ *         description: The item was changed by another actor since
+ */
+router.post('/redo', async (req, res, next) => {
+  try {
+    const steps = req.body && req.body.steps ? req.body.steps : 1;
+    const redone = await undoService.redo(req, steps);
+
+    await notifyReplayed(redone);
+
+    res.json({
+      redone,
+      message: redone.length > 0 ? `Redid ${redone.length} change(s)` : 'Nothing to redo'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,400 @@
+const express = require('express');
+const router = express.Router();
+const webhookService = require('../services/webhookService');
+const { createAuditMiddleware } = require('../middleware/auditLog');
+const { requireUser } = require('../middleware/agentAuth');
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: List webhooks
+ *     description: |
+ *       Webhooks receive board changes as JSON POSTs, e.g. for Home Assistant
+ *       automations. Each request carries:
+ *
+ *       - `X-Clio-Event`: event name, e.g. `task.completed`
+ *       - `X-Clio-Delivery`: delivery ID (the payload's `id`)
+ *       - `X-Clio-Timestamp`: Unix seconds
+ *       - `X-Clio-Signature`: `sha256=` + hex HMAC-SHA256 of `{timestamp}.{body}`
+ *         with the webhook's secret
+ *
+ *       The payload is `{ id, event, occurredAt, actor, entityType, entityId, auditId, data }`
+ *       where `data` is the entity after the change. Any response but a 2xx is retried
+ *       with exponential backoff (30s doubling up to 1h), WEBHOOK_MAX_ATTEMPTS times in all
+ *       (default 8).
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: Webhooks by name, with their latest delivery
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Webhook'
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    res.json(await webhookService.getWebhooks());
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/events:
+ *   get:
+ *     summary: Events webhooks can subscribe to
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: Event names
+ *         content:
+ *           application/json:
+ *             example: [board.imported, board.rolled_over, filter.created, note.created, task.completed]
+ */
+router.get('/events', (req, res) => {
+  res.json(webhookService.getEvents());
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Webhook
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const webhook = await webhookService.getWebhookById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(webhookService.present(webhook));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Register a webhook
+ *     description: |
+ *       The response includes the signing secret; store it, later responses only show
+ *       its first characters. Leave `secret` out to have one generated.
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - url
+ *             properties:
+ *               name:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 default: ['*']
+ *               active:
+ *                 type: boolean
+ *                 default: true
+ *               secret:
+ *                 type: string
+ *                 minLength: 16
+ *           example:
+ *             name: Home Assistant
+ *             url: http://homeassistant.local:8123/api/webhook/clio-board
+ *             events: [task.completed, routine.paused]
+ *     responses:
+ *       201:
+ *         description: Created webhook, with its secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Missing name, invalid URL or unknown event
+ *       403:
+ *         description: Agents cannot manage webhooks
+ */
+router.post('/',
+  requireUser,
+  createAuditMiddleware('create_webhook', 'webhook'),
+  async (req, res, next) => {
+    try {
+      const webhook = await webhookService.createWebhook(req.body);
+      await req.audit(webhook.id, null, webhookService.present(webhook));
+      res.status(201).json(webhookService.present(webhook, true));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   put:
+ *     summary: Update a webhook
+ *     description: Changes any of name, url, events and active. Inactive webhooks get no deliveries.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Updated webhook
+ *       400:
+ *         description: Invalid field
+ *       403:
+ *         description: Agents cannot manage webhooks
+ *       404:
+ *         description: Webhook not found
+ */
+router.put('/:id',
+  requireUser,
+  createAuditMiddleware('update_webhook', 'webhook'),
+  async (req, res, next) => {
+    try {
+      const previous = await webhookService.getWebhookById(req.params.id);
+      if (!previous) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      const webhook = await webhookService.updateWebhook(req.params.id, req.body);
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+      await req.audit(webhook.id, webhookService.present(previous), webhookService.present(webhook));
+      res.json(webhookService.present(webhook));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook and its delivery log
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: Webhook deleted
+ *       403:
+ *         description: Agents cannot manage webhooks
+ *       404:
+ *         description: Webhook not found
+ */
+router.delete('/:id',
+  requireUser,
+  createAuditMiddleware('delete_webhook', 'webhook'),
+  async (req, res, next) => {
+    try {
+      const webhook = await webhookService.deleteWebhook(req.params.id);
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+      await req.audit(webhook.id, webhookService.present(webhook), null);
+      res.status(204).send();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/secret:
+ *   post:
+ *     summary: Rotate a webhook's signing secret
+ *     description: The old secret stops working immediately, including for queued retries.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Webhook with its new secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       403:
+ *         description: Agents cannot manage webhooks
+ *       404:
+ *         description: Webhook not found
+ */
+router.post('/:id/secret',
+  requireUser,
+  createAuditMiddleware('rotate_webhook_secret', 'webhook'),
+  async (req, res, next) => {
+    try {
+      const webhook = await webhookService.rotateSecret(req.params.id);
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+      await req.audit(webhook.id, null, webhookService.present(webhook));
+      res.json(webhookService.present(webhook, true));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/test:
+ *   post:
+ *     summary: Send a test ping
+ *     description: |
+ *       Sends a signed `ping` event right away (also to inactive webhooks) and returns
+ *       the outcome. Pings are logged but not retried.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Ping outcome (status delivered or failed)
+ *         content:
+ *           application/json:
+ *             example:
+ *               id: 0b6e8d8e-4f7c-4d43-a1d2-6f3b8e1c2a90
+ *               event: ping
+ *               status: delivered
+ *               response_status: 200
+ *               response_body: ''
+ *               error: null
+ *               duration_ms: 84
+ *       403:
+ *         description: Agents cannot manage webhooks
+ *       404:
+ *         description: Webhook not found
+ */
+router.post('/:id/test', requireUser, async (req, res, next) => {
+  try {
+    const webhook = await webhookService.getWebhookById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(await webhookService.ping(webhook));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Delivery log of a webhook
+ *     description: |
+ *       Newest first. Pending deliveries are waiting for their next attempt; failed ones
+ *       gave up. Delivered and failed entries are kept WEBHOOK_LOG_DAYS (default 14).
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Deliveries with their payload and last response
+ *       400:
+ *         description: Invalid status
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:id/deliveries', async (req, res, next) => {
+  try {
+    const webhook = await webhookService.getWebhookById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(await webhookService.getDeliveries(webhook.id, {
+      status: req.query.status,
+      limit: req.query.limit
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -7,10 +7,20 @@ require('dotenv').config();
 // Import middleware
 const { logger, requestLogger, errorLogger } = require('./middleware/logger');
 const { authenticateAgent } = require('./middleware/agentAuth');
+const { handleStaleWrite } = require('./middleware/concurrency');
 const { agentRateLimit } = require('./middleware/rateLimiter');
 
 // Import database pool
 const pool = require('./db/pool');
+const migrationRunner = require('./db/migrationRunner');
+
+// Import background jobs
+const recurrenceService = require('./services/recurrenceService');
+const rolloverService = require('./services/rolloverService');
+const orderingService = require('./services/orderingService');
+const backupService = require('./services/backupService');
+const ragOutboxService = require('./services/ragOutboxService');
+const webhookService = require('./services/webhookService');
 
 // Import Swagger documentation
 const { swaggerSpec, swaggerUi } = require('./swagger');
@@ -21,6 +31,18 @@ const routinesRouter = require('./routes/routines');
 const notesRouter = require('./routes/notes');
 const dividersRouter = require('./routes/dividers');
 const searchRouter = require('./routes/search');
+const undoRouter = require('./routes/undo');
+const auditRouter = require('./routes/audit');
+const agentActivityRouter = require('./routes/agentActivity');
+const rolloverRouter = require('./routes/rollover');
+const eventsRouter = require('./routes/events');
+const importExportRouter = require('./routes/importExport');
+const backupsRouter = require('./routes/backups');
+const filtersRouter = require('./routes/filters');
+const ragRouter = require('./routes/rag');
+const webhooksRouter = require('./routes/webhooks');
+const hooksRouter = require('./routes/hooks');
+const captureRouter = require('./routes/capture');
 // const analyticsRouter = require('./routes/analytics'); // TODO: Phase 2
 
 const app = express();
@@ -77,7 +99,8 @@ app.use(cors({
   origin: process.env.NODE_ENV === 'production' 
     ? ['http://192.168.10.21:3000'] // Only allow from Samwise in production
     : true, // Allow all origins in development
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['ETag'] // Row versions for If-Match
 }));
 
 // Body parsing middleware
@@ -278,10 +301,22 @@ app.get('/api', (req, res) => {
 
 // Mount API route modules
 app.use('/api/tasks', tasksRouter);
+app.use('/api/capture', captureRouter);
 app.use('/api/routines', routinesRouter);
 app.use('/api/notes', notesRouter);
 app.use('/api/dividers', dividersRouter);
 app.use('/api/search', searchRouter);
+app.use('/api/audit', auditRouter);
+app.use('/api/agent-activity', agentActivityRouter);
+app.use('/api/rollover', rolloverRouter);
+app.use('/api/events', eventsRouter);
+app.use('/api', importExportRouter); // /api/export, /api/import, /api/import/trello
+app.use('/api/backups', backupsRouter);
+app.use('/api/filters', filtersRouter);
+app.use('/api/rag', ragRouter);
+app.use('/api/webhooks', webhooksRouter);
+app.use('/api/hooks', hooksRouter); // Management, and POST /api/hooks/{token} for captures
+app.use('/api', undoRouter); // /api/undo, /api/undo/preview, /api/redo
 // app.use('/api/analytics', analyticsRouter); // TODO: Phase 2
 
 // Catch-all handler for frontend routing
@@ -290,6 +325,7 @@ app.get('*', (req, res) => {
 });
 
 // Error handling middleware
+app.use(handleStaleWrite); // Concurrent edits are 412s, not errors
 app.use(errorLogger);
 
 app.use((err, req, res, next) => {
@@ -311,7 +347,7 @@ app.use((req, res) => {
 });
 
 // Start server
-app.listen(PORT, '0.0.0.0', async () => {
+const startServer = () => app.listen(PORT, '0.0.0.0', async () => {
   logger.info(`CLIO-Board server started`, {
     port: PORT,
     environment: process.env.NODE_ENV,
@@ -324,6 +360,18 @@ app.listen(PORT, '0.0.0.0', async () => {
     logger.info('Database connection verified', {
       timestamp: result.rows[0].now
     });
+
+    // Background jobs - roll the columns forward before generating recurring tasks.
+    // The rollover isn't awaited so a failure there can't hold up the other jobs.
+    rolloverService.start()
+      .catch(error => {
+        logger.error('Daily rollover failed to start', { error: error.message });
+      })
+      .finally(() => recurrenceService.start());
+    orderingService.start();
+    backupService.start();
+    ragOutboxService.start();
+    webhookService.start();
   } catch (error) {
     logger.error('Database connection failed', {
       error: error.message,
@@ -333,6 +381,18 @@ app.listen(PORT, '0.0.0.0', async () => {
   }
 });
 
+// Refuse to start on a database with pending or modified migrations
+// (npm run migrate). If the database can't be reached the check can't run;
+// start anyway and let the connection check above report it.
+migrationRunner.verify().then(startServer, (error) => {
+  if (error.code !== 'SCHEMA_NOT_CURRENT') {
+    logger.warn('Could not check database migrations', { error: error.message });
+    return startServer();
+  }
+  logger.error('Refusing to start: database schema is not current', { problems: error.problems });
+  process.exit(1);
+});
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
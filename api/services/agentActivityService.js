@@ -0,0 +1,316 @@
+const pool = require('../db/pool');
+const { logger } = require('../middleware/logger');
+const { transactionAudit } = require('../middleware/auditLog');
+const { withTransaction } = require('../db/transaction');
+const taskService = require('./taskService');
+const noteService = require('./noteService');
+const routineService = require('./routineService');
+const auditService = require('./auditService');
+const undoService = require('./undoService');
+
+/**
+ * Agent Activity Service
+ * Groups the agent's audit entries into working sessions for review and
+ * reverts single changes or whole sessions from their previous_state snapshots.
+ */
+
+const DEFAULT_GAP_MINUTES = 30;
+const DEFAULT_DAYS = 7;
+const MAX_ENTRIES = 1000;
+
+// Creations have no previous_state - reverting them archives the new entity
+const CREATE_ACTIONS = {
+  create_task: 'task',
+  create_note: 'note',
+  create_routine: 'routine'
+};
+
+class AgentActivityService {
+  /**
+   * Agent sessions, newest first. A session is a run of agent entries
+   * with no gap longer than gapMinutes between consecutive entries.
+   * Reads at most the newest MAX_ENTRIES entries in the window.
+   * @param {Object} options - since, gapMinutes, limit (max sessions)
+   * @returns {Array} Sessions with their formatted entries (oldest first within a session)
+   */
+  async getSessions(options = {}) {
+    const {
+      since = new Date(Date.now() - DEFAULT_DAYS * 24 * 60 * 60 * 1000),
+      gapMinutes = DEFAULT_GAP_MINUTES,
+      limit = 20
+    } = options;
+
+    try {
+      const result = await pool.query(`
+        SELECT id, actor, action, entity_type, entity_id,
+               previous_state, new_state, undone_at, reverts_id, created_at
+        FROM audit_log
+        WHERE actor = 'agent' AND created_at >= $1
+        ORDER BY created_at DESC, id DESC
+        LIMIT $2
+      `, [since, MAX_ENTRIES]);
+
+      // Newest entries win the cap; the oldest session may then be cut off
+      // part-way, so it is left out unless it is the only one
+      const sessions = this.groupIntoSessions(result.rows.reverse(), gapMinutes);
+      if (result.rows.length === MAX_ENTRIES && sessions.length > 1) {
+        sessions.shift();
+      }
+      return sessions.reverse().slice(0, limit);
+    } catch (error) {
+      logger.error('Error fetching agent activity', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Load one session by the ID of its first entry
+   * @param {String} sessionId - Audit ID of the session's first entry
+   * @param {Number} gapMinutes - Must match the gap the session was listed with
+   * @returns {Object|null} Session with raw rows attached as `rows`
+   */
+  async getSession(sessionId, gapMinutes = DEFAULT_GAP_MINUTES) {
+    const startResult = await pool.query(
+      `SELECT created_at FROM audit_log WHERE id = $1 AND actor = 'agent'`,
+      [sessionId]
+    );
+    if (startResult.rows.length === 0) {
+      return null;
+    }
+
+    // Everything up to the first gap, however long the session ran
+    const result = await pool.query(`
+      WITH entries AS (
+        SELECT id, actor, action, entity_type, entity_id,
+               previous_state, new_state, undone_at, reverts_id, created_at,
+               created_at - LAG(created_at) OVER (ORDER BY created_at, id) AS gap
+        FROM audit_log
+        WHERE actor = 'agent' AND created_at >= $1
+      )
+      SELECT id, actor, action, entity_type, entity_id,
+             previous_state, new_state, undone_at, reverts_id, created_at
+      FROM entries
+      WHERE created_at < COALESCE(
+        (SELECT MIN(created_at) FROM entries WHERE gap > make_interval(mins => $2)),
+        'infinity'
+      )
+      ORDER BY created_at, id
+    `, [startResult.rows[0].created_at, gapMinutes]);
+
+    const [session] = this.groupIntoSessions(result.rows, gapMinutes, { keepRows: true });
+    return session && session.id === sessionId ? session : null;
+  }
+
+  /**
+   * Split chronologically ordered entries on gaps
+   * @param {Array} rows - audit_log rows, oldest first
+   * @param {Number} gapMinutes - Gap that ends a session
+   * @param {Object} options - keepRows: attach raw rows for reverting
+   * @returns {Array} Sessions, oldest first
+   */
+  groupIntoSessions(rows, gapMinutes, options = {}) {
+    const gapMs = gapMinutes * 60 * 1000;
+    const groups = [];
+    let current = null;
+
+    for (const row of rows) {
+      const at = new Date(row.created_at).getTime();
+      if (!current || at - current.lastAt > gapMs) {
+        current = { rows: [], lastAt: at };
+        groups.push(current);
+      }
+      current.rows.push(row);
+      current.lastAt = at;
+    }
+
+    return groups.map(group => {
+      const first = group.rows[0];
+      const last = group.rows[group.rows.length - 1];
+      const actions = {};
+      for (const row of group.rows) {
+        actions[row.action] = (actions[row.action] || 0) + 1;
+      }
+
+      return {
+        id: first.id,
+        startedAt: first.created_at,
+        endedAt: last.created_at,
+        entryCount: group.rows.length,
+        revertedCount: group.rows.filter(r => r.undone_at).length,
+        entityCount: new Set(group.rows.map(r => `${r.entity_type}:${r.entity_id}`)).size,
+        actions,
+        entries: group.rows.map(row => ({
+          ...auditService.formatEntry(row),
+          revertible: this.isRevertible(row)
+        })),
+        ...(options.keepRows && { rows: group.rows })
+      };
+    });
+  }
+
+  /**
+   * Whether an entry carries enough state to be reverted
+   * @param {Object} row - audit_log row
+   * @returns {Boolean}
+   */
+  isRevertible(row) {
+    if (row.undone_at) return false;
+    if (CREATE_ACTIONS[row.action]) return true;
+    if (row.action === 'add_item') return !!row.new_state;
+    // Deleted notes (explode) cannot be recreated from here
+    if (!row.new_state && row.entity_type !== 'list_item') return false;
+    return !!(row.previous_state && row.previous_state.id);
+  }
+
+  /**
+   * Revert a single agent change
+   * @param {String} auditId - Audit entry ID
+   * @param {Object} req - Express request (the reverting actor)
+   * @param {Object} options - force: revert even if someone else changed the entity since
+   * @returns {Object} Result { auditId, status, message?, entity? }
+   */
+  async revertEntry(auditId, req, options = {}) {
+    const result = await pool.query(
+      `SELECT * FROM audit_log WHERE id = $1 AND actor = 'agent'`,
+      [auditId]
+    );
+    if (result.rows.length === 0) {
+      const error = new Error('Agent audit entry not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return this.revertRow(result.rows[0], req, options);
+  }
+
+  /**
+   * Revert every change in an agent session, newest first
+   * @param {String} sessionId - Audit ID of the session's first entry
+   * @param {Object} req - Express request
+   * @param {Object} options - gapMinutes, force
+   * @returns {Object} { sessionId, reverted, skipped, results }
+   */
+  async revertSession(sessionId, req, options = {}) {
+    const session = await this.getSession(sessionId, options.gapMinutes || DEFAULT_GAP_MINUTES);
+    if (!session) {
+      const error = new Error('Agent session not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const results = [];
+    for (const row of [...session.rows].reverse()) {
+      results.push(await this.revertRow(row, req, options));
+    }
+
+    const reverted = results.filter(r => r.status === 'reverted').length;
+    logger.info('Agent session reverted', { sessionId, reverted, total: results.length });
+
+    return {
+      sessionId,
+      reverted,
+      skipped: results.length - reverted,
+      results
+    };
+  }
+
+  /**
+   * Revert one audit row, reporting rather than throwing for expected skips
+   * @param {Object} row - audit_log row
+   * @param {Object} req - Express request
+   * @param {Object} options - force
+   * @returns {Object} Result
+   */
+  async revertRow(row, req, options = {}) {
+    const base = { auditId: row.id, action: row.action, entityType: row.entity_type, entityId: row.entity_id };
+
+    if (row.undone_at) {
+      return { ...base, status: 'skipped', message: 'Already reverted' };
+    }
+
+    if (!this.isRevertible(row)) {
+      return { ...base, status: 'unsupported', message: `${row.action} cannot be reverted` };
+    }
+
+    if (!options.force) {
+      try {
+        await undoService.assertNotSuperseded(row, 'undo');
+      } catch (error) {
+        if (error.statusCode === 409) {
+          return { ...base, status: 'conflict', message: error.message };
+        }
+        throw error;
+      }
+    }
+
+    try {
+      // The revert, the flag on the agent's entry and the revert's own entry
+      // commit together
+      const { entity, audit } = await withTransaction(async (client) => {
+        const flagged = await client.query(
+          'UPDATE audit_log SET undone_at = NOW() WHERE id = $1 AND undone_at IS NULL',
+          [row.id]
+        );
+        if (flagged.rowCount === 0) {
+          throw new Error('Already reverted');
+        }
+
+        const applied = CREATE_ACTIONS[row.action]
+          ? await this.archiveCreated(row, client)
+          : await undoService.applyState(row, row.previous_state, client);
+
+        const revertAudit = transactionAudit(client, req);
+        await revertAudit.log('revert_agent_change', row.entity_type, row.entity_id, applied.beforeState, applied.entity, {
+          revertsId: row.id
+        });
+        return { entity: applied.entity, audit: revertAudit };
+      });
+      audit.publish();
+
+      logger.info('Agent change reverted', { auditId: row.id, action: row.action, entityId: row.entity_id });
+      return { ...base, status: 'reverted', entity };
+    } catch (error) {
+      logger.error('Error reverting agent change', { error: error.message, auditId: row.id });
+      return { ...base, status: 'failed', message: error.message };
+    }
+  }
+
+  /**
+   * Undo an agent creation by archiving what it created
+   * @param {Object} row - create_* audit row
+   * @param {Object} client - pg client inside the revert's transaction
+   * @returns {Object} { beforeState, entity }
+   */
+  async archiveCreated(row, client) {
+    const entityType = CREATE_ACTIONS[row.action];
+    const exists = await client.query(
+      `SELECT 1 FROM ${entityType === 'task' ? 'tasks' : `${entityType}s`} WHERE id = $1`,
+      [row.entity_id]
+    );
+    if (exists.rows.length === 0) {
+      throw new Error(`${entityType} no longer exists`);
+    }
+
+    switch (entityType) {
+      case 'task': {
+        const beforeState = await taskService.getTaskById(row.entity_id, client);
+        const entity = beforeState.is_archived ? beforeState : await taskService.archiveTask(row.entity_id, client);
+        return { beforeState, entity };
+      }
+      case 'note': {
+        const beforeState = await noteService.getNoteById(row.entity_id, client);
+        const entity = await noteService.archiveNote(row.entity_id, client);
+        return { beforeState, entity };
+      }
+      case 'routine': {
+        const beforeState = await routineService.getRoutineById(row.entity_id, client);
+        const entity = await routineService.archiveRoutine(row.entity_id, client);
+        return { beforeState, entity };
+      }
+      default:
+        throw new Error(`Cannot revert ${row.action}`);
+    }
+  }
+}
+
+module.exports = new AgentActivityService();
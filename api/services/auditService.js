@@ -0,0 +1,282 @@
+const pool = require('../db/pool');
+const { logger } = require('../middleware/logger');
+
+/**
+ * Audit Service
+ * Read side of the audit_log table: filtered queries with cursor pagination
+ * and per-entity field-level change timelines.
+ */
+
+// Snapshot fields that change on every write or are joined in for display,
+// so they never count as a change
+const IGNORED_FIELDS = new Set([
+  'updated_at', 'created_at',
+  'routine_title', 'routine_color', 'routine_icon', 'routine_status', 'task_title',
+  'pending_tasks', 'completed_tasks', 'archived_tasks', 'is_overdue',
+  'items', 'rank', 'version'
+]);
+
+// Display labels for snapshot fields
+const FIELD_LABELS = {
+  title: 'Title',
+  notes: 'Notes',
+  content: 'Content',
+  description: 'Description',
+  routine_id: 'Routine',
+  task_id: 'Task',
+  due_date: 'Due date',
+  column_name: 'Column',
+  column_position: 'Column',
+  position: 'Position',
+  status: 'Status',
+  type: 'Type',
+  is_archived: 'Archived',
+  archived_at: 'Archived at',
+  completed: 'Done',
+  completed_at: 'Completed at',
+  color: 'Color',
+  icon: 'Icon',
+  achievable: 'Achievable',
+  pause_until: 'Paused until',
+  display_order: 'Order'
+};
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const CURSOR_TS_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?$/;
+
+class AuditService {
+  /**
+   * Query audit entries, newest first
+   * @param {Object} filters - actor, action (comma-separated), entity_type, entity_id, since, until, cursor, limit
+   * @returns {Object} { entries, nextCursor }
+   */
+  async getEntries(filters = {}) {
+    try {
+      // cursor_ts keeps microsecond precision, which a JS Date would truncate
+      let query = `
+        SELECT id, actor, actor_name, action, entity_type, entity_id,
+               previous_state, new_state, undone_at, reverts_id, created_at,
+               to_char(created_at, 'YYYY-MM-DD"T"HH24:MI:SS.US') as cursor_ts
+        FROM audit_log
+        WHERE 1 = 1
+      `;
+
+      const values = [];
+      let paramCount = 0;
+
+      if (filters.actor) {
+        query += ` AND actor = $${++paramCount}`;
+        values.push(filters.actor);
+      }
+
+      if (filters.action) {
+        const actions = filters.action.split(',').map(a => a.trim()).filter(Boolean);
+        query += ` AND action = ANY($${++paramCount}::text[])`;
+        values.push(actions);
+      }
+
+      if (filters.entity_type) {
+        query += ` AND entity_type = $${++paramCount}`;
+        values.push(filters.entity_type);
+      }
+
+      if (filters.entity_id) {
+        query += ` AND entity_id = $${++paramCount}`;
+        values.push(filters.entity_id);
+      }
+
+      if (filters.since) {
+        query += ` AND created_at >= $${++paramCount}`;
+        values.push(filters.since);
+      }
+
+      if (filters.until) {
+        query += ` AND created_at < $${++paramCount}`;
+        values.push(filters.until);
+      }
+
+      if (filters.cursor) {
+        const cursor = this.decodeCursor(filters.cursor);
+        query += ` AND (created_at, id) < ($${++paramCount}::timestamp, $${++paramCount}::uuid)`;
+        values.push(cursor.createdAt, cursor.id);
+      }
+
+      const requested = parseInt(filters.limit, 10);
+      const limit = isNaN(requested) ? DEFAULT_LIMIT : Math.min(Math.max(requested, 1), MAX_LIMIT);
+      query += ` ORDER BY created_at DESC, id DESC LIMIT $${++paramCount}`;
+      // Fetch one extra row to know whether another page exists
+      values.push(limit + 1);
+
+      const result = await pool.query(query, values);
+      const rows = result.rows.slice(0, limit);
+      const hasMore = result.rows.length > limit;
+
+      return {
+        entries: rows.map(row => this.formatEntry(row)),
+        nextCursor: hasMore ? this.encodeCursor(rows[rows.length - 1]) : null
+      };
+    } catch (error) {
+      logger.error('Error querying audit log', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Field-level change timeline for a single entity, oldest first.
+   * Task history also includes changes to the task's list items.
+   * @param {String} entityType - 'task' | 'note' | 'routine'
+   * @param {String} entityId - Entity UUID
+   * @returns {Array} Timeline entries
+   */
+  async getEntityHistory(entityType, entityId) {
+    try {
+      let query = `
+        SELECT id, actor, actor_name, action, entity_type, entity_id,
+               previous_state, new_state, undone_at, reverts_id, created_at
+        FROM audit_log
+        WHERE (entity_type = $1 AND entity_id = $2)
+      `;
+
+      if (entityType === 'task') {
+        query += `
+          OR (entity_type = 'list_item'
+              AND (previous_state->>'task_id' = $2::text OR new_state->>'task_id' = $2::text))
+        `;
+      }
+
+      query += ' ORDER BY created_at, id';
+
+      const result = await pool.query(query, [entityType, entityId]);
+      return result.rows.map(row => this.formatEntry(row));
+    } catch (error) {
+      logger.error('Error fetching entity history', { error: error.message, entityType, entityId });
+      throw error;
+    }
+  }
+
+  /**
+   * Shape an audit row for API output
+   * @param {Object} row - audit_log row
+   * @returns {Object} Entry with field-level changes and a one-line summary
+   */
+  formatEntry(row) {
+    const changes = this.diffStates(row.previous_state, row.new_state);
+    const snapshot = row.new_state || row.previous_state || {};
+
+    return {
+      id: row.id,
+      actor: row.actor,
+      actorName: row.actor_name || null,
+      action: row.action,
+      entityType: row.entity_type,
+      entityId: row.entity_id,
+      title: snapshot.title || null,
+      changes,
+      summary: this.summarize(row, changes),
+      undone: !!row.undone_at,
+      revertsId: row.reverts_id || null,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Compare two snapshots field by field
+   * @param {Object|null} previousState - State before the change
+   * @param {Object|null} newState - State after the change
+   * @returns {Array} [{ field, label, from, to }]
+   */
+  diffStates(previousState, newState) {
+    const before = previousState || {};
+    const after = newState || {};
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = [];
+
+    for (const field of fields) {
+      if (IGNORED_FIELDS.has(field) || field === 'id') continue;
+
+      const from = before[field] ?? null;
+      const to = after[field] ?? null;
+
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes.push({
+          field,
+          label: FIELD_LABELS[field] || field,
+          from,
+          to
+        });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * One-line, human-readable description of an entry
+   * @param {Object} row - audit_log row
+   * @param {Array} changes - Output of diffStates
+   * @returns {String} Summary
+   */
+  summarize(row, changes) {
+    const verb = row.action.replace(/_/g, ' ');
+    const snapshot = row.new_state || row.previous_state || {};
+    const subject = snapshot.title ? ` "${snapshot.title}"` : '';
+    const actor = row.actor_name ? `${row.actor} "${row.actor_name}"` : row.actor;
+
+    if (!row.previous_state || !row.new_state || changes.length === 0) {
+      return `${actor} ${verb}${subject}`;
+    }
+
+    const details = changes
+      .slice(0, 3)
+      .map(c => `${c.label}: ${this.formatValue(c.from)} → ${this.formatValue(c.to)}`)
+      .join('; ');
+    const more = changes.length > 3 ? ` (+${changes.length - 3} more)` : '';
+
+    return `${actor} ${verb}${subject} - ${details}${more}`;
+  }
+
+  /**
+   * Compact display form of a snapshot value
+   * @param {*} value - Snapshot value
+   * @returns {String} Display string
+   */
+  formatValue(value) {
+    if (value === null || value === undefined || value === '') return '(none)';
+    if (Array.isArray(value)) return `${value.length} item${value.length === 1 ? '' : 's'}`;
+    if (typeof value === 'string') {
+      // Dates come back as ISO timestamps - keep just the day
+      if (/^\d{4}-\d{2}-\d{2}T/.test(value)) return value.split('T')[0];
+      return value.length > 40 ? `${value.substring(0, 40)}...` : value;
+    }
+    return String(value);
+  }
+
+  /**
+   * Opaque pagination cursor from the last row of a page
+   * @param {Object} row - audit_log row
+   * @returns {String} base64url cursor
+   */
+  encodeCursor(row) {
+    const raw = `${row.cursor_ts}|${row.id}`;
+    return Buffer.from(raw).toString('base64url');
+  }
+
+  /**
+   * @param {String} cursor - Cursor from a previous page
+   * @returns {Object} { createdAt, id }
+   */
+  decodeCursor(cursor) {
+    const [createdAt, id] = Buffer.from(cursor, 'base64url').toString().split('|');
+    // Only what encodeCursor writes: the row's cursor_ts and UUID
+    if (!CURSOR_TS_PATTERN.test(createdAt || '') || isNaN(Date.parse(createdAt)) || !UUID_PATTERN.test(id || '')) {
+      const error = new Error('Invalid cursor');
+      error.statusCode = 400;
+      throw error;
+    }
+    return { createdAt, id };
+  }
+}
+
+module.exports = new AuditService();
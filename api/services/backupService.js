@@ -0,0 +1,421 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('../middleware/logger');
+const exportService = require('./exportService');
+const importService = require('./importService');
+const cronSchedule = require('./cronSchedule');
+const calendar = require('./boardCalendar');
+
+/**
+ * Backup Service
+ * Writes full board exports (archived items and the audit log included) to
+ * BACKUP_DIR on BACKUP_SCHEDULE, a cron expression in server local time
+ * (default '0 2 * * *', before the 03:00 rollover). Restoring a backup is a
+ * replace-mode import of the file.
+ *
+ * After each scheduled run, scheduled backups are thinned out to the newest
+ * one of each of the last BACKUP_KEEP_DAILY days plus the newest one of each
+ * of the last BACKUP_KEEP_WEEKLY weeks. Manual backups and the safety copies
+ * taken before a restore are never rotated; delete them through the API.
+ */
+
+const DEFAULT_SCHEDULE = '0 2 * * *';
+const DEFAULT_DIR = path.join(__dirname, '../../backups');
+const DEFAULT_KEEP_DAILY = 7;
+const DEFAULT_KEEP_WEEKLY = 4;
+
+const KINDS = ['scheduled', 'manual', 'pre-restore'];
+// Backups taken in the same second get -2, -3, ... after the kind
+const NAME_PATTERN = /^clio-backup-(\d{8}T\d{6}Z)-(scheduled|manual|pre-restore)(?:-(\d+))?\.json$/;
+
+// Order among backups from the same second
+const sequenceOf = (name) => {
+  const match = NAME_PATTERN.exec(name);
+  return match && match[3] ? parseInt(match[3], 10) : 1;
+};
+
+// setTimeout can't wait longer than ~24.8 days; longer waits re-arm
+const MAX_TIMER_MS = 2147483647;
+
+class BackupService {
+  constructor() {
+    this.timer = null;
+    this.nextRunAt = null;
+    this.lastRun = null;
+    this.running = null;
+  }
+
+  /**
+   * Configured schedule
+   * @returns {Object} Parsed cron schedule
+   */
+  getSchedule() {
+    const raw = process.env.BACKUP_SCHEDULE || DEFAULT_SCHEDULE;
+    try {
+      return cronSchedule.parse(raw);
+    } catch (error) {
+      logger.warn('Invalid BACKUP_SCHEDULE, using default', { value: raw, error: error.message, default: DEFAULT_SCHEDULE });
+      return cronSchedule.parse(DEFAULT_SCHEDULE);
+    }
+  }
+
+  getDirectory() {
+    return path.resolve(process.env.BACKUP_DIR || DEFAULT_DIR);
+  }
+
+  /**
+   * Retention counts
+   * @returns {Object} { daily, weekly }
+   */
+  getRetention() {
+    const read = (name, fallback) => {
+      const value = parseInt(process.env[name], 10);
+      return isNaN(value) || value < 0 ? fallback : value;
+    };
+    return {
+      daily: read('BACKUP_KEEP_DAILY', DEFAULT_KEEP_DAILY),
+      weekly: read('BACKUP_KEEP_WEEKLY', DEFAULT_KEEP_WEEKLY)
+    };
+  }
+
+  isEnabled() {
+    return process.env.BACKUP_ENABLED !== 'false';
+  }
+
+  /**
+   * Parse a backup file name
+   * @param {String} name - File name
+   * @returns {Object|null} { name, kind, createdAt } or null if it isn't a backup
+   */
+  parseName(name) {
+    const match = NAME_PATTERN.exec(name);
+    if (!match) return null;
+
+    const s = match[1];
+    const createdAt = new Date(`${s.slice(0, 4)}-${s.slice(4, 6)}-${s.slice(6, 8)}T${s.slice(9, 11)}:${s.slice(11, 13)}:${s.slice(13, 15)}Z`);
+    if (isNaN(createdAt.getTime())) return null;
+
+    return { name, kind: match[2], createdAt };
+  }
+
+  /**
+   * Backups in the directory, newest first
+   * @returns {Array} [{ name, kind, createdAt, size }]
+   */
+  async listBackups() {
+    try {
+      const directory = this.getDirectory();
+      let entries;
+      try {
+        entries = await fs.readdir(directory);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const backups = [];
+      for (const entry of entries) {
+        const backup = this.parseName(entry);
+        if (!backup) continue;
+        const stat = await fs.stat(path.join(directory, entry));
+        backups.push({ ...backup, size: stat.size });
+      }
+
+      return backups.sort((a, b) => b.createdAt - a.createdAt || sequenceOf(b.name) - sequenceOf(a.name));
+    } catch (error) {
+      logger.error('Error listing backups', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Full path of an existing backup. The name must match the backup pattern,
+   * which also keeps it inside the backup directory.
+   * @param {String} name - File name
+   * @returns {String} Path
+   * @throws {Error} 404 if there is no such backup
+   */
+  async resolve(name) {
+    const notFound = () => {
+      const error = new Error(`Backup not found: ${name}`);
+      error.statusCode = 404;
+      return error;
+    };
+
+    if (!this.parseName(name)) throw notFound();
+
+    const file = path.join(this.getDirectory(), name);
+    try {
+      await fs.access(file);
+    } catch (error) {
+      throw notFound();
+    }
+    return file;
+  }
+
+  /**
+   * Write a backup now
+   * @param {String} kind - 'scheduled', 'manual' or 'pre-restore'
+   * @returns {Object} { name, kind, createdAt, size, counts }
+   */
+  async createBackup(kind = 'manual') {
+    if (!KINDS.includes(kind)) {
+      throw new Error(`Unknown backup kind: ${kind}`);
+    }
+
+    try {
+      const document = await exportService.exportBoard({ includeArchived: true, includeAudit: true });
+
+      const stamp = document.exported_at.replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+      const directory = this.getDirectory();
+      const body = JSON.stringify(document);
+
+      // Write to a temporary name first so a crash never leaves a truncated backup,
+      // then link it under the first free name - link, unlike rename, never
+      // replaces a backup taken in the same second
+      await fs.mkdir(directory, { recursive: true });
+      const temporary = path.join(directory, `.clio-backup-${uuidv4()}.tmp`);
+      await fs.writeFile(temporary, body, { flag: 'wx' });
+
+      let name;
+      try {
+        for (let sequence = 1; !name; sequence++) {
+          const candidate = `clio-backup-${stamp}-${kind}${sequence > 1 ? `-${sequence}` : ''}.json`;
+          try {
+            await fs.link(temporary, path.join(directory, candidate));
+            name = candidate;
+          } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+          }
+        }
+      } finally {
+        await fs.unlink(temporary);
+      }
+
+      const backup = {
+        ...this.parseName(name),
+        size: Buffer.byteLength(body),
+        counts: {
+          routines: document.routines.length,
+          tasks: document.tasks.length,
+          notes: document.notes.length,
+          dividers: document.dividers.length,
+          audit_log: document.audit_log.length
+        }
+      };
+
+      logger.info('Board backup written', { name, kind, size: backup.size });
+      return backup;
+    } catch (error) {
+      logger.error('Error writing board backup', { error: error.message, kind });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a backup
+   * @param {String} name - File name
+   */
+  async deleteBackup(name) {
+    const file = await this.resolve(name);
+    try {
+      await fs.unlink(file);
+      logger.info('Board backup deleted', { name });
+    } catch (error) {
+      logger.error('Error deleting board backup', { error: error.message, name });
+      throw error;
+    }
+  }
+
+  /**
+   * Scheduled backups that retention keeps: the newest of each of the last
+   * `daily` calendar days and the newest of each of the last `weekly` weeks
+   * (weeks start on Monday).
+   * @param {Array} backups - Scheduled backups, newest first
+   * @param {Object} retention - { daily, weekly }
+   * @returns {Set<String>} Names to keep
+   */
+  selectRetained(backups, retention) {
+    const keep = new Set();
+    const days = new Set();
+    const weeks = new Set();
+
+    for (const backup of backups) {
+      const day = calendar.toDateString(backup.createdAt);
+      if (!days.has(day) && days.size < retention.daily) {
+        days.add(day);
+        keep.add(backup.name);
+      }
+
+      const weekday = (backup.createdAt.getDay() + 6) % 7;
+      const week = calendar.addDays(day, -weekday);
+      if (!weeks.has(week) && weeks.size < retention.weekly) {
+        weeks.add(week);
+        keep.add(backup.name);
+      }
+    }
+
+    return keep;
+  }
+
+  /**
+   * Delete scheduled backups that fall outside the retention window
+   * @returns {Array<String>} Deleted names
+   */
+  async rotate() {
+    try {
+      const scheduled = (await this.listBackups()).filter(backup => backup.kind === 'scheduled');
+      const keep = this.selectRetained(scheduled, this.getRetention());
+      const deleted = [];
+
+      for (const backup of scheduled) {
+        if (keep.has(backup.name)) continue;
+        await fs.unlink(path.join(this.getDirectory(), backup.name));
+        deleted.push(backup.name);
+      }
+
+      if (deleted.length > 0) {
+        logger.info('Old board backups rotated out', { deleted: deleted.length, kept: keep.size });
+      }
+      return deleted;
+    } catch (error) {
+      logger.error('Error rotating board backups', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Roll the board back to a backup (replace-mode import). Unless it is a dry
+   * run, the current board is saved as a 'pre-restore' backup first, so the
+   * restore itself can be undone by restoring that copy.
+   * @param {String} name - Backup file name
+   * @param {Object} options - { dryRun }
+   * @param {Object} req - Express request (for the audit entry)
+   * @returns {Object} Import report plus { backup, safetyBackup }
+   */
+  async restore(name, options = {}, req) {
+    const dryRun = options.dryRun === true;
+    const file = await this.resolve(name);
+
+    let document;
+    try {
+      document = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      logger.error('Error reading board backup', { error: error.message, name });
+      const readError = new Error(`Backup ${name} could not be read: ${error.message}`);
+      readError.statusCode = 422;
+      throw readError;
+    }
+
+    // No safety copy for a dry run or a file the import would reject anyway
+    const { errors } = importService.validate(document);
+    const safetyBackup = dryRun || errors.length > 0 ? null : await this.createBackup('pre-restore');
+    const report = await importService.importBoard(document, { mode: 'replace', dryRun }, req);
+
+    if (safetyBackup && report.valid) {
+      logger.info('Board restored from backup', { name, safetyBackup: safetyBackup.name });
+    }
+
+    return { ...report, backup: name, safetyBackup: safetyBackup ? safetyBackup.name : null };
+  }
+
+  /**
+   * Scheduled run: write a backup, then rotate. Overlapping calls share the
+   * run in progress.
+   */
+  async run() {
+    if (this.running) {
+      return this.running;
+    }
+
+    this.running = (async () => {
+      try {
+        const backup = await this.createBackup('scheduled');
+        const rotated = await this.rotate();
+        this.lastRun = { name: backup.name, ranAt: new Date(), rotated: rotated.length, error: null };
+        return backup;
+      } catch (error) {
+        this.lastRun = { name: null, ranAt: new Date(), rotated: 0, error: error.message };
+        throw error;
+      } finally {
+        this.running = null;
+      }
+    })();
+
+    return this.running;
+  }
+
+  /**
+   * Scheduler state and the backups on disk, for GET /api/backups
+   * @returns {Object} { enabled, schedule, directory, retention, nextRunAt, lastRun, backups }
+   */
+  async getStatus() {
+    return {
+      enabled: this.isEnabled(),
+      schedule: this.getSchedule().expression,
+      directory: this.getDirectory(),
+      retention: this.getRetention(),
+      nextRunAt: this.nextRunAt,
+      lastRun: this.lastRun,
+      backups: await this.listBackups()
+    };
+  }
+
+  /**
+   * Start the scheduler. Set BACKUP_ENABLED=false to turn it off; manual
+   * backups and restores still work.
+   */
+  start() {
+    if (!this.isEnabled()) {
+      logger.info('Scheduled backups disabled');
+      return;
+    }
+
+    logger.info('Backup scheduler started', {
+      schedule: this.getSchedule().expression,
+      directory: this.getDirectory(),
+      retention: this.getRetention()
+    });
+    this.scheduleNext();
+  }
+
+  scheduleNext() {
+    // Timers can fire a little early; never schedule the same minute twice
+    const now = new Date();
+    const from = this.nextRunAt && this.nextRunAt > now ? this.nextRunAt : now;
+    const next = cronSchedule.nextRun(this.getSchedule(), from);
+    this.nextRunAt = next;
+    if (!next) {
+      logger.warn('BACKUP_SCHEDULE never fires, no backups scheduled');
+      return;
+    }
+
+    const delay = next - Date.now();
+    if (delay > MAX_TIMER_MS) {
+      this.timer = setTimeout(() => this.scheduleNext(), MAX_TIMER_MS);
+      this.timer.unref();
+      return;
+    }
+
+    this.timer = setTimeout(async () => {
+      try {
+        await this.run();
+      } catch (error) {
+        // Logged in createBackup/rotate
+      }
+      this.scheduleNext();
+    }, delay);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.nextRunAt = null;
+  }
+}
+
+module.exports = new BackupService();
@@ -0,0 +1,103 @@
+/**
+ * Board Calendar
+ *
+ * Date helpers shared by the schedulers. All dates are calendar days in the
+ * server's local time zone, passed around as 'YYYY-MM-DD' strings so DATE
+ * columns never drift through UTC conversion.
+ */
+
+/**
+ * Format a Date (or pass through a 'YYYY-MM-DD' string) as a local calendar day
+ * @param {Date|String} value - Date, ISO string or 'YYYY-MM-DD'
+ * @returns {String|null} 'YYYY-MM-DD'
+ */
+function toDateString(value) {
+  if (!value) return null;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return null;
+
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Parse 'YYYY-MM-DD' as local midnight
+ * @param {String} dateString - Calendar day
+ * @returns {Date}
+ */
+function parseDate(dateString) {
+  const [year, month, day] = toDateString(dateString).split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * @returns {String} Today's local calendar day
+ */
+function today() {
+  return toDateString(new Date());
+}
+
+/**
+ * @param {String} dateString - Calendar day
+ * @param {Number} days - Days to add (may be negative)
+ * @returns {String} Calendar day
+ */
+function addDays(dateString, days) {
+  const date = parseDate(dateString);
+  date.setDate(date.getDate() + days);
+  return toDateString(date);
+}
+
+/**
+ * Whole days from one calendar day to another
+ * @param {String} from - Calendar day
+ * @param {String} to - Calendar day
+ * @returns {Number} Positive when `to` is later
+ */
+function daysBetween(from, to) {
+  // Round to absorb DST shifts
+  return Math.round((parseDate(to) - parseDate(from)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Last day covered by the this_week column, mirroring the frontend's
+ * updateColumnDateIndicators: Mon-Fri it runs to this Sunday, on the
+ * weekend it shows next week (Monday to Sunday).
+ * @param {String} referenceDay - The day the board is viewed (default today)
+ * @returns {String} Calendar day
+ */
+function weekColumnEnd(referenceDay = today()) {
+  const dayOfWeek = parseDate(referenceDay).getDay();
+  if (dayOfWeek === 6) return addDays(referenceDay, 8);
+  if (dayOfWeek === 0) return addDays(referenceDay, 7);
+  return addDays(referenceDay, 7 - dayOfWeek);
+}
+
+/**
+ * Board column a task dated on the given day belongs in. Past dates
+ * land in today.
+ * @param {String} dateString - Calendar day
+ * @param {String} referenceDay - The day the board is viewed (default today)
+ * @returns {String} 'today' | 'tomorrow' | 'this_week' | 'horizon'
+ */
+function columnForDate(dateString, referenceDay = today()) {
+  const diff = daysBetween(referenceDay, dateString);
+  if (diff <= 0) return 'today';
+  if (diff === 1) return 'tomorrow';
+  if (dateString <= weekColumnEnd(referenceDay)) return 'this_week';
+  return 'horizon';
+}
+
+module.exports = {
+  toDateString,
+  parseDate,
+  today,
+  addDays,
+  daysBetween,
+  weekColumnEnd,
+  columnForDate
+};
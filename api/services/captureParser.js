@@ -0,0 +1,191 @@
+/**
+ * Quick Capture Language
+ *
+ * Parses one line typed into the add bar into a task:
+ *
+ *   buy grout tomorrow #bathroom !morning
+ *   costco: milk, eggs, syrup @week
+ *
+ *   #routine    routine by name (#"deep clean" for names with spaces)
+ *   !section    Today section by divider label (!morning)
+ *   @column     today, tomorrow, week, horizon (later); other @words stay in the title
+ *   due date    today, tonight, tomorrow, friday, on fri, next tue, in 3 days,
+ *               in 2 weeks or 2026-11-01 - only at the start or end of the text, so
+ *               "ask about the monday meeting" keeps its title
+ *   title: a, b a list with items a and b (needs a comma, so "Re: invoice" is a title)
+ *
+ * Tags can go anywhere. The parser only reads the text; captureService looks
+ * up routines and sections.
+ */
+const calendar = require('./boardCalendar');
+
+const COLUMN_VALUES = {
+  today: 'today',
+  tomorrow: 'tomorrow',
+  this_week: 'this_week',
+  'this-week': 'this_week',
+  week: 'this_week',
+  horizon: 'horizon',
+  later: 'horizon'
+};
+
+const WEEKDAYS = {
+  sunday: 0, sun: 0,
+  monday: 1, mon: 1,
+  tuesday: 2, tue: 2, tues: 2,
+  wednesday: 3, wed: 3,
+  thursday: 4, thu: 4, thur: 4, thurs: 4,
+  friday: 5, fri: 5,
+  saturday: 6, sat: 6
+};
+const FULL_WEEKDAYS = Object.keys(WEEKDAYS).filter(day => day.endsWith('day'));
+const SHORT_WEEKDAYS = Object.keys(WEEKDAYS).filter(day => !day.endsWith('day'));
+
+const DAY_WORDS = { today: 0, tonight: 0, tomorrow: 1, tmrw: 1, tmr: 1 };
+
+// Tags: #word, #"two words", !word, @word - only at the start of a word
+const TAG_PATTERN = /(^|\s)([#!@])(?:"([^"]+)"|([^\s#!@"]+))/g;
+
+// Date phrases, most specific first. Abbreviated weekdays need a lead-in
+// word ("on sat") since "sun" and "sat" are ordinary words too.
+const DATE_PHRASES = [
+  { pattern: '(?:(?:on|by|due)\\s+)?(\\d{4}-\\d{2}-\\d{2})', day: (m) => isoDay(m[1]) },
+  { pattern: 'in\\s+(\\d{1,3})\\s+(days?|weeks?)', day: (m) => calendar.addDays(calendar.today(), parseInt(m[1], 10) * (m[2].startsWith('week') ? 7 : 1)) },
+  { pattern: `(?:(?:on|by|due)\\s+)?(${Object.keys(DAY_WORDS).join('|')})`, day: (m) => calendar.addDays(calendar.today(), DAY_WORDS[m[1].toLowerCase()]) },
+  { pattern: `(?:(?:on|by|due|next|this)\\s+)?(${FULL_WEEKDAYS.join('|')})`, day: (m) => nextWeekday(m[1]) },
+  { pattern: `(?:on|by|due|next|this)\\s+(${SHORT_WEEKDAYS.join('|')})`, day: (m) => nextWeekday(m[1]) }
+];
+
+/**
+ * 400 error for input that can't become a task
+ * @param {String} message - What's wrong
+ * @returns {Error} code 'CAPTURE_SYNTAX'
+ */
+function captureError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = 'CAPTURE_SYNTAX';
+  return error;
+}
+
+/**
+ * 'YYYY-MM-DD' if it's a real day (2026-02-30 isn't), otherwise null
+ */
+function isoDay(text) {
+  return calendar.toDateString(calendar.parseDate(text)) === text ? text : null;
+}
+
+/**
+ * The next given weekday after today (a week from today on that weekday)
+ * @param {String} name - Weekday name or abbreviation
+ * @returns {String} Calendar day
+ */
+function nextWeekday(name) {
+  const today = calendar.today();
+  const current = calendar.parseDate(today).getDay();
+  const ahead = (WEEKDAYS[name.toLowerCase()] - current + 7) % 7 || 7;
+  return calendar.addDays(today, ahead);
+}
+
+/**
+ * Take a date phrase off the end (or else the start) of the text
+ * @param {String} text - Text without tags
+ * @returns {Object} { text, due_date, phrase } - phrase null when there's no date
+ */
+function extractDate(text) {
+  for (const { pattern, day } of DATE_PHRASES) {
+    for (const anchored of [`(?:^|\\s)(?:${pattern})\\s*$`, `^\\s*(?:${pattern})(?:\\s|$)`]) {
+      const match = new RegExp(anchored, 'i').exec(text);
+      if (!match) continue;
+
+      const dueDate = day(match);
+      if (!dueDate) continue;
+      return {
+        text: `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}`,
+        due_date: dueDate,
+        phrase: match[0].trim()
+      };
+    }
+  }
+  return { text, due_date: null, phrase: null };
+}
+
+/**
+ * Parse a quick capture line
+ * @param {String} input - Add bar text
+ * @returns {Object} { title, items, due_date, column, routine, section, recognized, warnings }
+ *   routine and section are the names as typed; recognized lists what was read
+ *   as syntax ({ kind, text }) for showing the interpretation
+ * @throws {Error} 400 (code 'CAPTURE_SYNTAX') when nothing is left for a title
+ */
+function parse(input) {
+  if (typeof input !== 'string' || !input.trim()) {
+    throw captureError('Text is required');
+  }
+
+  const result = {
+    title: null,
+    items: [],
+    due_date: null,
+    column: null,
+    routine: null,
+    section: null,
+    recognized: [],
+    warnings: []
+  };
+
+  const text = input.replace(TAG_PATTERN, (match, lead, sigil, quoted, word) => {
+    const value = (quoted || word).trim();
+    const tag = `${sigil}${quoted ? `"${quoted}"` : word}`;
+
+    if (sigil === '@') {
+      const column = COLUMN_VALUES[value.toLowerCase()];
+      if (!column) return match; // @home, @bob - part of the title
+      if (result.column && result.column !== column) {
+        result.warnings.push(`Only one column per task - ignored ${tag}`);
+      } else {
+        result.column = column;
+        result.recognized.push({ kind: 'column', text: tag });
+      }
+    } else {
+      const field = sigil === '#' ? 'routine' : 'section';
+      if (result[field]) {
+        result.warnings.push(`Only one ${field} per task - ignored ${tag}`);
+      } else {
+        result[field] = value;
+        result.recognized.push({ kind: field, text: tag });
+      }
+    }
+    return lead;
+  });
+
+  const dated = extractDate(text.replace(/\s+/g, ' ').trim());
+  if (dated.phrase) {
+    result.due_date = dated.due_date;
+    result.recognized.push({ kind: 'due_date', text: dated.phrase });
+  }
+
+  let title = dated.text.replace(/\s+/g, ' ').trim();
+
+  // "costco: milk, eggs, syrup" - a list
+  const list = /^([^:]+?):\s+(.+)$/.exec(title);
+  if (list && /[,;]/.test(list[2])) {
+    const items = list[2].split(/[,;]/).map(item => item.trim()).filter(Boolean);
+    if (items.length > 0) {
+      title = list[1].trim();
+      result.items = items;
+      result.recognized.push({ kind: 'items', text: list[2] });
+    }
+  }
+
+  if (!title) {
+    throw captureError('Nothing left for a title - add some text besides the tags and date');
+  }
+  result.title = title;
+  return result;
+}
+
+module.exports = {
+  COLUMN_VALUES,
+  parse
+};
@@ -0,0 +1,211 @@
+const pool = require('../db/pool');
+const { logger } = require('../middleware/logger');
+const validation = require('../middleware/validation');
+const calendar = require('./boardCalendar');
+const captureParser = require('./captureParser');
+const taskService = require('./taskService');
+
+/**
+ * Capture Service
+ * Turns an add bar line ("buy grout tomorrow #bathroom !morning") into a
+ * task. captureParser reads the syntax; this resolves it against the board:
+ * #routine to an unarchived routine by name (exact, then unique prefix, then
+ * unique substring, ignoring case and punctuation) and !section to a Today
+ * section by divider label. Anything that doesn't resolve is dropped with a
+ * warning rather than failing the capture.
+ *
+ * The column is the @column if given, else the due date's column
+ * (boardCalendar.columnForDate), else Today. Sections only apply in Today.
+ */
+
+const COLUMN_LABELS = {
+  today: 'Today',
+  tomorrow: 'Tomorrow',
+  this_week: 'This Week',
+  horizon: 'Horizon'
+};
+
+const invalid = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Lowercase letters and digits only, so "#deepclean" finds "Deep Clean"
+const normalize = (text) => String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+
+class CaptureService {
+  /**
+   * Parse a line and resolve it against the board
+   * @param {String} text - Add bar text
+   * @returns {Object} { input, title, items, column, due_date, routine, section, recognized, warnings, summary }
+   *   routine is { id, title, icon } and section { label, position } or null
+   * @throws {Error} 400 for text that can't become a task
+   */
+  async interpret(text) {
+    const parsed = captureParser.parse(text);
+    const warnings = [...parsed.warnings];
+
+    if (parsed.title.length > validation.LIMITS.TASK_TITLE) {
+      throw invalid(`Task title exceeds ${validation.LIMITS.TASK_TITLE} character limit (provided: ${parsed.title.length} chars)`);
+    }
+    const longItem = parsed.items.find(item => item.length > validation.LIMITS.LIST_ITEM_TEXT);
+    if (longItem) {
+      throw invalid(`List item "${longItem.slice(0, 20)}…" exceeds ${validation.LIMITS.LIST_ITEM_TEXT} character limit`);
+    }
+
+    try {
+      let routine = null;
+      if (parsed.routine) {
+        const match = await this.matchRoutine(parsed.routine);
+        if (match.routine) {
+          routine = match.routine;
+        } else {
+          warnings.push(match.warning);
+        }
+      }
+
+      let section = null;
+      if (parsed.section) {
+        const match = await this.matchSection(parsed.section);
+        if (match.section) {
+          section = match.section;
+        } else {
+          warnings.push(match.warning);
+        }
+      }
+
+      let column = parsed.column;
+      if (!column && parsed.due_date) column = calendar.columnForDate(parsed.due_date);
+      if (!column) column = 'today';
+
+      if (section && column !== 'today') {
+        warnings.push(`Sections are only in Today - ignored !${parsed.section}`);
+        section = null;
+      }
+
+      const interpretation = {
+        input: text,
+        title: parsed.title,
+        items: parsed.items,
+        column,
+        due_date: parsed.due_date,
+        routine,
+        section,
+        recognized: parsed.recognized,
+        warnings
+      };
+      interpretation.summary = this.summarize(interpretation);
+      return interpretation;
+    } catch (error) {
+      logger.error('Error interpreting capture', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Unarchived routine for a #name
+   * @param {String} name - Name as typed
+   * @returns {Object} { routine } or { warning }
+   */
+  async matchRoutine(name) {
+    const result = await pool.query(`
+      SELECT id, title, icon
+      FROM routines
+      WHERE is_archived = false
+      ORDER BY display_order, title
+    `);
+    const wanted = normalize(name);
+    const candidates = result.rows.map(routine => ({ routine, key: normalize(routine.title) }));
+
+    const exact = candidates.filter(c => c.key === wanted);
+    const prefix = candidates.filter(c => c.key.startsWith(wanted));
+    const partial = candidates.filter(c => c.key.includes(wanted));
+
+    for (const matches of [exact, prefix, partial]) {
+      if (matches.length === 1) return { routine: matches[0].routine };
+      if (matches.length > 1) {
+        const names = matches.slice(0, 3).map(c => c.routine.title).join(', ');
+        return { warning: `#${name} matches several routines (${names}) - be more specific` };
+      }
+    }
+    return { warning: `No routine matches #${name}` };
+  }
+
+  /**
+   * Today section for a !label. Sections run from one divider to the next:
+   * the first divider's label_above, then each divider's label_below.
+   * @param {String} label - Label as typed
+   * @returns {Object} { section: { label, position } } or { warning }
+   *   position is where a task goes to be last in the section (null = end of Today)
+   */
+  async matchSection(label) {
+    const result = await pool.query(`
+      SELECT d.label_above, d.label_below, bp.position
+      FROM column_dividers d
+      JOIN board_positions bp ON bp.id = d.id
+      WHERE d.column_name = 'today'
+      ORDER BY d.rank, d.id
+    `);
+    const dividers = result.rows;
+    if (dividers.length === 0) {
+      return { warning: `Today has no sections - ignored !${label}` };
+    }
+
+    const sections = [
+      { label: dividers[0].label_above, position: dividers[0].position },
+      ...dividers.map((divider, i) => ({
+        label: divider.label_below,
+        position: i + 1 < dividers.length ? dividers[i + 1].position : null
+      }))
+    ];
+
+    const wanted = normalize(label);
+    const section = sections.find(s => normalize(s.label) === wanted) ||
+      sections.find(s => normalize(s.label).startsWith(wanted));
+    if (!section) {
+      return { warning: `No Today section matches !${label} (sections: ${sections.map(s => s.label).join(', ')})` };
+    }
+    return { section };
+  }
+
+  /**
+   * One line for confirming what will be created
+   * @param {Object} interpretation - From interpret
+   * @returns {String} e.g. 'List "costco" with 3 items in Today (Morning), due 2026-10-20, routine Errands'
+   */
+  summarize(interpretation) {
+    const kind = interpretation.items.length > 0
+      ? `List "${interpretation.title}" with ${interpretation.items.length} item${interpretation.items.length === 1 ? '' : 's'}`
+      : `Task "${interpretation.title}"`;
+    const section = interpretation.section ? ` (${interpretation.section.label})` : '';
+    const due = interpretation.due_date ? `, due ${interpretation.due_date}` : '';
+    const routine = interpretation.routine ? `, routine ${interpretation.routine.title}` : '';
+    return `${kind} in ${COLUMN_LABELS[interpretation.column]}${section}${due}${routine}`;
+  }
+
+  /**
+   * Create what an interpretation describes
+   * @param {Object} interpretation - From interpret
+   * @returns {Object} { task, items } - task as created (before its items) and the items
+   */
+  async create(interpretation) {
+    const task = await taskService.createTask({
+      title: interpretation.title,
+      routine_id: interpretation.routine ? interpretation.routine.id : null,
+      column_name: interpretation.column,
+      due_date: interpretation.due_date,
+      position: interpretation.section ? interpretation.section.position : null
+    });
+
+    const items = [];
+    for (const title of interpretation.items) {
+      items.push(await taskService.addItemToTask(task.id, { title }));
+    }
+
+    logger.info('Task captured', { taskId: task.id, items: items.length, column: interpretation.column });
+    return { task, items };
+  }
+}
+
+module.exports = new CaptureService();
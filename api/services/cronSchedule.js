@@ -0,0 +1,153 @@
+/**
+ * Cron Schedule
+ *
+ * A small parser for standard five-field cron expressions
+ * ("minute hour day-of-month month day-of-week"), evaluated in the server's
+ * local time zone. Each field takes '*', numbers, ranges ('1-5'), steps
+ * ('*\/15', '0-30/10') and comma lists. Day-of-week is 0-6 with Sunday as 0
+ * (7 is accepted as Sunday too). As in cron, when both day fields are
+ * restricted a day matches if either one does.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Give up looking for a match after this many days (e.g. '0 0 31 2 *')
+const SEARCH_DAYS = 366 * 5;
+
+/**
+ * Expand one field into the set of values it matches
+ * @param {String} text - Field text
+ * @param {Object} field - { name, min, max }
+ * @returns {Set<Number>}
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid ${field.name} "${part}"`);
+    }
+
+    let from = field.min;
+    let to = field.max;
+    if (match[1] !== '*') {
+      from = parseInt(match[2], 10);
+      // A single value with a step ('5/15') runs to the end of the range
+      to = match[3] !== undefined ? parseInt(match[3], 10) : (match[4] ? field.max : from);
+    }
+    const step = match[4] !== undefined ? parseInt(match[4], 10) : 1;
+
+    if (from < field.min || to > field.max || from > to || step < 1) {
+      throw new Error(`Invalid ${field.name} "${part}" (allowed ${field.min}-${field.max})`);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {String} expression - Five fields or a macro (@hourly, @daily, @weekly, @monthly)
+ * @returns {Object} Schedule: { expression, minutes, hours, days, months, weekdays, anyDay, anyWeekday }
+ * @throws {Error} With a message naming the bad field
+ */
+function parse(expression) {
+  const source = String(expression || '').trim();
+  const expanded = MACROS[source] || source;
+  const parts = expanded.split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error(`Expected 5 fields (minute hour day month weekday), got ${parts.length}`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (weekdays.has(7)) {
+    weekdays.delete(7);
+    weekdays.add(0);
+  }
+
+  return {
+    expression: source,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+}
+
+/**
+ * @param {Object} schedule - Parsed schedule
+ * @param {Date} date
+ * @returns {Boolean} Whether the schedule runs on that calendar day
+ */
+function matchesDay(schedule, date) {
+  if (!schedule.months.has(date.getMonth() + 1)) return false;
+
+  const dayMatch = schedule.days.has(date.getDate());
+  const weekdayMatch = schedule.weekdays.has(date.getDay());
+
+  if (schedule.anyDay && schedule.anyWeekday) return true;
+  if (schedule.anyDay) return weekdayMatch;
+  if (schedule.anyWeekday) return dayMatch;
+  return dayMatch || weekdayMatch;
+}
+
+/**
+ * Next time the schedule fires, strictly after `from`
+ * @param {Object} schedule - Parsed schedule
+ * @param {Date} from
+ * @returns {Date|null} null if nothing matches within five years
+ */
+function nextRun(schedule, from = new Date()) {
+  const candidate = new Date(from);
+  candidate.setSeconds(0, 0);
+  candidate.setMinutes(candidate.getMinutes() + 1);
+
+  const limit = new Date(from);
+  limit.setDate(limit.getDate() + SEARCH_DAYS);
+
+  while (candidate <= limit) {
+    if (!matchesDay(schedule, candidate)) {
+      candidate.setDate(candidate.getDate() + 1);
+      candidate.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.hours.has(candidate.getHours())) {
+      candidate.setHours(candidate.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.minutes.has(candidate.getMinutes())) {
+      candidate.setMinutes(candidate.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return candidate;
+  }
+
+  return null;
+}
+
+module.exports = {
+  parse,
+  nextRun
+};
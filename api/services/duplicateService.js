@@ -0,0 +1,109 @@
+const pool = require('../db/pool');
+const { logger } = require('../middleware/logger');
+
+/**
+ * Duplicate Service
+ * Finds existing tasks and notes that look like the one about to be created,
+ * using pg_trgm title similarity (migration 014). POST /api/tasks and
+ * POST /api/notes ask here before creating when the caller opts in with
+ * on_duplicate=reject|warn (and doesn't pass force=true).
+ *
+ * DUPLICATE_SIMILARITY sets how alike two titles have to be (0.3 - 1, default 0.6).
+ */
+
+const DEFAULT_THRESHOLD = 0.6;
+const MIN_THRESHOLD = 0.3;
+const MAX_MATCHES = 5;
+// Untitled notes are compared on the start of their content
+const CONTENT_PREFIX = 500;
+// on_duplicate values: answer 409, or create and list the matches as warnings
+const MODES = ['reject', 'warn'];
+
+class DuplicateService {
+  constructor() {
+    this.modes = MODES;
+  }
+
+  get threshold() {
+    const value = parseFloat(process.env.DUPLICATE_SIMILARITY);
+    if (Number.isNaN(value)) return DEFAULT_THRESHOLD;
+    return Math.min(1, Math.max(MIN_THRESHOLD, value));
+  }
+
+  /**
+   * Open tasks with a title like this one
+   * @param {string} title - Title of the task being created
+   * @returns {Promise<Array>} Up to 5 matches, most similar first
+   */
+  async findTaskDuplicates(title) {
+    if (!title || !title.trim()) return [];
+
+    try {
+      const result = await pool.query(`
+        SELECT t.id, t.title, t.column_name, t.status, t.due_date,
+               r.title AS routine_title,
+               similarity(t.title, $1) AS similarity
+        FROM tasks t
+        LEFT JOIN routines r ON t.routine_id = r.id
+        WHERE t.is_archived = false
+          AND t.status = 'pending'
+          AND t.title % $1
+          AND similarity(t.title, $1) >= $2
+        ORDER BY similarity DESC, t.updated_at DESC
+        LIMIT ${MAX_MATCHES}
+      `, [title.trim(), this.threshold]);
+
+      return result.rows.map(row => ({
+        id: row.id,
+        title: row.title,
+        column: row.column_name,
+        status: row.status,
+        due: row.due_date,
+        routine: row.routine_title,
+        similarity: Math.round(row.similarity * 100) / 100
+      }));
+    } catch (error) {
+      logger.error('Error finding duplicate tasks', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Active notes like this one - by title when it has one, otherwise by content
+   * @param {Object} note - { title, content } of the note being created
+   * @returns {Promise<Array>} Up to 5 matches, most similar first
+   */
+  async findNoteDuplicates({ title, content } = {}) {
+    const byTitle = Boolean(title && title.trim());
+    const text = byTitle ? title.trim() : (content || '').trim().slice(0, CONTENT_PREFIX);
+    if (!text) return [];
+
+    const compared = byTitle ? 'n.title' : `left(n.content, ${CONTENT_PREFIX})`;
+
+    try {
+      const result = await pool.query(`
+        SELECT n.id, n.title, left(n.content, 100) AS preview, n.type,
+               similarity(${compared}, $1) AS similarity
+        FROM notes n
+        WHERE n.is_archived = false
+          AND ${compared} % $1
+          AND similarity(${compared}, $1) >= $2
+        ORDER BY similarity DESC, n.updated_at DESC
+        LIMIT ${MAX_MATCHES}
+      `, [text, this.threshold]);
+
+      return result.rows.map(row => ({
+        id: row.id,
+        title: row.title,
+        preview: row.preview,
+        type: row.type,
+        similarity: Math.round(row.similarity * 100) / 100
+      }));
+    } catch (error) {
+      logger.error('Error finding duplicate notes', { error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new DuplicateService();
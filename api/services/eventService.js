@@ -0,0 +1,162 @@
+const { logger } = require('../middleware/logger');
+
+/**
+ * Event Service
+ * Fans board changes out to every open GET /api/events stream (server-sent
+ * events) and to in-process listeners (webhookService). Every audited change
+ * is published from auditLogger, so tasks, list items, notes, routines and
+ * rollovers are covered with their actor; divider moves, which are not
+ * audited, publish directly.
+ *
+ * Events are numbered; the last BUFFER_SIZE are kept so a reconnecting
+ * client (EventSource sends Last-Event-ID) receives what it missed. A client
+ * that fell further behind is told to resync instead.
+ */
+
+const BUFFER_SIZE = 200;
+const HEARTBEAT_MS = 25000;
+
+class EventService {
+  constructor() {
+    this.clients = new Set();
+    this.listeners = new Set();
+    this.buffer = [];
+    this.lastId = 0;
+    this.heartbeat = null;
+  }
+
+  /**
+   * Write one SSE frame
+   * @param {Object} res - Express response of an open stream
+   * @param {String} eventName - SSE event name
+   * @param {Object} payload - JSON payload
+   * @param {Number} id - Event ID (optional)
+   */
+  write(res, eventName, payload, id = null) {
+    let frame = '';
+    if (id !== null) frame += `id: ${id}\n`;
+    frame += `event: ${eventName}\n`;
+    frame += `data: ${JSON.stringify(payload)}\n\n`;
+    res.write(frame);
+  }
+
+  /**
+   * Register an open stream and replay anything it missed
+   * @param {Object} res - Express response (headers already sent)
+   * @param {Number|null} lastEventId - Last event the client saw
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(res, lastEventId = null) {
+    if (lastEventId !== null && lastEventId < this.lastId) {
+      const oldest = this.buffer.length > 0 ? this.buffer[0].id : this.lastId + 1;
+      if (lastEventId < oldest - 1) {
+        this.write(res, 'resync', { reason: 'Missed events are no longer buffered' });
+      } else {
+        for (const event of this.buffer.filter(e => e.id > lastEventId)) {
+          this.write(res, 'change', event, event.id);
+        }
+      }
+    }
+
+    this.write(res, 'ready', { lastEventId: this.lastId, clients: this.clients.size + 1 });
+
+    this.clients.add(res);
+    this.startHeartbeat();
+
+    return () => {
+      this.clients.delete(res);
+      if (this.clients.size === 0) this.stopHeartbeat();
+    };
+  }
+
+  /**
+   * Broadcast a change to every open stream
+   * @param {Object} change - { entityType, entityId, action, actor, origin?, taskId?, auditId?, state? }
+   * @returns {Object} The published event
+   */
+  publish(change) {
+    const event = {
+      id: ++this.lastId,
+      entityType: change.entityType,
+      entityId: change.entityId,
+      action: change.action,
+      actor: change.actor || 'user',
+      origin: change.origin || null,
+      taskId: change.taskId || null,
+      auditId: change.auditId || null,
+      state: change.state || null,
+      at: new Date().toISOString()
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > BUFFER_SIZE) {
+      this.buffer.shift();
+    }
+
+    for (const res of this.clients) {
+      try {
+        this.write(res, 'change', event, event.id);
+      } catch (error) {
+        logger.warn('Dropping event stream client', { error: error.message });
+        this.clients.delete(res);
+      }
+    }
+
+    for (const listener of this.listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        logger.warn('Event listener failed', { error: error.message });
+      }
+    }
+
+    return event;
+  }
+
+  /**
+   * Receive every published event in-process (webhooks)
+   * @param {Function} listener - Called with each event; must not throw or block
+   * @returns {Function} Unsubscribe
+   */
+  onPublish(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Publish a change made through an HTTP request (or a background job)
+   * @param {Object} req - Express request or systemRequest
+   * @param {Object} change - See publish
+   */
+  publishFromRequest(req, change) {
+    const origin = req.headers ? req.headers['x-client-id'] : null;
+    return this.publish({ ...change, actor: req.actor || 'user', origin });
+  }
+
+  // Comment frames keep proxies from closing idle streams
+  startHeartbeat() {
+    if (this.heartbeat) return;
+    this.heartbeat = setInterval(() => {
+      for (const res of this.clients) {
+        res.write(': heartbeat\n\n');
+      }
+    }, HEARTBEAT_MS);
+    this.heartbeat.unref();
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  /**
+   * @returns {Object} { clients, lastEventId }
+   */
+  getStatus() {
+    return { clients: this.clients.size, lastEventId: this.lastId };
+  }
+}
+
+module.exports = new EventService();
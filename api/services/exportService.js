@@ -0,0 +1,125 @@
+const pool = require('../db/pool');
+const { logger } = require('../middleware/logger');
+
+/**
+ * Export Service
+ * Produces a JSON document of the complete board state that POST /api/import
+ * (importService) can restore or merge into another board.
+ *
+ * `version` is the document format, not the database schema. Bump it when the
+ * shape changes and teach importService to read the older version.
+ */
+
+const EXPORT_FORMAT = 'clio-board-export';
+const EXPORT_VERSION = 1;
+
+class ExportService {
+  constructor() {
+    this.format = EXPORT_FORMAT;
+    this.version = EXPORT_VERSION;
+  }
+
+  /**
+   * Build the export document
+   * @param {Object} options - { includeArchived, includeAudit }
+   * @returns {Object} Export document
+   */
+  async exportBoard(options = {}) {
+    const includeArchived = options.includeArchived === true;
+    const includeAudit = options.includeAudit === true;
+
+    try {
+      const archivedFilter = includeArchived ? '' : 'WHERE is_archived = false';
+
+      const tasksResult = await pool.query(`
+        SELECT id, routine_id, title, notes, status, column_name, rank,
+               to_char(due_date, 'YYYY-MM-DD') AS due_date,
+               recurrence_rule, recurrence_series_id, recurrence_next_id,
+               is_archived, created_at, updated_at, completed_at, archived_at
+        FROM tasks
+        ${archivedFilter}
+        ORDER BY column_name, rank, id
+      `);
+
+      const itemsResult = await pool.query(`
+        SELECT li.id, li.task_id, li.title, li.completed, li.rank, li.created_at
+        FROM list_items li
+        JOIN tasks t ON t.id = li.task_id
+        ${includeArchived ? '' : 'WHERE t.is_archived = false'}
+        ORDER BY li.task_id, li.rank, li.id
+      `);
+
+      const notesResult = await pool.query(`
+        SELECT id, title, content, type, source, column_position, rank, task_id, routine_id,
+               is_archived, created_at, updated_at, archived_at
+        FROM notes
+        ${archivedFilter}
+        ORDER BY column_position, rank, id
+      `);
+
+      // Archived routines still come along when an exported task or note belongs to one
+      const routinesResult = await pool.query(`
+        SELECT id, title, description, color, icon, status, achievable, pause_until,
+               is_archived, display_order, created_at, updated_at, archived_at
+        FROM routines
+        ${includeArchived ? '' : `
+        WHERE is_archived = false
+           OR id IN (SELECT routine_id FROM tasks WHERE is_archived = false AND routine_id IS NOT NULL)
+           OR id IN (SELECT routine_id FROM notes WHERE is_archived = false AND routine_id IS NOT NULL)`}
+        ORDER BY display_order, created_at, id
+      `);
+
+      const dividersResult = await pool.query(`
+        SELECT id, column_name, label_above, label_below, rank, created_at
+        FROM column_dividers
+        ORDER BY column_name, rank, id
+      `);
+
+      const itemsByTask = new Map();
+      for (const item of itemsResult.rows) {
+        const { task_id, ...rest } = item;
+        if (!itemsByTask.has(task_id)) itemsByTask.set(task_id, []);
+        itemsByTask.get(task_id).push(rest);
+      }
+
+      const document = {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exported_at: new Date().toISOString(),
+        include_archived: includeArchived,
+        include_audit: includeAudit,
+        routines: routinesResult.rows,
+        tasks: tasksResult.rows.map(task => ({
+          ...task,
+          items: itemsByTask.get(task.id) || []
+        })),
+        notes: notesResult.rows,
+        dividers: dividersResult.rows
+      };
+
+      if (includeAudit) {
+        const auditResult = await pool.query(`
+          SELECT id, actor, actor_name, action, entity_type, entity_id, previous_state, new_state,
+                 agent_key_hash, undone_at, reverts_id, created_at
+          FROM audit_log
+          ORDER BY created_at, id
+        `);
+        document.audit_log = auditResult.rows;
+      }
+
+      logger.info('Board exported', {
+        routines: document.routines.length,
+        tasks: document.tasks.length,
+        notes: document.notes.length,
+        auditEntries: includeAudit ? document.audit_log.length : null
+      });
+
+      return document;
+    } catch (error) {
+      logger.error('Error exporting board', { error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,361 @@
+const pool = require('../db/pool');
+const { logger } = require('../middleware/logger');
+const calendar = require('./boardCalendar');
+const searchQuery = require('./searchQuery');
+
+/**
+ * Filter Service
+ * Saved filters are named board views (saved_filters, migration 013). Their
+ * criteria narrow GET /api/tasks; every criterion is optional and they are
+ * ANDed together:
+ *
+ *   routine_ids  tasks in any of these routines
+ *   due          'overdue' (before today, not completed), 'none' (no due date),
+ *                or { from, to } - each bound a day (YYYY-MM-DD) or an offset
+ *                from today (0 = today, 7 = a week from now), inclusive
+ *   status       'pending' | 'completed'
+ *   has_items    true (lists) | false (plain tasks)
+ *   text         a search query (see searchQuery) the task has to match
+ */
+
+const CRITERIA = ['routine_ids', 'due', 'status', 'has_items', 'text'];
+const STATUSES = ['pending', 'completed'];
+const NAME_LIMIT = 100;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const invalid = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+class FilterService {
+  /**
+   * Check and normalize filter criteria
+   * @param {Object} criteria - See the criteria above
+   * @returns {Object} Criteria with only the keys that are set
+   * @throws {Error} 400 naming the criterion that's wrong
+   */
+  normalizeCriteria(criteria = {}) {
+    if (!criteria || typeof criteria !== 'object' || Array.isArray(criteria)) {
+      throw invalid('criteria must be an object');
+    }
+    const unknown = Object.keys(criteria).filter(key => !CRITERIA.includes(key));
+    if (unknown.length > 0) {
+      throw invalid(`Unknown filter criterion "${unknown[0]}" (expected ${CRITERIA.join(', ')})`);
+    }
+
+    const normalized = {};
+    const { routine_ids, due, status, has_items, text } = criteria;
+
+    if (routine_ids !== undefined && routine_ids !== null) {
+      if (!Array.isArray(routine_ids) || !routine_ids.every(id => typeof id === 'string' && UUID_PATTERN.test(id))) {
+        throw invalid('routine_ids must be an array of routine IDs');
+      }
+      if (routine_ids.length > 0) normalized.routine_ids = [...new Set(routine_ids)];
+    }
+
+    if (due !== undefined && due !== null) {
+      normalized.due = this.normalizeDue(due);
+    }
+
+    if (status !== undefined && status !== null) {
+      if (!STATUSES.includes(status)) {
+        throw invalid(`status must be one of: ${STATUSES.join(', ')}`);
+      }
+      normalized.status = status;
+    }
+
+    if (has_items !== undefined && has_items !== null) {
+      if (typeof has_items !== 'boolean') throw invalid('has_items must be true or false');
+      normalized.has_items = has_items;
+    }
+
+    if (text !== undefined && text !== null && String(text).trim()) {
+      if (typeof text !== 'string') throw invalid('text must be a string');
+      try {
+        searchQuery.parse(text.trim());
+      } catch (error) {
+        if (error.code === 'SEARCH_SYNTAX') error.message = `text: ${error.message}`;
+        throw error;
+      }
+      normalized.text = text.trim();
+    }
+
+    return normalized;
+  }
+
+  /**
+   * @param {String|Object} due - 'overdue' | 'none' | { from, to }
+   * @returns {String|Object}
+   */
+  normalizeDue(due) {
+    if (due === 'overdue' || due === 'none') return due;
+    if (typeof due !== 'object' || Array.isArray(due)) {
+      throw invalid('due must be "overdue", "none" or { from, to }');
+    }
+
+    const range = {};
+    for (const bound of ['from', 'to']) {
+      const value = due[bound];
+      if (value === undefined || value === null || value === '') continue;
+      const isOffset = Number.isInteger(value);
+      // Round-trip through a Date so '2026-02-30' is rejected too
+      const isDay = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+        calendar.toDateString(calendar.parseDate(value)) === value;
+      if (!isOffset && !isDay) {
+        throw invalid(`due.${bound} must be a date (YYYY-MM-DD) or a whole number of days from today`);
+      }
+      range[bound] = value;
+    }
+    if (range.from === undefined && range.to === undefined) {
+      throw invalid('due needs from, to or both');
+    }
+    if (range.from !== undefined && range.to !== undefined &&
+        typeof range.from === typeof range.to && range.from > range.to) {
+      throw invalid('due window starts after it ends');
+    }
+    return range;
+  }
+
+  /**
+   * A due bound as a calendar day
+   * @param {String|Number} bound - YYYY-MM-DD or days from today
+   * @param {String} today - Reference day
+   * @returns {String}
+   */
+  resolveDay(bound, today) {
+    return typeof bound === 'number' ? calendar.addDays(today, bound) : bound;
+  }
+
+  /**
+   * WHERE conditions for tasks matching the criteria
+   * @param {Object} criteria - Normalized criteria
+   * @param {String} alias - tasks table alias
+   * @param {Array} params - Query parameters; values are appended
+   * @returns {Array<String>}
+   */
+  taskConditions(criteria, alias, params) {
+    const conditions = [];
+    const param = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+    const today = calendar.today();
+
+    if (criteria.routine_ids) {
+      conditions.push(`${alias}.routine_id = ANY(${param(criteria.routine_ids)}::uuid[])`);
+    }
+
+    if (criteria.due === 'none') {
+      conditions.push(`${alias}.due_date IS NULL`);
+    } else if (criteria.due === 'overdue') {
+      conditions.push(`(${alias}.due_date < ${param(today)}::date AND ${alias}.status <> 'completed')`);
+    } else if (criteria.due) {
+      if (criteria.due.from !== undefined) {
+        conditions.push(`${alias}.due_date >= ${param(this.resolveDay(criteria.due.from, today))}::date`);
+      }
+      if (criteria.due.to !== undefined) {
+        conditions.push(`${alias}.due_date <= ${param(this.resolveDay(criteria.due.to, today))}::date`);
+      }
+    }
+
+    if (criteria.status) {
+      conditions.push(`${alias}.status = ${param(criteria.status)}`);
+    }
+
+    if (criteria.has_items !== undefined) {
+      conditions.push(`${criteria.has_items ? '' : 'NOT '}EXISTS (SELECT 1 FROM list_items li WHERE li.task_id = ${alias}.id)`);
+    }
+
+    if (criteria.text) {
+      const compiled = searchQuery.compile(searchQuery.parse(criteria.text), 'tasks', alias, params);
+      // e.g. "type:notes" - no task can match
+      conditions.push(...(compiled ? compiled.conditions : ['false']));
+    }
+
+    return conditions;
+  }
+
+  /**
+   * One-line description of the criteria, for summaries
+   * @param {Object} criteria - Normalized criteria
+   * @param {Map} routineTitles - routine ID -> title
+   * @returns {String}
+   */
+  describe(criteria, routineTitles = new Map()) {
+    const parts = [];
+
+    if (criteria.routine_ids) {
+      parts.push(`routine ${criteria.routine_ids.map(id => routineTitles.get(id) || '(deleted)').join(' or ')}`);
+    }
+    if (criteria.due === 'none') {
+      parts.push('no due date');
+    } else if (criteria.due === 'overdue') {
+      parts.push('overdue');
+    } else if (criteria.due) {
+      const day = (bound) => {
+        if (typeof bound !== 'number') return bound;
+        if (bound === 0) return 'today';
+        return bound > 0 ? `today+${bound}d` : `today${bound}d`;
+      };
+      const { from, to } = criteria.due;
+      if (from !== undefined && to !== undefined) parts.push(`due ${day(from)}..${day(to)}`);
+      else if (from !== undefined) parts.push(`due from ${day(from)}`);
+      else parts.push(`due by ${day(to)}`);
+    }
+    if (criteria.status) parts.push(criteria.status);
+    if (criteria.has_items !== undefined) parts.push(criteria.has_items ? 'has items' : 'no items');
+    if (criteria.text) parts.push(`"${criteria.text}"`);
+
+    return parts.length > 0 ? parts.join(', ') : 'all tasks';
+  }
+
+  /**
+   * Check name and criteria for a create or update
+   * @param {Object} data - { name, criteria, pinned }
+   * @param {Boolean} partial - Update: only check the fields given
+   * @returns {Object} Fields to write
+   */
+  normalizeFilter(data = {}, partial = false) {
+    const fields = {};
+
+    if (!partial || data.name !== undefined) {
+      const name = typeof data.name === 'string' ? data.name.trim() : '';
+      if (!name) throw invalid('Name is required');
+      if (name.length > NAME_LIMIT) throw invalid(`Name exceeds ${NAME_LIMIT} character limit`);
+      fields.name = name;
+    }
+    if (!partial || data.criteria !== undefined) {
+      fields.criteria = this.normalizeCriteria(data.criteria || {});
+    }
+    if (data.pinned !== undefined) {
+      if (typeof data.pinned !== 'boolean') throw invalid('pinned must be true or false');
+      fields.pinned = data.pinned;
+    } else if (!partial) {
+      fields.pinned = false;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Unique-name violations become 409s
+   */
+  nameConflict(error, name) {
+    if (error.code === '23505') {
+      const conflict = new Error(`A filter named "${name}" already exists`);
+      conflict.statusCode = 409;
+      return conflict;
+    }
+    return error;
+  }
+
+  /**
+   * All saved filters, pinned first
+   * @returns {Array}
+   */
+  async getFilters() {
+    try {
+      const result = await pool.query(
+        'SELECT * FROM saved_filters ORDER BY pinned DESC, LOWER(name)'
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching filters', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * @param {String} filterId - Filter ID
+   * @returns {Object|undefined}
+   */
+  async getFilterById(filterId) {
+    try {
+      if (!UUID_PATTERN.test(filterId || '')) return undefined;
+      const result = await pool.query('SELECT * FROM saved_filters WHERE id = $1', [filterId]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error fetching filter', { error: error.message, filterId });
+      throw error;
+    }
+  }
+
+  /**
+   * @param {Object} data - { name, criteria, pinned }
+   * @returns {Object} Created filter
+   * @throws {Error} 400 for bad input, 409 for a name that's taken
+   */
+  async createFilter(data) {
+    const fields = this.normalizeFilter(data);
+    try {
+      const result = await pool.query(`
+        INSERT INTO saved_filters (name, criteria, pinned)
+        VALUES ($1, $2, $3)
+        RETURNING *
+      `, [fields.name, JSON.stringify(fields.criteria), fields.pinned]);
+
+      logger.info('Filter created', { filterId: result.rows[0].id, name: fields.name });
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating filter', { error: error.message });
+      throw this.nameConflict(error, fields.name);
+    }
+  }
+
+  /**
+   * @param {String} filterId - Filter ID
+   * @param {Object} updates - Any of name, criteria, pinned
+   * @returns {Object|undefined} Updated filter, undefined if not found
+   */
+  async updateFilter(filterId, updates) {
+    const fields = this.normalizeFilter(updates, true);
+    if (Object.keys(fields).length === 0) {
+      throw invalid('No valid fields to update');
+    }
+
+    try {
+      if (!UUID_PATTERN.test(filterId || '')) return undefined;
+
+      const setClause = [];
+      const values = [];
+      for (const [field, value] of Object.entries(fields)) {
+        values.push(field === 'criteria' ? JSON.stringify(value) : value);
+        setClause.push(`${field} = $${values.length}`);
+      }
+      values.push(filterId);
+
+      const result = await pool.query(`
+        UPDATE saved_filters
+        SET ${setClause.join(', ')}
+        WHERE id = $${values.length}
+        RETURNING *
+      `, values);
+
+      if (result.rows[0]) logger.info('Filter updated', { filterId, fields: Object.keys(fields) });
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error updating filter', { error: error.message, filterId });
+      throw this.nameConflict(error, fields.name);
+    }
+  }
+
+  /**
+   * @param {String} filterId - Filter ID
+   * @returns {Object|undefined} Deleted filter, undefined if not found
+   */
+  async deleteFilter(filterId) {
+    try {
+      if (!UUID_PATTERN.test(filterId || '')) return undefined;
+      const result = await pool.query('DELETE FROM saved_filters WHERE id = $1 RETURNING *', [filterId]);
+      if (result.rows[0]) logger.info('Filter deleted', { filterId });
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error deleting filter', { error: error.message, filterId });
+      throw error;
+    }
+  }
+}
+
+module.exports = new FilterService();
@@ -0,0 +1,646 @@
+const pool = require('../db/pool');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('../middleware/logger');
+const { auditLogger } = require('../middleware/auditLog');
+const exportService = require('./exportService');
+const recurrenceService = require('./recurrenceService');
+const orderingService = require('./orderingService');
+const taskService = require('./taskService');
+const noteService = require('./noteService');
+const routineService = require('./routineService');
+const { notifyRAGIndex } = require('./ragNotifier');
+const { isValidRank, rankBetween, rankSequence } = require('./rankKeys');
+
+/**
+ * Import Service
+ * Restores an export document (see exportService) into the board.
+ *
+ *   - replace: the board is emptied and the document's data takes its place,
+ *     keeping IDs. The audit log is replaced too when the document has one.
+ *   - merge: the document's routines, tasks and notes are added alongside
+ *     the existing ones under new IDs, with every reference remapped.
+ *     Tasks and notes are appended to the end of their columns.
+ *
+ * Everything runs in one transaction. A dry run does the full import and
+ * rolls it back, so the report reflects exactly what would happen.
+ */
+
+const MODES = ['replace', 'merge'];
+const COLUMNS = ['today', 'tomorrow', 'this_week', 'horizon'];
+const ROUTINE_STATUSES = ['active', 'paused', 'completed'];
+const TASK_STATUSES = ['pending', 'completed', 'archived']; // 'archived' = exports from before is_archived
+const NOTE_TYPES = ['user', 'agent'];
+const NOTE_SOURCES = ['manual', 'voice', 'conversation', 'claude_api'];
+const ACTORS = ['user', 'agent', 'system', 'hook'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_ERRORS = 50;
+
+class ImportService {
+  constructor() {
+    this.modes = MODES;
+  }
+
+  /**
+   * Check a document before anything is written
+   * @param {Object} doc - Export document
+   * @returns {Object} { errors, warnings }
+   */
+  validate(doc) {
+    const errors = [];
+    const warnings = [];
+    const fail = (message) => {
+      if (errors.length < MAX_ERRORS) errors.push(message);
+    };
+
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+      fail('Document must be a JSON object');
+      return { errors, warnings };
+    }
+    if (doc.format !== exportService.format) {
+      fail(`Not a CLIO Board export (format must be '${exportService.format}')`);
+      return { errors, warnings };
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 1) {
+      fail('version must be a positive integer');
+      return { errors, warnings };
+    }
+    if (doc.version > exportService.version) {
+      fail(`Export version ${doc.version} is newer than this server supports (${exportService.version})`);
+      return { errors, warnings };
+    }
+
+    for (const collection of ['routines', 'tasks', 'notes', 'dividers', 'audit_log']) {
+      if (doc[collection] !== undefined && !Array.isArray(doc[collection])) {
+        fail(`${collection} must be an array`);
+      }
+    }
+    if (errors.length > 0) {
+      return { errors, warnings };
+    }
+
+    const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+    const checkDate = (path, value) => {
+      if (value !== null && value !== undefined && isNaN(new Date(value).getTime())) {
+        fail(`${path} is not a valid date`);
+      }
+    };
+    const checkIds = (collection, entries) => {
+      const seen = new Set();
+      entries.forEach((entry, i) => {
+        if (entry.id === undefined || entry.id === null) return;
+        if (seen.has(entry.id)) fail(`${collection}[${i}].id duplicates another ${collection} entry`);
+        seen.add(entry.id);
+      });
+      return seen;
+    };
+
+    const routines = doc.routines || [];
+    const tasks = doc.tasks || [];
+    const notes = doc.notes || [];
+    const dividers = doc.dividers || [];
+
+    const routineIds = checkIds('routines', routines);
+    const taskIds = checkIds('tasks', tasks);
+    checkIds('notes', notes);
+    checkIds('dividers', dividers);
+
+    routines.forEach((routine, i) => {
+      const path = `routines[${i}]`;
+      if (!routine || typeof routine !== 'object') return fail(`${path} must be an object`);
+      if (!isText(routine.title)) fail(`${path}.title is required`);
+      if (routine.status !== undefined && !ROUTINE_STATUSES.includes(routine.status)) {
+        fail(`${path}.status must be one of: ${ROUTINE_STATUSES.join(', ')}`);
+      }
+      if (routine.color && !/^#[0-9A-Fa-f]{6}$/.test(routine.color)) {
+        fail(`${path}.color must be a hex color like #3498db`);
+      }
+      checkDate(`${path}.pause_until`, routine.pause_until);
+    });
+
+    tasks.forEach((task, i) => {
+      const path = `tasks[${i}]`;
+      if (!task || typeof task !== 'object') return fail(`${path} must be an object`);
+      if (!isText(task.title)) fail(`${path}.title is required`);
+      if (task.column_name !== undefined && !COLUMNS.includes(task.column_name)) {
+        fail(`${path}.column_name must be one of: ${COLUMNS.join(', ')}`);
+      }
+      if (task.status !== undefined && !TASK_STATUSES.includes(task.status)) {
+        fail(`${path}.status must be one of: pending, completed`);
+      }
+      checkDate(`${path}.due_date`, task.due_date);
+      if (task.recurrence_rule) {
+        try {
+          recurrenceService.normalizeRule(task.recurrence_rule);
+        } catch (error) {
+          fail(`${path}.recurrence_rule: ${error.message}`);
+        }
+      }
+      if (task.routine_id && !routineIds.has(task.routine_id)) {
+        warnings.push(`${path} belongs to a routine that is not in the export; it will be imported without one`);
+      }
+      if (task.items !== undefined && !Array.isArray(task.items)) {
+        fail(`${path}.items must be an array`);
+      } else {
+        (task.items || []).forEach((item, j) => {
+          if (!item || !isText(item.title)) fail(`${path}.items[${j}].title is required`);
+        });
+      }
+    });
+
+    notes.forEach((note, i) => {
+      const path = `notes[${i}]`;
+      if (!note || typeof note !== 'object') return fail(`${path} must be an object`);
+      if (!isText(note.content)) fail(`${path}.content is required`);
+      if (note.column_position !== undefined && ![1, 2, 3, 4].includes(note.column_position)) {
+        fail(`${path}.column_position must be 1-4`);
+      }
+      if (note.type !== undefined && !NOTE_TYPES.includes(note.type)) {
+        fail(`${path}.type must be one of: ${NOTE_TYPES.join(', ')}`);
+      }
+      if (note.source !== undefined && !NOTE_SOURCES.includes(note.source)) {
+        fail(`${path}.source must be one of: ${NOTE_SOURCES.join(', ')}`);
+      }
+      if (note.task_id && !taskIds.has(note.task_id)) {
+        warnings.push(`${path} is linked to a task that is not in the export; the link will be dropped`);
+      }
+      if (note.routine_id && !routineIds.has(note.routine_id)) {
+        warnings.push(`${path} belongs to a routine that is not in the export; it will be imported without one`);
+      }
+    });
+
+    dividers.forEach((divider, i) => {
+      const path = `dividers[${i}]`;
+      if (!divider || typeof divider !== 'object') return fail(`${path} must be an object`);
+      if (!isText(divider.label_above) || !isText(divider.label_below)) {
+        fail(`${path}.label_above and label_below are required`);
+      }
+      if (divider.column_name !== undefined && divider.column_name !== 'today') {
+        fail(`${path}.column_name must be 'today'`);
+      }
+    });
+
+    return { errors, warnings };
+  }
+
+  /**
+   * Import a document
+   * @param {Object} doc - Export document
+   * @param {Object} options - { mode: 'replace'|'merge', dryRun, source } (source names the audit entry, e.g. 'Trello')
+   * @param {Object} req - Express request (for the audit entry)
+   * @returns {Object} Import report; `valid` is false when the document was rejected
+   */
+  async importBoard(doc, options = {}, req) {
+    const mode = options.mode || 'merge';
+    const dryRun = options.dryRun === true;
+
+    if (!MODES.includes(mode)) {
+      const error = new Error(`mode must be one of: ${MODES.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const { errors, warnings } = this.validate(doc);
+    const report = {
+      mode,
+      dryRun,
+      valid: errors.length === 0,
+      version: doc && doc.version,
+      errors,
+      warnings,
+      deleted: null,
+      imported: { routines: 0, tasks: 0, list_items: 0, notes: 0, dividers: 0, audit_log: 0 },
+      skipped: { dividers: 0, audit_log: 0 },
+      remappedIds: 0
+    };
+
+    if (!report.valid) {
+      return report;
+    }
+
+    const client = await pool.connect();
+    let removed = { tasks: [], notes: [], routines: [] };
+    let created;
+
+    try {
+      await client.query('BEGIN');
+
+      if (mode === 'replace') {
+        removed = await this.clearBoard(client, Array.isArray(doc.audit_log), report);
+      }
+
+      created = await this.insertDocument(client, doc, mode, report);
+
+      if (dryRun) {
+        await client.query('ROLLBACK');
+      } else {
+        await client.query('COMMIT');
+      }
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error importing board', { error: error.message, mode, dryRun });
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (dryRun) {
+      logger.info('Board import dry run', { mode, imported: report.imported, warnings: warnings.length });
+      return report;
+    }
+
+    const audit = await auditLogger(
+      'import_board',
+      'board',
+      uuidv4(), // Each import is its own 'board' entity
+      report.deleted ? { title: 'Board before import', deleted: report.deleted } : null,
+      {
+        title: `${options.source ? `${options.source} import` : 'Board import'} (${mode})`,
+        source: options.source || null,
+        imported: report.imported,
+        skipped: report.skipped
+      },
+      req
+    );
+    report.auditId = audit ? audit.id : null;
+
+    await this.notifyRAG(created, removed);
+
+    logger.info('Board imported', { mode, imported: report.imported, deleted: report.deleted });
+    return report;
+  }
+
+  /**
+   * Empty the board (replace mode)
+   * @param {Object} client - pg client inside a transaction
+   * @param {Boolean} includeAudit - Also empty the audit log
+   * @param {Object} report - Import report (deleted counts are filled in)
+   * @returns {Object} Deleted rows by type, for RAG clean-up
+   */
+  async clearBoard(client, includeAudit, report) {
+    const listItems = await client.query('DELETE FROM list_items');
+    const notes = await client.query('DELETE FROM notes RETURNING *');
+    const tasks = await client.query('DELETE FROM tasks RETURNING *');
+    const routines = await client.query('DELETE FROM routines RETURNING *');
+    const dividers = await client.query('DELETE FROM column_dividers');
+    const audit = includeAudit ? await client.query('DELETE FROM audit_log') : null;
+
+    report.deleted = {
+      routines: routines.rowCount,
+      tasks: tasks.rowCount,
+      list_items: listItems.rowCount,
+      notes: notes.rowCount,
+      dividers: dividers.rowCount,
+      audit_log: audit ? audit.rowCount : 0
+    };
+
+    return { tasks: tasks.rows, notes: notes.rows, routines: routines.rows };
+  }
+
+  /**
+   * Insert the document's entities
+   * @param {Object} client - pg client inside a transaction
+   * @param {Object} doc - Validated export document
+   * @param {String} mode - replace | merge
+   * @param {Object} report - Import report (counts are filled in)
+   * @returns {Object} IDs of the created routines, tasks and notes
+   */
+  async insertDocument(client, doc, mode, report) {
+    const idMaps = { routine: new Map(), task: new Map(), note: new Map(), list_item: new Map(), divider: new Map() };
+    const created = { routines: [], tasks: [], notes: [] };
+
+    // Replace keeps IDs; merge (or a missing/invalid ID) gets a fresh one
+    const assignId = (type, oldId) => {
+      const keep = mode === 'replace' && typeof oldId === 'string' && UUID_PATTERN.test(oldId);
+      const id = keep ? oldId : uuidv4();
+      if (oldId !== undefined && oldId !== null) {
+        idMaps[type].set(oldId, id);
+        if (!keep) report.remappedIds++;
+      }
+      return id;
+    };
+    const mapped = (type, oldId) => (oldId ? idMaps[type].get(oldId) || null : null);
+    const timestamp = (value) => (value ? new Date(value) : null);
+
+    // Routines
+    const routines = doc.routines || [];
+    let orderBase = 0;
+    if (mode === 'merge') {
+      const result = await client.query('SELECT COALESCE(MAX(display_order), 0) AS max FROM routines');
+      orderBase = result.rows[0].max + 1;
+    }
+
+    for (const [i, routine] of routines.entries()) {
+      const id = assignId('routine', routine.id);
+      await client.query(`
+        INSERT INTO routines (
+          id, title, description, color, icon, status, achievable, pause_until,
+          is_archived, display_order, created_at, updated_at, archived_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, NOW()), COALESCE($12, NOW()), $13)
+      `, [
+        id,
+        routine.title,
+        routine.description || null,
+        routine.color || '#3498db',
+        routine.icon || '📌',
+        routine.status || 'active',
+        routine.achievable || false,
+        timestamp(routine.pause_until),
+        routine.is_archived || false,
+        mode === 'merge' ? orderBase + i : (Number.isInteger(routine.display_order) ? routine.display_order : i),
+        timestamp(routine.created_at),
+        timestamp(routine.updated_at),
+        timestamp(routine.archived_at)
+      ]);
+      created.routines.push(id);
+      report.imported.routines++;
+    }
+
+    // Tasks and dividers. IDs first, so recurrence links can point at any task.
+    const tasks = doc.tasks || [];
+    const taskIds = tasks.map(task => assignId('task', task.id));
+    const isArchivedTask = (task) => task.is_archived === true || task.status === 'archived';
+
+    const importDividers = await this.shouldImportDividers(client, doc, mode, report);
+    const dividers = importDividers ? doc.dividers || [] : [];
+
+    // Active tasks (and Today's dividers) are ranked per column in their exported order
+    const boardRanks = new Map();
+    for (const column of COLUMNS) {
+      const slots = [
+        ...tasks.map((task, i) => ({ kind: 'task', index: i, entry: task }))
+          .filter(slot => !isArchivedTask(slot.entry) && (slot.entry.column_name || 'today') === column),
+        ...(column === 'today' ? dividers.map((divider, i) => ({ kind: 'divider', index: i, entry: divider })) : [])
+      ];
+      const ranks = await this.ranksFor(client, mode, 'board', column, this.inExportedOrder(slots));
+      for (const [slot, rank] of ranks) {
+        boardRanks.set(`${slot.kind}:${slot.index}`, rank);
+      }
+    }
+
+    for (const [i, task] of tasks.entries()) {
+      const archived = isArchivedTask(task);
+      const items = task.items || [];
+      const status = task.status === 'archived'
+        ? (task.completed_at ? 'completed' : 'pending')
+        : task.status || 'pending';
+      const rank = boardRanks.get(`task:${i}`) || (isValidRank(task.rank) ? task.rank : rankBetween(null, null));
+
+      await client.query(`
+        INSERT INTO tasks (
+          id, routine_id, title, notes, type, status, due_date, column_name, rank,
+          recurrence_rule, is_archived, created_at, updated_at, completed_at, archived_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, COALESCE($12, NOW()), COALESCE($13, NOW()), $14, $15)
+      `, [
+        taskIds[i],
+        mapped('routine', task.routine_id),
+        task.title,
+        task.notes || null,
+        items.length > 0 ? 'list' : 'task',
+        status,
+        task.due_date ? (DATE_PATTERN.test(task.due_date) ? task.due_date : new Date(task.due_date)) : null,
+        task.column_name || 'today',
+        rank,
+        task.recurrence_rule ? JSON.stringify(recurrenceService.normalizeRule(task.recurrence_rule)) : null,
+        archived,
+        timestamp(task.created_at),
+        timestamp(task.updated_at),
+        timestamp(task.completed_at),
+        archived ? timestamp(task.archived_at) || new Date() : null
+      ]);
+
+      const itemRanks = rankSequence(items.length);
+      for (const [j, item] of this.inExportedOrder(items.map((entry, index) => ({ index, entry }))).entries()) {
+        await client.query(`
+          INSERT INTO list_items (id, task_id, title, completed, rank, created_at)
+          VALUES ($1, $2, $3, $4, $5, COALESCE($6, NOW()))
+        `, [
+          assignId('list_item', item.entry.id),
+          taskIds[i],
+          item.entry.title,
+          item.entry.completed || false,
+          itemRanks[j],
+          timestamp(item.entry.created_at)
+        ]);
+        report.imported.list_items++;
+      }
+
+      created.tasks.push(taskIds[i]);
+      report.imported.tasks++;
+    }
+
+    // Recurrence links, now that every task exists
+    for (const [i, task] of tasks.entries()) {
+      const seriesId = mapped('task', task.recurrence_series_id);
+      const nextId = mapped('task', task.recurrence_next_id);
+      if (seriesId || nextId) {
+        await client.query(
+          'UPDATE tasks SET recurrence_series_id = $1, recurrence_next_id = $2 WHERE id = $3',
+          [seriesId, nextId, taskIds[i]]
+        );
+      }
+    }
+
+    for (const [i, divider] of dividers.entries()) {
+      await client.query(`
+        INSERT INTO column_dividers (id, column_name, label_above, label_below, rank, created_at)
+        VALUES ($1, 'today', $2, $3, $4, COALESCE($5, NOW()))
+      `, [
+        assignId('divider', divider.id),
+        divider.label_above,
+        divider.label_below,
+        boardRanks.get(`divider:${i}`),
+        timestamp(divider.created_at)
+      ]);
+      report.imported.dividers++;
+    }
+
+    // Notes, ranked per column like tasks
+    const notes = doc.notes || [];
+    const noteRanks = new Map();
+    for (const column of [1, 2, 3, 4]) {
+      const slots = notes.map((note, i) => ({ index: i, entry: note }))
+        .filter(slot => !slot.entry.is_archived && (slot.entry.column_position || 1) === column);
+      const ranks = await this.ranksFor(client, mode, 'notes', column, this.inExportedOrder(slots));
+      for (const [slot, rank] of ranks) {
+        noteRanks.set(slot.index, rank);
+      }
+    }
+
+    for (const [i, note] of notes.entries()) {
+      const id = assignId('note', note.id);
+      await client.query(`
+        INSERT INTO notes (
+          id, title, content, type, source, column_position, rank, task_id, routine_id,
+          is_archived, created_at, updated_at, archived_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, NOW()), COALESCE($12, NOW()), $13)
+      `, [
+        id,
+        note.title || null,
+        note.content,
+        note.type || 'user',
+        note.source || 'manual',
+        note.column_position || 1,
+        noteRanks.get(i) || (isValidRank(note.rank) ? note.rank : rankBetween(null, null)),
+        mapped('task', note.task_id),
+        mapped('routine', note.routine_id),
+        note.is_archived || false,
+        timestamp(note.created_at),
+        timestamp(note.updated_at),
+        note.is_archived ? timestamp(note.archived_at) || new Date() : null
+      ]);
+      created.notes.push(id);
+      report.imported.notes++;
+    }
+
+    // Audit log (replace only - merged entries would point at IDs that were remapped)
+    const auditLog = doc.audit_log || [];
+    if (mode === 'replace') {
+      await this.insertAuditLog(client, auditLog, report);
+    } else if (auditLog.length > 0) {
+      report.skipped.audit_log = auditLog.length;
+      report.warnings.push('The audit log is only restored in replace mode');
+    }
+
+    return created;
+  }
+
+  /**
+   * Dividers are board furniture: merge only brings them in when the board has none
+   * @returns {Boolean}
+   */
+  async shouldImportDividers(client, doc, mode, report) {
+    const dividers = doc.dividers || [];
+    if (mode === 'replace' || dividers.length === 0) return true;
+
+    const existing = await client.query('SELECT COUNT(*)::int AS count FROM column_dividers');
+    if (existing.rows[0].count === 0) return true;
+
+    report.skipped.dividers = dividers.length;
+    report.warnings.push('Dividers were not merged - the board already has its own');
+    return false;
+  }
+
+  /**
+   * Sort slots into their exported order: by rank when the export has one,
+   * then by position, then by their place in the document
+   * @param {Array} slots - [{ index, entry }]
+   * @returns {Array} Sorted slots
+   */
+  inExportedOrder(slots) {
+    const key = (slot) => [
+      isValidRank(slot.entry.rank) ? 0 : 1,
+      isValidRank(slot.entry.rank) ? slot.entry.rank : '',
+      Number.isInteger(slot.entry.position) ? slot.entry.position : Number.MAX_SAFE_INTEGER,
+      slot.index
+    ];
+
+    return [...slots].sort((a, b) => {
+      const ka = key(a);
+      const kb = key(b);
+      for (let i = 0; i < ka.length; i++) {
+        if (ka[i] < kb[i]) return -1;
+        if (ka[i] > kb[i]) return 1;
+      }
+      return 0;
+    });
+  }
+
+  /**
+   * Rank keys for slots being added to a scope, in order
+   * @param {Object} client - pg client inside a transaction
+   * @param {String} mode - replace (scope is empty) | merge (append after existing items)
+   * @param {String} scope - board | notes
+   * @param {*} key - Scope key
+   * @param {Array} slots - Slots in order
+   * @returns {Array} [[slot, rank]]
+   */
+  async ranksFor(client, mode, scope, key, slots) {
+    if (slots.length === 0) return [];
+
+    if (mode === 'replace') {
+      const ranks = rankSequence(slots.length);
+      return slots.map((slot, i) => [slot, ranks[i]]);
+    }
+
+    // The first append rank locks the scope, so the rest can follow on from it
+    const ranks = [await orderingService.rankForIndex(client, scope, key)];
+    while (ranks.length < slots.length) {
+      ranks.push(rankBetween(ranks[ranks.length - 1], null));
+    }
+    return slots.map((slot, i) => [slot, ranks[i]]);
+  }
+
+  /**
+   * Restore audit entries (replace mode)
+   * @param {Object} client - pg client inside a transaction
+   * @param {Array} entries - Exported audit entries
+   * @param {Object} report - Import report
+   */
+  async insertAuditLog(client, entries, report) {
+    const sorted = [...entries].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    const inserted = new Set();
+
+    for (const entry of sorted) {
+      const valid = entry && UUID_PATTERN.test(entry.id || '') && UUID_PATTERN.test(entry.entity_id || '') &&
+        ACTORS.includes(entry.actor) && entry.action && entry.entity_type;
+      if (!valid || inserted.has(entry.id)) {
+        report.skipped.audit_log++;
+        continue;
+      }
+
+      await client.query(`
+        INSERT INTO audit_log (
+          id, actor, action, entity_type, entity_id, previous_state, new_state,
+          agent_key_hash, undone_at, reverts_id, created_at, actor_name
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, NOW()), $12)
+      `, [
+        entry.id,
+        entry.actor,
+        entry.action,
+        entry.entity_type,
+        entry.entity_id,
+        entry.previous_state ? JSON.stringify(entry.previous_state) : null,
+        entry.new_state ? JSON.stringify(entry.new_state) : null,
+        entry.agent_key_hash || null,
+        entry.undone_at ? new Date(entry.undone_at) : null,
+        entry.reverts_id && inserted.has(entry.reverts_id) ? entry.reverts_id : null,
+        entry.created_at ? new Date(entry.created_at) : null,
+        entry.actor_name || null
+      ]);
+      inserted.add(entry.id);
+      report.imported.audit_log++;
+    }
+
+    if (report.skipped.audit_log > 0) {
+      report.warnings.push(`${report.skipped.audit_log} audit entries were malformed and skipped`);
+    }
+  }
+
+  /**
+   * Bring the RAG index in line with the imported board
+   * @param {Object} created - IDs of created routines, tasks and notes
+   * @param {Object} removed - Rows deleted by a replace
+   */
+  async notifyRAG(created, removed) {
+    const keep = new Set([...created.tasks, ...created.notes, ...created.routines]);
+    removed.tasks.filter(task => !keep.has(task.id)).forEach(task => notifyRAGIndex(task, 'task', 'delete'));
+    removed.notes.filter(note => !keep.has(note.id)).forEach(note => notifyRAGIndex(note, 'note', 'delete'));
+    removed.routines.filter(r => !keep.has(r.id)).forEach(routine => notifyRAGIndex(routine, 'routine', 'delete'));
+
+    for (const id of created.routines) {
+      const routine = await routineService.getRoutineById(id);
+      if (routine) notifyRAGIndex(routine, 'routine', routine.is_archived ? 'archive' : 'upsert');
+    }
+    for (const id of created.tasks) {
+      const task = await taskService.getTaskById(id);
+      if (task) notifyRAGIndex(task, 'task', task.is_archived ? 'archive' : 'upsert');
+    }
+    for (const id of created.notes) {
+      const note = await noteService.getNoteById(id);
+      if (note) notifyRAGIndex(note, 'note', note.is_archived ? 'archive' : 'upsert');
+    }
+  }
+}
+
+module.exports = new ImportService();
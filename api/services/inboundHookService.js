@@ -0,0 +1,446 @@
+const crypto = require('crypto');
+const pool = require('../db/pool');
+const { logger } = require('../middleware/logger');
+const validation = require('../middleware/validation');
+const calendar = require('./boardCalendar');
+const taskService = require('./taskService');
+const noteService = require('./noteService');
+
+/**
+ * Inbound Hook Service
+ * Tokenized capture endpoints (inbound_hooks, migration 017) so phone
+ * shortcuts and home automations can drop things on the board without the
+ * agent key. The token in the URL is the only credential; just its SHA-256
+ * is stored. Each hook has one scope:
+ *   create_task  new task in column_name (optionally in a routine)
+ *   create_note  new note in column_position (optionally in a routine)
+ *   add_item     new item on the list task_id
+ *
+ * Fields are filled from the request body through the hook's template, e.g.
+ * { "title": "Buy {{item}}", "notes": "From {{hook}} on {{date}}" }.
+ * Placeholders are dotted paths into the body; `a|b` takes the first that is
+ * set. {{hook}}, {{date}} (today) and {{now}} are built in, and a text/plain
+ * body arrives as {{text}}. Fields the template leaves out use DEFAULT_TEMPLATES.
+ */
+
+const SCOPES = ['create_task', 'create_note', 'add_item'];
+const COLUMNS = ['today', 'tomorrow', 'this_week', 'horizon'];
+
+const DEFAULT_TEMPLATES = {
+  create_task: { title: '{{title|text}}', notes: '{{notes}}', due_date: '{{due_date}}' },
+  create_note: { title: '{{title}}', content: '{{content|text}}' },
+  add_item: { title: '{{title|text}}' }
+};
+
+const NAME_LIMIT = 100;
+const PLACEHOLDER = /\{\{\s*([\w.-]+(?:\s*\|\s*[\w.-]+)*)\s*\}\}/g;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const invalid = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+class InboundHookService {
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  generateToken() {
+    return crypto.randomBytes(24).toString('base64url');
+  }
+
+  /**
+   * API view of a hook: the token only as a hint, unless given
+   * @param {Object} row - inbound_hooks row
+   * @param {String} token - The plain token (create, rotate)
+   */
+  present(row, token = null) {
+    if (!row) return row;
+    const { token_hash, ...hook } = row;
+    return token ? { ...hook, token, url: `/api/hooks/${token}` } : hook;
+  }
+
+  /**
+   * Check the fields of a create or update
+   * @param {Object} data - { name, scope, column_name, column_position, task_id, routine_id, template, active }
+   * @param {Object|null} current - Hook being updated (null on create)
+   * @returns {Object} Fields to write
+   */
+  async normalizeHook(data = {}, current = null) {
+    const fields = {};
+
+    if (!current || data.name !== undefined) {
+      const name = typeof data.name === 'string' ? data.name.trim() : '';
+      if (!name) throw invalid('Name is required');
+      if (name.length > NAME_LIMIT) throw invalid(`Name exceeds ${NAME_LIMIT} character limit`);
+      fields.name = name;
+    }
+
+    if (!current || data.scope !== undefined) {
+      if (!SCOPES.includes(data.scope)) {
+        throw invalid(`scope must be one of ${SCOPES.join(', ')}`);
+      }
+      fields.scope = data.scope;
+    }
+
+    // The target belongs to the scope; the others are cleared
+    const scope = fields.scope || current.scope;
+    const target = (field) => {
+      if (data[field] !== undefined) return data[field];
+      return current && current.scope === scope ? current[field] : undefined;
+    };
+
+    fields.column_name = null;
+    fields.column_position = null;
+    fields.task_id = null;
+
+    if (scope === 'create_task') {
+      const column = target('column_name') || 'today';
+      if (!COLUMNS.includes(column)) {
+        throw invalid(`column_name must be one of ${COLUMNS.join(', ')}`);
+      }
+      fields.column_name = column;
+    } else if (scope === 'create_note') {
+      const position = parseInt(target('column_position') || 1, 10);
+      if (!(position >= 1 && position <= 4)) {
+        throw invalid('column_position must be between 1 and 4');
+      }
+      fields.column_position = position;
+    } else {
+      const taskId = target('task_id');
+      if (!UUID_PATTERN.test(taskId || '')) {
+        throw invalid('task_id of the list is required for add_item hooks');
+      }
+      const task = await pool.query('SELECT id FROM tasks WHERE id = $1', [taskId]);
+      if (task.rows.length === 0) throw invalid('task_id does not exist');
+      fields.task_id = taskId;
+    }
+
+    if (scope === 'add_item') {
+      fields.routine_id = null; // The item belongs to its list
+    } else if (data.routine_id !== undefined) {
+      if (data.routine_id) {
+        const routine = UUID_PATTERN.test(data.routine_id)
+          ? await pool.query('SELECT id FROM routines WHERE id = $1', [data.routine_id])
+          : { rows: [] };
+        if (routine.rows.length === 0) throw invalid('routine_id does not exist');
+      }
+      fields.routine_id = data.routine_id || null;
+    }
+
+    // A new scope has other fields, so its template starts over
+    if (!current || data.template !== undefined || scope !== current.scope) {
+      fields.template = this.normalizeTemplate(scope, data.template || {});
+    }
+
+    if (data.active !== undefined) {
+      if (typeof data.active !== 'boolean') throw invalid('active must be true or false');
+      fields.active = data.active;
+    }
+
+    return fields;
+  }
+
+  /**
+   * @param {String} scope - Hook scope
+   * @param {Object} template - { field: 'text with {{placeholders}}' }
+   * @returns {Object} The template
+   * @throws {Error} 400 for fields the scope doesn't have
+   */
+  normalizeTemplate(scope, template) {
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+      throw invalid('template must be an object of field templates');
+    }
+    const allowed = Object.keys(DEFAULT_TEMPLATES[scope]);
+    for (const [field, value] of Object.entries(template)) {
+      if (!allowed.includes(field)) {
+        throw invalid(`template field "${field}" is not used by ${scope} hooks (expected ${allowed.join(', ')})`);
+      }
+      if (typeof value !== 'string') {
+        throw invalid(`template field "${field}" must be a string`);
+      }
+    }
+    return template;
+  }
+
+  /**
+   * Fill a template from a request body
+   * @param {String} template - Text with {{placeholders}}
+   * @param {Object} context - Request body plus built-ins
+   * @returns {String|null} Trimmed text, null when empty
+   */
+  render(template, context) {
+    const text = template.replace(PLACEHOLDER, (match, paths) => {
+      for (const path of paths.split('|').map(p => p.trim())) {
+        const value = path.split('.').reduce((obj, key) =>
+          (obj !== null && typeof obj === 'object' && Object.prototype.hasOwnProperty.call(obj, key) ? obj[key] : undefined),
+        context);
+        if (value !== undefined && value !== null && value !== '') {
+          return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        }
+      }
+      return '';
+    });
+    return text.trim() || null;
+  }
+
+  /**
+   * Render every field of a hook's template
+   * @param {Object} hook - inbound_hooks row
+   * @param {Object|String} body - Parsed request body (text for text/plain)
+   * @returns {Object} { field: value }
+   */
+  renderFields(hook, body) {
+    const payload = typeof body === 'string' ? { text: body } : (body || {});
+    const context = {
+      ...payload,
+      hook: hook.name,
+      date: calendar.today(),
+      now: new Date().toISOString()
+    };
+    const template = { ...DEFAULT_TEMPLATES[hook.scope], ...hook.template };
+
+    const fields = {};
+    for (const [field, text] of Object.entries(template)) {
+      fields[field] = this.render(text, context);
+    }
+    return fields;
+  }
+
+  /**
+   * Shorten a title that's over the limit (automations can't retry with less)
+   */
+  clip(text, limit) {
+    return text && text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
+  }
+
+  /**
+   * All hooks, by name
+   * @returns {Array}
+   */
+  async getHooks() {
+    try {
+      const result = await pool.query(`
+        SELECT h.*, t.title AS task_title, r.title AS routine_title
+        FROM inbound_hooks h
+        LEFT JOIN tasks t ON h.task_id = t.id
+        LEFT JOIN routines r ON h.routine_id = r.id
+        ORDER BY LOWER(h.name)
+      `);
+      return result.rows.map(row => this.present(row));
+    } catch (error) {
+      logger.error('Error fetching inbound hooks', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * @param {String} hookId - Hook ID
+   * @returns {Object|undefined} inbound_hooks row
+   */
+  async getHookById(hookId) {
+    try {
+      if (!UUID_PATTERN.test(hookId || '')) return undefined;
+      const result = await pool.query('SELECT * FROM inbound_hooks WHERE id = $1', [hookId]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error fetching inbound hook', { error: error.message, hookId });
+      throw error;
+    }
+  }
+
+  /**
+   * @param {String} token - Token from the URL
+   * @returns {Object|undefined} Active inbound_hooks row
+   */
+  async getHookByToken(token) {
+    try {
+      if (!token) return undefined;
+      const result = await pool.query(
+        'SELECT * FROM inbound_hooks WHERE token_hash = $1 AND active = true',
+        [this.hashToken(token)]
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error looking up inbound hook', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * @param {Object} data - See normalizeHook
+   * @returns {Object} { hook, token } - the token is only ever returned here and on rotation
+   */
+  async createHook(data) {
+    const fields = await this.normalizeHook(data);
+    const token = this.generateToken();
+    try {
+      const result = await pool.query(`
+        INSERT INTO inbound_hooks (
+          name, token_hash, token_hint, scope, column_name, column_position,
+          task_id, routine_id, template, active
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING *
+      `, [
+        fields.name,
+        this.hashToken(token),
+        token.slice(0, 4),
+        fields.scope,
+        fields.column_name,
+        fields.column_position,
+        fields.task_id,
+        fields.routine_id || null,
+        JSON.stringify(fields.template),
+        fields.active !== false
+      ]);
+
+      logger.info('Inbound hook created', { hookId: result.rows[0].id, name: fields.name, scope: fields.scope });
+      return { hook: result.rows[0], token };
+    } catch (error) {
+      if (error.code === '23505') {
+        const conflict = new Error(`A hook named "${fields.name}" already exists`);
+        conflict.statusCode = 409;
+        throw conflict;
+      }
+      logger.error('Error creating inbound hook', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * @param {Object} current - inbound_hooks row
+   * @param {Object} updates - See normalizeHook
+   * @returns {Object|undefined} Updated row
+   */
+  async updateHook(current, updates) {
+    const fields = await this.normalizeHook(updates, current);
+
+    try {
+      const setClause = [];
+      const values = [];
+      for (const [field, value] of Object.entries(fields)) {
+        values.push(field === 'template' ? JSON.stringify(value) : value);
+        setClause.push(`${field} = $${values.length}`);
+      }
+      values.push(current.id);
+
+      const result = await pool.query(`
+        UPDATE inbound_hooks
+        SET ${setClause.join(', ')}
+        WHERE id = $${values.length}
+        RETURNING *
+      `, values);
+
+      if (result.rows[0]) logger.info('Inbound hook updated', { hookId: current.id, fields: Object.keys(fields) });
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        const conflict = new Error(`A hook named "${fields.name}" already exists`);
+        conflict.statusCode = 409;
+        throw conflict;
+      }
+      logger.error('Error updating inbound hook', { error: error.message, hookId: current.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a hook's token; the old URL stops working
+   * @param {String} hookId - Hook ID
+   * @returns {Object|undefined} { hook, token }
+   */
+  async rotateToken(hookId) {
+    try {
+      if (!UUID_PATTERN.test(hookId || '')) return undefined;
+      const token = this.generateToken();
+      const result = await pool.query(
+        'UPDATE inbound_hooks SET token_hash = $2, token_hint = $3 WHERE id = $1 RETURNING *',
+        [hookId, this.hashToken(token), token.slice(0, 4)]
+      );
+      if (!result.rows[0]) return undefined;
+      logger.info('Inbound hook token rotated', { hookId });
+      return { hook: result.rows[0], token };
+    } catch (error) {
+      logger.error('Error rotating inbound hook token', { error: error.message, hookId });
+      throw error;
+    }
+  }
+
+  /**
+   * @param {String} hookId - Hook ID
+   * @returns {Object|undefined} Deleted row
+   */
+  async deleteHook(hookId) {
+    try {
+      if (!UUID_PATTERN.test(hookId || '')) return undefined;
+      const result = await pool.query('DELETE FROM inbound_hooks WHERE id = $1 RETURNING *', [hookId]);
+      if (result.rows[0]) logger.info('Inbound hook deleted', { hookId });
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error deleting inbound hook', { error: error.message, hookId });
+      throw error;
+    }
+  }
+
+  /**
+   * Do what the hook is for
+   * @param {Object} hook - inbound_hooks row
+   * @param {Object|String} body - Request body
+   * @returns {Object} { entityType, entity }
+   * @throws {Error} 400 when the template renders no title / content or a bad due date
+   */
+  async capture(hook, body) {
+    const fields = this.renderFields(hook, body);
+    let result;
+
+    if (hook.scope === 'create_task') {
+      if (!fields.title) throw invalid('Nothing to capture: the task title is empty');
+      if (fields.notes && fields.notes.length > validation.LIMITS.TASK_NOTES) {
+        throw invalid(`Task notes exceed ${validation.LIMITS.TASK_NOTES} character limit`);
+      }
+      const dueDate = fields.due_date ? calendar.toDateString(fields.due_date) : null;
+      if (fields.due_date && !dueDate) throw invalid(`Invalid due date "${fields.due_date}"`);
+
+      const task = await taskService.createTask({
+        title: this.clip(fields.title, validation.LIMITS.TASK_TITLE),
+        notes: fields.notes,
+        routine_id: hook.routine_id,
+        column_name: hook.column_name,
+        due_date: dueDate,
+        place_by_due_date: taskService.shouldPlaceByDueDate()
+      });
+      result = { entityType: 'task', entity: task };
+    } else if (hook.scope === 'create_note') {
+      if (!fields.content) throw invalid('Nothing to capture: the note content is empty');
+      if (fields.content.length > validation.LIMITS.NOTE_CONTENT) {
+        throw invalid(`Note content exceeds ${validation.LIMITS.NOTE_CONTENT} character limit`);
+      }
+      const note = await noteService.createNote({
+        title: this.clip(fields.title, validation.LIMITS.NOTE_TITLE),
+        content: fields.content,
+        type: 'user',
+        source: 'manual',
+        column_position: hook.column_position,
+        routine_id: hook.routine_id
+      });
+      result = { entityType: 'note', entity: note };
+    } else {
+      if (!fields.title) throw invalid('Nothing to capture: the item title is empty');
+      const item = await taskService.addItemToTask(hook.task_id, {
+        title: this.clip(fields.title, validation.LIMITS.LIST_ITEM_TEXT)
+      });
+      result = { entityType: 'list_item', entity: item };
+    }
+
+    await pool.query(
+      'UPDATE inbound_hooks SET use_count = use_count + 1, last_used_at = NOW() WHERE id = $1',
+      [hook.id]
+    );
+    logger.info('Inbound hook captured', { hookId: hook.id, name: hook.name, entityType: result.entityType });
+    return result;
+  }
+}
+
+module.exports = new InboundHookService();
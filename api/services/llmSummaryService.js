@@ -1,5 +1,18 @@
 const pool = require('../db/pool');
 const { logger } = require('../middleware/logger');
+const textSearch = require('./textSearch');
+const searchQuery = require('./searchQuery');
+const calendar = require('./boardCalendar');
+const filterService = require('./filterService');
+
+// Search scopes and date filters (GET /api/search)
+const SEARCH_ARCHIVE_SCOPES = ['exclude', 'include', 'only'];
+const SEARCH_DATE_FILTERS = ['created', 'completed', 'archivedAt'];
+const SEARCH_DATE_COLUMNS = {
+  tasks: { created: 'created_at', completed: 'completed_at', archivedAt: 'archived_at' },
+  notes: { created: 'created_at', archivedAt: 'archived_at' },
+  routines: { created: 'created_at', archivedAt: 'archived_at' }
+};
 
 /**
  * LLM Summary Service
@@ -25,11 +38,12 @@ class LLMSummaryService {
 
   /**
    * Get tasks summary grouped by column
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options (limit, columns, routine, and
+   *   criteria: normalized saved filter criteria)
    * @returns {Object} Tasks summary
    */
   async getTasksSummary(options = {}) {
-    const { limit = null, columns = null, routine = null } = options;
+    const { limit = null, columns = null, routine = null, criteria = null } = options;
 
     try {
       let query = `
@@ -38,7 +52,6 @@ class LLMSummaryService {
           t.title,
           t.column_name,
           t.due_date,
-          t.position,
           t.status,
           t.type,
           r.title as routine_title
@@ -62,7 +75,13 @@ class LLMSummaryService {
         paramCount++;
       }
 
-      query += ' ORDER BY t.column_name, t.position';
+      if (criteria) {
+        for (const condition of filterService.taskConditions(criteria, 't', values)) {
+          query += ` AND ${condition}`;
+        }
+      }
+
+      query += ' ORDER BY t.column_name, t.rank';
 
       const result = await pool.query(query, values);
       const tasks = result.rows;
@@ -76,7 +95,7 @@ class LLMSummaryService {
           SELECT task_id, title, completed
           FROM list_items
           WHERE task_id = ANY($1::uuid[])
-          ORDER BY position
+          ORDER BY rank
         `, [listTaskIds]);
 
         for (const item of itemsResult.rows) {
@@ -244,7 +263,7 @@ class LLMSummaryService {
             SELECT id, title, column_name
             FROM tasks
             WHERE routine_id = $1 AND is_archived = false
-            ORDER BY position
+            ORDER BY rank
           `;
           const tasksParams = [routine.id];
           if (itemLimit) {
@@ -318,7 +337,7 @@ class LLMSummaryService {
         SELECT id, title, column_name, due_date
         FROM tasks
         WHERE routine_id = $1 AND is_archived = false
-        ORDER BY column_name, position
+        ORDER BY column_name, rank
       `, [routineId]);
 
       // Get notes for this routine
@@ -405,7 +424,7 @@ class LLMSummaryService {
                COALESCE(
                  (SELECT json_agg(
                    json_build_object('text', li.title, 'done', li.completed)
-                   ORDER BY li.position
+                   ORDER BY li.rank
                  )
                  FROM list_items li
                  WHERE li.task_id = t.id), '[]'::json
@@ -438,40 +457,233 @@ class LLMSummaryService {
     }
   }
 
+  /**
+   * Routine titles for the routines saved filters refer to
+   * @param {Array} filters - saved_filters rows
+   * @returns {Map} routine ID -> title
+   */
+  async getFilterRoutineTitles(filters) {
+    const ids = [...new Set(filters.flatMap(f => f.criteria.routine_ids || []))];
+    if (ids.length === 0) return new Map();
+    const result = await pool.query('SELECT id, title FROM routines WHERE id = ANY($1::uuid[])', [ids]);
+    return new Map(result.rows.map(r => [r.id, r.title]));
+  }
+
+  /**
+   * Get saved filters with what they match and how many tasks
+   * @returns {Object} Filters summary
+   */
+  async getFiltersSummary() {
+    try {
+      const filters = await filterService.getFilters();
+      const routineTitles = await this.getFilterRoutineTitles(filters);
+
+      const summaries = [];
+      for (const filter of filters) {
+        const values = [];
+        const conditions = filterService.taskConditions(filter.criteria, 't', values);
+        const count = await pool.query(`
+          SELECT COUNT(*)::int AS count
+          FROM tasks t
+          WHERE t.is_archived = false
+          ${conditions.map(condition => `AND ${condition}`).join('\n          ')}
+        `, values);
+
+        summaries.push({
+          id: filter.id,
+          name: filter.name,
+          pinned: filter.pinned,
+          matches: filterService.describe(filter.criteria, routineTitles),
+          tasks: count.rows[0].count
+        });
+      }
+
+      return { total: summaries.length, filters: summaries };
+    } catch (error) {
+      logger.error('Error getting filters summary', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the tasks a saved filter matches, grouped by column
+   * @param {Object} filter - saved_filters row
+   * @param {Object} options - Query options (limit per column)
+   * @returns {Object} Tasks summary with the filter's name and criteria
+   */
+  async getFilterSummary(filter, options = {}) {
+    try {
+      const routineTitles = await this.getFilterRoutineTitles([filter]);
+      const tasks = await this.getTasksSummary({ limit: options.limit || null, criteria: filter.criteria });
+
+      return {
+        filter: filter.name,
+        matches: filterService.describe(filter.criteria, routineTitles),
+        ...tasks
+      };
+    } catch (error) {
+      logger.error('Error getting filter summary', { error: error.message, filterId: filter.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Check and normalize search filters
+   * @param {Object} filters - { archived, created, completed, archivedAt } ranges as { from, to }
+   * @returns {Object} Normalized filters ('YYYY-MM-DD' bounds)
+   * @throws {Error} 400 for an unknown scope or a bad date
+   */
+  normalizeSearchFilters(filters = {}) {
+    const invalid = (message) => {
+      const error = new Error(message);
+      error.statusCode = 400;
+      return error;
+    };
+
+    const archived = filters.archived || 'exclude';
+    if (!SEARCH_ARCHIVE_SCOPES.includes(archived)) {
+      throw invalid(`archived must be one of: ${SEARCH_ARCHIVE_SCOPES.join(', ')}`);
+    }
+
+    const normalized = { archived };
+    for (const field of SEARCH_DATE_FILTERS) {
+      const range = filters[field];
+      if (!range) continue;
+
+      const bounds = {};
+      for (const bound of ['from', 'to']) {
+        const value = range[bound];
+        if (value === undefined || value === null || value === '') continue;
+        // Round-trip through a Date so '2026-02-30' is rejected too
+        const valid = /^\d{4}-\d{2}-\d{2}$/.test(value) && calendar.toDateString(calendar.parseDate(value)) === value;
+        if (!valid) {
+          throw invalid(`${field.replace('At', '')}_${bound} must be a date (YYYY-MM-DD)`);
+        }
+        bounds[bound] = value;
+      }
+      if (bounds.from && bounds.to && bounds.from > bounds.to) {
+        throw invalid(`${field.replace('At', '')} date range starts after it ends`);
+      }
+      if (bounds.from || bounds.to) normalized[field] = bounds;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * WHERE conditions for one entity type's filters
+   * @param {String} entity - tasks | notes | routines
+   * @param {String} alias - Table alias
+   * @param {Object} filters - Normalized filters
+   * @param {Array} params - Query parameters; values are appended
+   * @returns {Array<String>|null} Conditions, or null if the filters rule the entity type out
+   */
+  searchConditions(entity, alias, filters, params) {
+    const conditions = [];
+
+    if (filters.archived === 'exclude') conditions.push(`${alias}.is_archived = false`);
+    if (filters.archived === 'only') conditions.push(`${alias}.is_archived = true`);
+
+    for (const field of SEARCH_DATE_FILTERS) {
+      const range = filters[field];
+      if (!range) continue;
+      // e.g. notes have no completed_at - a completion filter leaves them out
+      if (!SEARCH_DATE_COLUMNS[entity][field]) return null;
+
+      const column = `${alias}.${SEARCH_DATE_COLUMNS[entity][field]}`;
+      if (range.from) {
+        params.push(range.from);
+        conditions.push(`${column} >= $${params.length}::date`);
+      }
+      if (range.to) {
+        params.push(range.to);
+        conditions.push(`${column} < $${params.length}::date + 1`);
+      }
+    }
+
+    return conditions;
+  }
+
   /**
    * Cross-entity search
+   * Full-text search over the search_vector columns, best matches first.
+   * Queries without text (only qualifiers) list the most recently updated.
    * Supports both full (user) and summary (LLM) modes
-   * @param {string} query - Search query
-   * @param {Object} options - Search options
+   * @param {string} queryText - Search query (see searchQuery for qualifiers, negation and phrases)
+   * @param {Object} options - Search options: type, limit, summary, fuzzy (default
+   *   true: titles similar to the words match too, ranked after real matches), plus
+   *   filters (archived: exclude|include|only - defaults to include when the query
+   *   filters on archiving; created/completed/archivedAt: { from, to })
+   * @throws {Error} 400 (code 'SEARCH_SYNTAX') for a query that doesn't parse
    * @returns {Object} Search results
    */
-  async search(searchQuery, options = {}) {
+  async search(queryText, options = {}) {
     const {
       type = null,
       limit = null,
-      summary = false  // LLM mode: concise responses
+      summary = false,  // LLM mode: concise responses
+      fuzzy = true
     } = options;
 
     // Default limits based on mode
     const effectiveLimit = limit || (summary ? 5 : 15);
+    const headline = textSearch.headlineOptions(summary);
+    const query = searchQuery.parse(queryText);
+    const filters = this.normalizeSearchFilters({
+      ...options,
+      archived: options.archived || (query.mentionsArchive ? 'include' : 'exclude')
+    });
+    const day = (date) => (date ? calendar.toDateString(date) : null);
+
+    // Parameters differ per entity (filters may not apply to all of them),
+    // so each query builds its own list
+    const prepare = (entity, alias) => {
+      const params = [];
+      const compiled = searchQuery.compile(query, entity, alias, params, { fuzzy });
+      const conditions = compiled && this.searchConditions(entity, alias, filters, params);
+      if (!conditions) return null;
+      conditions.push(...compiled.conditions);
+      params.push(effectiveLimit);
+      return {
+        // Without text there's nothing to rank or highlight: scores are 0, highlights NULL
+        tsQuery: compiled.tsQuery || 'NULL::tsquery',
+        similarity: compiled.similarity || 'NULL::real',
+        params,
+        where: conditions.length > 0 ? conditions.join('\n            AND ') : 'true',
+        limitParam: `$${params.length}`
+      };
+    };
 
     try {
       const results = { tasks: [], notes: [], routines: [] };
       let totalHits = 0;
 
-      // Search tasks
-      if (!type || type === 'tasks') {
+      // Search tasks (list item titles are part of the task's vector)
+      const taskSearch = (!type || type === 'tasks') && prepare('tasks', 't');
+      if (taskSearch) {
+        const { tsQuery, similarity, params, where, limitParam } = taskSearch;
         const tasksQuery = `
           SELECT t.id, t.title, t.column_name, t.due_date, t.notes, t.updated_at,
-                 r.title as routine_title
+                 t.status, t.is_archived, t.completed_at, t.archived_at,
+                 r.title as routine_title,
+                 COALESCE(ts_rank(t.search_vector, ${tsQuery}), 0) AS score,
+                 t.search_vector @@ ${tsQuery} AS text_match,
+                 ${similarity} AS similarity,
+                 to_tsvector('${textSearch.CONFIG}', t.title) @@ ${tsQuery} AS title_match,
+                 ts_headline('${textSearch.CONFIG}', t.title, ${tsQuery}, '${headline.title}') AS title_highlight,
+                 ts_headline('${textSearch.CONFIG}', concat_ws(' - ', t.notes, items.titles), ${tsQuery}, '${headline.snippet}') AS snippet
           FROM tasks t
           LEFT JOIN routines r ON t.routine_id = r.id
-          WHERE t.is_archived = false
-            AND (t.title ILIKE $1 OR t.notes ILIKE $1)
-          ORDER BY t.updated_at DESC
-          LIMIT $2
+          LEFT JOIN LATERAL (
+            SELECT string_agg(li.title, ', ' ORDER BY li.rank) AS titles
+            FROM list_items li
+            WHERE li.task_id = t.id
+          ) items ON true
+          WHERE ${where}
+          ORDER BY score DESC, similarity DESC NULLS LAST, t.updated_at DESC
+          LIMIT ${limitParam}
         `;
-        const tasksResult = await pool.query(tasksQuery, [`%${searchQuery}%`, effectiveLimit]);
+        const tasksResult = await pool.query(tasksQuery, params);
 
         results.tasks = tasksResult.rows.map(t => {
           const base = {
@@ -485,27 +697,49 @@ class LLMSummaryService {
           if (!summary) {
             base.due = t.due_date ? t.due_date.toISOString().split('T')[0] : null;
             base.notes = t.notes || null;
+            base.status = t.status;
+            base.isArchived = t.is_archived;
+            base.completedAt = t.completed_at;
+            base.archivedAt = t.archived_at;
             base.updatedAt = t.updated_at;
+            base.score = Number(t.score.toFixed(4));
+            base.highlight = { title: t.title_highlight, snippet: t.snippet || null };
+          } else {
+            // Dates answer "when did I...?" - only present when set
+            if (t.status === 'completed') base.completed = day(t.completed_at);
+            if (t.is_archived) base.archived = day(t.archived_at);
+            // Say why it matched when the title doesn't
+            if (!t.title_match && t.snippet) base.match = t.snippet;
           }
 
+          // Only the title looked similar (a typo, a missing word)
+          if (t.text_match === false) base.fuzzy = true;
+
           return base;
         });
         totalHits += tasksResult.rows.length;
       }
 
       // Search notes
-      if (!type || type === 'notes') {
+      const noteSearch = (!type || type === 'notes') && prepare('notes', 'n');
+      if (noteSearch) {
+        const { tsQuery, similarity, params, where, limitParam } = noteSearch;
         const notesQuery = `
           SELECT n.id, n.title, n.content, n.updated_at, n.type, n.source,
-                 r.title as routine_title
+                 n.is_archived, n.archived_at,
+                 r.title as routine_title,
+                 COALESCE(ts_rank(n.search_vector, ${tsQuery}), 0) AS score,
+                 n.search_vector @@ ${tsQuery} AS text_match,
+                 ${similarity} AS similarity,
+                 ts_headline('${textSearch.CONFIG}', COALESCE(n.title, ''), ${tsQuery}, '${headline.title}') AS title_highlight,
+                 ts_headline('${textSearch.CONFIG}', n.content, ${tsQuery}, '${headline.snippet}') AS snippet
           FROM notes n
           LEFT JOIN routines r ON n.routine_id = r.id
-          WHERE n.is_archived = false
-            AND (n.title ILIKE $1 OR n.content ILIKE $1)
-          ORDER BY n.updated_at DESC
-          LIMIT $2
+          WHERE ${where}
+          ORDER BY score DESC, similarity DESC NULLS LAST, n.updated_at DESC
+          LIMIT ${limitParam}
         `;
-        const notesResult = await pool.query(notesQuery, [`%${searchQuery}%`, effectiveLimit]);
+        const notesResult = await pool.query(notesQuery, params);
 
         results.notes = notesResult.rows.map(n => {
           const base = {
@@ -515,30 +749,44 @@ class LLMSummaryService {
           };
 
           if (summary) {
-            base.preview = this.truncate(n.content, 50);
+            base.preview = n.snippet || this.truncate(n.content, 50);
+            if (n.is_archived) base.archived = day(n.archived_at);
           } else {
             base.content = n.content;
             base.type = n.type;
             base.source = n.source;
+            base.isArchived = n.is_archived;
+            base.archivedAt = n.archived_at;
             base.updatedAt = n.updated_at;
+            base.score = Number(n.score.toFixed(4));
+            base.highlight = { title: n.title_highlight || null, snippet: n.snippet || null };
           }
 
+          if (n.text_match === false) base.fuzzy = true;
+
           return base;
         });
         totalHits += notesResult.rows.length;
       }
 
       // Search routines
-      if (!type || type === 'routines') {
+      const routineSearch = (!type || type === 'routines') && prepare('routines', 'r');
+      if (routineSearch) {
+        const { tsQuery, similarity, params, where, limitParam } = routineSearch;
         const routinesQuery = `
-          SELECT id, title, description, status, icon, updated_at
-          FROM routines
-          WHERE is_archived = false
-            AND (title ILIKE $1 OR description ILIKE $1)
-          ORDER BY updated_at DESC
-          LIMIT $2
+          SELECT r.id, r.title, r.description, r.status, r.icon, r.updated_at,
+                 r.is_archived, r.archived_at,
+                 COALESCE(ts_rank(r.search_vector, ${tsQuery}), 0) AS score,
+                 r.search_vector @@ ${tsQuery} AS text_match,
+                 ${similarity} AS similarity,
+                 ts_headline('${textSearch.CONFIG}', r.title, ${tsQuery}, '${headline.title}') AS title_highlight,
+                 ts_headline('${textSearch.CONFIG}', COALESCE(r.description, ''), ${tsQuery}, '${headline.snippet}') AS snippet
+          FROM routines r
+          WHERE ${where}
+          ORDER BY score DESC, similarity DESC NULLS LAST, r.updated_at DESC
+          LIMIT ${limitParam}
         `;
-        const routinesResult = await pool.query(routinesQuery, [`%${searchQuery}%`, effectiveLimit]);
+        const routinesResult = await pool.query(routinesQuery, params);
 
         results.routines = routinesResult.rows.map(r => {
           const base = {
@@ -547,24 +795,33 @@ class LLMSummaryService {
             status: r.status
           };
 
-          if (!summary) {
+          if (summary) {
+            if (r.is_archived) base.archived = day(r.archived_at);
+          } else {
             base.description = r.description;
             base.icon = r.icon;
+            base.isArchived = r.is_archived;
+            base.archivedAt = r.archived_at;
             base.updatedAt = r.updated_at;
+            base.score = Number(r.score.toFixed(4));
+            base.highlight = { title: r.title_highlight, snippet: r.snippet || null };
           }
 
+          if (r.text_match === false) base.fuzzy = true;
+
           return base;
         });
         totalHits += routinesResult.rows.length;
       }
 
       return {
-        query: searchQuery,
+        query: queryText,
+        archived: filters.archived,
         results,
         totalHits
       };
     } catch (error) {
-      logger.error('Error in search', { error: error.message, searchQuery });
+      logger.error('Error in search', { error: error.message, queryText });
       throw error;
     }
   }
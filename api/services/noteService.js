@@ -1,7 +1,10 @@
 const pool = require('../db/pool');
 const { v4: uuidv4 } = require('uuid');
 const { logger } = require('../middleware/logger');
+const { staleWriteError } = require('../middleware/concurrency');
 const taskService = require('./taskService');
+const orderingService = require('./orderingService');
+const { withTransaction } = require('../db/transaction');
 
 class NoteService {
   /**
@@ -14,10 +17,12 @@ class NoteService {
       let query = `
         SELECT n.*,
                t.title as task_title,
-               r.title as routine_title
+               r.title as routine_title,
+               np.position
         FROM notes n
         LEFT JOIN tasks t ON n.task_id = t.id
         LEFT JOIN routines r ON n.routine_id = r.id
+        LEFT JOIN note_positions np ON np.id = n.id
         WHERE n.is_archived = false
       `;
 
@@ -39,7 +44,7 @@ class NoteService {
         values.push(filters.routine_id);
       }
 
-      query += ' ORDER BY n.column_position, n.position, n.created_at DESC';
+      query += ' ORDER BY n.column_position, n.rank, n.id';
 
       const result = await pool.query(query, values);
       return result.rows;
@@ -58,10 +63,12 @@ class NoteService {
       const query = `
         SELECT n.*,
                t.title as task_title,
-               r.title as routine_title
+               r.title as routine_title,
+               np.position
         FROM notes n
         LEFT JOIN tasks t ON n.task_id = t.id
         LEFT JOIN routines r ON n.routine_id = r.id
+        LEFT JOIN note_positions np ON np.id = n.id
         WHERE n.is_archived = true
         ORDER BY n.archived_at DESC, n.created_at DESC
       `;
@@ -77,21 +84,24 @@ class NoteService {
   /**
    * Get a single note by ID
    * @param {String} noteId - Note UUID
+   * @param {Object} db - pool or a client inside a transaction
    * @returns {Object} Note
    */
-  async getNoteById(noteId) {
+  async getNoteById(noteId, db = pool) {
     try {
       const query = `
         SELECT n.*,
                t.title as task_title,
-               r.title as routine_title
+               r.title as routine_title,
+               np.position
         FROM notes n
         LEFT JOIN tasks t ON n.task_id = t.id
         LEFT JOIN routines r ON n.routine_id = r.id
+        LEFT JOIN note_positions np ON np.id = n.id
         WHERE n.id = $1
       `;
 
-      const result = await pool.query(query, [noteId]);
+      const result = await db.query(query, [noteId]);
       return result.rows[0];
     } catch (error) {
       logger.error('Error fetching note by ID', { error: error.message, noteId });
@@ -105,7 +115,10 @@ class NoteService {
    * @returns {Object} Created note
    */
   async createNote(noteData) {
+    const client = await pool.connect();
     try {
+      await client.query('BEGIN');
+
       const id = uuidv4();
       
       // Determine column position based on type
@@ -118,12 +131,15 @@ class NoteService {
       const query = `
         INSERT INTO notes (
           id, title, content, type, source, 
-          column_position, task_id, routine_id
+          column_position, task_id, routine_id, rank
         ) VALUES (
-          $1, $2, $3, $4, $5, $6, $7, $8
-        ) RETURNING *
+          $1, $2, $3, $4, $5, $6, $7, $8, $9
+        )
       `;
 
+      // Newest notes go on top of their column
+      const rank = await orderingService.rankForIndex(client, 'notes', columnPosition, 0);
+
       const values = [
         id,
         noteData.title || null,
@@ -132,19 +148,25 @@ class NoteService {
         noteData.source || 'manual',
         columnPosition,
         noteData.task_id || null,
-        noteData.routine_id || null
+        noteData.routine_id || null,
+        rank
       ];
 
-      const result = await pool.query(query, values);
+      await client.query(query, values);
+      await client.query('COMMIT');
+
       logger.info('Note created', { 
         noteId: id, 
         type: noteData.type, 
         source: noteData.source 
       });
-      return result.rows[0];
+      return this.getNoteById(id);
     } catch (error) {
+      await client.query('ROLLBACK');
       logger.error('Error creating note', { error: error.message });
       throw error;
+    } finally {
+      client.release();
     }
   }
 
@@ -152,11 +174,14 @@ class NoteService {
    * Update a note
    * @param {String} noteId - Note ID
    * @param {Object} updates - Fields to update
+   * @param {Number} expectedVersion - Only update if the note is still at this version (optional)
    * @returns {Object} Updated note
+   * @throws {Error} 412 (staleWriteError) when the note has moved past expectedVersion
    */
-  async updateNote(noteId, updates) {
+  async updateNote(noteId, updates, expectedVersion = null) {
     try {
-      const allowedFields = ['title', 'content', 'column_position', 'routine_id', 'task_id'];
+      // Column changes go through moveNote so the note gets a rank in its new column
+      const allowedFields = ['title', 'content', 'routine_id', 'task_id'];
       const setClause = [];
       const values = [];
       let paramCount = 1;
@@ -168,21 +193,40 @@ class NoteService {
         }
       }
 
-      if (setClause.length === 0) {
+      const columnChange = updates.column_position !== undefined && updates.column_position !== null;
+
+      if (setClause.length === 0 && !columnChange) {
         throw new Error('No valid fields to update');
       }
 
-      values.push(noteId);
-      const query = `
-        UPDATE notes 
-        SET ${setClause.join(', ')}, updated_at = NOW()
-        WHERE id = $${paramCount}
-        RETURNING *
-      `;
+      if (setClause.length > 0) {
+        values.push(noteId);
+        let versionCheck = '';
+        if (expectedVersion !== null) {
+          values.push(expectedVersion);
+          versionCheck = ` AND version = $${paramCount + 1}`;
+        }
+        const query = `
+          UPDATE notes 
+          SET ${setClause.join(', ')}, updated_at = NOW()
+          WHERE id = $${paramCount}${versionCheck}
+        `;
+        const result = await pool.query(query, values);
+        if (result.rowCount === 0 && expectedVersion !== null) {
+          throw staleWriteError('note', await this.getNoteById(noteId));
+        }
+        expectedVersion = null; // Checked; the move below follows our own write
+      }
+
+      if (columnChange) {
+        const current = await this.getNoteById(noteId);
+        if (current && current.column_position !== parseInt(updates.column_position)) {
+          await this.moveNote(noteId, parseInt(updates.column_position), null, expectedVersion);
+        }
+      }
 
-      const result = await pool.query(query, values);
       logger.info('Note updated', { noteId, updates });
-      return result.rows[0];
+      return this.getNoteById(noteId);
     } catch (error) {
       logger.error('Error updating note', { error: error.message, noteId });
       throw error;
@@ -192,9 +236,10 @@ class NoteService {
   /**
    * Archive a note
    * @param {String} noteId - Note ID
+   * @param {Object} db - pool or a client inside a transaction
    * @returns {Object} Archived note
    */
-  async archiveNote(noteId) {
+  async archiveNote(noteId, db = pool) {
     try {
       const query = `
         UPDATE notes
@@ -205,7 +250,7 @@ class NoteService {
         RETURNING *
       `;
 
-      const result = await pool.query(query, [noteId]);
+      const result = await db.query(query, [noteId]);
       logger.info('Note archived', { noteId });
       return result.rows[0];
     } catch (error) {
@@ -319,42 +364,47 @@ class NoteService {
   }
 
   /**
-   * Move note to different column
+   * Move note to different column and/or position. Only the note's row is
+   * written: it gets a rank between its new neighbours.
    * @param {String} noteId - Note ID
    * @param {Number} newColumn - New column position (1-4)
-   * @param {Number} newPosition - Position within the column
+   * @param {Number} newPosition - Index within the column (optional, default top)
+   * @param {Number} expectedVersion - Only move if the note is still at this version (optional)
+   * @param {Object} outer - Client of an enclosing transaction to run in (optional)
    * @returns {Object} Updated note
+   * @throws {Error} 412 (staleWriteError) when the note has moved past expectedVersion
    */
-  async moveNote(noteId, newColumn, newPosition = null) {
+  async moveNote(noteId, newColumn, newPosition = null, expectedVersion = null, outer = null) {
+    if (newColumn < 1 || newColumn > 4) {
+      throw new Error('Column position must be between 1 and 4');
+    }
+
     try {
-      if (newColumn < 1 || newColumn > 4) {
-        throw new Error('Column position must be between 1 and 4');
-      }
+      return await withTransaction(async (client) => {
+        if (expectedVersion !== null) {
+          const locked = await client.query('SELECT version FROM notes WHERE id = $1 FOR UPDATE', [noteId]);
+          if (locked.rows.length > 0 && locked.rows[0].version !== expectedVersion) {
+            throw staleWriteError('note', await this.getNoteById(noteId, client));
+          }
+        }
 
-      let query;
-      let values;
-      
-      if (newPosition !== null && newPosition !== undefined) {
-        query = `
+        const rank = await orderingService.rankForIndex(
+          client,
+          'notes',
+          newColumn,
+          newPosition === null || newPosition === undefined ? 0 : newPosition,
+          noteId
+        );
+
+        await client.query(`
           UPDATE notes
-          SET column_position = $1, position = $2, updated_at = NOW()
+          SET column_position = $1, rank = $2, updated_at = NOW()
           WHERE id = $3
-          RETURNING *
-        `;
-        values = [newColumn, newPosition, noteId];
-      } else {
-        query = `
-          UPDATE notes
-          SET column_position = $1, updated_at = NOW()
-          WHERE id = $2
-          RETURNING *
-        `;
-        values = [newColumn, noteId];
-      }
+        `, [newColumn, rank, noteId]);
 
-      const result = await pool.query(query, values);
-      logger.info('Note moved', { noteId, newColumn, newPosition });
-      return result.rows[0];
+        logger.info('Note moved', { noteId, newColumn, newPosition, rank });
+        return this.getNoteById(noteId, client);
+      }, outer);
     } catch (error) {
       logger.error('Error moving note', { error: error.message, noteId });
       throw error;
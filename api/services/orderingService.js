@@ -0,0 +1,231 @@
+const pool = require('../db/pool');
+const { logger } = require('../middleware/logger');
+const { rankBetween, rankSequence } = require('./rankKeys');
+
+/**
+ * Ordering Service
+ * Assigns fractional rank keys (see rankKeys) so moving or inserting an item
+ * writes only that item's row. Each ordered list is a scope:
+ *   - board: tasks and dividers of one column (keyed by column_name) -
+ *     dividers sit between Today's tasks, so they share the ordering
+ *   - notes: active notes of one notes column (keyed by column_position)
+ *   - list:  items of one list task (keyed by task_id)
+ *
+ * API responses keep an integer `position` - the item's index within its
+ * scope - derived by the board_positions, note_positions and
+ * list_item_positions views.
+ *
+ * Keys grow as items are squeezed into the same gap. A background pass
+ * (RANK_REBALANCE_INTERVAL_MINUTES, default 60) rewrites the keys of any
+ * scope whose longest key exceeds MAX_RANK_LENGTH, or that has duplicates.
+ */
+
+const SCOPES = {
+  board: `
+    SELECT id, 'task' AS kind, rank FROM tasks WHERE column_name = $1 AND is_archived = false
+    UNION ALL
+    SELECT id, 'divider' AS kind, rank FROM column_dividers WHERE column_name = $1
+  `,
+  notes: `
+    SELECT id, 'note' AS kind, rank FROM notes WHERE column_position = $1 AND is_archived = false
+  `,
+  list: `
+    SELECT id, 'list_item' AS kind, rank FROM list_items WHERE task_id = $1
+  `
+};
+
+const TABLES = {
+  task: 'tasks',
+  divider: 'column_dividers',
+  note: 'notes',
+  list_item: 'list_items'
+};
+
+const MAX_RANK_LENGTH = 10;
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+class OrderingService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Serialize rank assignment within a scope until the transaction ends,
+   * so two inserts can't pick the same gap
+   * @param {Object} client - pg client inside a transaction
+   * @param {String} scope - board | notes | list
+   * @param {*} key - Scope key
+   */
+  async lockScope(client, scope, key) {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`rank:${scope}:${key}`]);
+  }
+
+  /**
+   * Items of a scope in order
+   * @param {Object} client - pg client
+   * @param {String} scope - board | notes | list
+   * @param {*} key - Scope key
+   * @returns {Array} [{ id, kind, rank }]
+   */
+  async getSlots(client, scope, key) {
+    if (!SCOPES[scope]) {
+      throw new Error(`Unknown ordering scope: ${scope}`);
+    }
+    const result = await client.query(`SELECT * FROM (${SCOPES[scope]}) slots ORDER BY rank, id`, [key]);
+    return result.rows;
+  }
+
+  /**
+   * Rank that places an item at an index of a scope. Must run inside a
+   * transaction; the scope stays locked until it ends.
+   * @param {Object} client - pg client inside a transaction
+   * @param {String} scope - board | notes | list
+   * @param {*} key - Scope key
+   * @param {Number|null} index - Target index among the other items (null = end)
+   * @param {String|null} itemId - The item being placed, if it is already in the scope
+   * @returns {String} Rank key
+   */
+  async rankForIndex(client, scope, key, index = null, itemId = null) {
+    await this.lockScope(client, scope, key);
+
+    let slots = (await this.getSlots(client, scope, key)).filter(slot => slot.id !== itemId);
+    const target = index === null || index === undefined
+      ? slots.length
+      : Math.max(0, Math.min(parseInt(index) || 0, slots.length));
+
+    let before = target > 0 ? slots[target - 1].rank : null;
+    let after = target < slots.length ? slots[target].rank : null;
+
+    // Duplicate neighbours (e.g. concurrent writers before the lock existed) leave no gap
+    if (before !== null && after !== null && before >= after) {
+      await this.rebalance(client, scope, key);
+      slots = (await this.getSlots(client, scope, key)).filter(slot => slot.id !== itemId);
+      before = target > 0 ? slots[target - 1].rank : null;
+      after = target < slots.length ? slots[target].rank : null;
+    }
+
+    return rankBetween(before, after);
+  }
+
+  /**
+   * Rewrite every key in a scope with evenly spaced short keys, keeping the order
+   * @param {Object} client - pg client inside a transaction
+   * @param {String} scope - board | notes | list
+   * @param {*} key - Scope key
+   * @returns {Number} Items rewritten
+   */
+  async rebalance(client, scope, key) {
+    await this.lockScope(client, scope, key);
+
+    const slots = await this.getSlots(client, scope, key);
+    const ranks = rankSequence(slots.length);
+
+    // New keys in the same order aren't an edit: keep row versions (ETags) as they are
+    await client.query("SELECT set_config('clio.skip_version_bump', 'on', true)");
+
+    for (let i = 0; i < slots.length; i++) {
+      if (slots[i].rank === ranks[i]) continue;
+      await client.query(
+        `UPDATE ${TABLES[slots[i].kind]} SET rank = $1 WHERE id = $2`,
+        [ranks[i], slots[i].id]
+      );
+    }
+
+    await client.query("SELECT set_config('clio.skip_version_bump', 'off', true)");
+
+    logger.debug('Rebalanced rank keys', { scope, key, count: slots.length });
+    return slots.length;
+  }
+
+  /**
+   * Scopes whose keys have grown past MAX_RANK_LENGTH or contain duplicates
+   * @returns {Array} [{ scope, key }]
+   */
+  async findUnbalancedScopes() {
+    const result = await pool.query(`
+      SELECT 'board' AS scope, column_name::text AS key
+      FROM (
+        SELECT column_name, rank FROM tasks WHERE is_archived = false
+        UNION ALL
+        SELECT column_name, rank FROM column_dividers
+      ) slots
+      GROUP BY column_name
+      HAVING MAX(length(rank)) > $1 OR COUNT(DISTINCT rank) < COUNT(*)
+      UNION ALL
+      SELECT 'notes', column_position::text
+      FROM notes
+      WHERE is_archived = false
+      GROUP BY column_position
+      HAVING MAX(length(rank)) > $1 OR COUNT(DISTINCT rank) < COUNT(*)
+      UNION ALL
+      SELECT 'list', task_id::text
+      FROM list_items
+      GROUP BY task_id
+      HAVING MAX(length(rank)) > $1 OR COUNT(DISTINCT rank) < COUNT(*)
+    `, [MAX_RANK_LENGTH]);
+    return result.rows;
+  }
+
+  /**
+   * Background pass: rebalance every scope that needs it, one transaction each
+   * @returns {Number} Scopes rebalanced
+   */
+  async rebalanceAll() {
+    if (this.running) return 0;
+    this.running = true;
+
+    try {
+      const scopes = await this.findUnbalancedScopes();
+      let rebalanced = 0;
+
+      for (const { scope, key } of scopes) {
+        const client = await pool.connect();
+        try {
+          await client.query('BEGIN');
+          await this.rebalance(client, scope, key);
+          await client.query('COMMIT');
+          rebalanced++;
+        } catch (error) {
+          await client.query('ROLLBACK');
+          logger.error('Error rebalancing rank keys', { error: error.message, scope, key });
+        } finally {
+          client.release();
+        }
+      }
+
+      if (rebalanced > 0) {
+        logger.info('Rank keys rebalanced', { scopes: rebalanced });
+      }
+      return rebalanced;
+    } catch (error) {
+      logger.error('Error checking rank keys', { error: error.message });
+      return 0;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Start the background rebalancer (RANK_REBALANCE_INTERVAL_MINUTES, default 60)
+   */
+  start() {
+    if (this.timer) return;
+
+    const minutes = parseInt(process.env.RANK_REBALANCE_INTERVAL_MINUTES, 10) || DEFAULT_INTERVAL_MINUTES;
+    this.timer = setInterval(() => this.rebalanceAll(), minutes * 60 * 1000);
+    this.timer.unref();
+
+    logger.info('Rank rebalancer started', { intervalMinutes: minutes });
+    this.rebalanceAll();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new OrderingService();
@@ -1,8 +1,10 @@
 /**
  * RAG Notifier Service
  *
- * Sends notifications to Vivaldi for RAG indexing when clio-board entities change.
- * Fire-and-forget pattern - failures are logged but don't block the operation.
+ * Formats clio-board entities for Vivaldi's RAG index and posts them.
+ * Changes don't go out from here directly: triggers queue them in rag_outbox
+ * in the same transaction as the change (migration 015) and ragOutboxService
+ * delivers them, retrying while Vivaldi is down.
  */
 
 const { logger } = require('../middleware/logger');
@@ -10,70 +12,98 @@ const { logger } = require('../middleware/logger');
 const RAG_ENDPOINT = process.env.VIVALDI_RAG_URL || 'http://192.168.10.21:3002/api/rag/index';
 const RAG_TIMEOUT = parseInt(process.env.RAG_TIMEOUT, 10) || 5000;
 
+let changeListener = null;
+
 /**
- * Notify Vivaldi of a clio-board change for RAG indexing.
- * Fire-and-forget - failures are logged but don't block the operation.
+ * Tell the outbox worker a clio-board entity changed.
+ * The change is already queued; this only gets it delivered now rather than
+ * at the worker's next poll.
  *
- * @param {Object} entity - The entity (task, note, routine) with full data
+ * @param {Object} entity - The entity (task, note, routine)
  * @param {String} entityType - 'task' | 'note' | 'routine'
  * @param {String} action - 'upsert' | 'archive' | 'unarchive' | 'delete'
  */
-async function notifyRAGIndex(entity, entityType, action) {
-  try {
-    const payload = {
-      id: `${entityType}_${entity.id}`,
+function notifyRAGIndex(entity, entityType, action) {
+  logger.debug('RAG change queued', {
+    entityType,
+    entityId: entity && entity.id,
+    action
+  });
+  if (changeListener) {
+    changeListener();
+  }
+}
+
+/**
+ * Register the function notifyRAGIndex calls (the outbox worker's wake-up)
+ * @param {Function} listener
+ */
+function onRAGChange(listener) {
+  changeListener = listener;
+}
+
+/**
+ * Build the index request for an entity
+ *
+ * @param {Object|null} entity - The entity with full data; null once deleted
+ * @param {String} entityType - 'task' | 'note' | 'routine'
+ * @param {String} entityId - Entity ID
+ * @param {String} action - 'upsert' | 'archive' | 'unarchive' | 'delete'
+ * @returns {Object} Payload for VIVALDI_RAG_URL
+ */
+function buildPayload(entity, entityType, entityId, action) {
+  if (!entity || action === 'delete') {
+    return {
+      id: `${entityType}_${entityId}`,
       entity_type: entityType,
-      action: action,
-      text: formatForRAG(entity, entityType),
-      metadata: extractMetadata(entity, entityType),
-      updated_at: entity.updated_at || new Date().toISOString()
+      action: 'delete',
+      text: '',
+      metadata: { entity_type: entityType },
+      updated_at: new Date().toISOString()
     };
+  }
+
+  return {
+    id: `${entityType}_${entity.id}`,
+    entity_type: entityType,
+    action: action,
+    text: formatForRAG(entity, entityType),
+    metadata: extractMetadata(entity, entityType),
+    updated_at: entity.updated_at || new Date().toISOString()
+  };
+}
 
-    // Fire-and-forget with timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), RAG_TIMEOUT);
+/**
+ * Post a payload to Vivaldi
+ *
+ * @param {Object} payload - From buildPayload
+ * @throws {Error} When Vivaldi doesn't accept it; error.unreachable is set when
+ *   it couldn't be reached at all (down, or no answer within RAG_TIMEOUT)
+ */
+async function sendToRAG(payload) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), RAG_TIMEOUT);
 
-    fetch(RAG_ENDPOINT, {
+  let response;
+  try {
+    response = await fetch(RAG_ENDPOINT, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(payload),
       signal: controller.signal
-    })
-      .then(response => {
-        clearTimeout(timeoutId);
-        if (!response.ok) {
-          logger.warn('RAG index notification failed', {
-            entityType,
-            entityId: entity.id,
-            action,
-            status: response.status
-          });
-        } else {
-          logger.debug('RAG index notification sent', {
-            entityType,
-            entityId: entity.id,
-            action
-          });
-        }
-      })
-      .catch(err => {
-        clearTimeout(timeoutId);
-        // Don't log AbortError as warning - it's expected on timeout
-        if (err.name !== 'AbortError') {
-          logger.warn('RAG index notification failed', {
-            entityType,
-            entityId: entity.id,
-            action,
-            error: err.message
-          });
-        }
-      });
-
-  } catch (err) {
-    logger.warn('Failed to build RAG payload', {
-      entityType,
-      error: err.message
     });
+  } catch (err) {
+    const error = new Error(err.name === 'AbortError'
+      ? `No response within ${RAG_TIMEOUT}ms`
+      : (err.cause && err.cause.message) || err.message);
+    error.unreachable = true;
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  if (!response.ok) {
+    throw new Error(`Vivaldi answered ${response.status} ${response.statusText}`.trim());
   }
 }
 
@@ -236,7 +266,11 @@ function extractMetadata(entity, type) {
 }
 
 module.exports = {
+  RAG_ENDPOINT,
   notifyRAGIndex,
+  onRAGChange,
+  buildPayload,
+  sendToRAG,
   formatForRAG,
   extractMetadata
 };
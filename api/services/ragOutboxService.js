@@ -0,0 +1,268 @@
+const pool = require('../db/pool');
+const { logger } = require('../middleware/logger');
+const taskService = require('./taskService');
+const noteService = require('./noteService');
+const routineService = require('./routineService');
+const { RAG_ENDPOINT, onRAGChange, buildPayload, sendToRAG } = require('./ragNotifier');
+
+/**
+ * RAG Outbox Service
+ * Delivers the changes queued in rag_outbox (migration 015) to Vivaldi. Each
+ * entry names an entity and what happened to it; the entity's current data is
+ * read at delivery, so several changes queued for one entity go out as one.
+ *
+ * The worker polls every RAG_OUTBOX_INTERVAL_SECONDS (default 30) and is woken
+ * right after a change through notifyRAGIndex. A failed entry is retried after
+ * 30s, 1m, 2m, ... up to an hour between attempts; after RAG_MAX_ATTEMPTS
+ * (default 10) it is dead-lettered and left for GET /api/rag/status to report.
+ * When Vivaldi can't be reached at all the run stops there and the rest of the
+ * backlog waits for the next poll.
+ */
+
+const DEFAULT_INTERVAL_SECONDS = 30;
+const DEFAULT_MAX_ATTEMPTS = 10;
+const BASE_RETRY_SECONDS = 30;
+const MAX_RETRY_SECONDS = 60 * 60;
+const BATCH_SIZE = 50;
+const FAILURE_LIMIT = 20;
+// Changes saved together (a bulk edit, an import) go out in one run
+const WAKE_DELAY_MS = 1000;
+
+const LOADERS = {
+  task: (id) => taskService.getTaskById(id),
+  note: (id) => noteService.getNoteById(id),
+  routine: (id) => routineService.getRoutineById(id)
+};
+
+class RagOutboxService {
+  constructor() {
+    this.timer = null;
+    this.wakeTimer = null;
+    this.running = false;
+    this.rerun = false;
+    this.stats = {
+      lastRunAt: null,
+      lastDeliveredAt: null,
+      lastFailureAt: null,
+      lastError: null,
+      delivered: 0,
+      failed: 0
+    };
+  }
+
+  getIntervalSeconds() {
+    return parseInt(process.env.RAG_OUTBOX_INTERVAL_SECONDS, 10) || DEFAULT_INTERVAL_SECONDS;
+  }
+
+  getMaxAttempts() {
+    return parseInt(process.env.RAG_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS;
+  }
+
+  /**
+   * Seconds to wait before the next attempt
+   * @param {Number} attempts - Attempts made so far (1 after the first failure)
+   * @returns {Number}
+   */
+  retryDelay(attempts) {
+    return Math.min(BASE_RETRY_SECONDS * Math.pow(2, attempts - 1), MAX_RETRY_SECONDS);
+  }
+
+  /**
+   * Send one outbox entry
+   * @param {Object} entry - rag_outbox row
+   */
+  async deliver(entry) {
+    const entity = entry.action === 'delete' ? null : await LOADERS[entry.entity_type](entry.entity_id);
+    await sendToRAG(buildPayload(entity, entry.entity_type, entry.entity_id, entry.action));
+  }
+
+  /**
+   * Count a failed attempt; schedule the next one or dead-letter the entry
+   * @param {Object} entry - rag_outbox row
+   * @param {Error} error - Why it failed
+   */
+  async recordFailure(entry, error) {
+    const attempts = entry.attempts + 1;
+    const dead = attempts >= this.getMaxAttempts();
+
+    await pool.query(`
+      UPDATE rag_outbox
+      SET attempts = $2,
+          last_error = $3,
+          status = CASE WHEN $4 THEN 'dead' ELSE 'pending' END,
+          next_attempt_at = NOW() + make_interval(secs => $5),
+          updated_at = NOW()
+      WHERE id = $1
+    `, [entry.id, attempts, error.message, dead, this.retryDelay(attempts)]);
+
+    this.stats.failed++;
+    this.stats.lastFailureAt = new Date();
+    this.stats.lastError = error.message;
+
+    const details = {
+      entityType: entry.entity_type,
+      entityId: entry.entity_id,
+      action: entry.action,
+      attempts,
+      error: error.message
+    };
+    if (dead) {
+      logger.error('RAG index delivery gave up', details);
+    } else {
+      logger.warn('RAG index delivery failed', details);
+    }
+  }
+
+  /**
+   * Deliver every entry that is due
+   * @returns {Number} Entries delivered
+   */
+  async deliverDue() {
+    if (this.running) {
+      this.rerun = true;
+      return 0;
+    }
+    this.running = true;
+    this.stats.lastRunAt = new Date();
+
+    let delivered = 0;
+    try {
+      for (;;) {
+        const result = await pool.query(`
+          SELECT * FROM rag_outbox
+          WHERE status = 'pending' AND next_attempt_at <= NOW()
+          ORDER BY next_attempt_at, created_at
+          LIMIT ${BATCH_SIZE}
+        `);
+
+        for (const entry of result.rows) {
+          try {
+            await this.deliver(entry);
+          } catch (error) {
+            await this.recordFailure(entry, error);
+            if (error.unreachable) return delivered;
+            continue;
+          }
+
+          // A change that came in meanwhile bumped the revision; keep it queued
+          await pool.query('DELETE FROM rag_outbox WHERE id = $1 AND revision = $2', [entry.id, entry.revision]);
+          delivered++;
+          this.stats.delivered++;
+          this.stats.lastDeliveredAt = new Date();
+        }
+
+        if (result.rows.length < BATCH_SIZE) break;
+      }
+
+      if (delivered > 0) {
+        logger.debug('RAG index changes delivered', { delivered });
+      }
+      return delivered;
+    } catch (error) {
+      logger.error('Error delivering RAG outbox', { error: error.message });
+      return delivered;
+    } finally {
+      this.running = false;
+      if (this.rerun) {
+        this.rerun = false;
+        this.wake();
+      }
+    }
+  }
+
+  /**
+   * Deliver shortly, without waiting for the next poll
+   */
+  wake() {
+    if (!this.timer || this.wakeTimer) return;
+    this.wakeTimer = setTimeout(() => {
+      this.wakeTimer = null;
+      this.deliverDue();
+    }, WAKE_DELAY_MS);
+    this.wakeTimer.unref();
+  }
+
+  /**
+   * Backlog, dead letters and recent failures
+   * @returns {Object} Outbox status
+   */
+  async getStatus() {
+    try {
+      const counts = await pool.query(`
+        SELECT COUNT(*) FILTER (WHERE status = 'pending') AS pending,
+               COUNT(*) FILTER (WHERE status = 'pending' AND attempts > 0) AS retrying,
+               COUNT(*) FILTER (WHERE status = 'dead') AS dead,
+               MIN(created_at) FILTER (WHERE status = 'pending') AS oldest_pending_at,
+               MIN(next_attempt_at) FILTER (WHERE status = 'pending') AS next_attempt_at
+        FROM rag_outbox
+      `);
+      const failures = await pool.query(`
+        SELECT entity_type, entity_id, action, status, attempts, last_error, next_attempt_at, updated_at
+        FROM rag_outbox
+        WHERE attempts > 0
+        ORDER BY updated_at DESC
+        LIMIT ${FAILURE_LIMIT}
+      `);
+      const row = counts.rows[0];
+
+      return {
+        endpoint: RAG_ENDPOINT,
+        worker: {
+          running: this.timer !== null,
+          intervalSeconds: this.getIntervalSeconds(),
+          maxAttempts: this.getMaxAttempts(),
+          ...this.stats
+        },
+        backlog: {
+          pending: parseInt(row.pending, 10),
+          retrying: parseInt(row.retrying, 10),
+          oldestPendingAt: row.oldest_pending_at,
+          nextAttemptAt: row.next_attempt_at
+        },
+        deadLettered: parseInt(row.dead, 10),
+        failures: failures.rows.map(f => ({
+          entityType: f.entity_type,
+          entityId: f.entity_id,
+          action: f.action,
+          status: f.status,
+          attempts: f.attempts,
+          lastError: f.last_error,
+          nextAttemptAt: f.status === 'dead' ? null : f.next_attempt_at,
+          updatedAt: f.updated_at
+        }))
+      };
+    } catch (error) {
+      logger.error('Error getting RAG outbox status', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Start the outbox worker
+   */
+  start() {
+    if (this.timer) return;
+
+    const seconds = this.getIntervalSeconds();
+    this.timer = setInterval(() => this.deliverDue(), seconds * 1000);
+    this.timer.unref();
+    onRAGChange(() => this.wake());
+
+    logger.info('RAG outbox worker started', { intervalSeconds: seconds, endpoint: RAG_ENDPOINT });
+    this.deliverDue();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.wakeTimer) {
+      clearTimeout(this.wakeTimer);
+      this.wakeTimer = null;
+    }
+    onRAGChange(null);
+  }
+}
+
+module.exports = new RagOutboxService();
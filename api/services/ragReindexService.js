@@ -0,0 +1,237 @@
+const pool = require('../db/pool');
+const { logger } = require('../middleware/logger');
+const { buildPayload, sendToRAG } = require('./ragNotifier');
+
+/**
+ * RAG Reindex Service
+ * Re-sends the whole board to Vivaldi, for when its vector store was wiped or
+ * formatForRAG changed. Entities are read in batches of 100 (by ID) and sent
+ * one by one: active ones as upserts, archived ones as deletes. Entities that
+ * no longer exist but left an audit trail are sent as deletes too, so the
+ * index ends up matching the board.
+ *
+ * Options narrow it down: types (task, note, routine) and since (only what
+ * changed - or was removed - since then). One reindex runs at a time; its
+ * progress is kept until the next one starts.
+ */
+
+const TYPES = ['task', 'note', 'routine'];
+const BATCH_SIZE = 100;
+const ERROR_LIMIT = 20;
+
+// $1 last ID of the previous batch, $2 since
+const BATCHES = {
+  task: `
+    SELECT t.*, r.title AS routine_title,
+           COALESCE(
+             (SELECT json_agg(json_build_object('title', li.title) ORDER BY li.rank, li.id)
+              FROM list_items li
+              WHERE li.task_id = t.id), '[]'::json
+           ) AS items
+    FROM tasks t
+    LEFT JOIN routines r ON t.routine_id = r.id
+    WHERE ($1::uuid IS NULL OR t.id > $1) AND ($2::timestamp IS NULL OR t.updated_at >= $2)
+    ORDER BY t.id
+    LIMIT ${BATCH_SIZE}`,
+  note: `
+    SELECT n.*, t.title AS task_title, r.title AS routine_title
+    FROM notes n
+    LEFT JOIN tasks t ON n.task_id = t.id
+    LEFT JOIN routines r ON n.routine_id = r.id
+    WHERE ($1::uuid IS NULL OR n.id > $1) AND ($2::timestamp IS NULL OR n.updated_at >= $2)
+    ORDER BY n.id
+    LIMIT ${BATCH_SIZE}`,
+  routine: `
+    SELECT r.*
+    FROM routines r
+    WHERE ($1::uuid IS NULL OR r.id > $1) AND ($2::timestamp IS NULL OR r.updated_at >= $2)
+    ORDER BY r.id
+    LIMIT ${BATCH_SIZE}`
+};
+
+const TABLES = { task: 'tasks', note: 'notes', routine: 'routines' };
+
+const invalid = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+class RagReindexService {
+  constructor() {
+    this.progress = null;
+  }
+
+  /**
+   * Check reindex options
+   * @param {Object} options - { types: Array|String (comma-separated), since: String|Date }
+   * @returns {Object} { types: Array, since: Date|null }
+   * @throws {Error} 400 for an unknown type or a bad date
+   */
+  normalizeOptions({ types, since } = {}) {
+    let list = TYPES;
+    if (types !== undefined && types !== null && types !== '') {
+      list = (Array.isArray(types) ? types : String(types).split(','))
+        .map(type => String(type).trim().toLowerCase())
+        .filter(Boolean);
+      const unknown = list.filter(type => !TYPES.includes(type));
+      if (unknown.length > 0 || list.length === 0) {
+        throw invalid(`Unknown entity type "${unknown[0] || ''}" (expected ${TYPES.join(', ')})`);
+      }
+      list = TYPES.filter(type => list.includes(type));
+    }
+
+    let sinceDate = null;
+    if (since !== undefined && since !== null && since !== '') {
+      sinceDate = since instanceof Date ? since : new Date(since);
+      if (isNaN(sinceDate.getTime())) {
+        throw invalid(`Invalid since "${since}" (expected a date or timestamp)`);
+      }
+    }
+
+    return { types: list, since: sinceDate };
+  }
+
+  isRunning() {
+    return Boolean(this.progress && this.progress.status === 'running');
+  }
+
+  /**
+   * Start a reindex in the background
+   * @param {Object} options - See normalizeOptions
+   * @returns {Object} Its progress, updated as it runs
+   * @throws {Error} 400 for bad options, 409 while another reindex runs
+   */
+  start(options) {
+    const normalized = this.normalizeOptions(options);
+    if (this.isRunning()) {
+      const error = new Error('A reindex is already running');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    this.run(normalized).catch(() => {}); // Failures end up in the progress
+    return this.progress;
+  }
+
+  /**
+   * Reindex and wait for it to finish
+   * @param {Object} options - { types, since } (normalized)
+   * @param {Function} onProgress - Called with the progress after every batch
+   * @returns {Object} Final progress
+   */
+  async run({ types, since }, onProgress = () => {}) {
+    const progress = {
+      status: 'running',
+      startedAt: new Date(),
+      finishedAt: null,
+      types,
+      since,
+      total: 0,
+      processed: 0,
+      indexed: 0,
+      deleted: 0,
+      failed: 0,
+      byType: {},
+      errors: [],
+      error: null
+    };
+    this.progress = progress;
+    logger.info('RAG reindex started', { types, since });
+
+    try {
+      const removed = new Map();
+      for (const type of types) {
+        removed.set(type, await this.findRemoved(type, since));
+        const count = await pool.query(
+          `SELECT COUNT(*) FROM ${TABLES[type]} WHERE ($1::timestamp IS NULL OR updated_at >= $1)`,
+          [since]
+        );
+        const total = parseInt(count.rows[0].count, 10) + removed.get(type).length;
+        progress.byType[type] = { total, processed: 0 };
+        progress.total += total;
+      }
+      onProgress(progress);
+
+      for (const type of types) {
+        let lastId = null;
+        for (;;) {
+          const batch = await pool.query(BATCHES[type], [lastId, since]);
+          for (const entity of batch.rows) {
+            await this.send(progress, type, entity.id, entity.is_archived ? null : entity);
+          }
+          onProgress(progress);
+
+          if (batch.rows.length < BATCH_SIZE) break;
+          lastId = batch.rows[batch.rows.length - 1].id;
+        }
+
+        for (const id of removed.get(type)) {
+          await this.send(progress, type, id, null);
+        }
+        onProgress(progress);
+      }
+
+      progress.status = 'completed';
+      logger.info('RAG reindex finished', {
+        indexed: progress.indexed,
+        deleted: progress.deleted,
+        failed: progress.failed
+      });
+    } catch (error) {
+      progress.status = 'failed';
+      progress.error = error.message;
+      logger.error('RAG reindex failed', { error: error.message, processed: progress.processed });
+    } finally {
+      progress.finishedAt = new Date();
+      onProgress(progress);
+    }
+
+    return progress;
+  }
+
+  /**
+   * Send one entity; null sends a delete
+   * @throws {Error} When Vivaldi can't be reached - there's no point going on
+   */
+  async send(progress, type, id, entity) {
+    const action = entity ? 'upsert' : 'delete';
+    try {
+      await sendToRAG(buildPayload(entity, type, id, action));
+      if (entity) {
+        progress.indexed++;
+      } else {
+        progress.deleted++;
+      }
+    } catch (error) {
+      if (error.unreachable) throw error;
+      progress.failed++;
+      if (progress.errors.length < ERROR_LIMIT) {
+        progress.errors.push({ entityType: type, entityId: id, error: error.message });
+      }
+    } finally {
+      progress.processed++;
+      progress.byType[type].processed++;
+    }
+  }
+
+  /**
+   * IDs in the audit log that no longer exist
+   * @param {String} type - 'task' | 'note' | 'routine'
+   * @param {Date|null} since - Only audit entries since then
+   * @returns {Array} Entity IDs
+   */
+  async findRemoved(type, since) {
+    const result = await pool.query(`
+      SELECT DISTINCT a.entity_id
+      FROM audit_log a
+      WHERE a.entity_type = $1
+        AND ($2::timestamp IS NULL OR a.created_at >= $2)
+        AND NOT EXISTS (SELECT 1 FROM ${TABLES[type]} x WHERE x.id = a.entity_id)
+      ORDER BY a.entity_id
+    `, [type, since]);
+    return result.rows.map(row => row.entity_id);
+  }
+}
+
+module.exports = new RagReindexService();
@@ -0,0 +1,125 @@
+/**
+ * Rank Keys
+ *
+ * Fractional ordering keys. A rank is a string of base-62 digits
+ * ('0'-'9', 'A'-'Z', 'a'-'z', which sort in that order byte-wise) read as
+ * a fraction after the point, so there is always room for another key
+ * between two neighbours and a move only rewrites the row that moved.
+ * Rank columns use COLLATE "C" so Postgres compares them the same way.
+ *
+ * Keys never end in '0' - "A0" and "A" would be the same fraction.
+ */
+
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const BASE = DIGITS.length;
+const KEY_PATTERN = /^[0-9A-Za-z]*[1-9A-Za-z]$/;
+
+/**
+ * @param {*} key
+ * @returns {Boolean} Whether the value is a usable rank key
+ */
+function isValidRank(key) {
+  return typeof key === 'string' && KEY_PATTERN.test(key);
+}
+
+/**
+ * Digits strictly between two digit strings
+ * @param {String} a - Lower bound ('' = start)
+ * @param {String|null} b - Upper bound (null = end)
+ * @returns {String}
+ */
+function midpoint(a, b) {
+  if (b !== null) {
+    // Keep the shared prefix and split what follows
+    let n = 0;
+    while ((a[n] || '0') === b[n]) n++;
+    if (n > 0) {
+      return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+    }
+  }
+
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : BASE;
+
+  if (digitB - digitA > 1) {
+    return DIGITS[Math.round((digitA + digitB) / 2)];
+  }
+
+  // Adjacent digits: b's first digit on its own is between when b is longer
+  if (b !== null && b.length > 1) {
+    return b.slice(0, 1);
+  }
+
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+}
+
+/**
+ * Rank that sorts between two others
+ * @param {String|null} before - Rank of the previous item (null = first)
+ * @param {String|null} after - Rank of the next item (null = last)
+ * @returns {String} New rank
+ */
+function rankBetween(before, after) {
+  if (before !== null && !isValidRank(before)) {
+    throw new Error(`Invalid rank key: ${before}`);
+  }
+  if (after !== null && !isValidRank(after)) {
+    throw new Error(`Invalid rank key: ${after}`);
+  }
+  if (before !== null && after !== null && before >= after) {
+    throw new Error(`Rank keys out of order: ${before} >= ${after}`);
+  }
+
+  if (before === null && after === null) {
+    return DIGITS[BASE / 2];
+  }
+
+  // Open ends step one digit instead of halving, so repeated appends
+  // (new tasks) and prepends (move to top) grow keys slowly
+  if (after === null) {
+    const head = DIGITS.indexOf(before[0]);
+    if (head < BASE - 1) return DIGITS[head + 1];
+    return before[0] + (before.length > 1 ? rankBetween(before.slice(1), null) : DIGITS[BASE / 2]);
+  }
+
+  if (before === null) {
+    const head = DIGITS.indexOf(after[0]);
+    if (head > 1) return DIGITS[head - 1];
+    if (head === 1) return after.length > 1 ? after[0] : DIGITS[0] + DIGITS[BASE - 1];
+    return after[0] + rankBetween(null, after.slice(1));
+  }
+
+  return midpoint(before, after);
+}
+
+/**
+ * Evenly spaced ranks for a freshly ordered list (used when rebalancing)
+ * @param {Number} count - Number of keys
+ * @returns {Array} Ascending rank keys, as short as the count allows
+ */
+function rankSequence(count) {
+  // Leave at least BASE free slots between neighbours
+  let length = 1;
+  while (Math.pow(BASE, length) < (count + 1) * BASE) length++;
+
+  const step = Math.floor(Math.pow(BASE, length) / (count + 1));
+  const keys = [];
+
+  for (let i = 1; i <= count; i++) {
+    let value = i * step;
+    let key = '';
+    for (let d = 0; d < length; d++) {
+      key = DIGITS[value % BASE] + key;
+      value = Math.floor(value / BASE);
+    }
+    keys.push(key.replace(/0+$/, ''));
+  }
+
+  return keys;
+}
+
+module.exports = {
+  isValidRank,
+  rankBetween,
+  rankSequence
+};
@@ -0,0 +1,376 @@
+const pool = require('../db/pool');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('../middleware/logger');
+const { auditLogger, systemRequest } = require('../middleware/auditLog');
+const taskService = require('./taskService');
+const calendar = require('./boardCalendar');
+const { notifyRAGIndex } = require('./ragNotifier');
+const orderingService = require('./orderingService');
+
+/**
+ * Recurrence Service
+ * Validates task recurrence rules and generates the next instance of a
+ * recurring task, either when the current one is completed or when the next
+ * occurrence date arrives. A scheduler inside the API process checks for due
+ * series periodically (and, with DUE_DATE_PLACEMENT=true, moves tasks that
+ * have gone overdue into Today).
+ *
+ * Rule shapes (stored in tasks.recurrence_rule):
+ *   { frequency: 'daily', interval: 2 }                 - every 2 days
+ *   { frequency: 'weekly', weekdays: [1, 4] }           - Mondays and Thursdays (0 = Sunday)
+ *   { frequency: 'monthly', day_of_month: 15 }          - the 15th (clamped to month length)
+ *   { frequency: 'after_completion', interval: 7 }      - 7 days after the last one was completed
+ */
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'after_completion'];
+const DEFAULT_INTERVAL_MINUTES = 15;
+// Guards the catch-up loop against a rule that never advances
+const MAX_CATCH_UP = 1000;
+
+class RecurrenceService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Validate and normalize a recurrence rule
+   * @param {Object|null} rule - Rule from the request body
+   * @returns {Object|null} Normalized rule (null clears recurrence)
+   */
+  normalizeRule(rule) {
+    if (rule === null || rule === undefined) return null;
+
+    const fail = (message) => {
+      const error = new Error(`Invalid recurrence_rule: ${message}`);
+      error.statusCode = 400;
+      throw error;
+    };
+
+    if (typeof rule !== 'object' || Array.isArray(rule)) {
+      fail('must be an object');
+    }
+
+    if (!FREQUENCIES.includes(rule.frequency)) {
+      fail(`frequency must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+
+    const interval = rule.interval === undefined ? 1 : parseInt(rule.interval);
+    if (isNaN(interval) || interval < 1 || interval > 365) {
+      fail('interval must be between 1 and 365');
+    }
+
+    switch (rule.frequency) {
+      case 'daily':
+      case 'after_completion':
+        return { frequency: rule.frequency, interval };
+      case 'weekly': {
+        const weekdays = Array.isArray(rule.weekdays) ? rule.weekdays.map(Number) : [];
+        if (weekdays.length === 0 || weekdays.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+          fail('weekdays must be a non-empty array of 0 (Sunday) to 6 (Saturday)');
+        }
+        return { frequency: 'weekly', weekdays: [...new Set(weekdays)].sort((a, b) => a - b) };
+      }
+      case 'monthly': {
+        const dayOfMonth = parseInt(rule.day_of_month);
+        if (isNaN(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) {
+          fail('day_of_month must be between 1 and 31');
+        }
+        return { frequency: 'monthly', day_of_month: dayOfMonth, interval };
+      }
+    }
+  }
+
+  /**
+   * First occurrence strictly after a calendar day
+   * @param {Object} rule - Normalized rule (not after_completion)
+   * @param {String} after - 'YYYY-MM-DD'
+   * @returns {String} 'YYYY-MM-DD'
+   */
+  nextOccurrence(rule, after) {
+    switch (rule.frequency) {
+      case 'daily':
+      case 'after_completion':
+        return calendar.addDays(after, rule.interval || 1);
+      case 'weekly': {
+        for (let i = 1; i <= 7; i++) {
+          const candidate = calendar.addDays(after, i);
+          if (rule.weekdays.includes(calendar.parseDate(candidate).getDay())) {
+            return candidate;
+          }
+        }
+        throw new Error('Weekly rule has no weekdays');
+      }
+      case 'monthly': {
+        const base = calendar.parseDate(after);
+        const dayInMonth = (monthOffset) => {
+          const first = new Date(base.getFullYear(), base.getMonth() + monthOffset, 1);
+          const lastDay = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+          return calendar.toDateString(
+            new Date(first.getFullYear(), first.getMonth(), Math.min(rule.day_of_month, lastDay))
+          );
+        };
+        const sameMonth = dayInMonth(0);
+        return sameMonth > after ? sameMonth : dayInMonth(rule.interval || 1);
+      }
+      default:
+        throw new Error(`Unknown frequency: ${rule.frequency}`);
+    }
+  }
+
+  /**
+   * Due date of the instance that should follow a task, if one is due now.
+   * Calendar rules generate when the task is completed or when the next
+   * occurrence arrives; after_completion rules only on completion.
+   * @param {Object} task - tasks row (the latest instance of its series)
+   * @param {String} referenceDay - 'YYYY-MM-DD' (default today)
+   * @returns {String|null} Due date for the next instance, or null if not due yet
+   */
+  nextInstanceDate(task, referenceDay = calendar.today()) {
+    const rule = task.recurrence_rule;
+    if (!rule) return null;
+
+    const completed = task.status === 'completed';
+
+    if (rule.frequency === 'after_completion') {
+      if (!completed) return null;
+      const completedDay = calendar.toDateString(task.completed_at || task.updated_at || new Date());
+      return calendar.addDays(completedDay, rule.interval || 1);
+    }
+
+    const base = calendar.toDateString(task.due_date || task.created_at);
+    let next = this.nextOccurrence(rule, base);
+
+    if (completed) {
+      // Finished late: skip occurrences already in the past
+      for (let i = 0; next < referenceDay && i < MAX_CATCH_UP; i++) {
+        next = this.nextOccurrence(rule, next);
+      }
+      return next;
+    }
+
+    if (next > referenceDay) return null;
+
+    // Left undone across several occurrences: jump to the latest one that has arrived
+    for (let i = 0; i < MAX_CATCH_UP; i++) {
+      const following = this.nextOccurrence(rule, next);
+      if (following > referenceDay) break;
+      next = following;
+    }
+    return next;
+  }
+
+  /**
+   * Create the next instance of a recurring task if it is due.
+   * The new task copies title, notes, routine, rule and list items (unchecked)
+   * and is placed in the column matching its due date.
+   * @param {String} taskId - Latest instance of the series
+   * @returns {Object|null} Created task, or null if nothing was due
+   */
+  async generateNext(taskId) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Lock the row so a completion and a scheduler tick can't both generate
+      const taskResult = await client.query(`
+        SELECT t.*, r.status as routine_status, r.is_archived as routine_archived
+        FROM tasks t
+        LEFT JOIN routines r ON t.routine_id = r.id
+        WHERE t.id = $1
+        FOR UPDATE OF t
+      `, [taskId]);
+      const task = taskResult.rows[0];
+
+      if (!task || !task.recurrence_rule || task.recurrence_next_id || task.is_archived) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      // Paused or finished routines stop generating until they are active again
+      if (task.routine_id && (task.routine_status !== 'active' || task.routine_archived)) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const dueDate = this.nextInstanceDate(task);
+      if (!dueDate) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const columnName = calendar.columnForDate(dueDate);
+      const rank = await orderingService.rankForIndex(client, 'board', columnName);
+
+      // Copied items keep their rank keys, so they stay in the same order
+      const itemsResult = await client.query(
+        'SELECT title, rank FROM list_items WHERE task_id = $1 ORDER BY rank, id',
+        [taskId]
+      );
+
+      const id = uuidv4();
+      const insertResult = await client.query(`
+        INSERT INTO tasks (
+          id, routine_id, title, notes, type, status,
+          due_date, rank, column_name,
+          recurrence_rule, recurrence_series_id
+        ) VALUES (
+          $1, $2, $3, $4, $5, 'pending',
+          $6, $7, $8,
+          $9, $10
+        ) RETURNING *
+      `, [
+        id,
+        task.routine_id,
+        task.title,
+        task.notes,
+        itemsResult.rows.length > 0 ? 'list' : 'task',
+        dueDate,
+        rank,
+        columnName,
+        task.recurrence_rule,
+        task.recurrence_series_id || task.id
+      ]);
+
+      for (const item of itemsResult.rows) {
+        await client.query(
+          'INSERT INTO list_items (id, task_id, title, completed, rank) VALUES ($1, $2, $3, false, $4)',
+          [uuidv4(), id, item.title, item.rank]
+        );
+      }
+
+      await client.query(
+        'UPDATE tasks SET recurrence_next_id = $1 WHERE id = $2',
+        [id, taskId]
+      );
+
+      await client.query('COMMIT');
+
+      await auditLogger('create_task', 'task', id, null, insertResult.rows[0], systemRequest);
+
+      logger.info('Recurring task generated', {
+        previousTaskId: taskId,
+        taskId: id,
+        dueDate,
+        column: columnName
+      });
+      return insertResult.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error generating recurring task', { error: error.message, taskId });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Generate the follow-up instance right after a task is completed.
+   * Failures are logged, not thrown - the scheduler retries on its next tick.
+   * @param {String} taskId - Completed task
+   * @returns {Object|null} Created task
+   */
+  async handleCompletion(taskId) {
+    try {
+      const created = await this.generateNext(taskId);
+      if (created) {
+        await this.notifyCreated(created.id);
+      }
+      return created;
+    } catch (error) {
+      logger.error('Error handling recurring task completion', { error: error.message, taskId });
+      return null;
+    }
+  }
+
+  /**
+   * Scheduler tick: generate every series whose next instance is due
+   * @returns {Number} Number of tasks created
+   */
+  async processDueSeries() {
+    if (this.running) return 0;
+    this.running = true;
+
+    try {
+      // Only the latest instance of each live series can generate
+      const result = await pool.query(`
+        SELECT id FROM tasks
+        WHERE recurrence_rule IS NOT NULL
+          AND recurrence_next_id IS NULL
+          AND is_archived = false
+      `);
+
+      let created = 0;
+      for (const row of result.rows) {
+        try {
+          const task = await this.generateNext(row.id);
+          if (task) {
+            created++;
+            await this.notifyCreated(task.id);
+          }
+        } catch (error) {
+          // Already logged - keep going with the other series
+        }
+      }
+
+      if (created > 0) {
+        logger.info('Recurring tasks generated', { created, checked: result.rows.length });
+      }
+      return created;
+    } catch (error) {
+      logger.error('Error processing recurring tasks', { error: error.message });
+      return 0;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * @param {String} taskId - Newly generated task
+   */
+  async notifyCreated(taskId) {
+    const fullTask = await taskService.getTaskById(taskId);
+    if (fullTask) notifyRAGIndex(fullTask, 'task', 'upsert');
+  }
+
+  /**
+   * Scheduler tick: due series, then - with due-date placement on - overdue
+   * tasks into Today
+   */
+  async tick() {
+    await this.processDueSeries();
+
+    if (!taskService.shouldPlaceByDueDate()) return;
+    try {
+      const moved = await taskService.surfaceOverdueTasks();
+      for (const task of moved) {
+        notifyRAGIndex(task, 'task', 'upsert');
+      }
+    } catch (error) {
+      // Logged in surfaceOverdueTasks - try again next tick
+    }
+  }
+
+  /**
+   * Start the in-process scheduler (RECURRENCE_INTERVAL_MINUTES, default 15)
+   */
+  start() {
+    if (this.timer) return;
+
+    const minutes = parseInt(process.env.RECURRENCE_INTERVAL_MINUTES, 10) || DEFAULT_INTERVAL_MINUTES;
+    this.timer = setInterval(() => this.tick(), minutes * 60 * 1000);
+    this.timer.unref();
+
+    logger.info('Recurrence scheduler started', { intervalMinutes: minutes });
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new RecurrenceService();
@@ -0,0 +1,180 @@
+const pool = require('../db/pool');
+const { logger } = require('../middleware/logger');
+
+/**
+ * Related Service
+ * Finds tasks and notes related to a task or note, computed in Postgres so it
+ * works without the Vivaldi RAG service. A candidate is related when it
+ *   - is linked to it (a note attached to the task, or the note's task)
+ *   - is in the same routine
+ *   - shares keywords: the source's search_vector lexemes (title words first,
+ *     then the most frequent) ORed into a tsquery and ranked with ts_rank
+ *   - has a similar title (pg_trgm, migration 014)
+ * and is scored by adding those up. Archived items are left out.
+ */
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+const KEYWORDS = 32;
+const WEIGHTS = { linked: 1, routine: 0.3 };
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const SOURCES = {
+  task: `
+    SELECT t.id, t.title, t.routine_id, NULL::uuid AS task_id,
+           ARRAY(
+             SELECT u.lexeme FROM unnest(t.search_vector) u
+             ORDER BY 'A' = ANY(u.weights) DESC, cardinality(u.positions) DESC
+             LIMIT ${KEYWORDS}
+           ) AS keywords
+    FROM tasks t
+    WHERE t.id = $1`,
+  note: `
+    SELECT n.id, n.title, n.routine_id, n.task_id,
+           ARRAY(
+             SELECT u.lexeme FROM unnest(n.search_vector) u
+             ORDER BY 'A' = ANY(u.weights) DESC, cardinality(u.positions) DESC
+             LIMIT ${KEYWORDS}
+           ) AS keywords
+    FROM notes n
+    WHERE n.id = $1`
+};
+
+// Lexemes are already normalized, so they go straight into a tsquery literal
+const keywordQuery = (keywords) => keywords
+  .map(lexeme => `'${lexeme.replace(/\\/g, '\\\\').replace(/'/g, "''")}'`)
+  .join(' | ');
+
+class RelatedService {
+  /**
+   * Tasks and notes related to a task or note
+   * @param {string} entityType - 'task' or 'note'
+   * @param {string} id - Task or note ID
+   * @param {Object} options - { limit } per kind (default 5, max 20)
+   * @returns {Object|null} { entityType, entityId, title, tasks, notes }, null if not found
+   */
+  async getRelated(entityType, id, options = {}) {
+    try {
+      if (!UUID_PATTERN.test(id || '')) return null;
+      const sourceResult = await pool.query(SOURCES[entityType], [id]);
+      if (sourceResult.rows.length === 0) {
+        return null;
+      }
+      const source = sourceResult.rows[0];
+      const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+      const keywords = keywordQuery(source.keywords || []) || null;
+
+      const [tasks, notes] = await Promise.all([
+        this.relatedTasks(entityType, source, keywords, limit),
+        this.relatedNotes(entityType, source, keywords, limit)
+      ]);
+
+      return {
+        entityType,
+        entityId: source.id,
+        title: source.title,
+        tasks,
+        notes
+      };
+    } catch (error) {
+      logger.error('Error getting related items', { error: error.message, entityType, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Related tasks
+   * $1 source ID (left out when the source is a task), $2 its task (a note's),
+   * $3 routine, $4 keyword tsquery, $5 title
+   */
+  async relatedTasks(entityType, source, keywords, limit) {
+    const result = await pool.query(`
+      SELECT c.id, c.title, c.column_name, c.status, c.due_date, r.title AS routine_title,
+             c.id = $2 AS linked,
+             c.routine_id = $3 AS same_routine,
+             COALESCE(ts_rank(c.search_vector, $4::tsquery), 0) AS keyword_rank,
+             COALESCE(c.search_vector @@ $4::tsquery, false) AS keyword_match,
+             similarity(c.title, $5) AS title_similarity
+      FROM tasks c
+      LEFT JOIN routines r ON c.routine_id = r.id
+      WHERE c.is_archived = false
+        AND c.id IS DISTINCT FROM $1
+        AND (c.id = $2 OR c.routine_id = $3 OR c.search_vector @@ $4::tsquery OR c.title % $5)
+    `, [entityType === 'task' ? source.id : null, source.task_id, source.routine_id, keywords, source.title || '']);
+
+    return this.rank(result.rows, limit).map(({ row, score, reasons }) => ({
+      id: row.id,
+      title: row.title,
+      column: row.column_name,
+      status: row.status,
+      due: row.due_date,
+      routine: row.routine_title,
+      score,
+      reasons
+    }));
+  }
+
+  /**
+   * Related notes
+   * $1 source ID (left out when the source is a note), $2 task they'd be attached
+   * to, $3 routine, $4 keyword tsquery, $5 title
+   */
+  async relatedNotes(entityType, source, keywords, limit) {
+    const result = await pool.query(`
+      SELECT c.id, c.title, left(c.content, 100) AS preview, c.type, r.title AS routine_title,
+             c.task_id = $2 AS linked,
+             c.routine_id = $3 AS same_routine,
+             COALESCE(ts_rank(c.search_vector, $4::tsquery), 0) AS keyword_rank,
+             COALESCE(c.search_vector @@ $4::tsquery, false) AS keyword_match,
+             COALESCE(similarity(c.title, $5), 0) AS title_similarity
+      FROM notes c
+      LEFT JOIN routines r ON c.routine_id = r.id
+      WHERE c.is_archived = false
+        AND c.id IS DISTINCT FROM $1
+        AND (c.task_id = $2 OR c.routine_id = $3 OR c.search_vector @@ $4::tsquery OR c.title % $5)
+    `, [
+      entityType === 'note' ? source.id : null,
+      entityType === 'task' ? source.id : source.task_id,
+      source.routine_id,
+      keywords,
+      source.title || ''
+    ]);
+
+    return this.rank(result.rows, limit).map(({ row, score, reasons }) => ({
+      id: row.id,
+      title: row.title,
+      preview: row.preview,
+      type: row.type,
+      routine: row.routine_title,
+      score,
+      reasons
+    }));
+  }
+
+  /**
+   * Score candidates, best first
+   * @param {Array} rows - Candidates with linked, same_routine, keyword_* and title_similarity
+   * @param {number} limit - How many to keep
+   * @returns {Array} [{ row, score, reasons }] - reasons: linked, routine, keywords, title
+   */
+  rank(rows, limit) {
+    return rows
+      .map(row => {
+        const reasons = [];
+        if (row.linked) reasons.push('linked');
+        if (row.same_routine) reasons.push('routine');
+        if (row.keyword_match) reasons.push('keywords');
+        if (row.title_similarity >= 0.3) reasons.push('title');
+
+        const score = (row.linked ? WEIGHTS.linked : 0) +
+          (row.same_routine ? WEIGHTS.routine : 0) +
+          row.keyword_rank +
+          row.title_similarity;
+        return { row, score: Math.round(score * 100) / 100, reasons };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+module.exports = new RelatedService();
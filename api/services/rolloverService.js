@@ -0,0 +1,434 @@
+const pool = require('../db/pool');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('../middleware/logger');
+const { auditLogger, transactionAudit, systemRequest } = require('../middleware/auditLog');
+const { withTransaction } = require('../db/transaction');
+const taskService = require('./taskService');
+const calendar = require('./boardCalendar');
+const { notifyRAGIndex } = require('./ragNotifier');
+const orderingService = require('./orderingService');
+
+/**
+ * Rollover Service
+ * When ROLLOVER_ENABLED=true, once a day at ROLLOVER_TIME (local 'HH:MM',
+ * default 03:00), shifts tasks forward so the time-based columns match the
+ * new day:
+ *   - everything in Tomorrow moves to Today
+ *   - undated This Week tasks move to Tomorrow once the week they were
+ *     planned for is down to its last day: rolling into Saturday, when the
+ *     This Week column switches to next week, what is left of this week
+ *     goes to Tomorrow (Sunday). On other days they stay put - moving them
+ *     every day would empty This Week into Tomorrow each morning.
+ *   - dated tasks move to the column their due_date now belongs in
+ *     (never further out than where they already are)
+ *
+ * Tasks rolling into Today go to the top, above the first divider, in their
+ * previous order. Each run writes one 'rollover_columns' audit entry (actor
+ * 'system'), in the same transaction as the moves, holding the columns and
+ * rank keys before and after, which undoLastRun uses to put the board back.
+ */
+
+const COLUMN_ORDER = ['today', 'tomorrow', 'this_week', 'horizon'];
+const DEFAULT_ROLLOVER_TIME = '03:00';
+const ROLLOVER_ACTION = 'rollover_columns';
+
+class RolloverService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Configured rollover time
+   * @returns {Object} { hours, minutes, label }
+   */
+  getRolloverTime() {
+    const raw = process.env.ROLLOVER_TIME || DEFAULT_ROLLOVER_TIME;
+    const match = /^(\d{1,2}):(\d{2})$/.exec(raw);
+    const hours = match ? parseInt(match[1], 10) : NaN;
+    const minutes = match ? parseInt(match[2], 10) : NaN;
+
+    if (isNaN(hours) || hours > 23 || minutes > 59) {
+      logger.warn('Invalid ROLLOVER_TIME, using default', { value: raw, default: DEFAULT_ROLLOVER_TIME });
+      return { hours: 3, minutes: 0, label: DEFAULT_ROLLOVER_TIME };
+    }
+
+    return { hours, minutes, label: `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}` };
+  }
+
+  /**
+   * Most recent scheduled rollover moment at or before `now`
+   * @param {Date} now
+   * @returns {Date}
+   */
+  lastScheduledTime(now = new Date()) {
+    const { hours, minutes } = this.getRolloverTime();
+    const scheduled = new Date(now);
+    scheduled.setHours(hours, minutes, 0, 0);
+    if (scheduled > now) {
+      scheduled.setDate(scheduled.getDate() - 1);
+    }
+    return scheduled;
+  }
+
+  /**
+   * Latest rollover audit entry
+   * @returns {Object|null} audit_log row
+   */
+  async getLastRun() {
+    const result = await pool.query(`
+      SELECT * FROM audit_log
+      WHERE action = $1
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [ROLLOVER_ACTION]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Day the board was last rolled into, from the latest run that wasn't undone
+   * @param {String} day - 'YYYY-MM-DD' the board is rolling into now
+   * @returns {String} 'YYYY-MM-DD' (the day before `day` when there is no such run)
+   */
+  async getPreviousDay(day) {
+    const result = await pool.query(`
+      SELECT created_at FROM audit_log
+      WHERE action = $1 AND undone_at IS NULL
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [ROLLOVER_ACTION]);
+    return result.rows[0] ? calendar.toDateString(result.rows[0].created_at) : calendar.addDays(day, -1);
+  }
+
+  /**
+   * Scheduler state for GET /api/rollover
+   * @returns {Object} { enabled, time, nextRunAt, lastRun }
+   */
+  async getStatus() {
+    try {
+      const lastRun = await this.getLastRun();
+      const next = this.lastScheduledTime();
+      next.setDate(next.getDate() + 1);
+
+      return {
+        enabled: this.isEnabled(),
+        time: this.getRolloverTime().label,
+        nextRunAt: next,
+        lastRun: lastRun ? {
+          auditId: lastRun.id,
+          ranAt: lastRun.created_at,
+          moved: lastRun.new_state ? (lastRun.new_state.moved || []).length : 0,
+          undone: !!lastRun.undone_at
+        } : null
+      };
+    } catch (error) {
+      logger.error('Error fetching rollover status', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Work out which tasks move where, without changing anything
+   * @param {Array} tasks - Active tasks (id, title, column_name, due_date)
+   * @param {String} day - 'YYYY-MM-DD' the board is rolling into
+   * @param {String} previousDay - 'YYYY-MM-DD' the board was last rolled into (default the day before)
+   * @returns {Array} [{ id, title, from, to }]
+   */
+  planMoves(tasks, day, previousDay = calendar.addDays(day, -1)) {
+    const moves = [];
+    // The week This Week showed on the previous day ends tomorrow (or already has)
+    const weekClosing = calendar.weekColumnEnd(previousDay) <= calendar.addDays(day, 1);
+
+    for (const task of tasks) {
+      let target = task.column_name;
+
+      if (task.column_name === 'tomorrow') {
+        target = 'today';
+      } else if (task.column_name === 'this_week' && !task.due_date && weekClosing) {
+        target = 'tomorrow';
+      }
+
+      if (task.due_date) {
+        const dated = calendar.columnForDate(calendar.toDateString(task.due_date), day);
+        if (COLUMN_ORDER.indexOf(dated) < COLUMN_ORDER.indexOf(target)) {
+          target = dated;
+        }
+      }
+
+      if (target !== task.column_name) {
+        moves.push({ id: task.id, title: task.title, from: task.column_name, to: target });
+      }
+    }
+
+    return moves;
+  }
+
+  /**
+   * Order of every active task and Today divider in the given columns
+   * @param {Object} client - pg client
+   * @param {Array} columns - Column names
+   * @returns {Object} { tasks, dividers }
+   */
+  async snapshotColumns(client, columns) {
+    const tasks = await client.query(`
+      SELECT t.id, t.title, t.column_name, t.rank, bp.position
+      FROM tasks t
+      JOIN board_positions bp ON bp.id = t.id
+      WHERE t.column_name = ANY($1::text[]) AND t.is_archived = false
+      ORDER BY t.column_name, t.rank, t.id
+    `, [columns]);
+
+    const dividers = columns.includes('today')
+      ? await client.query(`
+          SELECT d.id, d.rank, bp.position
+          FROM column_dividers d
+          JOIN board_positions bp ON bp.id = d.id
+          WHERE d.column_name = 'today'
+          ORDER BY d.rank, d.id
+        `)
+      : { rows: [] };
+
+    return { tasks: tasks.rows, dividers: dividers.rows };
+  }
+
+  /**
+   * Roll the board forward to today
+   * @param {Object} options - force: run even if a rollover already ran since the last scheduled time
+   * @returns {Object} { ran, moved, auditId? }
+   */
+  async run(options = {}) {
+    if (this.running) {
+      return { ran: false, moved: [], reason: 'Rollover already in progress' };
+    }
+    this.running = true;
+
+    try {
+      const day = calendar.today();
+
+      if (!options.force) {
+        const lastRun = await this.getLastRun();
+        if (!lastRun) {
+          // Never run before: the board is already how the user wants it today,
+          // so start counting from now instead of rolling mid-day
+          const audit = await this.recordBaseline(day);
+          logger.info('Daily rollover baseline recorded', { day });
+          return { ran: false, moved: [], reason: 'First run - baseline recorded', auditId: audit ? audit.id : null };
+        }
+        if (new Date(lastRun.created_at) >= this.lastScheduledTime()) {
+          return { ran: false, moved: [], reason: 'Already rolled over today' };
+        }
+      }
+
+      const tasksResult = await pool.query(`
+        SELECT id, title, column_name, due_date FROM tasks
+        WHERE is_archived = false AND column_name <> 'today'
+        ORDER BY array_position($1::text[], column_name::text), rank, id
+      `, [COLUMN_ORDER]);
+
+      const moves = this.planMoves(tasksResult.rows, day, await this.getPreviousDay(day));
+      const columns = [...new Set(moves.flatMap(m => [m.from, m.to]))];
+
+      let trail = null;
+      const audit = await withTransaction(async (client) => {
+        trail = transactionAudit(client, systemRequest);
+        let before = { tasks: [], dividers: [] };
+        let after = { tasks: [], dividers: [] };
+
+        if (moves.length > 0) {
+          before = await this.snapshotColumns(client, columns);
+
+          // Today: rolled tasks go on top, ahead of the first divider, keeping their
+          // order - so insert them at the top last-to-first.
+          // Other columns: appended after what is already there.
+          const intoToday = moves.filter(m => m.to === 'today').reverse();
+          for (const move of intoToday) {
+            const rank = await orderingService.rankForIndex(client, 'board', 'today', 0, move.id);
+            await client.query(
+              'UPDATE tasks SET column_name = $1, rank = $2 WHERE id = $3',
+              ['today', rank, move.id]
+            );
+          }
+
+          for (const move of moves.filter(m => m.to !== 'today')) {
+            const rank = await orderingService.rankForIndex(client, 'board', move.to, null, move.id);
+            await client.query(
+              'UPDATE tasks SET column_name = $1, rank = $2 WHERE id = $3',
+              [move.to, rank, move.id]
+            );
+          }
+
+          after = await this.snapshotColumns(client, columns);
+        }
+
+        return trail.log(
+          ROLLOVER_ACTION,
+          'board',
+          uuidv4(), // Each run is its own 'board' entity
+          { title: `Rollover to ${day}`, ...before },
+          { title: `Rollover to ${day}`, ...after, moved: moves }
+        );
+      });
+      trail.publish();
+
+      for (const move of moves) {
+        const fullTask = await taskService.getTaskById(move.id);
+        if (fullTask) notifyRAGIndex(fullTask, 'task', 'upsert');
+      }
+
+      logger.info('Daily rollover complete', { day, moved: moves.length });
+      return { ran: true, day, moved: moves, auditId: audit.id };
+    } catch (error) {
+      logger.error('Error during daily rollover', { error: error.message });
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Record a run that moved nothing, so the next scheduled time is the
+   * first one that rolls the board
+   * @param {String} day - 'YYYY-MM-DD'
+   * @returns {Object} Audit entry
+   */
+  async recordBaseline(day) {
+    const empty = { tasks: [], dividers: [] };
+    return auditLogger(
+      ROLLOVER_ACTION,
+      'board',
+      uuidv4(),
+      { title: `Rollover baseline ${day}`, ...empty },
+      { title: `Rollover baseline ${day}`, ...empty, moved: [] },
+      systemRequest
+    );
+  }
+
+  /**
+   * Put the board back the way it was before the most recent rollover.
+   * Tasks that were moved again since keep their new place.
+   * @param {Object} req - Express request (the undoing actor)
+   * @returns {Object} { restored, skipped, auditId } or null if there is nothing to undo
+   */
+  async undoLastRun(req) {
+    try {
+      const entry = await this.getLastRun();
+      if (!entry || entry.undone_at || !entry.new_state || (entry.new_state.moved || []).length === 0) {
+        return null;
+      }
+
+      const before = entry.previous_state;
+      const afterColumns = new Map((entry.new_state.tasks || []).map(t => [t.id, t.column_name]));
+      let restored = 0;
+      let skipped = 0;
+
+      let trail = null;
+      const audit = await withTransaction(async (client) => {
+        // Claim the run first so two undos can't both restore it
+        const claimed = await client.query(
+          'UPDATE audit_log SET undone_at = NOW() WHERE id = $1 AND undone_at IS NULL',
+          [entry.id]
+        );
+        if (claimed.rowCount === 0) {
+          const error = new Error('This rollover was just undone elsewhere');
+          error.statusCode = 409;
+          throw error;
+        }
+
+        for (const task of before.tasks || []) {
+          // Runs recorded before rank keys existed only have positions: append those
+          const rank = task.rank || await orderingService.rankForIndex(client, 'board', task.column_name, null, task.id);
+
+          // Only touch tasks still where the rollover left them
+          const result = await client.query(`
+            UPDATE tasks SET column_name = $1, rank = $2
+            WHERE id = $3 AND column_name = $4 AND is_archived = false
+          `, [task.column_name, rank, task.id, afterColumns.get(task.id)]);
+
+          if (result.rowCount > 0) {
+            restored++;
+          } else {
+            skipped++;
+          }
+        }
+
+        for (const divider of before.dividers || []) {
+          if (!divider.rank) continue;
+          await client.query(
+            'UPDATE column_dividers SET rank = $1 WHERE id = $2',
+            [divider.rank, divider.id]
+          );
+        }
+
+        trail = transactionAudit(client, req);
+        return trail.log('undo', 'board', entry.entity_id, entry.new_state, entry.previous_state, {
+          revertsId: entry.id
+        });
+      });
+      trail.publish();
+
+      for (const move of entry.new_state.moved || []) {
+        const fullTask = await taskService.getTaskById(move.id);
+        if (fullTask) notifyRAGIndex(fullTask, 'task', 'upsert');
+      }
+
+      logger.info('Daily rollover undone', { auditId: entry.id, restored, skipped });
+      return { restored, skipped, auditId: audit.id };
+    } catch (error) {
+      logger.error('Error undoing daily rollover', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * The scheduler is off unless ROLLOVER_ENABLED=true
+   * @returns {Boolean}
+   */
+  isEnabled() {
+    return process.env.ROLLOVER_ENABLED === 'true';
+  }
+
+  /**
+   * Start the scheduler (ROLLOVER_ENABLED=true). Catches up immediately if
+   * the server was down at the scheduled time; the first start ever only
+   * records a baseline.
+   */
+  async start() {
+    if (!this.isEnabled()) {
+      logger.info('Daily rollover disabled (set ROLLOVER_ENABLED=true to enable)');
+      return;
+    }
+
+    logger.info('Daily rollover scheduler started', { time: this.getRolloverTime().label });
+
+    try {
+      await this.run();
+    } catch (error) {
+      // Logged in run - still schedule the next attempt
+    }
+    this.scheduleNext();
+  }
+
+  scheduleNext() {
+    const next = this.lastScheduledTime();
+    next.setDate(next.getDate() + 1);
+
+    this.timer = setTimeout(async () => {
+      try {
+        await this.run();
+      } catch (error) {
+        // Logged in run
+      }
+      this.scheduleNext();
+    }, next - Date.now());
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new RolloverService();
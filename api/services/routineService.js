@@ -1,6 +1,7 @@
 const pool = require('../db/pool');
 const { v4: uuidv4 } = require('uuid');
 const { logger } = require('../middleware/logger');
+const { staleWriteError } = require('../middleware/concurrency');
 
 class RoutineService {
   /**
@@ -57,9 +58,10 @@ class RoutineService {
   /**
    * Get a single routine by ID
    * @param {String} routineId - Routine UUID
+   * @param {Object} db - pool or a client inside a transaction
    * @returns {Object} Routine with task count
    */
-  async getRoutineById(routineId) {
+  async getRoutineById(routineId, db = pool) {
     try {
       const query = `
         SELECT r.*,
@@ -71,7 +73,7 @@ class RoutineService {
         GROUP BY r.id
       `;
 
-      const result = await pool.query(query, [routineId]);
+      const result = await db.query(query, [routineId]);
       return result.rows[0];
     } catch (error) {
       logger.error('Error fetching routine by ID', { error: error.message, routineId });
@@ -88,6 +90,7 @@ class RoutineService {
     try {
       const query = `
         SELECT t.*,
+               bp.position,
                COALESCE(
                  CASE WHEN t.type = 'list' THEN (
                    SELECT json_agg(
@@ -95,16 +98,19 @@ class RoutineService {
                        'id', li.id,
                        'title', li.title,
                        'completed', li.completed,
-                       'position', li.position
-                     ) ORDER BY li.position
+                       'version', li.version,
+                       'position', lp.position
+                     ) ORDER BY li.rank, li.id
                    )
                    FROM list_items li
+                   JOIN list_item_positions lp ON lp.id = li.id AND lp.task_id = t.id
                    WHERE li.task_id = t.id
                  ) END, '[]'::json
                ) as items
         FROM tasks t
+        LEFT JOIN board_positions bp ON bp.id = t.id
         WHERE t.routine_id = $1
-        ORDER BY t.column_name, t.position
+        ORDER BY t.column_name, t.rank, t.id
       `;
 
       const result = await pool.query(query, [routineId]);
@@ -155,9 +161,11 @@ class RoutineService {
    * Update a routine
    * @param {String} routineId - Routine ID
    * @param {Object} updates - Fields to update
+   * @param {Number} expectedVersion - Only update if the routine is still at this version (optional)
    * @returns {Object} Updated routine
+   * @throws {Error} 412 (staleWriteError) when the routine has moved past expectedVersion
    */
-  async updateRoutine(routineId, updates) {
+  async updateRoutine(routineId, updates, expectedVersion = null) {
     try {
       const allowedFields = ['title', 'description', 'color', 'icon', 'status', 'achievable', 'pause_until'];
       const setClause = [];
@@ -176,14 +184,23 @@ class RoutineService {
       }
 
       values.push(routineId);
+      let versionCheck = '';
+      if (expectedVersion !== null) {
+        values.push(expectedVersion);
+        versionCheck = ` AND version = $${paramCount + 1}`;
+      }
       const query = `
         UPDATE routines 
         SET ${setClause.join(', ')}, updated_at = NOW()
-        WHERE id = $${paramCount}
+        WHERE id = $${paramCount}${versionCheck}
         RETURNING *
       `;
 
       const result = await pool.query(query, values);
+      if (result.rows.length === 0 && expectedVersion !== null) {
+        const current = await this.getRoutineById(routineId);
+        if (current) throw staleWriteError('routine', current);
+      }
       logger.info('Routine updated', { routineId, updates });
       return result.rows[0];
     } catch (error) {
@@ -221,9 +238,10 @@ class RoutineService {
   /**
    * Archive a routine
    * @param {String} routineId - Routine ID
+   * @param {Object} db - pool or a client inside a transaction
    * @returns {Object} Archived routine
    */
-  async archiveRoutine(routineId) {
+  async archiveRoutine(routineId, db = pool) {
     try {
       const query = `
         UPDATE routines
@@ -234,7 +252,7 @@ class RoutineService {
         RETURNING *
       `;
 
-      const result = await pool.query(query, [routineId]);
+      const result = await db.query(query, [routineId]);
       logger.info('Routine archived', { routineId });
       return result.rows[0];
     } catch (error) {
@@ -0,0 +1,428 @@
+/**
+ * Search Query Language
+ *
+ * Parses a search box string into text terms and field qualifiers, and
+ * compiles it into WHERE conditions for tasks, notes or routines:
+ *
+ *   routine:"Bathroom" column:today is:completed due:<2026-11-01 has:items grout
+ *
+ * Everything is ANDed. A leading "-" negates a term or qualifier, values can
+ * be quoted, and comma-separated values match any of them (column:today,tomorrow).
+ * Text terms follow textSearch (words, "phrases", prefix*); text containing a
+ * colon has to be quoted.
+ *
+ * A qualifier that doesn't exist for an entity type leaves that type out
+ * (column: only returns tasks); negated, it excludes nothing. Values go in
+ * as query parameters.
+ */
+const textSearch = require('./textSearch');
+const calendar = require('./boardCalendar');
+
+const ENTITIES = ['tasks', 'notes', 'routines'];
+
+const COLUMN_VALUES = {
+  today: 'today',
+  tomorrow: 'tomorrow',
+  this_week: 'this_week',
+  'this-week': 'this_week',
+  week: 'this_week',
+  horizon: 'horizon',
+  later: 'horizon'
+};
+
+const TYPE_VALUES = {
+  task: 'tasks',
+  tasks: 'tasks',
+  note: 'notes',
+  notes: 'notes',
+  routine: 'routines',
+  routines: 'routines'
+};
+
+// is:<state> - condition builders per entity type
+const IS_CONDITIONS = {
+  completed: {
+    tasks: (a) => `${a}.status = 'completed'`,
+    routines: (a) => `${a}.status = 'completed'`
+  },
+  pending: {
+    tasks: (a) => `${a}.status = 'pending'`
+  },
+  overdue: {
+    tasks: (a, param) => `(${a}.status = 'pending' AND ${a}.due_date < ${param(calendar.today())}::date)`
+  },
+  recurring: {
+    tasks: (a) => `${a}.recurrence_rule IS NOT NULL`
+  },
+  archived: {
+    tasks: (a) => `${a}.is_archived = true`,
+    notes: (a) => `${a}.is_archived = true`,
+    routines: (a) => `${a}.is_archived = true`
+  },
+  active: {
+    routines: (a) => `${a}.status = 'active'`
+  },
+  paused: {
+    routines: (a) => `${a}.status = 'paused'`
+  },
+  agent: {
+    notes: (a) => `${a}.type = 'agent'`
+  }
+};
+const IS_ALIASES = { done: 'completed', open: 'pending' };
+
+// has:<thing>
+const HAS_CONDITIONS = {
+  items: {
+    tasks: (a) => `EXISTS (SELECT 1 FROM list_items li WHERE li.task_id = ${a}.id)`
+  },
+  notes: {
+    tasks: (a) => `COALESCE(${a}.notes, '') <> ''`
+  },
+  due: {
+    tasks: (a) => `${a}.due_date IS NOT NULL`
+  },
+  routine: {
+    tasks: (a) => `${a}.routine_id IS NOT NULL`,
+    notes: (a) => `${a}.routine_id IS NOT NULL`
+  }
+};
+
+// Date qualifiers - the column per entity type
+const DATE_COLUMNS = {
+  due: { tasks: 'due_date' },
+  created: { tasks: 'created_at', notes: 'created_at', routines: 'created_at' },
+  updated: { tasks: 'updated_at', notes: 'updated_at', routines: 'updated_at' },
+  completed: { tasks: 'completed_at' },
+  archived: { tasks: 'archived_at', notes: 'archived_at', routines: 'archived_at' }
+};
+const DATE_WORDS = { today: 0, tomorrow: 1, yesterday: -1 };
+
+const QUALIFIERS = ['routine', 'column', 'is', 'has', 'type', ...Object.keys(DATE_COLUMNS)];
+
+/**
+ * 400 error pointing at the part of the query that's wrong
+ * @param {String} message - What's wrong
+ * @param {Number} position - 1-based character position
+ * @returns {Error} code 'SEARCH_SYNTAX'
+ */
+function syntaxError(message, position) {
+  const error = new Error(`${message} (at character ${position})`);
+  error.statusCode = 400;
+  error.code = 'SEARCH_SYNTAX';
+  error.position = position;
+  return error;
+}
+
+/**
+ * Split a query into tokens
+ * @param {String} input - Search box input
+ * @returns {Array} [{ negated, position, phrase } | { negated, position, word } |
+ *   { negated, position, field, value }]
+ */
+function tokenize(input) {
+  const tokens = [];
+  const readQuoted = (start) => {
+    const end = input.indexOf('"', start + 1);
+    if (end === -1) throw syntaxError('Unterminated quote - add the closing "', start + 1);
+    return { text: input.slice(start + 1, end), next: end + 1 };
+  };
+
+  let i = 0;
+  while (i < input.length) {
+    if (/\s/.test(input[i])) {
+      i++;
+      continue;
+    }
+
+    const position = i + 1;
+    let negated = false;
+    if (input[i] === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+      negated = true;
+      i++;
+    }
+
+    if (input[i] === '"') {
+      const quoted = readQuoted(i);
+      tokens.push({ negated, position, phrase: quoted.text });
+      i = quoted.next;
+      continue;
+    }
+
+    let end = i;
+    while (end < input.length && !/\s/.test(input[end]) && input[end] !== '"') end++;
+    const word = input.slice(i, end);
+    const qualifier = /^([a-z_]+):(.*)$/i.exec(word);
+
+    if (qualifier) {
+      let value = qualifier[2];
+      // field:"quoted value"
+      if (value === '' && input[end] === '"') {
+        const quoted = readQuoted(end);
+        value = quoted.text;
+        end = quoted.next;
+      }
+      tokens.push({ negated, position, field: qualifier[1].toLowerCase(), value });
+    } else {
+      tokens.push({ negated, position, word });
+    }
+    i = end;
+  }
+
+  return tokens;
+}
+
+/**
+ * Split a comma list and map each value through an allowed set
+ * @returns {Array<String>} Canonical values, without duplicates
+ */
+function enumValues(token, allowed) {
+  const values = token.value.split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+  const canonical = values.map(value => {
+    if (allowed[value] === undefined) {
+      const known = [...new Set(Object.keys(allowed))].join(', ');
+      throw syntaxError(`Unknown value "${value}" for ${token.field}: (expected ${known})`, token.position);
+    }
+    return allowed[value];
+  });
+  return [...new Set(canonical)];
+}
+
+/**
+ * A day in a date qualifier: YYYY-MM-DD, today, tomorrow or yesterday
+ */
+function parseDay(text, token) {
+  const word = text.toLowerCase();
+  if (DATE_WORDS[word] !== undefined) return calendar.addDays(calendar.today(), DATE_WORDS[word]);
+
+  // Round-trip through a Date so '2026-02-30' is rejected too
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text) && calendar.toDateString(calendar.parseDate(text)) === text) {
+    return text;
+  }
+  throw syntaxError(`${token.field}: needs a date as YYYY-MM-DD, today, tomorrow or yesterday - got "${text}"`, token.position);
+}
+
+/**
+ * Date qualifier value as an inclusive range of days
+ *   2026-11-01  <2026-11-01  <=2026-11-01  >2026-11-01  >=2026-11-01
+ *   2026-11-01..2026-11-30  2026-11-01..  ..2026-11-30
+ * @returns {Object} { from, to } - either may be missing
+ */
+function parseDateRange(token) {
+  const value = token.value.trim();
+
+  if (value.includes('..')) {
+    const [from, to, extra] = value.split('..');
+    if (extra !== undefined || (!from && !to)) {
+      throw syntaxError(`${token.field}: range must look like 2026-11-01..2026-11-30`, token.position);
+    }
+    const range = {};
+    if (from) range.from = parseDay(from, token);
+    if (to) range.to = parseDay(to, token);
+    if (range.from && range.to && range.from > range.to) {
+      throw syntaxError(`${token.field}: range starts after it ends`, token.position);
+    }
+    return range;
+  }
+
+  const comparison = /^(<=|>=|<|>|=)?(.*)$/.exec(value);
+  const day = parseDay(comparison[2], token);
+  switch (comparison[1]) {
+    case '<': return { to: calendar.addDays(day, -1) };
+    case '<=': return { to: day };
+    case '>': return { from: calendar.addDays(day, 1) };
+    case '>=': return { from: day };
+    default: return { from: day, to: day };
+  }
+}
+
+/**
+ * Parse a search query
+ * @param {String} input - Search box input
+ * @returns {Object} { terms, excludedTerms, qualifiers, types, mentionsArchive }
+ *   terms/excludedTerms are textSearch terms; types is the set of entity types
+ *   the query allows; mentionsArchive is true when it filters on archiving
+ * @throws {Error} 400 (code 'SEARCH_SYNTAX') with the character position
+ */
+function parse(input) {
+  const query = {
+    terms: [],
+    excludedTerms: [],
+    qualifiers: [],
+    types: new Set(ENTITIES),
+    mentionsArchive: false
+  };
+
+  for (const token of tokenize(input || '')) {
+    const terms = token.negated ? query.excludedTerms : query.terms;
+
+    if (token.phrase !== undefined) {
+      if (token.phrase.trim()) terms.push({ kind: 'phrase', text: token.phrase.trim() });
+      continue;
+    }
+
+    if (token.word !== undefined) {
+      if (token.word.endsWith('*')) {
+        // Only letters and digits survive into to_tsquery syntax
+        const stem = token.word.slice(0, -1).replace(/[^\p{L}\p{N}]+/gu, '');
+        if (stem) terms.push({ kind: 'prefix', text: stem });
+      } else if (/[\p{L}\p{N}]/u.test(token.word)) {
+        terms.push({ kind: 'word', text: token.word });
+      }
+      continue;
+    }
+
+    if (!QUALIFIERS.includes(token.field)) {
+      throw syntaxError(
+        `Unknown qualifier "${token.field}:" - use one of ${QUALIFIERS.map(q => `${q}:`).join(' ')}, ` +
+        'or put text containing ":" in quotes',
+        token.position
+      );
+    }
+    if (!token.value.trim()) {
+      throw syntaxError(`${token.field}: needs a value, e.g. ${example(token.field)}`, token.position);
+    }
+
+    const qualifier = { field: token.field, negated: token.negated };
+    switch (token.field) {
+      case 'type': {
+        const types = enumValues(token, TYPE_VALUES);
+        for (const entity of ENTITIES) {
+          if (types.includes(entity) === token.negated) query.types.delete(entity);
+        }
+        continue;
+      }
+      case 'routine':
+        qualifier.value = token.value.trim();
+        break;
+      case 'column':
+        qualifier.values = enumValues(token, COLUMN_VALUES);
+        break;
+      case 'is':
+        qualifier.values = enumValues(token, {
+          ...Object.fromEntries(Object.keys(IS_CONDITIONS).map(key => [key, key])),
+          ...IS_ALIASES
+        });
+        if (qualifier.values.includes('archived')) query.mentionsArchive = true;
+        break;
+      case 'has':
+        qualifier.values = enumValues(token, Object.fromEntries(Object.keys(HAS_CONDITIONS).map(key => [key, key])));
+        break;
+      default:
+        qualifier.range = parseDateRange(token);
+        if (token.field === 'archived') query.mentionsArchive = true;
+    }
+    query.qualifiers.push(qualifier);
+  }
+
+  if (query.terms.length === 0 && query.excludedTerms.length === 0 && query.qualifiers.length === 0 &&
+      query.types.size === ENTITIES.length) {
+    throw syntaxError('Search query has nothing to search for', 1);
+  }
+
+  return query;
+}
+
+/**
+ * Sample value for a qualifier, for error messages
+ */
+function example(field) {
+  switch (field) {
+    case 'routine': return 'routine:"Bathroom"';
+    case 'column': return 'column:today';
+    case 'is': return 'is:completed';
+    case 'has': return 'has:items';
+    case 'type': return 'type:tasks';
+    default: return `${field}:<2026-11-01`;
+  }
+}
+
+/**
+ * SQL condition for one qualifier
+ * @returns {String|null} null when the qualifier doesn't exist for the entity type
+ */
+function qualifierCondition(qualifier, entity, alias, param) {
+  switch (qualifier.field) {
+    case 'routine': {
+      const pattern = param(`%${qualifier.value.replace(/[\\%_]/g, '\\$&')}%`);
+      return entity === 'routines'
+        ? `${alias}.title ILIKE ${pattern}`
+        : `${alias}.routine_id IN (SELECT id FROM routines WHERE title ILIKE ${pattern})`;
+    }
+    case 'column':
+      return entity === 'tasks' ? `${alias}.column_name = ANY(${param(qualifier.values)}::text[])` : null;
+    case 'is':
+    case 'has': {
+      const builders = qualifier.field === 'is' ? IS_CONDITIONS : HAS_CONDITIONS;
+      const conditions = qualifier.values
+        .filter(value => builders[value][entity])
+        .map(value => builders[value][entity](alias, param));
+      if (conditions.length === 0) return null;
+      return conditions.length === 1 ? conditions[0] : `(${conditions.join(' OR ')})`;
+    }
+    default: {
+      const column = DATE_COLUMNS[qualifier.field][entity];
+      if (!column) return null;
+      const bounds = [];
+      if (qualifier.range.from) bounds.push(`${alias}.${column} >= ${param(qualifier.range.from)}::date`);
+      if (qualifier.range.to) bounds.push(`${alias}.${column} < ${param(qualifier.range.to)}::date + 1`);
+      return bounds.length === 1 ? bounds[0] : `(${bounds.join(' AND ')})`;
+    }
+  }
+}
+
+/**
+ * Compile a parsed query for one entity type
+ * @param {Object} query - From parse()
+ * @param {String} entity - tasks | notes | routines
+ * @param {String} alias - Table alias
+ * @param {Array} params - Query parameters; values are appended
+ * @param {Object} options - fuzzy: also match titles that look like the words
+ *   (pg_trgm, migration 014), so typos still find something
+ * @returns {Object|null} { tsQuery, similarity, conditions } - tsQuery is null when
+ *   the query has no text to rank by, similarity is the title similarity expression
+ *   when the match is fuzzy; null overall if the query rules the entity type out
+ */
+function compile(query, entity, alias, params, options = {}) {
+  if (!query.types.has(entity)) return null;
+
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const conditions = [];
+
+  for (const qualifier of query.qualifiers) {
+    const condition = qualifierCondition(qualifier, entity, alias, param);
+    if (condition === null) {
+      if (qualifier.negated) continue;
+      return null;
+    }
+    // NULL columns (no due date, never completed) count as not matching
+    conditions.push(qualifier.negated ? `NOT COALESCE(${condition}, false)` : condition);
+  }
+
+  for (const term of query.excludedTerms) {
+    conditions.push(`NOT (${alias}.search_vector @@ ${textSearch.tsQuery([term], params)})`);
+  }
+
+  const tsQuery = textSearch.tsQuery(query.terms, params);
+  let similarity = null;
+
+  // Only plain words are matched fuzzily: phrases and prefixes mean exactly that
+  if (tsQuery && options.fuzzy && query.terms.every(term => term.kind === 'word')) {
+    const words = param(query.terms.map(term => term.text).join(' '));
+    similarity = `word_similarity(${words}, ${alias}.title)`;
+    conditions.push(`(${alias}.search_vector @@ ${tsQuery} OR ${words} <% ${alias}.title)`);
+  } else if (tsQuery) {
+    conditions.push(`${alias}.search_vector @@ ${tsQuery}`);
+  }
+
+  return { tsQuery, similarity, conditions };
+}
+
+module.exports = {
+  QUALIFIERS,
+  parse,
+  compile
+};
@@ -1,11 +1,18 @@
 const pool = require('../db/pool');
 const { v4: uuidv4 } = require('uuid');
 const { logger } = require('../middleware/logger');
+const { staleWriteError } = require('../middleware/concurrency');
+const calendar = require('./boardCalendar');
+const orderingService = require('./orderingService');
+const { withTransaction } = require('../db/transaction');
+const { transactionAudit, systemRequest } = require('../middleware/auditLog');
+const filterService = require('./filterService');
 
 class TaskService {
   /**
    * Get all active tasks (not archived)
-   * @param {Object} filters - Optional filters (column, routine_id)
+   * @param {Object} filters - Optional filters (column, routine_id, and criteria:
+   *   normalized saved filter criteria, see filterService)
    * @returns {Array} Array of tasks with their items if type='list'
    */
   async getTasks(filters = {}) {
@@ -16,6 +23,8 @@ class TaskService {
                r.color as routine_color,
                r.icon as routine_icon,
                r.status as routine_status,
+               (COALESCE(t.due_date < CURRENT_DATE, false) AND t.status <> 'completed') as is_overdue,
+               bp.position,
                COALESCE(
                  CASE WHEN t.type = 'list' THEN (
                    SELECT json_agg(
@@ -23,15 +32,18 @@ class TaskService {
                        'id', li.id,
                        'title', li.title,
                        'completed', li.completed,
-                       'position', li.position
-                     ) ORDER BY li.position
+                       'version', li.version,
+                       'position', lp.position
+                     ) ORDER BY li.rank, li.id
                    )
                    FROM list_items li
+                   JOIN list_item_positions lp ON lp.id = li.id AND lp.task_id = t.id
                    WHERE li.task_id = t.id
                  ) END, '[]'::json
                ) as items
         FROM tasks t
         LEFT JOIN routines r ON t.routine_id = r.id
+        LEFT JOIN board_positions bp ON bp.id = t.id
         WHERE t.is_archived = false
       `;
 
@@ -48,12 +60,17 @@ class TaskService {
         values.push(filters.routine_id);
       }
 
-      query += ' ORDER BY t.column_name, t.position, t.created_at';
+      if (filters.criteria) {
+        for (const condition of filterService.taskConditions(filters.criteria, 't', values)) {
+          query += ` AND ${condition}`;
+        }
+      }
+
+      query += ' ORDER BY t.column_name, t.rank, t.id';
 
       const result = await pool.query(query, values);
 
-      // Return tasks with their actual database positions
-      // (positions may have gaps to accommodate dividers in the Today column)
+      // position is the index within the column, counting Today's dividers
       return result.rows;
     } catch (error) {
       logger.error('Error fetching tasks', { error: error.message });
@@ -74,6 +91,8 @@ class TaskService {
                r.color as routine_color,
                r.icon as routine_icon,
                r.status as routine_status,
+               (COALESCE(t.due_date < CURRENT_DATE, false) AND t.status <> 'completed') as is_overdue,
+               bp.position,
                COALESCE(
                  CASE WHEN t.type = 'list' THEN (
                    SELECT json_agg(
@@ -81,15 +100,18 @@ class TaskService {
                        'id', li.id,
                        'title', li.title,
                        'completed', li.completed,
-                       'position', li.position
-                     ) ORDER BY li.position
+                       'version', li.version,
+                       'position', lp.position
+                     ) ORDER BY li.rank, li.id
                    )
                    FROM list_items li
+                   JOIN list_item_positions lp ON lp.id = li.id AND lp.task_id = t.id
                    WHERE li.task_id = t.id
                  ) END, '[]'::json
                ) as items
         FROM tasks t
         LEFT JOIN routines r ON t.routine_id = r.id
+        LEFT JOIN board_positions bp ON bp.id = t.id
         WHERE t.is_archived = true
       `;
 
@@ -119,9 +141,10 @@ class TaskService {
   /**
    * Get a single task by ID
    * @param {String} taskId - Task UUID
+   * @param {Object} db - pool or a client inside a transaction
    * @returns {Object} Task with items if type='list'
    */
-  async getTaskById(taskId) {
+  async getTaskById(taskId, db = pool) {
     try {
       const query = `
         SELECT t.*, 
@@ -129,6 +152,8 @@ class TaskService {
                r.color as routine_color,
                r.icon as routine_icon,
                r.status as routine_status,
+               (COALESCE(t.due_date < CURRENT_DATE, false) AND t.status <> 'completed') as is_overdue,
+               bp.position,
                COALESCE(
                  CASE WHEN t.type = 'list' THEN (
                    SELECT json_agg(
@@ -136,19 +161,22 @@ class TaskService {
                        'id', li.id,
                        'title', li.title,
                        'completed', li.completed,
-                       'position', li.position
-                     ) ORDER BY li.position
+                       'version', li.version,
+                       'position', lp.position
+                     ) ORDER BY li.rank, li.id
                    )
                    FROM list_items li
+                   JOIN list_item_positions lp ON lp.id = li.id AND lp.task_id = t.id
                    WHERE li.task_id = t.id
                  ) END, '[]'::json
                ) as items
         FROM tasks t
         LEFT JOIN routines r ON t.routine_id = r.id
+        LEFT JOIN board_positions bp ON bp.id = t.id
         WHERE t.id = $1
       `;
 
-      const result = await pool.query(query, [taskId]);
+      const result = await db.query(query, [taskId]);
       return result.rows[0];
     } catch (error) {
       logger.error('Error fetching task by ID', { error: error.message, taskId });
@@ -158,24 +186,32 @@ class TaskService {
 
   /**
    * Create a new task (always starts as type='task')
-   * @param {Object} taskData - Task data
+   * @param {Object} taskData - Task data (position: index in the column, default end)
    * @returns {Object} Created task
    */
   async createTask(taskData) {
+    const client = await pool.connect();
     try {
+      await client.query('BEGIN');
+
       const id = uuidv4();
       const query = `
         INSERT INTO tasks (
           id, routine_id, title, notes, type, status, 
-          due_date, position, column_name
+          due_date, rank, column_name, recurrence_rule
         ) VALUES (
           $1, $2, $3, $4, 'task', 'pending', 
-          $5, $6, $7
-        ) RETURNING *
+          $5, $6, $7, $8
+        )
       `;
 
-      // Get next position for the column
-      const position = await this.getNextPosition(taskData.column_name || 'today');
+      // Due-date placement overrides the requested column
+      const columnName = taskData.place_by_due_date && taskData.due_date
+        ? calendar.columnForDate(calendar.toDateString(taskData.due_date))
+        : (taskData.column_name || 'today');
+
+      // New tasks go to the end of the column unless given a position
+      const rank = await orderingService.rankForIndex(client, 'board', columnName, taskData.position);
 
       const values = [
         id,
@@ -183,16 +219,22 @@ class TaskService {
         taskData.title,
         taskData.notes || null,
         taskData.due_date || null,
-        position,
-        taskData.column_name || 'today'
+        rank,
+        columnName,
+        taskData.recurrence_rule || null
       ];
 
-      const result = await pool.query(query, values);
+      await client.query(query, values);
+      await client.query('COMMIT');
+
       logger.info('Task created', { taskId: id, title: taskData.title });
-      return result.rows[0];
+      return this.getTaskById(id);
     } catch (error) {
+      await client.query('ROLLBACK');
       logger.error('Error creating task', { error: error.message });
       throw error;
+    } finally {
+      client.release();
     }
   }
 
@@ -200,12 +242,14 @@ class TaskService {
    * Update a task
    * @param {String} taskId - Task ID
    * @param {Object} updates - Fields to update
+   * @param {Number} expectedVersion - Only update if the task is still at this version (optional)
    * @returns {Object} Updated task
+   * @throws {Error} 412 (staleWriteError) when the task has moved past expectedVersion
    */
-  async updateTask(taskId, updates) {
+  async updateTask(taskId, updates, expectedVersion = null) {
     try {
-      // Build dynamic UPDATE query
-      const allowedFields = ['title', 'notes', 'routine_id', 'due_date', 'column_name', 'position', 'status', 'is_archived'];
+      // Build dynamic UPDATE query (column and position go through moveTask)
+      const allowedFields = ['title', 'notes', 'routine_id', 'due_date', 'status', 'is_archived', 'recurrence_rule'];
       const setClause = [];
       const values = [];
       let paramCount = 1;
@@ -217,21 +261,45 @@ class TaskService {
         }
       }
 
-      if (setClause.length === 0) {
+      const hasPosition = updates.position !== undefined && updates.position !== null;
+      const moveRequested = !!updates.column_name || hasPosition;
+
+      if (setClause.length === 0 && !moveRequested) {
         throw new Error('No valid fields to update');
       }
 
-      values.push(taskId);
-      const query = `
-        UPDATE tasks 
-        SET ${setClause.join(', ')}, updated_at = NOW()
-        WHERE id = $${paramCount}
-        RETURNING *
-      `;
+      if (setClause.length > 0) {
+        values.push(taskId);
+        let versionCheck = '';
+        if (expectedVersion !== null) {
+          values.push(expectedVersion);
+          versionCheck = ` AND version = $${paramCount + 1}`;
+        }
+        const query = `
+          UPDATE tasks 
+          SET ${setClause.join(', ')}, updated_at = NOW()
+          WHERE id = $${paramCount}${versionCheck}
+        `;
+        const result = await pool.query(query, values);
+        if (result.rowCount === 0 && expectedVersion !== null) {
+          throw staleWriteError('task', await this.getTaskById(taskId));
+        }
+        expectedVersion = null; // Checked; the move below follows our own write
+      }
+
+      if (moveRequested) {
+        const current = await pool.query('SELECT column_name FROM tasks WHERE id = $1', [taskId]);
+        const currentColumn = current.rows.length > 0 ? current.rows[0].column_name : null;
+        const column = updates.column_name || currentColumn;
+
+        // Re-sending the current column without a position is not a move
+        if (currentColumn && (column !== currentColumn || hasPosition)) {
+          await this.moveTask(taskId, column, hasPosition ? updates.position : null, expectedVersion);
+        }
+      }
 
-      const result = await pool.query(query, values);
       logger.info('Task updated', { taskId, updates });
-      return result.rows[0];
+      return this.getTaskById(taskId);
     } catch (error) {
       logger.error('Error updating task', { error: error.message, taskId });
       throw error;
@@ -241,9 +309,10 @@ class TaskService {
   /**
    * Archive a task (list items are preserved automatically in list_items table)
    * @param {String} taskId - Task ID
+   * @param {Object} db - pool or a client inside a transaction
    * @returns {Object} Archived task
    */
-  async archiveTask(taskId) {
+  async archiveTask(taskId, db = pool) {
     try {
       const query = `
         UPDATE tasks
@@ -253,13 +322,13 @@ class TaskService {
         RETURNING *
       `;
 
-      const result = await pool.query(query, [taskId]);
+      const result = await db.query(query, [taskId]);
       if (result.rows.length === 0) {
         throw new Error('Task not found');
       }
       
       logger.info('Task archived', { taskId });
-      return result.rows[0];
+      return this.getTaskById(taskId, db);
     } catch (error) {
       logger.error('Error archiving task', { error: error.message, taskId });
       throw error;
@@ -287,7 +356,7 @@ class TaskService {
       }
       
       logger.info('Task restored', { taskId });
-      return result.rows[0];
+      return this.getTaskById(taskId);
     } catch (error) {
       logger.error('Error restoring task', { error: error.message, taskId });
       throw error;
@@ -306,12 +375,11 @@ class TaskService {
         SET status = 'completed', 
             completed_at = NOW()
         WHERE id = $1
-        RETURNING *
       `;
 
-      const result = await pool.query(completeQuery, [taskId]);
+      await pool.query(completeQuery, [taskId]);
       logger.info('Task completed', { taskId });
-      return result.rows[0];
+      return this.getTaskById(taskId);
     } catch (error) {
       logger.error('Error completing task', { error: error.message, taskId });
       throw error;
@@ -348,33 +416,28 @@ class TaskService {
         logger.debug('Task converted to list', { taskId });
       }
 
-      // Get next position for the item
-      const positionResult = await client.query(
-        'SELECT COALESCE(MAX(position), 0) + 1 as next_position FROM list_items WHERE task_id = $1',
-        [taskId]
-      );
-      const position = positionResult.rows[0].next_position;
+      // New items go to the end of the list
+      const rank = await orderingService.rankForIndex(client, 'list', taskId);
 
       // Add the item
       const itemId = uuidv4();
       const insertQuery = `
-        INSERT INTO list_items (id, task_id, title, completed, position)
+        INSERT INTO list_items (id, task_id, title, completed, rank)
         VALUES ($1, $2, $3, $4, $5)
-        RETURNING *
       `;
 
-      const itemResult = await client.query(insertQuery, [
+      await client.query(insertQuery, [
         itemId,
         taskId,
         itemData.title,
         false,
-        position
+        rank
       ]);
 
       await client.query('COMMIT');
       
       logger.info('Item added to task', { taskId, itemId, title: itemData.title });
-      return itemResult.rows[0];
+      return this.getItemById(taskId, itemId);
     } catch (error) {
       await client.query('ROLLBACK');
       logger.error('Error adding item to task', { error: error.message, taskId });
@@ -389,39 +452,60 @@ class TaskService {
    * @param {String} taskId - Task ID
    * @param {String} itemId - Item ID
    * @param {Object} updates - Updates to apply
+   * @param {Number} expectedVersion - Only update if the item is still at this version (optional)
+   * @param {Object} outer - Client of an enclosing transaction to run in (optional)
    * @returns {Object} Updated item
+   * @throws {Error} 412 (staleWriteError) when the item has moved past expectedVersion
    */
-  async updateItem(taskId, itemId, updates) {
+  async updateItem(taskId, itemId, updates, expectedVersion = null, outer = null) {
     try {
-      const allowedFields = ['title', 'completed', 'position'];
-      const setClause = [];
-      const values = [];
-      let paramCount = 1;
+      const item = await withTransaction(async (client) => {
+        const allowedFields = ['title', 'completed'];
+        const setClause = [];
+        const values = [];
+        let paramCount = 1;
+
+        for (const field of allowedFields) {
+          if (updates.hasOwnProperty(field)) {
+            setClause.push(`${field} = $${paramCount++}`);
+            values.push(updates[field]);
+          }
+        }
 
-      for (const field of allowedFields) {
-        if (updates.hasOwnProperty(field)) {
-          setClause.push(`${field} = $${paramCount++}`);
-          values.push(updates[field]);
+        // A new position becomes a rank between the item's new neighbours
+        if (updates.hasOwnProperty('position') && updates.position !== null && updates.position !== undefined) {
+          setClause.push(`rank = $${paramCount++}`);
+          values.push(await orderingService.rankForIndex(client, 'list', taskId, updates.position, itemId));
         }
-      }
 
-      if (setClause.length === 0) {
-        throw new Error('No valid fields to update');
-      }
+        if (setClause.length === 0) {
+          throw new Error('No valid fields to update');
+        }
 
-      values.push(itemId);
-      values.push(taskId);
+        values.push(itemId);
+        values.push(taskId);
+        let versionCheck = '';
+        if (expectedVersion !== null) {
+          values.push(expectedVersion);
+          versionCheck = ` AND version = $${paramCount + 2}`;
+        }
 
-      const query = `
-        UPDATE list_items
-        SET ${setClause.join(', ')}
-        WHERE id = $${paramCount} AND task_id = $${paramCount + 1}
-        RETURNING *
-      `;
+        const query = `
+          UPDATE list_items
+          SET ${setClause.join(', ')}
+          WHERE id = $${paramCount} AND task_id = $${paramCount + 1}${versionCheck}
+        `;
+
+        const result = await client.query(query, values);
+        if (result.rowCount === 0 && expectedVersion !== null) {
+          const current = await this.getItemById(taskId, itemId, client);
+          if (current) throw staleWriteError('list_item', current);
+        }
+        return this.getItemById(taskId, itemId, client);
+      }, outer);
 
-      const result = await pool.query(query, values);
       logger.info('Item updated', { taskId, itemId, updates });
-      return result.rows[0];
+      return item;
     } catch (error) {
       logger.error('Error updating item', { error: error.message, taskId, itemId });
       throw error;
@@ -432,45 +516,113 @@ class TaskService {
    * Delete an item (auto-converts list to task if last item)
    * @param {String} taskId - Task ID
    * @param {String} itemId - Item ID
+   * @param {Object} outer - Client of an enclosing transaction to run in (optional)
    * @returns {Boolean} Success
    */
-  async deleteItem(taskId, itemId) {
-    const client = await pool.connect();
+  async deleteItem(taskId, itemId, outer = null) {
     try {
-      await client.query('BEGIN');
-
-      // Delete the item
-      const deleteQuery = 'DELETE FROM list_items WHERE id = $1 AND task_id = $2';
-      const deleteResult = await client.query(deleteQuery, [itemId, taskId]);
+      const remainingItems = await withTransaction(async (client) => {
+        // Delete the item
+        const deleteQuery = 'DELETE FROM list_items WHERE id = $1 AND task_id = $2';
+        const deleteResult = await client.query(deleteQuery, [itemId, taskId]);
 
-      if (deleteResult.rowCount === 0) {
-        throw new Error('Item not found');
-      }
-
-      // Check if any items remain
-      const countQuery = 'SELECT COUNT(*) as count FROM list_items WHERE task_id = $1';
-      const countResult = await client.query(countQuery, [taskId]);
-      const remainingItems = parseInt(countResult.rows[0].count);
+        if (deleteResult.rowCount === 0) {
+          throw new Error('Item not found');
+        }
 
-      // Auto-convert list back to task if no items remain
-      if (remainingItems === 0) {
-        await client.query(
-          'UPDATE tasks SET type = $1 WHERE id = $2',
-          ['task', taskId]
-        );
-        logger.debug('List converted back to task', { taskId });
-      }
+        // Check if any items remain
+        const countQuery = 'SELECT COUNT(*) as count FROM list_items WHERE task_id = $1';
+        const countResult = await client.query(countQuery, [taskId]);
+        const remaining = parseInt(countResult.rows[0].count);
+
+        // Auto-convert list back to task if no items remain
+        if (remaining === 0) {
+          await client.query(
+            'UPDATE tasks SET type = $1 WHERE id = $2',
+            ['task', taskId]
+          );
+          logger.debug('List converted back to task', { taskId });
+        }
+        return remaining;
+      }, outer);
 
-      await client.query('COMMIT');
-      
       logger.info('Item deleted', { taskId, itemId, remainingItems });
       return true;
     } catch (error) {
-      await client.query('ROLLBACK');
       logger.error('Error deleting item', { error: error.message, taskId, itemId });
       throw error;
-    } finally {
-      client.release();
+    }
+  }
+
+  /**
+   * Get a single list item
+   * @param {String} taskId - Task ID
+   * @param {String} itemId - Item ID
+   * @param {Object} db - pool or a client inside a transaction
+   * @returns {Object} List item
+   */
+  async getItemById(taskId, itemId, db = pool) {
+    try {
+      const query = `
+        SELECT li.*, lp.position
+        FROM list_items li
+        JOIN list_item_positions lp ON lp.id = li.id AND lp.task_id = li.task_id
+        WHERE li.id = $1 AND li.task_id = $2
+      `;
+      const result = await db.query(query, [itemId, taskId]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error fetching item by ID', { error: error.message, taskId, itemId });
+      throw error;
+    }
+  }
+
+  /**
+   * Re-insert a previously deleted list item with its original ID, at its
+   * snapshot position (auto-converts task to list, same as addItemToTask)
+   * @param {Object} item - List item snapshot (id, task_id, title, completed, position)
+   * @param {Object} outer - Client of an enclosing transaction to run in (optional)
+   * @returns {Object} Restored item
+   */
+  async restoreItem(item, outer = null) {
+    try {
+      const restored = await withTransaction(async (client) => {
+        const taskResult = await client.query('SELECT type FROM tasks WHERE id = $1', [item.task_id]);
+        if (taskResult.rows.length === 0) {
+          throw new Error('Task not found');
+        }
+
+        if (taskResult.rows[0].type === 'task') {
+          await client.query(
+            'UPDATE tasks SET type = $1 WHERE id = $2',
+            ['list', item.task_id]
+          );
+          logger.debug('Task converted to list', { taskId: item.task_id });
+        }
+
+        const rank = await orderingService.rankForIndex(client, 'list', item.task_id, item.position ?? null, item.id);
+
+        const insertQuery = `
+          INSERT INTO list_items (id, task_id, title, completed, rank)
+          VALUES ($1, $2, $3, $4, $5)
+          ON CONFLICT (id) DO NOTHING
+        `;
+
+        await client.query(insertQuery, [
+          item.id,
+          item.task_id,
+          item.title,
+          item.completed || false,
+          rank
+        ]);
+        return this.getItemById(item.task_id, item.id, client);
+      }, outer);
+
+      logger.info('Item restored', { taskId: item.task_id, itemId: item.id });
+      return restored;
+    } catch (error) {
+      logger.error('Error restoring item', { error: error.message, itemId: item.id });
+      throw error;
     }
   }
 
@@ -482,9 +634,11 @@ class TaskService {
   async getItems(taskId) {
     try {
       const query = `
-        SELECT * FROM list_items
-        WHERE task_id = $1
-        ORDER BY position
+        SELECT li.*, lp.position
+        FROM list_items li
+        JOIN list_item_positions lp ON lp.id = li.id AND lp.task_id = li.task_id
+        WHERE li.task_id = $1
+        ORDER BY li.rank, li.id
       `;
       const result = await pool.query(query, [taskId]);
       return result.rows;
@@ -495,249 +649,288 @@ class TaskService {
   }
 
   /**
-   * Helper: Get next position for a column
-   * @param {String} column - Column name
-   * @returns {Number} Next position
+   * Whether due-date placement applies to a request. The request's
+   * place_by_due_date flag wins; otherwise DUE_DATE_PLACEMENT=true turns it on.
+   * @param {Boolean|undefined} requested - place_by_due_date from the request body
+   * @returns {Boolean}
    */
-  async getNextPosition(column) {
-    const query = `
-      SELECT COALESCE(MAX(position), 0) + 1 as next_position
-      FROM tasks
-      WHERE column_name = $1 AND is_archived = false
-    `;
-    const result = await pool.query(query, [column]);
-    return result.rows[0].next_position;
+  shouldPlaceByDueDate(requested) {
+    if (requested !== undefined && requested !== null) {
+      return requested === true || requested === 'true';
+    }
+    return process.env.DUE_DATE_PLACEMENT === 'true';
   }
 
   /**
-   * Move task to different column or position
+   * Move a task into the column matching its due date (overdue -> today)
    * @param {String} taskId - Task ID
-   * @param {String} newColumn - New column
-   * @param {Number} newPosition - New position (optional)
-   * @returns {Object} Updated task
+   * @returns {Object|null} Moved task, or null if it was already in place or has no due date
    */
+  async placeByDueDate(taskId) {
+    try {
+      const result = await pool.query(
+        'SELECT column_name, due_date, is_archived FROM tasks WHERE id = $1',
+        [taskId]
+      );
+      const task = result.rows[0];
+      if (!task || !task.due_date || task.is_archived) {
+        return null;
+      }
+
+      const column = calendar.columnForDate(calendar.toDateString(task.due_date));
+      if (column === task.column_name) {
+        return null;
+      }
+
+      logger.info('Placing task by due date', { taskId, from: task.column_name, to: column });
+      return await this.moveTask(taskId, column);
+    } catch (error) {
+      logger.error('Error placing task by due date', { error: error.message, taskId });
+      throw error;
+    }
+  }
+
   /**
-   * Renumber all task positions in a column to be sequential (0, 1, 2, ...)
-   * For the 'today' column, also includes dividers in the position sequence
+   * Move overdue tasks into Today. Tasks go overdue at midnight without
+   * anyone editing them, so the recurrence scheduler calls this on every
+   * tick while DUE_DATE_PLACEMENT=true. Each move is audited as a system
+   * move_task, so it shows up in the task's history.
+   * @returns {Array} Moved tasks
    */
-  async renumberColumnPositions(column) {
+  async surfaceOverdueTasks() {
     try {
-      const client = await pool.connect();
-      try {
-        await client.query('BEGIN');
-
-        if (column === 'today') {
-          // For Today column, get both tasks AND dividers, then renumber together
-          const result = await client.query(`
-            SELECT id, 'task' as type, position FROM tasks
-            WHERE column_name = 'today' AND is_archived = false
-            UNION ALL
-            SELECT id, 'divider' as type, position FROM column_dividers
-            WHERE column_name = 'today'
-            ORDER BY position, type
-          `);
-
-          // Update each item with its new sequential position
-          for (let i = 0; i < result.rows.length; i++) {
-            const item = result.rows[i];
-            if (item.type === 'task') {
-              await client.query(
-                'UPDATE tasks SET position = $1 WHERE id = $2',
-                [i, item.id]
-              );
-            } else {
-              await client.query(
-                'UPDATE column_dividers SET position = $1 WHERE id = $2',
-                [i, item.id]
-              );
-            }
-          }
-
-          logger.debug('Renumbered positions for today (with dividers)', { count: result.rows.length });
-        } else {
-          // For other columns, just renumber tasks
-          const result = await client.query(`
+      const result = await pool.query(`
+        SELECT id FROM tasks
+        WHERE due_date < CURRENT_DATE AND status <> 'completed'
+          AND is_archived = false AND column_name <> 'today'
+        ORDER BY array_position(ARRAY['tomorrow', 'this_week', 'horizon'], column_name::text), rank, id
+      `);
+
+      // Each goes to the top of Today, so move them last-to-first to keep their order
+      const moved = [];
+      for (const { id } of result.rows.reverse()) {
+        let trail = null;
+        const task = await withTransaction(async (client) => {
+          // Re-check under the lock: it may have been completed or moved since
+          const locked = await client.query(`
             SELECT id FROM tasks
-            WHERE column_name = $1 AND is_archived = false
-            ORDER BY position, created_at
-          `, [column]);
-
-          for (let i = 0; i < result.rows.length; i++) {
-            await client.query(
-              'UPDATE tasks SET position = $1 WHERE id = $2',
-              [i, result.rows[i].id]
-            );
+            WHERE id = $1 AND due_date < CURRENT_DATE AND status <> 'completed'
+              AND is_archived = false AND column_name <> 'today'
+            FOR UPDATE
+          `, [id]);
+          if (locked.rows.length === 0) {
+            return null;
           }
 
-          logger.debug('Renumbered positions for column', { column, count: result.rows.length });
+          trail = transactionAudit(client, systemRequest);
+          const before = await this.getTaskById(id, client);
+          const after = await this.moveTask(id, 'today', 0, null, client);
+          await trail.log('move_task', 'task', id, before, after);
+          return after;
+        });
+
+        if (task) {
+          trail.publish();
+          moved.unshift(task);
         }
+      }
 
-        await client.query('COMMIT');
-      } catch (error) {
-        await client.query('ROLLBACK');
-        throw error;
-      } finally {
-        client.release();
+      if (moved.length > 0) {
+        logger.info('Overdue tasks moved to Today', { moved: moved.length });
       }
+      return moved;
     } catch (error) {
-      logger.error('Error renumbering positions', { error: error.message, column });
+      logger.error('Error surfacing overdue tasks', { error: error.message });
       throw error;
     }
   }
 
-  async moveTask(taskId, newColumn, newPosition = null) {
+  /**
+   * Move task to different column or position. Only the moved task's row is
+   * written: it gets a rank between its new neighbours.
+   * @param {String} taskId - Task ID
+   * @param {String} newColumn - New column
+   * @param {Number} newPosition - Index in the new column, counting Today's dividers (optional, default end)
+   * @param {Number} expectedVersion - Only move if the task is still at this version (optional)
+   * @param {Object} outer - Client of an enclosing transaction to run in (optional)
+   * @returns {Object} Updated task
+   * @throws {Error} 412 (staleWriteError) when the task has moved past expectedVersion
+   */
+  async moveTask(taskId, newColumn, newPosition = null, expectedVersion = null, outer = null) {
     try {
-      // Get the current task to check if it's moving within the same column
-      const currentTaskResult = await pool.query(
-        'SELECT column_name, position FROM tasks WHERE id = $1',
-        [taskId]
+      return await withTransaction(async (client) => {
+        const currentTaskResult = await client.query(
+          'SELECT column_name, version FROM tasks WHERE id = $1 FOR UPDATE',
+          [taskId]
+        );
+        const currentTask = currentTaskResult.rows[0];
+
+        if (!currentTask) {
+          throw new Error('Task not found');
+        }
+        if (expectedVersion !== null && currentTask.version !== expectedVersion) {
+          throw staleWriteError('task', await this.getTaskById(taskId, client));
+        }
+
+        const oldColumn = currentTask.column_name;
+        const rank = await orderingService.rankForIndex(client, 'board', newColumn, newPosition, taskId);
+
+        await client.query(`
+          UPDATE tasks
+          SET column_name = $1, rank = $2, updated_at = NOW()
+          WHERE id = $3
+        `, [newColumn, rank, taskId]);
+
+        logger.info('Task moved', { taskId, oldColumn, newColumn, newPosition, rank });
+        return this.getTaskById(taskId, client);
+      }, outer);
+    } catch (error) {
+      logger.error('Error moving task', { error: error.message, taskId });
+      throw error;
+    }
+  }
+
+  /**
+   * Apply one operation to many tasks in a single transaction.
+   * Missing tasks and tasks the operation doesn't apply to are reported per item
+   * rather than failing the batch; any database error rolls everything back.
+   * @param {Array} taskIds - Task IDs, processed in order
+   * @param {String} operation - move | complete | reopen | archive | restore | assign_routine | set_due_date
+   * @param {Object} params - column (move), routine_id (assign_routine), due_date and place_by_due_date (set_due_date)
+   * @param {Object} audit - { req, action }: write an audit entry per updated task, in the
+   *   same transaction, from the locked before-state to the after-state (optional)
+   * @returns {Array} [{ id, status: 'updated' | 'skipped' | 'not_found', message?, task? }]
+   *   task is the updated task
+   */
+  async bulkUpdate(taskIds, operation, params = {}, audit = null) {
+    const client = await pool.connect();
+    const trail = audit ? transactionAudit(client, audit.req) : null;
+    try {
+      await client.query('BEGIN');
+
+      const ids = [...new Set(taskIds)];
+      const existing = await client.query(
+        'SELECT * FROM tasks WHERE id = ANY($1::uuid[]) FOR UPDATE',
+        [ids]
       );
-      const currentTask = currentTaskResult.rows[0];
-      
-      if (!currentTask) {
-        throw new Error('Task not found');
-      }
-      
-      const oldColumn = currentTask.column_name;
-      const oldPosition = currentTask.position;
-      
-      // If no position specified, add to the end
-      if (newPosition === null || newPosition === undefined) {
-        newPosition = await this.getNextPosition(newColumn);
-      }
-      
-      logger.info('Move task details', { 
-        taskId, 
-        oldColumn, 
-        oldPosition, 
-        newColumn, 
-        newPosition 
-      });
-      
-      // Begin transaction to ensure consistency
-      const client = await pool.connect();
-      try {
-        await client.query('BEGIN');
-        
-        // If moving within the same column
-        if (oldColumn === newColumn) {
-          if (oldPosition !== newPosition) {
-            // Shift positions of other tasks
-            if (newPosition < oldPosition) {
-              // Moving up: shift tasks down between new and old position
-              await client.query(`
-                UPDATE tasks
-                SET position = position + 1, updated_at = NOW()
-                WHERE column_name = $1
-                  AND position >= $2
-                  AND position < $3
-                  AND id != $4
-                  AND is_archived = false
-              `, [newColumn, newPosition, oldPosition, taskId]);
-
-              // Also shift dividers in Today column
-              if (newColumn === 'today') {
-                await client.query(`
-                  UPDATE column_dividers
-                  SET position = position + 1
-                  WHERE column_name = 'today'
-                    AND position >= $1
-                    AND position < $2
-                `, [newPosition, oldPosition]);
-              }
-            } else {
-              // Moving down: shift tasks up between old and new position
-              await client.query(`
-                UPDATE tasks
-                SET position = position - 1, updated_at = NOW()
-                WHERE column_name = $1
-                  AND position > $2
-                  AND position <= $3
-                  AND id != $4
-                  AND is_archived = false
-              `, [newColumn, oldPosition, newPosition, taskId]);
-
-              // Also shift dividers in Today column
-              if (newColumn === 'today') {
-                await client.query(`
-                  UPDATE column_dividers
-                  SET position = position - 1
-                  WHERE column_name = 'today'
-                    AND position > $1
-                    AND position <= $2
-                `, [oldPosition, newPosition]);
-              }
+      const byId = new Map(existing.rows.map(row => [row.id, row]));
+
+      const results = [];
+
+      // Moved/restored tasks are appended, in request order
+      const endOf = (column, id) => orderingService.rankForIndex(client, 'board', column, null, id);
+
+      for (const id of ids) {
+        const task = byId.get(id);
+        if (!task) {
+          results.push({ id, status: 'not_found', message: 'Task not found' });
+          continue;
+        }
+
+        let query = null;
+        let values = [];
+        let skipReason = null;
+
+        switch (operation) {
+          case 'move': {
+            if (task.is_archived) {
+              skipReason = 'Task is archived';
+              break;
+            }
+            if (task.column_name === params.column) {
+              skipReason = 'Already in column';
+              break;
             }
+            query = 'UPDATE tasks SET column_name = $1, rank = $2, updated_at = NOW() WHERE id = $3';
+            values = [params.column, await endOf(params.column, id), id];
+            break;
           }
-        } else {
-          // Moving to different column
-          // Shift tasks down in the new column to make room
-          await client.query(`
-            UPDATE tasks
-            SET position = position + 1, updated_at = NOW()
-            WHERE column_name = $1
-              AND position >= $2
-              AND is_archived = false
-          `, [newColumn, newPosition]);
-
-          // Also shift dividers if moving INTO Today column
-          if (newColumn === 'today') {
-            await client.query(`
-              UPDATE column_dividers
-              SET position = position + 1
-              WHERE column_name = 'today'
-                AND position >= $1
-            `, [newPosition]);
+          case 'complete':
+            if (task.status === 'completed') {
+              skipReason = 'Already completed';
+              break;
+            }
+            query = `UPDATE tasks SET status = 'completed', completed_at = NOW(), updated_at = NOW() WHERE id = $1`;
+            values = [id];
+            break;
+          case 'reopen':
+            if (task.status !== 'completed') {
+              skipReason = 'Not completed';
+              break;
+            }
+            query = `UPDATE tasks SET status = 'pending', completed_at = NULL, updated_at = NOW() WHERE id = $1`;
+            values = [id];
+            break;
+          case 'archive':
+            if (task.is_archived) {
+              skipReason = 'Already archived';
+              break;
+            }
+            query = 'UPDATE tasks SET is_archived = true, archived_at = NOW(), updated_at = NOW() WHERE id = $1';
+            values = [id];
+            break;
+          case 'restore':
+            if (!task.is_archived) {
+              skipReason = 'Not archived';
+              break;
+            }
+            query = 'UPDATE tasks SET is_archived = false, archived_at = NULL, rank = $1, updated_at = NOW() WHERE id = $2';
+            values = [await endOf(task.column_name, id), id];
+            break;
+          case 'assign_routine':
+            query = 'UPDATE tasks SET routine_id = $1, updated_at = NOW() WHERE id = $2';
+            values = [params.routine_id || null, id];
+            break;
+          case 'set_due_date': {
+            const dueDate = params.due_date || null;
+            const column = params.place_by_due_date && dueDate && !task.is_archived
+              ? calendar.columnForDate(calendar.toDateString(dueDate))
+              : task.column_name;
+
+            if (column !== task.column_name) {
+              query = 'UPDATE tasks SET due_date = $1, column_name = $2, rank = $3, updated_at = NOW() WHERE id = $4';
+              values = [dueDate, column, await endOf(column, id), id];
+            } else {
+              query = 'UPDATE tasks SET due_date = $1, updated_at = NOW() WHERE id = $2';
+              values = [dueDate, id];
+            }
+            break;
           }
+          default:
+            throw new Error(`Unknown bulk operation: ${operation}`);
+        }
 
-          // Shift tasks up in the old column to fill the gap
-          await client.query(`
-            UPDATE tasks
-            SET position = position - 1, updated_at = NOW()
-            WHERE column_name = $1
-              AND position > $2
-              AND is_archived = false
-          `, [oldColumn, oldPosition]);
-
-          // Also shift dividers if moving OUT OF Today column
-          if (oldColumn === 'today') {
-            await client.query(`
-              UPDATE column_dividers
-              SET position = position - 1
-              WHERE column_name = 'today'
-                AND position > $1
-            `, [oldPosition]);
-          }
+        if (skipReason) {
+          results.push({ id, status: 'skipped', message: skipReason });
+          continue;
         }
-        
-        // Update the task itself
-        const updateResult = await client.query(`
-          UPDATE tasks
-          SET column_name = $1, position = $2, updated_at = NOW()
-          WHERE id = $3
-          RETURNING *
-        `, [newColumn, newPosition, taskId]);
-        
-        await client.query('COMMIT');
-        
-        // Renumber positions to keep them sequential
-        await this.renumberColumnPositions(newColumn);
-        if (oldColumn !== newColumn) {
-          await this.renumberColumnPositions(oldColumn);
+
+        // Full before-state, read under the row lock taken above
+        const before = trail ? await this.getTaskById(id, client) : null;
+        await client.query(query, values);
+        const after = await this.getTaskById(id, client);
+        if (trail) {
+          await trail.log(audit.action, 'task', id, before, after);
         }
-        
-        logger.info('Task moved', { taskId, oldColumn, oldPosition, newColumn, newPosition });
-        return updateResult.rows[0];
-        
-      } catch (error) {
-        await client.query('ROLLBACK');
-        throw error;
-      } finally {
-        client.release();
+        results.push({ id, status: 'updated', task: after });
       }
+
+      await client.query('COMMIT');
+      if (trail) trail.publish();
+
+      logger.info('Bulk task operation', {
+        operation,
+        requested: taskIds.length,
+        updated: results.filter(r => r.status === 'updated').length
+      });
+
+      return results;
     } catch (error) {
-      logger.error('Error moving task', { error: error.message, taskId });
+      await client.query('ROLLBACK');
+      logger.error('Error in bulk task operation', { error: error.message, operation });
       throw error;
+    } finally {
+      client.release();
     }
   }
 }
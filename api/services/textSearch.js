@@ -0,0 +1,64 @@
+/**
+ * Text Search
+ *
+ * Turns text terms into a Postgres tsquery expression for the search_vector
+ * columns (migration 012). searchQuery parses them out of the search box;
+ * they are ANDed together:
+ *   - "quoted words"  match as a phrase, in order
+ *   - word*           matches any word starting with "word"
+ *   - anything else   matches the word or its variations (english stemming:
+ *                     "changing" finds "change", "changed")
+ *
+ * Every value goes in as a query parameter; only the function calls are SQL.
+ */
+
+const CONFIG = 'english';
+
+/**
+ * SQL tsquery expression for a list of terms
+ * @param {Array} terms - [{ kind: 'phrase'|'prefix'|'word', text }]
+ * @param {Array} params - Query parameters; values are appended
+ * @returns {String|null} SQL expression, or null when there are no terms
+ */
+function tsQuery(terms, params) {
+  const parts = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const words = terms.filter(term => term.kind === 'word').map(term => term.text);
+  if (words.length > 0) {
+    parts.push(`plainto_tsquery('${CONFIG}', ${param(words.join(' '))})`);
+  }
+  for (const term of terms) {
+    if (term.kind === 'phrase') {
+      parts.push(`phraseto_tsquery('${CONFIG}', ${param(term.text)})`);
+    } else if (term.kind === 'prefix') {
+      parts.push(`to_tsquery('${CONFIG}', ${param(`${term.text}:*`)})`);
+    }
+  }
+
+  return parts.length > 0 ? `(${parts.join(' && ')})` : null;
+}
+
+/**
+ * ts_headline options
+ * @param {Boolean} summary - Short plain-text snippets for LLM mode
+ * @returns {Object} { title, snippet } option strings
+ */
+function headlineOptions(summary) {
+  const marks = summary ? 'StartSel="**", StopSel="**"' : 'StartSel="<mark>", StopSel="</mark>"';
+  return {
+    title: `HighlightAll=true, ${marks}`,
+    snippet: summary
+      ? `MaxWords=12, MinWords=5, MaxFragments=1, ${marks}`
+      : `MaxWords=25, MinWords=10, MaxFragments=2, FragmentDelimiter=" … ", ${marks}`
+  };
+}
+
+module.exports = {
+  CONFIG,
+  tsQuery,
+  headlineOptions
+};
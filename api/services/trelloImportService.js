@@ -0,0 +1,292 @@
+const { logger } = require('../middleware/logger');
+const exportService = require('./exportService');
+const importService = require('./importService');
+const calendar = require('./boardCalendar');
+
+/**
+ * Trello Import Service
+ * Converts a Trello board export (Board menu → Print, export and share →
+ * Export as JSON) into a CLIO export document and merges it into the board
+ * through importService, so it gets the same validation, dry runs and
+ * single-transaction import.
+ *
+ *   - lists → columns, by the mapping config (or a guess from the list name)
+ *   - labels → routines, with the label's color; a card's first label is its routine
+ *   - checklists → list items
+ *   - card descriptions → task notes
+ *   - archived cards, and cards on archived lists → archived tasks
+ *
+ * Mapping config (every key optional):
+ *   {
+ *     "lists": { "<list name or id>": "today" | "tomorrow" | "this_week" | "horizon" | "archive" | "skip" },
+ *     "defaultColumn": "horizon",
+ *     "includeArchived": true
+ *   }
+ * 'archive' imports a list's cards as completed, archived tasks (for "Done" lists).
+ */
+
+const COLUMNS = ['today', 'tomorrow', 'this_week', 'horizon'];
+const LIST_TARGETS = [...COLUMNS, 'archive', 'skip'];
+const DEFAULT_COLUMN = 'horizon';
+
+// Trello's label palette. Shade variants (green_dark, green_light) use the base color.
+const LABEL_COLORS = {
+  green: '#61bd4f',
+  yellow: '#f2d600',
+  orange: '#ff9f1a',
+  red: '#eb5a46',
+  purple: '#c377e0',
+  blue: '#0079bf',
+  sky: '#00c2e0',
+  lime: '#51e898',
+  pink: '#ff78cb',
+  black: '#344563'
+};
+const DEFAULT_ROUTINE_COLOR = '#3498db';
+
+class TrelloImportService {
+  constructor() {
+    this.listTargets = LIST_TARGETS;
+  }
+
+  /**
+   * Check the Trello document and mapping config
+   * @param {Object} board - Trello board export
+   * @param {Object} mapping - Mapping config
+   * @returns {Array<String>} Errors
+   */
+  validate(board, mapping) {
+    const errors = [];
+
+    if (!board || typeof board !== 'object' || Array.isArray(board) ||
+        !Array.isArray(board.lists) || !Array.isArray(board.cards)) {
+      errors.push('Not a Trello board export (expected an object with lists and cards arrays)');
+    }
+
+    if (mapping !== undefined && mapping !== null) {
+      if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+        errors.push('mapping must be an object');
+        return errors;
+      }
+      if (mapping.lists !== undefined && (typeof mapping.lists !== 'object' || Array.isArray(mapping.lists))) {
+        errors.push('mapping.lists must be an object of list name (or ID) to target');
+      } else {
+        for (const [list, target] of Object.entries(mapping.lists || {})) {
+          if (!LIST_TARGETS.includes(target)) {
+            errors.push(`mapping.lists["${list}"] must be one of: ${LIST_TARGETS.join(', ')}`);
+          }
+        }
+      }
+      if (mapping.defaultColumn !== undefined && !COLUMNS.includes(mapping.defaultColumn)) {
+        errors.push(`mapping.defaultColumn must be one of: ${COLUMNS.join(', ')}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Where a list's cards go: the mapping by ID, then by name (case-insensitive),
+   * then a guess from the name
+   * @param {Object} list - Trello list
+   * @param {Object} mapping - Mapping config
+   * @returns {String} Column, 'archive' or 'skip'
+   */
+  targetForList(list, mapping) {
+    const lists = mapping.lists || {};
+    if (lists[list.id]) return lists[list.id];
+
+    const name = (list.name || '').trim().toLowerCase();
+    for (const [key, target] of Object.entries(lists)) {
+      if (key.trim().toLowerCase() === name) return target;
+    }
+
+    if (/\btoday\b/.test(name)) return 'today';
+    if (/\btomorrow\b/.test(name)) return 'tomorrow';
+    if (/\bweek\b/.test(name)) return 'this_week';
+    if (/^(done|complete|completed|finished)\b/.test(name)) return 'archive';
+    return mapping.defaultColumn || DEFAULT_COLUMN;
+  }
+
+  /**
+   * Trello IDs start with the creation time in seconds (hex)
+   * @param {String} id - Trello object ID
+   * @returns {String|null} ISO timestamp
+   */
+  createdAtFromId(id) {
+    if (typeof id !== 'string' || !/^[0-9a-f]{24}$/i.test(id)) return null;
+    return new Date(parseInt(id.slice(0, 8), 16) * 1000).toISOString();
+  }
+
+  /**
+   * Convert a Trello board into a CLIO export document
+   * @param {Object} board - Trello board export
+   * @param {Object} mapping - Mapping config
+   * @returns {Object} { document, lists, skipped, warnings }
+   */
+  convert(board, mapping = {}) {
+    const includeArchived = mapping.includeArchived !== false;
+    const warnings = [];
+    const skipped = { cards: 0, archived_cards: 0, unnamed_cards: 0 };
+    const byPos = (a, b) => (a.pos || 0) - (b.pos || 0);
+
+    // Lists, in board order
+    const lists = new Map();
+    for (const list of [...board.lists].sort(byPos)) {
+      lists.set(list.id, {
+        id: list.id,
+        name: list.name,
+        closed: list.closed === true,
+        target: this.targetForList(list, mapping),
+        cards: 0
+      });
+    }
+
+    // Checklists, by card
+    const checklistsByCard = new Map();
+    for (const checklist of board.checklists || []) {
+      if (!checklistsByCard.has(checklist.idCard)) checklistsByCard.set(checklist.idCard, []);
+      checklistsByCard.get(checklist.idCard).push(checklist);
+    }
+
+    // Cards that will be imported, in board order (lists left to right, then top to bottom)
+    const listOrder = new Map([...lists.keys()].map((id, i) => [id, i]));
+    const inBoardOrder = [...board.cards].sort((a, b) =>
+      (listOrder.get(a.idList) ?? lists.size) - (listOrder.get(b.idList) ?? lists.size) || byPos(a, b));
+    const cards = [];
+    for (const card of inBoardOrder) {
+      const list = lists.get(card.idList);
+      const archived = card.closed === true || (list && list.closed);
+
+      if (!list || list.target === 'skip') {
+        skipped.cards++;
+        continue;
+      }
+      if (archived && !includeArchived) {
+        skipped.archived_cards++;
+        continue;
+      }
+      if (!card.name || !card.name.trim()) {
+        skipped.unnamed_cards++;
+        continue;
+      }
+      cards.push({ card, list, archived: archived || list.target === 'archive' });
+    }
+
+    // Labels in use become routines
+    const labels = new Map((board.labels || []).map(label => [label.id, label]));
+    const routineIds = new Set();
+    const routines = [];
+    let multiLabelCards = 0;
+
+    for (const { card } of cards) {
+      const labelIds = (card.idLabels || []).filter(id => labels.has(id));
+      if (labelIds.length > 1) multiLabelCards++;
+      if (labelIds.length === 0 || routineIds.has(labelIds[0])) continue;
+
+      const label = labels.get(labelIds[0]);
+      const colorName = (label.color || '').split('_')[0];
+      const title = (label.name || '').trim() ||
+        (colorName ? colorName.charAt(0).toUpperCase() + colorName.slice(1) : 'Trello label');
+
+      routineIds.add(label.id);
+      routines.push({
+        id: label.id,
+        title,
+        color: LABEL_COLORS[colorName] || DEFAULT_ROUTINE_COLOR,
+        status: 'active',
+        created_at: this.createdAtFromId(label.id)
+      });
+    }
+    if (multiLabelCards > 0) {
+      warnings.push(`${multiLabelCards} cards have more than one label; each was put in its first label's routine`);
+    }
+
+    // Cards become tasks
+    const tasks = cards.map(({ card, list, archived }) => {
+      const checklists = (checklistsByCard.get(card.id) || []).sort(byPos);
+      const items = [];
+      for (const checklist of checklists) {
+        // With several checklists, the checklist name keeps the items apart
+        const prefix = checklists.length > 1 && checklist.name ? `${checklist.name}: ` : '';
+        for (const checkItem of [...(checklist.checkItems || [])].sort(byPos)) {
+          if (!checkItem.name || !checkItem.name.trim()) continue;
+          items.push({
+            title: `${prefix}${checkItem.name}`,
+            completed: checkItem.state === 'complete'
+          });
+        }
+      }
+
+      const labelId = (card.idLabels || []).find(id => routineIds.has(id));
+      const completed = card.dueComplete === true || list.target === 'archive';
+      const lastActivity = card.dateLastActivity || null;
+      list.cards++;
+
+      return {
+        id: card.id,
+        routine_id: labelId || null,
+        title: card.name.trim(),
+        notes: card.desc && card.desc.trim() ? card.desc : null,
+        status: completed ? 'completed' : 'pending',
+        column_name: COLUMNS.includes(list.target) ? list.target : (mapping.defaultColumn || DEFAULT_COLUMN),
+        due_date: card.due ? calendar.toDateString(card.due) : null,
+        is_archived: archived,
+        created_at: this.createdAtFromId(card.id),
+        updated_at: lastActivity,
+        completed_at: completed ? lastActivity || new Date().toISOString() : null,
+        archived_at: archived ? lastActivity || new Date().toISOString() : null,
+        items
+      };
+    });
+
+    const document = {
+      format: exportService.format,
+      version: exportService.version,
+      exported_at: new Date().toISOString(),
+      include_archived: includeArchived,
+      include_audit: false,
+      routines,
+      tasks,
+      notes: [],
+      dividers: []
+    };
+
+    return { document, lists: [...lists.values()], skipped, warnings };
+  }
+
+  /**
+   * Merge a Trello board into the board
+   * @param {Object} board - Trello board export
+   * @param {Object} mapping - Mapping config
+   * @param {Object} options - { dryRun }
+   * @param {Object} req - Express request (for the audit entry)
+   * @returns {Object} Import report plus { trello: { board, lists, skipped } }
+   */
+  async importBoard(board, mapping, options = {}, req) {
+    const dryRun = options.dryRun === true;
+
+    const errors = this.validate(board, mapping);
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.statusCode = 400;
+      throw error;
+    }
+
+    try {
+      const { document, lists, skipped, warnings } = this.convert(board, mapping || {});
+      const report = await importService.importBoard(document, { mode: 'merge', dryRun, source: 'Trello' }, req);
+
+      report.warnings.push(...warnings);
+      report.trello = { board: board.name || null, lists, skipped };
+
+      logger.info('Trello board import', { board: board.name, dryRun, valid: report.valid, imported: report.imported });
+      return report;
+    } catch (error) {
+      logger.error('Error importing Trello board', { error: error.message, dryRun });
+      throw error;
+    }
+  }
+}
+
+module.exports = new TrelloImportService();
@@ -0,0 +1,443 @@
+const pool = require('../db/pool');
+const { logger } = require('../middleware/logger');
+const { transactionAudit } = require('../middleware/auditLog');
+const { withTransaction } = require('../db/transaction');
+const taskService = require('./taskService');
+const noteService = require('./noteService');
+const routineService = require('./routineService');
+const auditService = require('./auditService');
+
+/**
+ * Undo Service
+ * Replays audit_log previous_state/new_state snapshots to undo and redo
+ * an actor's most recent changes.
+ */
+
+// Audit actions that can be replayed (task, list item and note changes)
+const UNDOABLE_ACTIONS = [
+  'update_task', 'move_task', 'archive_task', 'restore_task', 'complete_task',
+  'add_item', 'update_item', 'delete_item',
+  'update_note', 'move_note', 'archive_note', 'restore_note'
+];
+
+// Actions written by this service - they never reset the redo stack
+const REPLAY_ACTIONS = ['undo', 'redo'];
+
+const MAX_STEPS = 20;
+
+class UndoService {
+  /**
+   * Find the entry the next undo would revert
+   * @param {String} actor - 'user' | 'agent'
+   * @returns {Object|null} audit_log row
+   */
+  async findUndoCandidate(actor) {
+    const query = `
+      SELECT * FROM audit_log a
+      WHERE a.actor = $1
+        AND a.undone_at IS NULL
+        AND a.action = ANY($2::text[])
+        AND (a.action = 'add_item' OR a.previous_state ? 'id')
+      ORDER BY a.created_at DESC
+      LIMIT 1
+    `;
+    const result = await pool.query(query, [actor, UNDOABLE_ACTIONS]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find the entry the next redo would re-apply.
+   * The redo stack is cleared as soon as the actor makes a fresh change.
+   * @param {String} actor - 'user' | 'agent'
+   * @returns {Object|null} audit_log row
+   */
+  async findRedoCandidate(actor) {
+    const query = `
+      SELECT * FROM audit_log a
+      WHERE a.actor = $1
+        AND a.undone_at IS NOT NULL
+        AND a.action = ANY($2::text[])
+        AND (a.action = 'delete_item' OR a.new_state ? 'id')
+        AND EXISTS (
+          -- Only entries this actor undid - not ones reverted from the agent activity review
+          SELECT 1 FROM audit_log u
+          WHERE u.reverts_id = a.id AND u.action = 'undo'
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM audit_log f
+          WHERE f.actor = a.actor
+            AND f.created_at > a.undone_at
+            AND f.action <> ALL($3::text[])
+        )
+      ORDER BY a.undone_at DESC
+      LIMIT 1
+    `;
+    const result = await pool.query(query, [actor, UNDOABLE_ACTIONS, REPLAY_ACTIONS]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Describe what undo/redo would do next without changing anything
+   * @param {String} actor - 'user' | 'agent'
+   * @returns {Object} { undo, redo } previews (null when unavailable)
+   */
+  async preview(actor) {
+    try {
+      const undoEntry = await this.findUndoCandidate(actor);
+      const redoEntry = await this.findRedoCandidate(actor);
+
+      return {
+        undo: undoEntry ? this.describeEntry(undoEntry, 'undo') : null,
+        redo: redoEntry ? this.describeEntry(redoEntry, 'redo') : null
+      };
+    } catch (error) {
+      logger.error('Error building undo preview', { error: error.message, actor });
+      throw error;
+    }
+  }
+
+  /**
+   * Undo the actor's most recent changes
+   * @param {Object} req - Express request (actor and agent hash are used for the audit entry)
+   * @param {Number} steps - How many entries to revert (default 1)
+   * @returns {Array} Replayed entries with the resulting entity
+   */
+  async undo(req, steps = 1) {
+    return this.replay(req, 'undo', steps);
+  }
+
+  /**
+   * Redo the actor's most recently undone changes
+   * @param {Object} req - Express request
+   * @param {Number} steps - How many entries to re-apply (default 1)
+   * @returns {Array} Replayed entries with the resulting entity
+   */
+  async redo(req, steps = 1) {
+    return this.replay(req, 'redo', steps);
+  }
+
+  /**
+   * Shared undo/redo loop
+   * @param {Object} req - Express request
+   * @param {String} direction - 'undo' | 'redo'
+   * @param {Number} steps - Number of entries to replay
+   * @returns {Array} Replayed entries
+   */
+  async replay(req, direction, steps) {
+    const actor = req.actor || 'user';
+    const count = Math.min(Math.max(parseInt(steps, 10) || 1, 1), MAX_STEPS);
+    const replayed = [];
+
+    try {
+      for (let i = 0; i < count; i++) {
+        const entry = direction === 'undo'
+          ? await this.findUndoCandidate(actor)
+          : await this.findRedoCandidate(actor);
+
+        if (!entry) break;
+
+        await this.assertNotSuperseded(entry, direction);
+
+        const targetState = direction === 'undo' ? entry.previous_state : entry.new_state;
+
+        // Restoring the snapshot, flagging the entry and recording the replay
+        // happen together or not at all, so the log always matches the board
+        const { entity, audit } = await withTransaction(async (client) => {
+          // Claims the entry too: a concurrent replay of it finds nothing to flag
+          const flagged = await client.query(
+            `UPDATE audit_log SET undone_at = $1
+             WHERE id = $2 AND undone_at IS ${direction === 'undo' ? 'NULL' : 'NOT NULL'}`,
+            [direction === 'undo' ? new Date() : null, entry.id]
+          );
+          if (flagged.rowCount === 0) {
+            const error = new Error(`Cannot ${direction}: this change was just ${direction === 'undo' ? 'undone' : 'redone'} elsewhere`);
+            error.statusCode = 409;
+            throw error;
+          }
+
+          const applied = await this.applyState(entry, targetState, client);
+
+          const replayAudit = transactionAudit(client, req);
+          await replayAudit.log(direction, entry.entity_type, entry.entity_id, applied.beforeState, applied.entity, {
+            revertsId: entry.id
+          });
+          return { entity: applied.entity, audit: replayAudit };
+        });
+        audit.publish();
+
+        logger.info(`Audit entry ${direction === 'undo' ? 'undone' : 'redone'}`, {
+          auditId: entry.id,
+          action: entry.action,
+          entityType: entry.entity_type,
+          entityId: entry.entity_id,
+          actor
+        });
+
+        replayed.push({
+          ...this.describeEntry(entry, direction),
+          entity
+        });
+      }
+
+      return replayed;
+    } catch (error) {
+      logger.error(`Error during ${direction}`, { error: error.message, actor });
+      throw error;
+    }
+  }
+
+  /**
+   * Refuse to replay an entry if another actor has changed the same entity since.
+   * Replaying would silently discard their change. Entries that themselves revert
+   * this actor's changes (e.g. a reviewed agent session) don't count.
+   * @param {Object} entry - audit_log row
+   * @param {String} direction - 'undo' | 'redo'
+   */
+  async assertNotSuperseded(entry, direction) {
+    const since = direction === 'undo' ? entry.created_at : entry.undone_at;
+    const result = await pool.query(`
+      SELECT a.actor, a.action, a.created_at FROM audit_log a
+      WHERE a.entity_type = $1
+        AND a.entity_id = $2
+        AND a.created_at > $3
+        AND a.actor <> $4
+        AND a.undone_at IS NULL
+        AND NOT EXISTS (
+          SELECT 1 FROM audit_log r
+          WHERE r.id = a.reverts_id AND r.actor = $4
+        )
+      ORDER BY a.created_at DESC
+      LIMIT 1
+    `, [entry.entity_type, entry.entity_id, since, entry.actor]);
+
+    if (result.rows.length > 0) {
+      const newer = result.rows[0];
+      const error = new Error(
+        `Cannot ${direction}: ${entry.entity_type} was changed by ${newer.actor} (${newer.action}) afterwards`
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+
+  /**
+   * Write a snapshot back to the database
+   * @param {Object} entry - audit_log row being replayed
+   * @param {Object|null} targetState - Snapshot to restore (null means the entity should not exist)
+   * @param {Object} client - pg client inside the replay's transaction
+   * @returns {Object} { beforeState, entity }
+   */
+  async applyState(entry, targetState, client) {
+    switch (entry.entity_type) {
+      case 'task':
+        return this.applyTaskState(entry.entity_id, targetState, client);
+      case 'list_item': {
+        // Either snapshot carries the parent task ID
+        const item = targetState || entry.previous_state || entry.new_state;
+        return this.applyItemState(item.task_id, entry.entity_id, targetState, client);
+      }
+      case 'note':
+        return this.applyNoteState(entry.entity_id, targetState, client);
+      case 'routine':
+        return this.applyRoutineState(entry.entity_id, targetState, client);
+      default:
+        throw new Error(`Cannot replay ${entry.entity_type} changes`);
+    }
+  }
+
+  /**
+   * Restore a task to a snapshot (fields, archive state, column and position)
+   * @param {String} taskId - Task ID
+   * @param {Object} state - Task snapshot
+   * @param {Object} client - pg client inside the replay's transaction
+   * @returns {Object} { beforeState, entity }
+   */
+  async applyTaskState(taskId, state, client) {
+    const current = await taskService.getTaskById(taskId, client);
+    if (!current) {
+      const error = new Error('Task not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    await client.query(`
+      UPDATE tasks
+      SET title = $1, notes = $2, routine_id = $3, due_date = $4, status = $5,
+          is_archived = $6, completed_at = $7, archived_at = $8, updated_at = NOW()
+      WHERE id = $9
+    `, [
+      state.title,
+      state.notes || null,
+      state.routine_id || null,
+      this.toDate(state.due_date),
+      state.status,
+      state.is_archived || false,
+      this.toDate(state.completed_at),
+      this.toDate(state.archived_at),
+      taskId
+    ]);
+
+    // Re-slot the task through moveTask so it gets a rank at its old index
+    const needsMove = !state.is_archived && (
+      current.is_archived ||
+      current.column_name !== state.column_name ||
+      current.position !== state.position
+    );
+    if (needsMove) {
+      await taskService.moveTask(taskId, state.column_name, state.position, null, client);
+    }
+
+    const entity = await taskService.getTaskById(taskId, client);
+    return { beforeState: current, entity };
+  }
+
+  /**
+   * Restore a list item to a snapshot, re-create it, or delete it
+   * @param {String} taskId - Parent task ID
+   * @param {String} itemId - Item ID
+   * @param {Object|null} state - Item snapshot (null deletes the item)
+   * @param {Object} client - pg client inside the replay's transaction
+   * @returns {Object} { beforeState, entity }
+   */
+  async applyItemState(taskId, itemId, state, client) {
+    const current = await taskService.getItemById(taskId, itemId, client);
+
+    if (!state) {
+      if (current) {
+        await taskService.deleteItem(taskId, itemId, client);
+      }
+      return { beforeState: current || null, entity: null };
+    }
+
+    let entity;
+    if (current) {
+      entity = await taskService.updateItem(taskId, itemId, {
+        title: state.title,
+        completed: state.completed,
+        position: state.position
+      }, null, client);
+    } else {
+      entity = await taskService.restoreItem({ ...state, id: itemId, task_id: taskId }, client);
+    }
+
+    return { beforeState: current || null, entity };
+  }
+
+  /**
+   * Restore a note to a snapshot
+   * @param {String} noteId - Note ID
+   * @param {Object} state - Note snapshot
+   * @param {Object} client - pg client inside the replay's transaction
+   * @returns {Object} { beforeState, entity }
+   */
+  async applyNoteState(noteId, state, client) {
+    const current = await noteService.getNoteById(noteId, client);
+    if (!current) {
+      const error = new Error('Note not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    await client.query(`
+      UPDATE notes
+      SET title = $1, content = $2, routine_id = $3, task_id = $4,
+          is_archived = $5, archived_at = $6, updated_at = NOW()
+      WHERE id = $7
+    `, [
+      state.title || null,
+      state.content,
+      state.routine_id || null,
+      state.task_id || null,
+      state.is_archived || false,
+      this.toDate(state.archived_at),
+      noteId
+    ]);
+
+    // Re-slot the note through moveNote so it gets a rank at its old index
+    const needsMove = !state.is_archived && (
+      current.column_position !== state.column_position ||
+      (state.position !== undefined && current.position !== state.position)
+    );
+    if (needsMove) {
+      await noteService.moveNote(noteId, state.column_position, state.position ?? null, null, client);
+    }
+
+    const entity = await noteService.getNoteById(noteId, client);
+    return { beforeState: current, entity };
+  }
+
+  /**
+   * Restore a routine to a snapshot
+   * @param {String} routineId - Routine ID
+   * @param {Object} state - Routine snapshot
+   * @param {Object} client - pg client inside the replay's transaction
+   * @returns {Object} { beforeState, entity }
+   */
+  async applyRoutineState(routineId, state, client) {
+    const current = await routineService.getRoutineById(routineId, client);
+    if (!current) {
+      const error = new Error('Routine not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    await client.query(`
+      UPDATE routines
+      SET title = $1, description = $2, color = $3, icon = $4, status = $5,
+          achievable = $6, pause_until = $7, is_archived = $8, archived_at = $9, updated_at = NOW()
+      WHERE id = $10
+    `, [
+      state.title,
+      state.description || null,
+      state.color,
+      state.icon,
+      state.status,
+      state.achievable || false,
+      this.toDate(state.pause_until),
+      state.is_archived || false,
+      this.toDate(state.archived_at),
+      routineId
+    ]);
+
+    const entity = await routineService.getRoutineById(routineId, client);
+    return { beforeState: current, entity };
+  }
+
+  /**
+   * Human-readable summary of an entry and the fields a replay will change
+   * @param {Object} entry - audit_log row
+   * @param {String} direction - 'undo' | 'redo'
+   * @returns {Object} Entry preview
+   */
+  describeEntry(entry, direction) {
+    const from = direction === 'undo' ? entry.new_state : entry.previous_state;
+    const to = direction === 'undo' ? entry.previous_state : entry.new_state;
+    const snapshot = entry.new_state || entry.previous_state || {};
+    const changes = auditService.diffStates(from, to);
+
+    return {
+      auditId: entry.id,
+      action: entry.action,
+      entityType: entry.entity_type,
+      entityId: entry.entity_id,
+      title: snapshot.title || null,
+      ...(entry.entity_type === 'list_item' && { taskId: snapshot.task_id || null }),
+      createdAt: entry.created_at,
+      description: `${direction === 'undo' ? 'Undo' : 'Redo'} ${entry.action.replace(/_/g, ' ')}` +
+        (snapshot.title ? ` "${snapshot.title}"` : ''),
+      changes
+    };
+  }
+
+  /**
+   * Snapshot timestamps/dates are JSON strings - hand pg a Date so it
+   * round-trips through the same local-time conversion it was read with
+   * @param {String|null} value - ISO string from a snapshot
+   * @returns {Date|null}
+   */
+  toDate(value) {
+    return value ? new Date(value) : null;
+  }
+}
+
+module.exports = new UndoService();
@@ -0,0 +1,661 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const pool = require('../db/pool');
+const { logger } = require('../middleware/logger');
+const eventService = require('./eventService');
+
+/**
+ * Webhook Service
+ * Posts board changes to registered URLs (webhooks table, migration 016) so
+ * Home Assistant and scripts can react to them. Every event eventService
+ * publishes is named after its audit action - complete_task becomes
+ * task.completed, pause_routine routine.paused - and queued in
+ * webhook_deliveries for each active webhook whose event patterns match
+ * (task.completed, task.* or *).
+ *
+ * Requests are JSON POSTs signed with the webhook's secret:
+ *   X-Clio-Event      event name
+ *   X-Clio-Delivery   delivery ID (also the payload's id)
+ *   X-Clio-Timestamp  Unix seconds
+ *   X-Clio-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *
+ * Anything but a 2xx is retried after 30s, 1m, 2m, ... up to an hour between
+ * attempts, WEBHOOK_MAX_ATTEMPTS times in all (default 8). Finished deliveries
+ * are kept WEBHOOK_LOG_DAYS (default 14) as the delivery log.
+ */
+
+const ACTION_EVENTS = {
+  create_task: 'task.created',
+  update_task: 'task.updated',
+  move_task: 'task.moved',
+  complete_task: 'task.completed',
+  archive_task: 'task.archived',
+  restore_task: 'task.restored',
+  add_item: 'list_item.created',
+  update_item: 'list_item.updated',
+  delete_item: 'list_item.deleted',
+  create_note: 'note.created',
+  update_note: 'note.updated',
+  move_note: 'note.moved',
+  archive_note: 'note.archived',
+  restore_note: 'note.restored',
+  convert_note_to_task: 'note.converted',
+  explode_note: 'note.exploded',
+  create_routine: 'routine.created',
+  update_routine: 'routine.updated',
+  complete_routine: 'routine.completed',
+  pause_routine: 'routine.paused',
+  archive_routine: 'routine.archived',
+  restore_routine: 'routine.restored',
+  reorder_routines: 'routine.reordered',
+  create_filter: 'filter.created',
+  update_filter: 'filter.updated',
+  delete_filter: 'filter.deleted',
+  rollover_columns: 'board.rolled_over',
+  import_board: 'board.imported'
+};
+
+// Undo, redo and agent reverts apply to whatever entity the entry was about
+const REPLAY_EVENTS = { undo: 'undone', redo: 'redone', revert_agent_change: 'reverted' };
+const REPLAY_TYPES = ['task', 'list_item', 'note', 'routine'];
+
+const EVENTS = [
+  ...Object.values(ACTION_EVENTS),
+  ...REPLAY_TYPES.flatMap(type => Object.values(REPLAY_EVENTS).map(verb => `${type}.${verb}`))
+].sort();
+const EVENT_TYPES = [...new Set(EVENTS.map(event => event.split('.')[0]))];
+
+const NAME_LIMIT = 100;
+const MIN_SECRET_LENGTH = 16;
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_LOG_DAYS = 14;
+const BASE_RETRY_SECONDS = 30;
+const MAX_RETRY_SECONDS = 60 * 60;
+const POLL_SECONDS = 30;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 50;
+const RESPONSE_LIMIT = 1000;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const invalid = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+class WebhookService {
+  constructor() {
+    this.timer = null;
+    this.wakeTimer = null;
+    this.running = false;
+    this.rerun = false;
+    this.activeHooks = null; // Cache, cleared on every change
+    this.lastPrunedAt = 0;
+    this.unsubscribe = null;
+  }
+
+  getEvents() {
+    return EVENTS;
+  }
+
+  getTimeout() {
+    return parseInt(process.env.WEBHOOK_TIMEOUT, 10) || DEFAULT_TIMEOUT;
+  }
+
+  getMaxAttempts() {
+    return parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS;
+  }
+
+  getLogDays() {
+    return parseInt(process.env.WEBHOOK_LOG_DAYS, 10) || DEFAULT_LOG_DAYS;
+  }
+
+  retryDelay(attempts) {
+    return Math.min(BASE_RETRY_SECONDS * Math.pow(2, attempts - 1), MAX_RETRY_SECONDS);
+  }
+
+  /**
+   * Webhook event name for a published change
+   * @param {Object} change - eventService event
+   * @returns {String|null} e.g. 'task.completed'; null for changes webhooks don't get
+   */
+  eventName(change) {
+    if (ACTION_EVENTS[change.action]) return ACTION_EVENTS[change.action];
+    if (REPLAY_EVENTS[change.action] && REPLAY_TYPES.includes(change.entityType)) {
+      return `${change.entityType}.${REPLAY_EVENTS[change.action]}`;
+    }
+    return null;
+  }
+
+  /**
+   * @param {Array} patterns - Webhook events: 'task.completed', 'task.*' or '*'
+   * @param {String} event - Event name
+   * @returns {Boolean}
+   */
+  matches(patterns, event) {
+    const type = event.split('.')[0];
+    return patterns.some(pattern => pattern === '*' || pattern === event || pattern === `${type}.*`);
+  }
+
+  /**
+   * Check the fields of a create or update
+   * @param {Object} data - { name, url, events, active, secret }
+   * @param {Boolean} partial - Update: only check the fields given
+   * @returns {Object} Fields to write
+   */
+  normalizeWebhook(data = {}, partial = false) {
+    const fields = {};
+
+    if (!partial || data.name !== undefined) {
+      const name = typeof data.name === 'string' ? data.name.trim() : '';
+      if (!name) throw invalid('Name is required');
+      if (name.length > NAME_LIMIT) throw invalid(`Name exceeds ${NAME_LIMIT} character limit`);
+      fields.name = name;
+    }
+
+    if (!partial || data.url !== undefined) {
+      let url;
+      try {
+        url = new URL(data.url);
+      } catch (error) {
+        throw invalid('url must be an absolute http(s) URL');
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw invalid('url must be an absolute http(s) URL');
+      }
+      fields.url = url.toString();
+    }
+
+    if (data.events !== undefined) {
+      if (!Array.isArray(data.events) || data.events.length === 0) {
+        throw invalid('events must be a non-empty array of event names');
+      }
+      const events = [...new Set(data.events.map(event => String(event).trim()))];
+      const unknown = events.find(event =>
+        event !== '*' &&
+        !EVENTS.includes(event) &&
+        !(event.endsWith('.*') && EVENT_TYPES.includes(event.slice(0, -2)))
+      );
+      if (unknown !== undefined) {
+        throw invalid(`Unknown event "${unknown}" (see GET /api/webhooks/events)`);
+      }
+      fields.events = events;
+    } else if (!partial) {
+      fields.events = ['*'];
+    }
+
+    if (data.active !== undefined) {
+      if (typeof data.active !== 'boolean') throw invalid('active must be true or false');
+      fields.active = data.active;
+    }
+
+    if (!partial) {
+      if (data.secret !== undefined) {
+        if (typeof data.secret !== 'string' || data.secret.length < MIN_SECRET_LENGTH || data.secret.length > 128) {
+          throw invalid(`secret must be ${MIN_SECRET_LENGTH}-128 characters`);
+        }
+        fields.secret = data.secret;
+      } else {
+        fields.secret = this.generateSecret();
+      }
+    }
+
+    return fields;
+  }
+
+  generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * API view of a webhook: the secret only as a hint, unless asked for
+   * @param {Object} row - webhooks row
+   * @param {Boolean} withSecret - Include the full secret (create, rotate)
+   */
+  present(row, withSecret = false) {
+    if (!row) return row;
+    const { secret, ...webhook } = row;
+    return withSecret
+      ? { ...webhook, secret }
+      : { ...webhook, secret_hint: `${secret.slice(0, 4)}…` };
+  }
+
+  /**
+   * All webhooks with their latest delivery
+   * @returns {Array}
+   */
+  async getWebhooks() {
+    try {
+      const result = await pool.query(`
+        SELECT w.*,
+               last.status AS last_delivery_status,
+               last.created_at AS last_delivery_at,
+               (SELECT COUNT(*)::int FROM webhook_deliveries p
+                WHERE p.webhook_id = w.id AND p.status = 'pending') AS pending_deliveries
+        FROM webhooks w
+        LEFT JOIN LATERAL (
+          SELECT d.status, d.created_at FROM webhook_deliveries d
+          WHERE d.webhook_id = w.id
+          ORDER BY d.created_at DESC
+          LIMIT 1
+        ) last ON true
+        ORDER BY LOWER(w.name)
+      `);
+      return result.rows.map(row => this.present(row));
+    } catch (error) {
+      logger.error('Error fetching webhooks', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * @param {String} webhookId - Webhook ID
+   * @returns {Object|undefined} webhooks row, secret included
+   */
+  async getWebhookById(webhookId) {
+    try {
+      if (!UUID_PATTERN.test(webhookId || '')) return undefined;
+      const result = await pool.query('SELECT * FROM webhooks WHERE id = $1', [webhookId]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error fetching webhook', { error: error.message, webhookId });
+      throw error;
+    }
+  }
+
+  /**
+   * @param {Object} data - { name, url, events, active, secret }
+   * @returns {Object} Created webhook row
+   */
+  async createWebhook(data) {
+    const fields = this.normalizeWebhook(data);
+    try {
+      const result = await pool.query(`
+        INSERT INTO webhooks (name, url, events, secret, active)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [fields.name, fields.url, fields.events, fields.secret, fields.active !== false]);
+
+      this.activeHooks = null;
+      logger.info('Webhook created', { webhookId: result.rows[0].id, name: fields.name, events: fields.events });
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating webhook', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * @param {String} webhookId - Webhook ID
+   * @param {Object} updates - Any of name, url, events, active
+   * @returns {Object|undefined} Updated webhook row, undefined if not found
+   */
+  async updateWebhook(webhookId, updates) {
+    const fields = this.normalizeWebhook(updates, true);
+    if (Object.keys(fields).length === 0) {
+      throw invalid('No valid fields to update');
+    }
+
+    try {
+      if (!UUID_PATTERN.test(webhookId || '')) return undefined;
+
+      const setClause = [];
+      const values = [];
+      for (const [field, value] of Object.entries(fields)) {
+        values.push(value);
+        setClause.push(`${field} = $${values.length}`);
+      }
+      values.push(webhookId);
+
+      const result = await pool.query(`
+        UPDATE webhooks
+        SET ${setClause.join(', ')}
+        WHERE id = $${values.length}
+        RETURNING *
+      `, values);
+
+      this.activeHooks = null;
+      if (result.rows[0]) logger.info('Webhook updated', { webhookId, fields: Object.keys(fields) });
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error updating webhook', { error: error.message, webhookId });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a webhook's signing secret
+   * @param {String} webhookId - Webhook ID
+   * @returns {Object|undefined} Updated webhook row, undefined if not found
+   */
+  async rotateSecret(webhookId) {
+    try {
+      if (!UUID_PATTERN.test(webhookId || '')) return undefined;
+      const result = await pool.query(
+        'UPDATE webhooks SET secret = $2 WHERE id = $1 RETURNING *',
+        [webhookId, this.generateSecret()]
+      );
+      this.activeHooks = null;
+      if (result.rows[0]) logger.info('Webhook secret rotated', { webhookId });
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error rotating webhook secret', { error: error.message, webhookId });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a webhook and its delivery log
+   * @param {String} webhookId - Webhook ID
+   * @returns {Object|undefined} Deleted webhook row, undefined if not found
+   */
+  async deleteWebhook(webhookId) {
+    try {
+      if (!UUID_PATTERN.test(webhookId || '')) return undefined;
+      const result = await pool.query('DELETE FROM webhooks WHERE id = $1 RETURNING *', [webhookId]);
+      this.activeHooks = null;
+      if (result.rows[0]) logger.info('Webhook deleted', { webhookId });
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error deleting webhook', { error: error.message, webhookId });
+      throw error;
+    }
+  }
+
+  /**
+   * Delivery log of a webhook, newest first
+   * @param {String} webhookId - Webhook ID
+   * @param {Object} options - { status, limit } (default 50, max 200)
+   * @returns {Array}
+   */
+  async getDeliveries(webhookId, { status, limit } = {}) {
+    if (status && !['pending', 'delivered', 'failed'].includes(status)) {
+      throw invalid('status must be pending, delivered or failed');
+    }
+    const max = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+    try {
+      const result = await pool.query(`
+        SELECT id, event, status, attempts, next_attempt_at, response_status, response_body,
+               error, duration_ms, created_at, delivered_at, payload
+        FROM webhook_deliveries
+        WHERE webhook_id = $1 AND ($2::text IS NULL OR status = $2)
+        ORDER BY created_at DESC
+        LIMIT ${max}
+      `, [webhookId, status || null]);
+      return result.rows.map(row => ({
+        ...row,
+        next_attempt_at: row.status === 'pending' ? row.next_attempt_at : null
+      }));
+    } catch (error) {
+      logger.error('Error fetching webhook deliveries', { error: error.message, webhookId });
+      throw error;
+    }
+  }
+
+  /**
+   * Active webhooks (cached until one changes)
+   * @returns {Array}
+   */
+  async getActiveHooks() {
+    if (!this.activeHooks) {
+      const result = await pool.query('SELECT id, events FROM webhooks WHERE active = true');
+      this.activeHooks = result.rows;
+    }
+    return this.activeHooks;
+  }
+
+  /**
+   * Queue a published change for every webhook that wants it
+   * @param {Object} change - eventService event
+   */
+  async handleEvent(change) {
+    const event = this.eventName(change);
+    if (!event) return;
+
+    try {
+      const hooks = (await this.getActiveHooks()).filter(hook => this.matches(hook.events, event));
+      if (hooks.length === 0) return;
+
+      for (const hook of hooks) {
+        const id = uuidv4();
+        const payload = {
+          id,
+          event,
+          occurredAt: change.at,
+          actor: change.actor,
+          entityType: change.entityType,
+          entityId: change.entityId,
+          auditId: change.auditId,
+          data: change.state
+        };
+        await pool.query(
+          'INSERT INTO webhook_deliveries (id, webhook_id, event, payload) VALUES ($1, $2, $3, $4)',
+          [id, hook.id, event, JSON.stringify(payload)]
+        );
+      }
+      this.wake();
+    } catch (error) {
+      logger.error('Error queueing webhook deliveries', { error: error.message, event });
+    }
+  }
+
+  /**
+   * Signature headers for a request body
+   * @param {String} secret - Webhook secret
+   * @param {String} body - JSON body as sent
+   * @returns {Object} { timestamp, signature }
+   */
+  sign(secret, body) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return { timestamp, signature: `sha256=${signature}` };
+  }
+
+  /**
+   * Make one attempt at a delivery and record the outcome
+   * @param {Object} delivery - webhook_deliveries row
+   * @param {Object} hook - webhooks row
+   * @param {Number} maxAttempts - Give up after this many
+   * @returns {Object} Updated delivery row
+   */
+  async attempt(delivery, hook, maxAttempts = this.getMaxAttempts()) {
+    const body = JSON.stringify(delivery.payload);
+    const { timestamp, signature } = this.sign(hook.secret, body);
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.getTimeout());
+    const started = Date.now();
+
+    let responseStatus = null;
+    let responseBody = null;
+    let error = null;
+    try {
+      const response = await fetch(hook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'CLIO-Board-Webhooks',
+          'X-Clio-Event': delivery.event,
+          'X-Clio-Delivery': delivery.id,
+          'X-Clio-Timestamp': timestamp,
+          'X-Clio-Signature': signature
+        },
+        body,
+        signal: controller.signal
+      });
+      responseStatus = response.status;
+      responseBody = (await response.text()).slice(0, RESPONSE_LIMIT);
+      if (!response.ok) error = `HTTP ${response.status}`;
+    } catch (err) {
+      error = err.name === 'AbortError'
+        ? `No response within ${this.getTimeout()}ms`
+        : (err.cause && err.cause.message) || err.message;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    const attempts = delivery.attempts + 1;
+    const status = !error ? 'delivered' : attempts >= maxAttempts ? 'failed' : 'pending';
+
+    const result = await pool.query(`
+      UPDATE webhook_deliveries
+      SET status = $2,
+          attempts = $3,
+          response_status = $4,
+          response_body = $5,
+          error = $6,
+          duration_ms = $7,
+          next_attempt_at = NOW() + make_interval(secs => $8),
+          delivered_at = CASE WHEN $2 = 'delivered' THEN NOW() ELSE NULL END
+      WHERE id = $1
+      RETURNING *
+    `, [delivery.id, status, attempts, responseStatus, responseBody, error, Date.now() - started, this.retryDelay(attempts)]);
+
+    if (status === 'failed') {
+      logger.error('Webhook delivery gave up', { webhookId: hook.id, event: delivery.event, attempts, error });
+    } else if (error) {
+      logger.warn('Webhook delivery failed', { webhookId: hook.id, event: delivery.event, attempts, error });
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Send a ping to a webhook now (one attempt, no retries)
+   * @param {Object} hook - webhooks row
+   * @returns {Object} The delivery, with its outcome
+   */
+  async ping(hook) {
+    try {
+      const id = uuidv4();
+      const payload = {
+        id,
+        event: 'ping',
+        occurredAt: new Date().toISOString(),
+        webhook: { id: hook.id, name: hook.name, events: hook.events }
+      };
+      const result = await pool.query(`
+        INSERT INTO webhook_deliveries (id, webhook_id, event, payload, next_attempt_at)
+        VALUES ($1, $2, 'ping', $3, 'infinity')
+        RETURNING *
+      `, [id, hook.id, JSON.stringify(payload)]);
+
+      const delivery = await this.attempt(result.rows[0], hook, 1);
+      return {
+        id: delivery.id,
+        event: delivery.event,
+        status: delivery.status,
+        response_status: delivery.response_status,
+        response_body: delivery.response_body,
+        error: delivery.error,
+        duration_ms: delivery.duration_ms
+      };
+    } catch (error) {
+      logger.error('Error pinging webhook', { error: error.message, webhookId: hook.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Attempt every delivery that is due
+   * @returns {Number} Deliveries attempted
+   */
+  async deliverDue() {
+    if (this.running) {
+      this.rerun = true;
+      return 0;
+    }
+    this.running = true;
+
+    let attempted = 0;
+    try {
+      for (;;) {
+        const result = await pool.query(`
+          SELECT d.*, w.url, w.secret, w.name
+          FROM webhook_deliveries d
+          JOIN webhooks w ON w.id = d.webhook_id
+          WHERE d.status = 'pending' AND d.next_attempt_at <= NOW() AND w.active = true
+          ORDER BY d.next_attempt_at, d.created_at
+          LIMIT ${BATCH_SIZE}
+        `);
+
+        for (const row of result.rows) {
+          await this.attempt(row, { id: row.webhook_id, url: row.url, secret: row.secret });
+          attempted++;
+        }
+
+        if (result.rows.length < BATCH_SIZE) break;
+      }
+
+      await this.prune();
+      return attempted;
+    } catch (error) {
+      logger.error('Error delivering webhooks', { error: error.message });
+      return attempted;
+    } finally {
+      this.running = false;
+      if (this.rerun) {
+        this.rerun = false;
+        this.wake();
+      }
+    }
+  }
+
+  /**
+   * Drop finished deliveries older than WEBHOOK_LOG_DAYS (at most hourly)
+   */
+  async prune() {
+    if (Date.now() - this.lastPrunedAt < PRUNE_INTERVAL_MS) return;
+    this.lastPrunedAt = Date.now();
+
+    const result = await pool.query(`
+      DELETE FROM webhook_deliveries
+      WHERE status <> 'pending' AND created_at < NOW() - make_interval(days => $1)
+    `, [this.getLogDays()]);
+    if (result.rowCount > 0) {
+      logger.info('Webhook delivery log pruned', { deleted: result.rowCount });
+    }
+  }
+
+  wake() {
+    if (!this.timer || this.wakeTimer) return;
+    this.wakeTimer = setTimeout(() => {
+      this.wakeTimer = null;
+      this.deliverDue();
+    }, 0);
+    this.wakeTimer.unref();
+  }
+
+  /**
+   * Start listening for board changes and delivering
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.deliverDue(), POLL_SECONDS * 1000);
+    this.timer.unref();
+    this.unsubscribe = eventService.onPublish(change => {
+      this.handleEvent(change);
+    });
+
+    logger.info('Webhook delivery started', { maxAttempts: this.getMaxAttempts() });
+    this.deliverDue();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.wakeTimer) {
+      clearTimeout(this.wakeTimer);
+      this.wakeTimer = null;
+    }
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+}
+
+module.exports = new WebhookService();
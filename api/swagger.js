@@ -80,7 +80,35 @@ const swaggerDefinition = {
           },
           position: {
             type: 'integer',
-            description: 'Position within column'
+            nullable: true,
+            description: 'Index within the column, counting Today\'s dividers (derived from rank; null when archived)'
+          },
+          rank: {
+            type: 'string',
+            description: 'Fractional ordering key within the column'
+          },
+          version: {
+            type: 'integer',
+            description: 'Row version, bumped on every change; returned as the ETag'
+          },
+          is_overdue: {
+            type: 'boolean',
+            description: 'Computed: due_date is in the past and the task is not completed'
+          },
+          recurrence_rule: {
+            $ref: '#/components/schemas/RecurrenceRule'
+          },
+          recurrence_series_id: {
+            type: 'string',
+            format: 'uuid',
+            nullable: true,
+            description: 'First task of the recurring series (null on the first instance)'
+          },
+          recurrence_next_id: {
+            type: 'string',
+            format: 'uuid',
+            nullable: true,
+            description: 'Next instance, once it has been generated'
           },
           created_at: {
             type: 'string',
@@ -140,6 +168,10 @@ const swaggerDefinition = {
             type: 'integer',
             description: 'Custom display order for drag-and-drop'
           },
+          version: {
+            type: 'integer',
+            description: 'Row version, bumped on every change; returned as the ETag'
+          },
           created_at: {
             type: 'string',
             format: 'date-time'
@@ -190,6 +222,19 @@ const swaggerDefinition = {
             nullable: true,
             description: 'Column position (1-2 user, 3-4 agent)'
           },
+          position: {
+            type: 'integer',
+            nullable: true,
+            description: 'Index within the notes column (derived from rank; null when archived)'
+          },
+          rank: {
+            type: 'string',
+            description: 'Fractional ordering key within the notes column'
+          },
+          version: {
+            type: 'integer',
+            description: 'Row version, bumped on every change; returned as the ETag'
+          },
           task_id: {
             type: 'string',
             format: 'uuid',
@@ -258,11 +303,729 @@ const swaggerDefinition = {
           },
           position: {
             type: 'integer',
-            description: 'Position for ordering alongside tasks'
+            description: 'Index in the Today column, interleaved with tasks (derived from rank)'
+          },
+          rank: {
+            type: 'string',
+            description: 'Fractional ordering key, shared with the Today column\'s tasks'
+          },
+          created_at: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      },
+      BoardEvent: {
+        type: 'object',
+        description: 'Payload of a `change` event on GET /api/events',
+        properties: {
+          id: {
+            type: 'integer',
+            description: 'Event sequence number (also the SSE id, for Last-Event-ID)'
+          },
+          entityType: {
+            type: 'string',
+            enum: ['task', 'list_item', 'note', 'routine', 'divider', 'board']
+          },
+          entityId: {
+            type: 'string',
+            nullable: true
+          },
+          action: {
+            type: 'string',
+            example: 'update_task',
+            description: 'Audit action (MOVE_DIVIDER for divider moves)'
+          },
+          actor: {
+            type: 'string',
+            enum: ['user', 'agent', 'system', 'hook']
+          },
+          origin: {
+            type: 'string',
+            nullable: true,
+            description: 'X-Client-Id header of the request that made the change'
+          },
+          taskId: {
+            type: 'string',
+            format: 'uuid',
+            nullable: true,
+            description: 'Parent task of a list item'
+          },
+          auditId: {
+            type: 'string',
+            format: 'uuid',
+            nullable: true
+          },
+          state: {
+            type: 'object',
+            nullable: true,
+            description: 'Entity state after the change (null when deleted)'
+          },
+          at: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      },
+      BoardExport: {
+        type: 'object',
+        required: ['format', 'version'],
+        properties: {
+          format: {
+            type: 'string',
+            enum: ['clio-board-export']
+          },
+          version: {
+            type: 'integer',
+            example: 1,
+            description: 'Export document version (not the database schema version)'
+          },
+          exported_at: {
+            type: 'string',
+            format: 'date-time'
+          },
+          include_archived: {
+            type: 'boolean'
+          },
+          include_audit: {
+            type: 'boolean'
+          },
+          routines: {
+            type: 'array',
+            items: { $ref: '#/components/schemas/Routine' }
+          },
+          tasks: {
+            type: 'array',
+            description: 'Tasks in board order, each with its list items',
+            items: { $ref: '#/components/schemas/Task' }
+          },
+          notes: {
+            type: 'array',
+            items: { $ref: '#/components/schemas/Note' }
+          },
+          dividers: {
+            type: 'array',
+            items: { $ref: '#/components/schemas/Divider' }
+          },
+          audit_log: {
+            type: 'array',
+            description: 'Only with includeAudit=true',
+            items: { $ref: '#/components/schemas/AuditEntry' }
+          }
+        }
+      },
+      ImportReport: {
+        type: 'object',
+        properties: {
+          mode: {
+            type: 'string',
+            enum: ['merge', 'replace']
+          },
+          dryRun: {
+            type: 'boolean'
+          },
+          valid: {
+            type: 'boolean',
+            description: 'False when the document was rejected; nothing was imported'
+          },
+          version: {
+            type: 'integer',
+            description: 'Version of the imported document'
+          },
+          errors: {
+            type: 'array',
+            items: { type: 'string' },
+            example: ['tasks[3].column_name must be one of: today, tomorrow, this_week, horizon']
+          },
+          warnings: {
+            type: 'array',
+            items: { type: 'string' }
+          },
+          deleted: {
+            type: 'object',
+            nullable: true,
+            description: 'Rows removed by a replace, by type'
+          },
+          imported: {
+            type: 'object',
+            description: 'Rows created, by type (routines, tasks, list_items, notes, dividers, audit_log)'
+          },
+          skipped: {
+            type: 'object',
+            description: 'Dividers and audit entries left out, by type'
+          },
+          remappedIds: {
+            type: 'integer',
+            description: 'Entities that were given a new ID'
+          },
+          auditId: {
+            type: 'string',
+            format: 'uuid',
+            nullable: true,
+            description: 'Audit entry of the import (not set for dry runs)'
+          }
+        }
+      },
+      Backup: {
+        type: 'object',
+        properties: {
+          name: {
+            type: 'string',
+            example: 'clio-backup-20261019T020000Z-scheduled.json'
+          },
+          kind: {
+            type: 'string',
+            enum: ['scheduled', 'manual', 'pre-restore']
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time'
+          },
+          size: {
+            type: 'integer',
+            description: 'File size in bytes'
+          },
+          counts: {
+            type: 'object',
+            description: 'Rows written, by type (only in the response to a new backup)'
+          }
+        }
+      },
+      SavedFilter: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            format: 'uuid'
+          },
+          name: {
+            type: 'string',
+            maxLength: 100,
+            example: 'Bathroom this week'
+          },
+          criteria: {
+            type: 'object',
+            description: 'All optional and ANDed together',
+            properties: {
+              routine_ids: {
+                type: 'array',
+                items: { type: 'string', format: 'uuid' },
+                description: 'Tasks in any of these routines'
+              },
+              due: {
+                description: '"overdue" (before today and not completed), "none" (no due date), or an ' +
+                  'inclusive window { from, to } whose bounds are days (YYYY-MM-DD) or whole numbers ' +
+                  'of days from today (0 = today)',
+                oneOf: [
+                  { type: 'string', enum: ['overdue', 'none'] },
+                  {
+                    type: 'object',
+                    properties: {
+                      from: { oneOf: [{ type: 'string', format: 'date' }, { type: 'integer' }] },
+                      to: { oneOf: [{ type: 'string', format: 'date' }, { type: 'integer' }] }
+                    }
+                  }
+                ],
+                example: { from: 0, to: 7 }
+              },
+              status: {
+                type: 'string',
+                enum: ['pending', 'completed']
+              },
+              has_items: {
+                type: 'boolean',
+                description: 'true: lists only, false: plain tasks only'
+              },
+              text: {
+                type: 'string',
+                description: 'Search query the task must match (GET /api/search syntax)',
+                example: 'grout -is:completed'
+              }
+            }
+          },
+          pinned: {
+            type: 'boolean',
+            description: 'Shown in the board header'
+          },
+          created_at: {
+            type: 'string',
+            format: 'date-time'
+          },
+          updated_at: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      },
+      UndoEntry: {
+        type: 'object',
+        nullable: true,
+        properties: {
+          auditId: {
+            type: 'string',
+            format: 'uuid',
+            description: 'Audit log entry being replayed'
+          },
+          action: {
+            type: 'string',
+            example: 'archive_task',
+            description: 'Original audit action'
+          },
+          entityType: {
+            type: 'string',
+            enum: ['task', 'list_item', 'note']
+          },
+          entityId: {
+            type: 'string',
+            format: 'uuid'
+          },
+          title: {
+            type: 'string',
+            nullable: true
+          },
+          description: {
+            type: 'string',
+            example: 'Undo archive task "Grout white tile"'
+          },
+          changes: {
+            type: 'array',
+            description: 'Fields the replay changes',
+            items: {
+              type: 'object',
+              properties: {
+                field: { type: 'string' },
+                label: { type: 'string' },
+                from: { nullable: true },
+                to: { nullable: true }
+              }
+            }
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      },
+      AuditEntry: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            format: 'uuid'
+          },
+          actor: {
+            type: 'string',
+            enum: ['user', 'agent', 'system', 'hook']
+          },
+          actorName: {
+            type: 'string',
+            nullable: true,
+            description: 'Name of the inbound hook (actor hook)'
+          },
+          action: {
+            type: 'string',
+            example: 'move_task'
+          },
+          entityType: {
+            type: 'string',
+            enum: ['task', 'list_item', 'note', 'routine']
+          },
+          entityId: {
+            type: 'string',
+            format: 'uuid'
+          },
+          title: {
+            type: 'string',
+            nullable: true
+          },
+          changes: {
+            type: 'array',
+            description: 'Field-level diff of previous_state → new_state',
+            items: {
+              type: 'object',
+              properties: {
+                field: { type: 'string', example: 'column_name' },
+                label: { type: 'string', example: 'Column' },
+                from: { nullable: true, example: 'today' },
+                to: { nullable: true, example: 'tomorrow' }
+              }
+            }
+          },
+          summary: {
+            type: 'string',
+            example: 'user move task "Call contractor" - Column: today → tomorrow'
+          },
+          undone: {
+            type: 'boolean',
+            description: 'True if this change was reverted via /api/undo'
+          },
+          revertsId: {
+            type: 'string',
+            format: 'uuid',
+            nullable: true,
+            description: 'For undo/redo entries: the entry that was replayed'
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      },
+      EntityHistory: {
+        type: 'object',
+        properties: {
+          entityType: {
+            type: 'string'
+          },
+          entityId: {
+            type: 'string',
+            format: 'uuid'
+          },
+          title: {
+            type: 'string',
+            nullable: true
+          },
+          timeline: {
+            type: 'array',
+            items: {
+              $ref: '#/components/schemas/AuditEntry'
+            }
+          }
+        }
+      },
+      RecurrenceRule: {
+        type: 'object',
+        nullable: true,
+        description: 'Makes the task recurring. The next instance is created when this one is completed, or when its date arrives (calendar rules). Set to null to stop recurring.',
+        required: ['frequency'],
+        properties: {
+          frequency: {
+            type: 'string',
+            enum: ['daily', 'weekly', 'monthly', 'after_completion']
+          },
+          interval: {
+            type: 'integer',
+            default: 1,
+            description: 'Every N days (daily, after_completion) or months (monthly)'
+          },
+          weekdays: {
+            type: 'array',
+            items: {
+              type: 'integer',
+              minimum: 0,
+              maximum: 6
+            },
+            description: 'Weekly only: days of the week, 0 = Sunday'
+          },
+          day_of_month: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 31,
+            description: 'Monthly only: clamped to the length of the month'
+          }
+        },
+        example: {
+          frequency: 'weekly',
+          weekdays: [6]
+        }
+      },
+      AgentSession: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            format: 'uuid',
+            description: 'Audit ID of the first entry in the session'
+          },
+          startedAt: {
+            type: 'string',
+            format: 'date-time'
+          },
+          endedAt: {
+            type: 'string',
+            format: 'date-time'
+          },
+          entryCount: {
+            type: 'integer'
+          },
+          revertedCount: {
+            type: 'integer'
+          },
+          entityCount: {
+            type: 'integer'
+          },
+          actions: {
+            type: 'object',
+            additionalProperties: {
+              type: 'integer'
+            },
+            description: 'Number of entries per action'
+          },
+          entries: {
+            type: 'array',
+            items: {
+              allOf: [
+                { $ref: '#/components/schemas/AuditEntry' },
+                {
+                  type: 'object',
+                  properties: {
+                    revertible: {
+                      type: 'boolean'
+                    }
+                  }
+                }
+              ]
+            }
+          }
+        }
+      },
+      RagReindexProgress: {
+        type: 'object',
+        properties: {
+          status: {
+            type: 'string',
+            enum: ['running', 'completed', 'failed']
+          },
+          startedAt: {
+            type: 'string',
+            format: 'date-time'
+          },
+          finishedAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          },
+          types: {
+            type: 'array',
+            items: {
+              type: 'string'
+            }
+          },
+          since: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          },
+          total: {
+            type: 'integer',
+            description: 'Entities to send'
+          },
+          processed: {
+            type: 'integer'
+          },
+          indexed: {
+            type: 'integer',
+            description: 'Sent as upserts'
+          },
+          deleted: {
+            type: 'integer',
+            description: 'Sent as deletes (archived or removed)'
+          },
+          failed: {
+            type: 'integer'
+          },
+          byType: {
+            type: 'object',
+            additionalProperties: {
+              type: 'object',
+              properties: {
+                total: { type: 'integer' },
+                processed: { type: 'integer' }
+              }
+            }
+          },
+          errors: {
+            type: 'array',
+            description: 'First 20 entities Vivaldi rejected',
+            items: {
+              type: 'object',
+              properties: {
+                entityType: { type: 'string' },
+                entityId: { type: 'string', format: 'uuid' },
+                error: { type: 'string' }
+              }
+            }
+          },
+          error: {
+            type: 'string',
+            nullable: true,
+            description: 'Why the reindex stopped (status failed)'
+          }
+        }
+      },
+      Webhook: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            format: 'uuid'
+          },
+          name: {
+            type: 'string',
+            maxLength: 100,
+            example: 'Home Assistant'
+          },
+          url: {
+            type: 'string',
+            example: 'http://homeassistant.local:8123/api/webhook/clio-board'
+          },
+          events: {
+            type: 'array',
+            items: {
+              type: 'string'
+            },
+            description: 'Event names (GET /api/webhooks/events), "type.*" or "*"',
+            example: ['task.completed', 'routine.*']
+          },
+          active: {
+            type: 'boolean'
+          },
+          secret: {
+            type: 'string',
+            description: 'HMAC-SHA256 signing secret; only returned on create and rotation'
+          },
+          secret_hint: {
+            type: 'string',
+            description: 'First characters of the secret',
+            example: '9f2c…'
+          },
+          last_delivery_status: {
+            type: 'string',
+            enum: ['pending', 'delivered', 'failed'],
+            nullable: true
+          },
+          last_delivery_at: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          },
+          pending_deliveries: {
+            type: 'integer'
+          },
+          created_at: {
+            type: 'string',
+            format: 'date-time'
+          },
+          updated_at: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      },
+      InboundHook: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            format: 'uuid'
+          },
+          name: {
+            type: 'string',
+            maxLength: 100,
+            example: 'Shopping shortcut'
+          },
+          scope: {
+            type: 'string',
+            enum: ['create_task', 'create_note', 'add_item']
+          },
+          column_name: {
+            type: 'string',
+            enum: ['today', 'tomorrow', 'this_week', 'horizon'],
+            nullable: true,
+            description: 'create_task: column for new tasks'
+          },
+          column_position: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 4,
+            nullable: true,
+            description: 'create_note: notes column'
+          },
+          task_id: {
+            type: 'string',
+            format: 'uuid',
+            nullable: true,
+            description: 'add_item: the list'
+          },
+          routine_id: {
+            type: 'string',
+            format: 'uuid',
+            nullable: true
+          },
+          template: {
+            type: 'object',
+            additionalProperties: { type: 'string' },
+            description: 'Field templates with {{placeholders}} from the request body',
+            example: { title: 'Buy {{item}}' }
+          },
+          active: {
+            type: 'boolean'
+          },
+          token: {
+            type: 'string',
+            description: 'Only returned on create and rotation'
+          },
+          url: {
+            type: 'string',
+            description: 'Capture URL, only returned on create and rotation',
+            example: '/api/hooks/q3XkP0v9...'
+          },
+          token_hint: {
+            type: 'string',
+            description: 'First characters of the token'
+          },
+          use_count: {
+            type: 'integer'
+          },
+          last_used_at: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
           },
           created_at: {
             type: 'string',
             format: 'date-time'
+          },
+          updated_at: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      }
+    },
+    parameters: {
+      IfMatch: {
+        in: 'header',
+        name: 'If-Match',
+        required: false,
+        schema: {
+          type: 'string',
+          example: '"3"'
+        },
+        description: 'ETag (version) the change is based on. A stale value gets 412 instead of overwriting newer changes.'
+      }
+    },
+    responses: {
+      PreconditionFailed: {
+        description: 'If-Match is stale - the entity was changed since it was read. The body carries the current state and the ETag header its version.',
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                error: {
+                  type: 'string',
+                  example: 'precondition_failed'
+                },
+                message: {
+                  type: 'string'
+                },
+                current: {
+                  type: 'object',
+                  description: 'Current server state of the entity'
+                }
+              }
+            }
           }
         }
       }
@@ -0,0 +1,18 @@
+-- Migration: Track undo/redo state on audit_log entries
+-- undone_at marks an entry whose change was reverted via POST /api/undo
+-- reverts_id links 'undo'/'redo' entries back to the entry they replayed
+-- Date: 2026-10-19
+
+BEGIN;
+
+-- Step 1: Add undo tracking columns
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS undone_at TIMESTAMP NULL;
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS reverts_id UUID NULL REFERENCES audit_log(id) ON DELETE SET NULL;
+
+-- Step 2: Index for walking an actor's undo/redo stacks
+CREATE INDEX IF NOT EXISTS idx_audit_log_undo ON audit_log(actor, undone_at, created_at);
+
+COMMIT;
+
+-- Verification:
+-- SELECT column_name FROM information_schema.columns WHERE table_name = 'audit_log' AND column_name IN ('undone_at', 'reverts_id');
@@ -0,0 +1,25 @@
+-- Migration: Recurring tasks
+-- recurrence_rule holds the rule (daily / weekly / monthly / after_completion) as JSON
+-- recurrence_series_id links every instance back to the first task of the series
+-- recurrence_next_id is set once the follow-up instance has been generated, so each
+-- instance spawns at most one successor
+-- Date: 2026-10-19
+
+BEGIN;
+
+-- Step 1: Add recurrence columns
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_rule JSONB NULL;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_series_id UUID NULL REFERENCES tasks(id) ON DELETE SET NULL;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_next_id UUID NULL REFERENCES tasks(id) ON DELETE SET NULL;
+
+-- Step 2: Index the scheduler's scan (latest instance of each live series)
+CREATE INDEX IF NOT EXISTS idx_tasks_recurring ON tasks(id)
+    WHERE recurrence_rule IS NOT NULL AND recurrence_next_id IS NULL AND is_archived = false;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_recurrence_series ON tasks(recurrence_series_id)
+    WHERE recurrence_series_id IS NOT NULL;
+
+COMMIT;
+
+-- Verification:
+-- SELECT id, title, recurrence_rule, recurrence_next_id FROM tasks WHERE recurrence_rule IS NOT NULL;
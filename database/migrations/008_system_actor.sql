@@ -0,0 +1,18 @@
+-- Migration: Allow 'system' as an audit_log actor
+-- Background jobs (daily column rollover, recurring task generation) write
+-- audit entries under their own actor so they can be told apart and undone
+-- Date: 2026-10-19
+
+BEGIN;
+
+-- Step 1: Replace the actor CHECK constraint
+ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS audit_log_actor_check;
+ALTER TABLE audit_log ADD CONSTRAINT audit_log_actor_check CHECK (actor IN ('user', 'agent', 'system'));
+
+-- Step 2: Index for finding the latest rollover run
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, created_at);
+
+COMMIT;
+
+-- Verification:
+-- SELECT pg_get_constraintdef(oid) FROM pg_constraint WHERE conname = 'audit_log_actor_check';
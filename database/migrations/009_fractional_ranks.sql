@@ -0,0 +1,101 @@
+-- Migration: Fractional rank keys instead of integer positions
+-- Tasks, dividers, notes and list items are ordered by a text `rank` key
+-- (see api/services/rankKeys.js). Moving an item gives it a key between its
+-- new neighbours, so only that row is written - no more shifting and
+-- renumbering whole columns.
+-- The integer `position` columns are replaced by views that derive each
+-- item's index within its column / list, which the API still returns.
+-- Date: 2026-10-19
+
+BEGIN;
+
+-- Step 1: Add rank columns. COLLATE "C" makes ORDER BY rank compare bytes,
+-- the same order the API uses when it generates keys.
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS rank TEXT COLLATE "C";
+ALTER TABLE column_dividers ADD COLUMN IF NOT EXISTS rank TEXT COLLATE "C";
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS rank TEXT COLLATE "C";
+ALTER TABLE list_items ADD COLUMN IF NOT EXISTS rank TEXT COLLATE "C";
+
+-- Databases created from the original schema have no notes.position
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS position INTEGER NOT NULL DEFAULT 0;
+
+-- Step 2: Convert existing positions to keys.
+-- The n-th item of a scope gets n zero-padded to the width of the scope's
+-- count, plus 'V' because keys may not end in '0' (e.g. 01V, 02V ... 12V).
+-- Today's tasks and dividers are numbered together, dividers first on ties,
+-- matching the old renumbering.
+CREATE TEMP TABLE board_ranks ON COMMIT DROP AS
+SELECT id, kind,
+       lpad((ROW_NUMBER() OVER w)::text, length((COUNT(*) OVER (PARTITION BY column_name))::text), '0') || 'V' AS rank
+FROM (
+    SELECT id, 'task' AS kind, column_name, position, 1 AS kind_order, created_at FROM tasks
+    UNION ALL
+    SELECT id, 'divider' AS kind, column_name, position, 0 AS kind_order, created_at FROM column_dividers
+) slots
+WINDOW w AS (PARTITION BY column_name ORDER BY position, kind_order, created_at, id);
+
+UPDATE tasks t SET rank = b.rank FROM board_ranks b WHERE b.id = t.id AND b.kind = 'task';
+UPDATE column_dividers d SET rank = b.rank FROM board_ranks b WHERE b.id = d.id AND b.kind = 'divider';
+
+UPDATE notes n SET rank = r.rank
+FROM (
+    SELECT id,
+           lpad((ROW_NUMBER() OVER w)::text, length((COUNT(*) OVER (PARTITION BY column_position))::text), '0') || 'V' AS rank
+    FROM notes
+    WINDOW w AS (PARTITION BY column_position ORDER BY position, created_at DESC, id)
+) r
+WHERE r.id = n.id;
+
+UPDATE list_items li SET rank = r.rank
+FROM (
+    SELECT id,
+           lpad((ROW_NUMBER() OVER w)::text, length((COUNT(*) OVER (PARTITION BY task_id))::text), '0') || 'V' AS rank
+    FROM list_items
+    WINDOW w AS (PARTITION BY task_id ORDER BY position, created_at, id)
+) r
+WHERE r.id = li.id;
+
+ALTER TABLE tasks ALTER COLUMN rank SET NOT NULL;
+ALTER TABLE column_dividers ALTER COLUMN rank SET NOT NULL;
+ALTER TABLE notes ALTER COLUMN rank SET NOT NULL;
+ALTER TABLE list_items ALTER COLUMN rank SET NOT NULL;
+
+-- Step 3: Drop the integer positions (their indexes go with them)
+ALTER TABLE tasks DROP COLUMN position;
+ALTER TABLE column_dividers DROP COLUMN position;
+ALTER TABLE notes DROP COLUMN position;
+ALTER TABLE list_items DROP COLUMN position;
+
+-- Step 4: Index the orderings
+CREATE INDEX IF NOT EXISTS idx_tasks_column_rank ON tasks(column_name, rank) WHERE is_archived = false;
+CREATE INDEX IF NOT EXISTS idx_column_dividers_rank ON column_dividers(column_name, rank);
+CREATE INDEX IF NOT EXISTS idx_notes_column_rank ON notes(column_position, rank) WHERE is_archived = false;
+CREATE INDEX IF NOT EXISTS idx_list_items_task_rank ON list_items(task_id, rank);
+
+-- Step 5: Derived positions (0-based index within the scope)
+CREATE OR REPLACE VIEW board_positions AS
+SELECT id, kind, column_name,
+       (ROW_NUMBER() OVER (PARTITION BY column_name ORDER BY rank, id) - 1)::int AS position
+FROM (
+    SELECT id, 'task' AS kind, column_name, rank FROM tasks WHERE is_archived = false
+    UNION ALL
+    SELECT id, 'divider' AS kind, column_name, rank FROM column_dividers
+) slots;
+
+CREATE OR REPLACE VIEW note_positions AS
+SELECT id, column_position,
+       (ROW_NUMBER() OVER (PARTITION BY column_position ORDER BY rank, id) - 1)::int AS position
+FROM notes
+WHERE is_archived = false;
+
+CREATE OR REPLACE VIEW list_item_positions AS
+SELECT id, task_id,
+       (ROW_NUMBER() OVER (PARTITION BY task_id ORDER BY rank, id) - 1)::int AS position
+FROM list_items;
+
+COMMIT;
+
+-- Verification:
+-- SELECT t.title, t.rank, bp.position FROM tasks t JOIN board_positions bp ON bp.id = t.id
+--   WHERE t.column_name = 'today' ORDER BY t.rank;
+-- SELECT label_above, rank FROM column_dividers ORDER BY rank;
@@ -0,0 +1,66 @@
+-- Migration: Row versions for optimistic concurrency
+-- Tasks, notes, routines and list items get a `version` that a trigger bumps
+-- whenever a row actually changes. The API returns it as the ETag and rejects
+-- updates and moves whose If-Match is stale with 412 Precondition Failed.
+-- Date: 2026-10-19
+
+BEGIN;
+
+-- Step 1: Version columns
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE routines ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE list_items ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+-- Step 2: Bump on change. Trigger arguments name extra columns that don't
+-- count as a change. Rank rebalancing sets clio.skip_version_bump for its
+-- transaction - rewriting every key in a column doesn't edit any one item.
+CREATE OR REPLACE FUNCTION bump_row_version()
+RETURNS TRIGGER AS $$
+DECLARE
+    old_row JSONB := to_jsonb(OLD) - 'version' - 'updated_at';
+    new_row JSONB := to_jsonb(NEW) - 'version' - 'updated_at';
+    i INTEGER;
+BEGIN
+    IF current_setting('clio.skip_version_bump', true) = 'on' THEN
+        NEW.version = OLD.version;
+        RETURN NEW;
+    END IF;
+
+    FOR i IN 0 .. TG_NARGS - 1 LOOP
+        old_row := old_row - TG_ARGV[i];
+        new_row := new_row - TG_ARGV[i];
+    END LOOP;
+
+    IF old_row IS DISTINCT FROM new_row THEN
+        NEW.version = OLD.version + 1;
+    ELSE
+        NEW.version = OLD.version;
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS bump_tasks_version ON tasks;
+CREATE TRIGGER bump_tasks_version BEFORE UPDATE ON tasks
+    FOR EACH ROW EXECUTE FUNCTION bump_row_version();
+
+DROP TRIGGER IF EXISTS bump_notes_version ON notes;
+CREATE TRIGGER bump_notes_version BEFORE UPDATE ON notes
+    FOR EACH ROW EXECUTE FUNCTION bump_row_version();
+
+-- Reordering the routine list rewrites every routine's display_order
+DROP TRIGGER IF EXISTS bump_routines_version ON routines;
+CREATE TRIGGER bump_routines_version BEFORE UPDATE ON routines
+    FOR EACH ROW EXECUTE FUNCTION bump_row_version('display_order');
+
+DROP TRIGGER IF EXISTS bump_list_items_version ON list_items;
+CREATE TRIGGER bump_list_items_version BEFORE UPDATE ON list_items
+    FOR EACH ROW EXECUTE FUNCTION bump_row_version();
+
+COMMIT;
+
+-- Verification:
+-- UPDATE tasks SET title = title || '' WHERE id = '<id>';   -- version unchanged
+-- UPDATE tasks SET title = 'Renamed' WHERE id = '<id>';      -- version + 1
+-- SELECT id, version FROM tasks ORDER BY updated_at DESC LIMIT 5;
@@ -0,0 +1,17 @@
+-- Migration: Index active routines by is_archived
+-- idx_routines_active still filtered on status != 'archived', which stopped
+-- meaning anything when migration 004 moved archiving to is_archived.
+-- From this migration on, database/migrations is applied by the migration
+-- runner (npm run migrate), which records each file in schema_migrations.
+-- Date: 2026-10-19
+
+BEGIN;
+
+DROP INDEX IF EXISTS idx_routines_active;
+CREATE INDEX idx_routines_active ON routines(status) WHERE is_archived = false;
+
+COMMIT;
+
+-- Verification:
+-- SELECT indexdef FROM pg_indexes WHERE indexname = 'idx_routines_active';
+-- SELECT version, name, applied_at FROM schema_migrations ORDER BY version;
@@ -0,0 +1,88 @@
+-- Migration: Full-text search
+-- Tasks, notes and routines get a generated search_vector (english stemming,
+-- title weighted above body text) with a GIN index, replacing ILIKE scans in
+-- /api/search. A task's vector includes its list item titles through
+-- items_vector, which a trigger on list_items keeps up to date.
+-- Neither column counts as a change for row versions (migration 010).
+-- Date: 2026-10-19
+
+BEGIN;
+
+-- Step 1: List item titles, per task
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS items_vector TSVECTOR NOT NULL DEFAULT ''::tsvector;
+
+CREATE OR REPLACE FUNCTION refresh_task_items_vector()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE tasks t
+    SET items_vector = COALESCE((
+        SELECT to_tsvector('english', string_agg(li.title, ' '))
+        FROM list_items li
+        WHERE li.task_id = t.id
+    ), ''::tsvector)
+    WHERE t.id IN (
+        CASE WHEN TG_OP <> 'INSERT' THEN OLD.task_id END,
+        CASE WHEN TG_OP <> 'DELETE' THEN NEW.task_id END
+    );
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS refresh_task_items_vector ON list_items;
+CREATE TRIGGER refresh_task_items_vector AFTER INSERT OR DELETE OR UPDATE OF title, task_id ON list_items
+    FOR EACH ROW EXECUTE FUNCTION refresh_task_items_vector();
+
+-- Step 2: Search vectors
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(notes, '')), 'B') ||
+    setweight(items_vector, 'C')
+) STORED;
+
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(content, '')), 'B')
+) STORED;
+
+ALTER TABLE routines ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_search ON tasks USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_notes_search ON notes USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_routines_search ON routines USING GIN (search_vector);
+
+-- Step 3: Search columns don't bump row versions
+DROP TRIGGER IF EXISTS bump_tasks_version ON tasks;
+CREATE TRIGGER bump_tasks_version BEFORE UPDATE ON tasks
+    FOR EACH ROW EXECUTE FUNCTION bump_row_version('items_vector', 'search_vector');
+
+DROP TRIGGER IF EXISTS bump_notes_version ON notes;
+CREATE TRIGGER bump_notes_version BEFORE UPDATE ON notes
+    FOR EACH ROW EXECUTE FUNCTION bump_row_version('search_vector');
+
+DROP TRIGGER IF EXISTS bump_routines_version ON routines;
+CREATE TRIGGER bump_routines_version BEFORE UPDATE ON routines
+    FOR EACH ROW EXECUTE FUNCTION bump_row_version('display_order', 'search_vector');
+
+-- Step 4: Backfill list item titles without touching updated_at
+ALTER TABLE tasks DISABLE TRIGGER update_tasks_updated_at;
+
+UPDATE tasks t
+SET items_vector = to_tsvector('english', items.titles)
+FROM (
+    SELECT task_id, string_agg(title, ' ') AS titles
+    FROM list_items
+    GROUP BY task_id
+) items
+WHERE items.task_id = t.id;
+
+ALTER TABLE tasks ENABLE TRIGGER update_tasks_updated_at;
+
+COMMIT;
+
+-- Verification:
+-- SELECT title, ts_rank(search_vector, q) FROM tasks, plainto_tsquery('english', 'oil change') q
+--   WHERE search_vector @@ q ORDER BY 2 DESC;
+-- EXPLAIN SELECT id FROM notes WHERE search_vector @@ plainto_tsquery('english', 'costco');
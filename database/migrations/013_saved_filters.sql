@@ -0,0 +1,29 @@
+-- Migration: Saved filters
+-- Named board views (routine set, due-date window, status, has-items, text)
+-- that can be applied to GET /api/tasks, pinned in the header and listed for
+-- the agent. The criteria are JSON, checked by filterService.
+-- Date: 2026-10-19
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS saved_filters (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    criteria JSONB NOT NULL DEFAULT '{}'::jsonb,
+    pinned BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_filters_name ON saved_filters (LOWER(name));
+
+DROP TRIGGER IF EXISTS update_saved_filters_updated_at ON saved_filters;
+CREATE TRIGGER update_saved_filters_updated_at BEFORE UPDATE ON saved_filters
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE saved_filters IS 'Named board views; criteria is {routineIds, due, status, hasItems, text}';
+
+COMMIT;
+
+-- Verification:
+-- SELECT name, pinned, criteria FROM saved_filters ORDER BY pinned DESC, LOWER(name);
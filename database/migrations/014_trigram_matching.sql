@@ -0,0 +1,20 @@
+-- Migration: Trigram matching
+-- pg_trgm indexes on titles for typo-tolerant search (GET /api/search) and
+-- duplicate detection when tasks and notes are created ("Call contractor"
+-- when "Call the contractor" already exists).
+-- Date: 2026-10-19
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_title_trgm ON tasks USING GIN (title gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_notes_title_trgm ON notes USING GIN (title gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_routines_title_trgm ON routines USING GIN (title gin_trgm_ops);
+
+COMMIT;
+
+-- Verification:
+-- SELECT title, similarity(title, 'Call contractor') FROM tasks
+--   WHERE title % 'Call contractor' ORDER BY 2 DESC;
+-- EXPLAIN SELECT id FROM tasks WHERE 'contractr' <% title;
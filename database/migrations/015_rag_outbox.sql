@@ -0,0 +1,90 @@
+-- Migration: RAG outbox
+-- Changes to tasks, notes and routines are queued in rag_outbox by triggers,
+-- in the same transaction as the change, instead of being posted to Vivaldi
+-- fire-and-forget. ragOutboxService delivers them with exponential backoff and
+-- dead-letters entries that keep failing. A further change to an entity that
+-- is still queued updates its entry (one pending entry per entity).
+-- Ordering and bookkeeping columns don't count as a change.
+-- Date: 2026-10-19
+
+BEGIN;
+
+-- Step 1: Outbox
+CREATE TABLE IF NOT EXISTS rag_outbox (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    entity_type VARCHAR(20) NOT NULL CHECK (entity_type IN ('task', 'note', 'routine')),
+    entity_id UUID NOT NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('upsert', 'archive', 'unarchive', 'delete')),
+    status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'dead')),
+    revision INTEGER NOT NULL DEFAULT 1,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rag_outbox_pending ON rag_outbox(entity_type, entity_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_rag_outbox_due ON rag_outbox(next_attempt_at) WHERE status = 'pending';
+
+-- Step 2: Queue changes
+CREATE OR REPLACE FUNCTION enqueue_rag_change()
+RETURNS TRIGGER AS $$
+DECLARE
+    kind TEXT := TG_ARGV[0];
+    change TEXT;
+    old_row JSONB;
+    new_row JSONB;
+    i INTEGER;
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        change := 'upsert';
+    ELSIF TG_OP = 'DELETE' THEN
+        change := 'delete';
+    ELSIF OLD.is_archived IS DISTINCT FROM NEW.is_archived THEN
+        change := CASE WHEN NEW.is_archived THEN 'archive' ELSE 'unarchive' END;
+    ELSE
+        old_row := to_jsonb(OLD) - 'version' - 'updated_at' - 'search_vector';
+        new_row := to_jsonb(NEW) - 'version' - 'updated_at' - 'search_vector';
+        FOR i IN 1 .. TG_NARGS - 1 LOOP
+            old_row := old_row - TG_ARGV[i];
+            new_row := new_row - TG_ARGV[i];
+        END LOOP;
+        IF old_row IS NOT DISTINCT FROM new_row THEN
+            RETURN NULL;
+        END IF;
+        change := 'upsert';
+    END IF;
+
+    -- A queued archive / unarchive / delete isn't downgraded to a plain upsert;
+    -- the entity's current data is read at delivery either way
+    INSERT INTO rag_outbox (entity_type, entity_id, action)
+    VALUES (kind, CASE WHEN TG_OP = 'DELETE' THEN OLD.id ELSE NEW.id END, change)
+    ON CONFLICT (entity_type, entity_id) WHERE status = 'pending' DO UPDATE
+    SET action = CASE WHEN EXCLUDED.action = 'upsert' THEN rag_outbox.action ELSE EXCLUDED.action END,
+        revision = rag_outbox.revision + 1,
+        updated_at = NOW();
+
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS enqueue_tasks_rag ON tasks;
+CREATE TRIGGER enqueue_tasks_rag AFTER INSERT OR UPDATE OR DELETE ON tasks
+    FOR EACH ROW EXECUTE FUNCTION enqueue_rag_change('task', 'rank');
+
+DROP TRIGGER IF EXISTS enqueue_notes_rag ON notes;
+CREATE TRIGGER enqueue_notes_rag AFTER INSERT OR UPDATE OR DELETE ON notes
+    FOR EACH ROW EXECUTE FUNCTION enqueue_rag_change('note', 'rank');
+
+DROP TRIGGER IF EXISTS enqueue_routines_rag ON routines;
+CREATE TRIGGER enqueue_routines_rag AFTER INSERT OR UPDATE OR DELETE ON routines
+    FOR EACH ROW EXECUTE FUNCTION enqueue_rag_change('routine', 'display_order');
+
+COMMENT ON TABLE rag_outbox IS 'Changes waiting to be indexed by the Vivaldi RAG service; dead entries gave up after RAG_MAX_ATTEMPTS';
+
+COMMIT;
+
+-- Verification:
+-- UPDATE tasks SET title = title || '' WHERE id = (SELECT id FROM tasks LIMIT 1);  -- no entry (nothing changed)
+-- SELECT entity_type, action, status, attempts, last_error FROM rag_outbox ORDER BY created_at;
@@ -0,0 +1,54 @@
+-- Migration: Inbound hooks
+-- Tokenized capture endpoints (POST /api/hooks/{token}) for phone shortcuts
+-- and home automations. Each hook can do one thing - create a task in a
+-- column, create a note in a column or add an item to one list - with its
+-- fields filled from a template. Changes are audited under the 'hook' actor
+-- with the hook's name in the new audit_log.actor_name column.
+-- Date: 2026-10-19
+
+BEGIN;
+
+-- Step 1: The hooks
+CREATE TABLE IF NOT EXISTS inbound_hooks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    token_hash VARCHAR(64) NOT NULL,
+    token_hint VARCHAR(8) NOT NULL,
+    scope VARCHAR(20) NOT NULL CHECK (scope IN ('create_task', 'create_note', 'add_item')),
+    column_name VARCHAR(20) CHECK (column_name IN ('today', 'tomorrow', 'this_week', 'horizon')),
+    column_position INTEGER CHECK (column_position IN (1, 2, 3, 4)),
+    task_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
+    routine_id UUID REFERENCES routines(id) ON DELETE SET NULL,
+    template JSONB NOT NULL DEFAULT '{}'::jsonb,
+    active BOOLEAN DEFAULT true,
+    use_count INTEGER NOT NULL DEFAULT 0,
+    last_used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT inbound_hooks_target_check CHECK (
+        (scope = 'create_task' AND column_name IS NOT NULL) OR
+        (scope = 'create_note' AND column_position IS NOT NULL) OR
+        (scope = 'add_item' AND task_id IS NOT NULL)
+    )
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_inbound_hooks_name ON inbound_hooks (LOWER(name));
+CREATE UNIQUE INDEX IF NOT EXISTS idx_inbound_hooks_token ON inbound_hooks (token_hash);
+
+DROP TRIGGER IF EXISTS update_inbound_hooks_updated_at ON inbound_hooks;
+CREATE TRIGGER update_inbound_hooks_updated_at BEFORE UPDATE ON inbound_hooks
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Step 2: 'hook' audit actor, named
+ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS audit_log_actor_check;
+ALTER TABLE audit_log ADD CONSTRAINT audit_log_actor_check CHECK (actor IN ('user', 'agent', 'system', 'hook'));
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS actor_name VARCHAR(100);
+
+COMMENT ON TABLE inbound_hooks IS 'Tokenized capture endpoints; only the SHA-256 of the token is stored';
+COMMENT ON COLUMN audit_log.actor_name IS 'Which hook made the change (actor = hook)';
+
+COMMIT;
+
+-- Verification:
+-- SELECT name, scope, column_name, column_position, task_id, active, use_count, last_used_at FROM inbound_hooks;
+-- SELECT actor, actor_name, action, created_at FROM audit_log WHERE actor = 'hook' ORDER BY created_at DESC LIMIT 10;
@@ -0,0 +1,22 @@
+-- Migration: Snake-case saved filter criteria
+-- Saved filter criteria keys follow the rest of the API: routineIds becomes
+-- routine_ids and hasItems becomes has_items. Existing filters are rewritten
+-- in place; the values are unchanged.
+-- Date: 2026-10-19
+
+BEGIN;
+
+UPDATE saved_filters
+SET criteria = (criteria - 'routineIds') || jsonb_build_object('routine_ids', criteria->'routineIds')
+WHERE criteria ? 'routineIds';
+
+UPDATE saved_filters
+SET criteria = (criteria - 'hasItems') || jsonb_build_object('has_items', criteria->'hasItems')
+WHERE criteria ? 'hasItems';
+
+COMMENT ON TABLE saved_filters IS 'Named board views; criteria is {routine_ids, due, status, has_items, text}';
+
+COMMIT;
+
+-- Verification:
+-- SELECT name, criteria FROM saved_filters WHERE criteria ?| ARRAY['routineIds', 'hasItems'];  -- expect no rows
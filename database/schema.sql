@@ -1,6 +1,15 @@
 -- CLIO Task Manager Database Schema
 -- Single-user task management system with implicit task/list conversion
 -- Based on requirements in docs/CLIO Task Manager - Requirements Document Part 2.md
+--
+-- Canonical schema: the database as it stands after every migration in
+-- database/migrations up to the schema version below. Don't run this file by
+-- hand - `npm run migrate` loads it into an empty database, records those
+-- migrations as applied and then runs any newer ones. When you add a
+-- migration, make the same change here and bump the version.
+-- Sample data for development lives in database/seed.sql.
+--
+-- Schema version: 018
 
 -- Create database (run separately)
 -- CREATE DATABASE clio_board;
@@ -9,6 +18,19 @@
 -- Enable UUID extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- Trigram similarity (fuzzy search, duplicate detection)
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- 0. Applied migrations (written by the migration runner, api/db/migrationRunner.js)
+CREATE TABLE IF NOT EXISTS schema_migrations (
+    version VARCHAR(10) PRIMARY KEY, -- e.g. '011'
+    name VARCHAR(255) NOT NULL, -- File name
+    checksum VARCHAR(64) NOT NULL, -- SHA-256 of the file when it was applied
+    baseline BOOLEAN DEFAULT false, -- Recorded without running (schema.sql or --baseline)
+    execution_ms INTEGER,
+    applied_at TIMESTAMP DEFAULT NOW()
+);
+
 -- 1. Routines Table (Containers for related tasks)
 CREATE TABLE routines (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -21,6 +43,11 @@ CREATE TABLE routines (
     pause_until TIMESTAMP NULL, -- When paused routines resume
     is_archived BOOLEAN DEFAULT false, -- Archive state (separate from operational status)
     display_order INTEGER DEFAULT 0, -- Custom display order for drag-and-drop
+    version INTEGER NOT NULL DEFAULT 1, -- Bumped on change; served as the ETag
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+    ) STORED, -- Full-text search (/api/search)
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW(),
     archived_at TIMESTAMP NULL
@@ -32,19 +59,30 @@ CREATE TABLE tasks (
     routine_id UUID REFERENCES routines(id) ON DELETE SET NULL, -- NULL for orphan tasks
     title VARCHAR(255) NOT NULL,
     notes TEXT, -- Free-form notes from user or agent
-    
+
     -- AUTO-MANAGED TYPE FIELD - User never sets this directly!
     type VARCHAR(10) CHECK (type IN ('task', 'list')) DEFAULT 'task',
-    
-    status VARCHAR(20) CHECK (status IN ('pending', 'completed', 'archived')) DEFAULT 'pending',
+
+    status VARCHAR(20) CHECK (status IN ('pending', 'completed')) DEFAULT 'pending',
+    is_archived BOOLEAN DEFAULT false, -- Archive state (separate from completion)
     due_date DATE, -- Soft deadline (optional)
-    due_time TIME, -- Optional time component
-    position INTEGER NOT NULL DEFAULT 0, -- Order within column
+    rank TEXT COLLATE "C" NOT NULL, -- Fractional ordering key within column (see rankKeys.js)
     column_name VARCHAR(20) CHECK (column_name IN ('today', 'tomorrow', 'this_week', 'horizon')) DEFAULT 'today',
-    
-    -- Archive preservation for lists
-    archived_items JSONB, -- Snapshot of list items when archived
-    
+
+    -- Recurrence (see recurrenceService for rule shapes)
+    recurrence_rule JSONB NULL, -- e.g. {"frequency": "weekly", "weekdays": [6]}
+    recurrence_series_id UUID NULL REFERENCES tasks(id) ON DELETE SET NULL, -- First task of the series
+    recurrence_next_id UUID NULL REFERENCES tasks(id) ON DELETE SET NULL, -- Set once the next instance exists
+
+    -- Full-text search (/api/search). items_vector is kept up to date by a trigger on list_items.
+    items_vector TSVECTOR NOT NULL DEFAULT ''::tsvector,
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(notes, '')), 'B') ||
+        setweight(items_vector, 'C')
+    ) STORED,
+
+    version INTEGER NOT NULL DEFAULT 1, -- Bumped on change; served as the ETag
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW(),
     completed_at TIMESTAMP NULL,
@@ -57,7 +95,8 @@ CREATE TABLE list_items (
     task_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
     title VARCHAR(255) NOT NULL,
     completed BOOLEAN DEFAULT false,
-    position INTEGER NOT NULL DEFAULT 0, -- For drag-to-reorder within list
+    rank TEXT COLLATE "C" NOT NULL, -- Fractional ordering key within the list
+    version INTEGER NOT NULL DEFAULT 1, -- Bumped on change; served as the ETag
     created_at TIMESTAMP DEFAULT NOW()
 );
 
@@ -69,12 +108,18 @@ CREATE TABLE notes (
     type VARCHAR(10) CHECK (type IN ('user', 'agent')) DEFAULT 'user',
     source VARCHAR(20) CHECK (source IN ('manual', 'voice', 'conversation', 'claude_api')) DEFAULT 'manual',
     column_position INTEGER CHECK (column_position IN (1, 2, 3, 4)) DEFAULT 1, -- 1,2=user, 3,4=agent
-    
+    rank TEXT COLLATE "C" NOT NULL, -- Fractional ordering key within the column
+
     -- Optional associations
     task_id UUID REFERENCES tasks(id) ON DELETE SET NULL,
     routine_id UUID REFERENCES routines(id) ON DELETE SET NULL,
-    
-    archived BOOLEAN DEFAULT false,
+
+    is_archived BOOLEAN DEFAULT false,
+    version INTEGER NOT NULL DEFAULT 1, -- Bumped on change; served as the ETag
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(content, '')), 'B')
+    ) STORED, -- Full-text search (/api/search)
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW(),
     archived_at TIMESTAMP NULL
@@ -88,46 +133,178 @@ CREATE TABLE column_dividers (
     column_name VARCHAR(20) CHECK (column_name IN ('today')) DEFAULT 'today',
     label_above VARCHAR(50) NOT NULL,  -- e.g., "Morning", "Afternoon"
     label_below VARCHAR(50) NOT NULL,  -- e.g., "Afternoon", "Evening"
-    position INTEGER NOT NULL DEFAULT 0,  -- Same position system as tasks
+    rank TEXT COLLATE "C" NOT NULL,  -- Shares the Today column's ordering with tasks
     created_at TIMESTAMP DEFAULT NOW()
 );
 
 -- 6. Audit Log Table (Track all changes for undo/agent monitoring)
 CREATE TABLE audit_log (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    actor VARCHAR(10) CHECK (actor IN ('user', 'agent')) NOT NULL,
+    actor VARCHAR(10) CHECK (actor IN ('user', 'agent', 'system', 'hook')) NOT NULL, -- system = background jobs, hook = inbound hooks
+    actor_name VARCHAR(100), -- Which hook (actor = hook)
     action VARCHAR(100) NOT NULL, -- create_task, update_task, move_task, etc.
     entity_type VARCHAR(50) NOT NULL, -- task, routine, note, list_item
     entity_id UUID NOT NULL,
-    
+
     -- For undo functionality
     previous_state JSONB,
     new_state JSONB,
-    
+
     -- Agent identification
     agent_key_hash VARCHAR(64), -- Hashed agent key for security
-    
+
+    -- Undo/redo tracking
+    undone_at TIMESTAMP NULL, -- Set when the change has been reverted via /api/undo
+    reverts_id UUID REFERENCES audit_log(id) ON DELETE SET NULL, -- For undo/redo entries: the entry replayed
+
     created_at TIMESTAMP DEFAULT NOW()
 );
 
+-- 7. Saved Filters Table (Named board views, see filterService)
+CREATE TABLE saved_filters (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    criteria JSONB NOT NULL DEFAULT '{}'::jsonb, -- {routine_ids, due, status, has_items, text}
+    pinned BOOLEAN DEFAULT false, -- Shown in the board header
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- 8. RAG Outbox (Changes waiting to be indexed by Vivaldi, see ragOutboxService)
+-- Written by the enqueue_*_rag triggers; one pending entry per entity
+CREATE TABLE rag_outbox (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    entity_type VARCHAR(20) NOT NULL CHECK (entity_type IN ('task', 'note', 'routine')),
+    entity_id UUID NOT NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('upsert', 'archive', 'unarchive', 'delete')),
+    status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'dead')),
+    revision INTEGER NOT NULL DEFAULT 1, -- Bumped when a newer change is folded in
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- 9. Webhooks (Outbound change notifications, see webhookService)
+CREATE TABLE webhooks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    url TEXT NOT NULL,
+    events TEXT[] NOT NULL DEFAULT ARRAY['*'], -- e.g. {task.completed, note.*}
+    secret VARCHAR(128) NOT NULL, -- HMAC-SHA256 signing key
+    active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Delivery queue (pending) and log (delivered / failed)
+CREATE TABLE webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    event VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    response_status INTEGER,
+    response_body TEXT, -- First 1000 characters
+    error TEXT,
+    duration_ms INTEGER,
+    created_at TIMESTAMP DEFAULT NOW(),
+    delivered_at TIMESTAMP NULL
+);
+
+-- 10. Inbound Hooks (Tokenized capture endpoints, see inboundHookService)
+CREATE TABLE inbound_hooks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    token_hash VARCHAR(64) NOT NULL, -- SHA-256 of the token; the token itself is never stored
+    token_hint VARCHAR(8) NOT NULL, -- First characters, for telling tokens apart
+    scope VARCHAR(20) NOT NULL CHECK (scope IN ('create_task', 'create_note', 'add_item')),
+    column_name VARCHAR(20) CHECK (column_name IN ('today', 'tomorrow', 'this_week', 'horizon')), -- create_task
+    column_position INTEGER CHECK (column_position IN (1, 2, 3, 4)), -- create_note
+    task_id UUID REFERENCES tasks(id) ON DELETE CASCADE, -- add_item: the list
+    routine_id UUID REFERENCES routines(id) ON DELETE SET NULL, -- Optional, for tasks and notes
+    template JSONB NOT NULL DEFAULT '{}'::jsonb, -- Field templates, e.g. {"title": "{{text}}"}
+    active BOOLEAN DEFAULT true,
+    use_count INTEGER NOT NULL DEFAULT 0,
+    last_used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT inbound_hooks_target_check CHECK (
+        (scope = 'create_task' AND column_name IS NOT NULL) OR
+        (scope = 'create_note' AND column_position IS NOT NULL) OR
+        (scope = 'add_item' AND task_id IS NOT NULL)
+    )
+);
+
 -- Performance Indexes
 -- Critical for board queries with many archived items
-CREATE INDEX idx_tasks_active ON tasks(status, created_at) WHERE status != 'archived';
-CREATE INDEX idx_tasks_column ON tasks(column_name, position) WHERE status != 'archived';
+CREATE INDEX idx_tasks_active ON tasks(status, created_at) WHERE is_archived = false;
+CREATE INDEX idx_tasks_column_rank ON tasks(column_name, rank) WHERE is_archived = false;
 CREATE INDEX idx_tasks_routine ON tasks(routine_id, status);
-CREATE INDEX idx_tasks_archived ON tasks(archived_at) WHERE status = 'archived';
+CREATE INDEX idx_tasks_archived ON tasks(archived_at) WHERE is_archived = true;
+
+CREATE INDEX idx_tasks_recurring ON tasks(id)
+    WHERE recurrence_rule IS NOT NULL AND recurrence_next_id IS NULL AND is_archived = false;
+CREATE INDEX idx_tasks_recurrence_series ON tasks(recurrence_series_id) WHERE recurrence_series_id IS NOT NULL;
 
-CREATE INDEX idx_list_items_task ON list_items(task_id, position);
+CREATE INDEX idx_list_items_task_rank ON list_items(task_id, rank);
 
-CREATE INDEX idx_routines_active ON routines(status) WHERE status != 'archived';
+CREATE INDEX idx_routines_active ON routines(status) WHERE is_archived = false;
 
-CREATE INDEX idx_notes_active ON notes(column_position, created_at) WHERE archived = false;
+CREATE INDEX idx_notes_active ON notes(column_position, created_at) WHERE is_archived = false;
 CREATE INDEX idx_notes_type ON notes(type, created_at);
+CREATE INDEX idx_notes_column_rank ON notes(column_position, rank) WHERE is_archived = false;
 
 CREATE INDEX idx_audit_log_entity ON audit_log(entity_type, entity_id, created_at);
 CREATE INDEX idx_audit_log_actor ON audit_log(actor, created_at);
+CREATE INDEX idx_audit_log_undo ON audit_log(actor, undone_at, created_at);
+CREATE INDEX idx_audit_log_action ON audit_log(action, created_at);
+
+CREATE INDEX idx_column_dividers_rank ON column_dividers(column_name, rank);
+
+CREATE UNIQUE INDEX idx_saved_filters_name ON saved_filters (LOWER(name));
+
+CREATE UNIQUE INDEX idx_rag_outbox_pending ON rag_outbox(entity_type, entity_id) WHERE status = 'pending';
+CREATE INDEX idx_rag_outbox_due ON rag_outbox(next_attempt_at) WHERE status = 'pending';
 
-CREATE INDEX idx_column_dividers_position ON column_dividers(column_name, position);
+CREATE INDEX idx_webhook_deliveries_hook ON webhook_deliveries(webhook_id, created_at);
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+
+CREATE UNIQUE INDEX idx_inbound_hooks_name ON inbound_hooks (LOWER(name));
+CREATE UNIQUE INDEX idx_inbound_hooks_token ON inbound_hooks (token_hash);
+
+CREATE INDEX idx_tasks_search ON tasks USING GIN (search_vector);
+CREATE INDEX idx_notes_search ON notes USING GIN (search_vector);
+CREATE INDEX idx_routines_search ON routines USING GIN (search_vector);
+
+CREATE INDEX idx_tasks_title_trgm ON tasks USING GIN (title gin_trgm_ops);
+CREATE INDEX idx_notes_title_trgm ON notes USING GIN (title gin_trgm_ops);
+CREATE INDEX idx_routines_title_trgm ON routines USING GIN (title gin_trgm_ops);
+
+-- Derived positions (0-based index within the column / list) that the API
+-- returns alongside rank
+CREATE VIEW board_positions AS
+SELECT id, kind, column_name,
+       (ROW_NUMBER() OVER (PARTITION BY column_name ORDER BY rank, id) - 1)::int AS position
+FROM (
+    SELECT id, 'task' AS kind, column_name, rank FROM tasks WHERE is_archived = false
+    UNION ALL
+    SELECT id, 'divider' AS kind, column_name, rank FROM column_dividers
+) slots;
+
+CREATE VIEW note_positions AS
+SELECT id, column_position,
+       (ROW_NUMBER() OVER (PARTITION BY column_position ORDER BY rank, id) - 1)::int AS position
+FROM notes
+WHERE is_archived = false;
+
+CREATE VIEW list_item_positions AS
+SELECT id, task_id,
+       (ROW_NUMBER() OVER (PARTITION BY task_id ORDER BY rank, id) - 1)::int AS position
+FROM list_items;
 
 -- Triggers for automatic timestamp updates
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -147,44 +324,147 @@ CREATE TRIGGER update_tasks_updated_at BEFORE UPDATE ON tasks
 CREATE TRIGGER update_notes_updated_at BEFORE UPDATE ON notes
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
--- Sample Data for Development/Testing
-INSERT INTO routines (id, title, description, color, icon, type, status) VALUES
-    ('550e8400-e29b-41d4-a716-446655440001', 'Bathroom Renovation', 'Master bathroom remodel project', '#e74c3c', '🔧', 'project', 'active'),
-    ('550e8400-e29b-41d4-a716-446655440002', 'Weekly Errands', 'Recurring weekly tasks', '#2ecc71', '🛒', 'recurring', 'active'),
-    ('550e8400-e29b-41d4-a716-446655440003', 'Writing', 'Blog posts and articles', '#9b59b6', '📝', 'recurring', 'active');
-
-INSERT INTO tasks (id, routine_id, title, notes, column_name, position, type) VALUES
-    ('550e8400-e29b-41d4-a716-446655440101', '550e8400-e29b-41d4-a716-446655440001', 'Grout white tile', 'Need to finish the shower area first', 'today', 1, 'task'),
-    ('550e8400-e29b-41d4-a716-446655440102', '550e8400-e29b-41d4-a716-446655440001', 'Call contractor', 'Get quote for plumbing work', 'today', 2, 'task'),
-    ('550e8400-e29b-41d4-a716-446655440103', '550e8400-e29b-41d4-a716-446655440002', 'Costco List', 'Weekly grocery run', 'tomorrow', 1, 'list'),
-    ('550e8400-e29b-41d4-a716-446655440104', NULL, 'Pick up dry cleaning', 'The blue shirts are ready', 'tomorrow', 2, 'task'),
-    ('550e8400-e29b-41d4-a716-446655440105', '550e8400-e29b-41d4-a716-446655440003', 'Write blog post', 'Topic: Task management systems', 'this_week', 1, 'task'),
-    ('550e8400-e29b-41d4-a716-446655440106', NULL, 'Plan summer vacation', 'Research destinations', 'horizon', 1, 'task');
-
--- Sample list items for the Costco List
-INSERT INTO list_items (task_id, title, completed, position) VALUES
-    ('550e8400-e29b-41d4-a716-446655440103', 'Milk', false, 1),
-    ('550e8400-e29b-41d4-a716-446655440103', 'Eggs', false, 2),
-    ('550e8400-e29b-41d4-a716-446655440103', 'Meat', false, 3),
-    ('550e8400-e29b-41d4-a716-446655440103', 'Syrup', false, 4),
-    ('550e8400-e29b-41d4-a716-446655440103', 'Wine', false, 5);
-
--- Sample notes
-INSERT INTO notes (title, content, type, column_position) VALUES
-    ('Voice Note', 'Remember to check for sales at Costco this week', 'user', 1),
-    ('Ideas', 'Blog post idea: How AI agents can help with task management', 'user', 2),
-    ('System Observation', 'User tends to create more tasks on Monday mornings', 'agent', 3),
-    ('Pattern Analysis', 'Bathroom project tasks are taking longer than estimated', 'agent', 4);
+CREATE TRIGGER update_saved_filters_updated_at BEFORE UPDATE ON saved_filters
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_webhooks_updated_at BEFORE UPDATE ON webhooks
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_inbound_hooks_updated_at BEFORE UPDATE ON inbound_hooks
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Row versions for optimistic concurrency (If-Match / 412).
+-- Trigger arguments name extra columns that don't count as a change (display
+-- order and search columns); rank rebalancing sets clio.skip_version_bump
+-- for its transaction.
+CREATE OR REPLACE FUNCTION bump_row_version()
+RETURNS TRIGGER AS $$
+DECLARE
+    old_row JSONB := to_jsonb(OLD) - 'version' - 'updated_at';
+    new_row JSONB := to_jsonb(NEW) - 'version' - 'updated_at';
+    i INTEGER;
+BEGIN
+    IF current_setting('clio.skip_version_bump', true) = 'on' THEN
+        NEW.version = OLD.version;
+        RETURN NEW;
+    END IF;
+
+    FOR i IN 0 .. TG_NARGS - 1 LOOP
+        old_row := old_row - TG_ARGV[i];
+        new_row := new_row - TG_ARGV[i];
+    END LOOP;
+
+    IF old_row IS DISTINCT FROM new_row THEN
+        NEW.version = OLD.version + 1;
+    ELSE
+        NEW.version = OLD.version;
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER bump_tasks_version BEFORE UPDATE ON tasks
+    FOR EACH ROW EXECUTE FUNCTION bump_row_version('items_vector', 'search_vector');
+
+CREATE TRIGGER bump_notes_version BEFORE UPDATE ON notes
+    FOR EACH ROW EXECUTE FUNCTION bump_row_version('search_vector');
+
+CREATE TRIGGER bump_routines_version BEFORE UPDATE ON routines
+    FOR EACH ROW EXECUTE FUNCTION bump_row_version('display_order', 'search_vector');
+
+CREATE TRIGGER bump_list_items_version BEFORE UPDATE ON list_items
+    FOR EACH ROW EXECUTE FUNCTION bump_row_version();
+
+-- List item titles are part of their task's search_vector
+CREATE OR REPLACE FUNCTION refresh_task_items_vector()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE tasks t
+    SET items_vector = COALESCE((
+        SELECT to_tsvector('english', string_agg(li.title, ' '))
+        FROM list_items li
+        WHERE li.task_id = t.id
+    ), ''::tsvector)
+    WHERE t.id IN (
+        CASE WHEN TG_OP <> 'INSERT' THEN OLD.task_id END,
+        CASE WHEN TG_OP <> 'DELETE' THEN NEW.task_id END
+    );
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER refresh_task_items_vector AFTER INSERT OR DELETE OR UPDATE OF title, task_id ON list_items
+    FOR EACH ROW EXECUTE FUNCTION refresh_task_items_vector();
+
+-- Changes to index in Vivaldi's RAG store. The first trigger argument is the
+-- entity type, the rest name columns that don't count as a change.
+CREATE OR REPLACE FUNCTION enqueue_rag_change()
+RETURNS TRIGGER AS $$
+DECLARE
+    kind TEXT := TG_ARGV[0];
+    change TEXT;
+    old_row JSONB;
+    new_row JSONB;
+    i INTEGER;
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        change := 'upsert';
+    ELSIF TG_OP = 'DELETE' THEN
+        change := 'delete';
+    ELSIF OLD.is_archived IS DISTINCT FROM NEW.is_archived THEN
+        change := CASE WHEN NEW.is_archived THEN 'archive' ELSE 'unarchive' END;
+    ELSE
+        old_row := to_jsonb(OLD) - 'version' - 'updated_at' - 'search_vector';
+        new_row := to_jsonb(NEW) - 'version' - 'updated_at' - 'search_vector';
+        FOR i IN 1 .. TG_NARGS - 1 LOOP
+            old_row := old_row - TG_ARGV[i];
+            new_row := new_row - TG_ARGV[i];
+        END LOOP;
+        IF old_row IS NOT DISTINCT FROM new_row THEN
+            RETURN NULL;
+        END IF;
+        change := 'upsert';
+    END IF;
+
+    -- A queued archive / unarchive / delete isn't downgraded to a plain upsert;
+    -- the entity's current data is read at delivery either way
+    INSERT INTO rag_outbox (entity_type, entity_id, action)
+    VALUES (kind, CASE WHEN TG_OP = 'DELETE' THEN OLD.id ELSE NEW.id END, change)
+    ON CONFLICT (entity_type, entity_id) WHERE status = 'pending' DO UPDATE
+    SET action = CASE WHEN EXCLUDED.action = 'upsert' THEN rag_outbox.action ELSE EXCLUDED.action END,
+        revision = rag_outbox.revision + 1,
+        updated_at = NOW();
+
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER enqueue_tasks_rag AFTER INSERT OR UPDATE OR DELETE ON tasks
+    FOR EACH ROW EXECUTE FUNCTION enqueue_rag_change('task', 'rank');
+
+CREATE TRIGGER enqueue_notes_rag AFTER INSERT OR UPDATE OR DELETE ON notes
+    FOR EACH ROW EXECUTE FUNCTION enqueue_rag_change('note', 'rank');
+
+CREATE TRIGGER enqueue_routines_rag AFTER INSERT OR UPDATE OR DELETE ON routines
+    FOR EACH ROW EXECUTE FUNCTION enqueue_rag_change('routine', 'display_order');
 
 -- Default column dividers for Today column (Morning/Afternoon/Evening sections)
-INSERT INTO column_dividers (id, column_name, label_above, label_below, position) VALUES
-    ('550e8400-e29b-41d4-a716-446655440201', 'today', 'Morning', 'Afternoon', 100),
-    ('550e8400-e29b-41d4-a716-446655440202', 'today', 'Afternoon', 'Evening', 200);
+INSERT INTO column_dividers (id, column_name, label_above, label_below, rank) VALUES
+    ('550e8400-e29b-41d4-a716-446655440201', 'today', 'Morning', 'Afternoon', 'V'),
+    ('550e8400-e29b-41d4-a716-446655440202', 'today', 'Afternoon', 'Evening', 'k');
 
 -- Comments explaining key design decisions
 COMMENT ON TABLE tasks IS 'Core entity: tasks automatically convert between simple tasks and lists based on presence of list_items';
 COMMENT ON COLUMN tasks.type IS 'AUTO-MANAGED: task->list when first item added, list->task when last item deleted';
-COMMENT ON COLUMN tasks.archived_items IS 'Preserves snapshot of list items when task is archived';
+COMMENT ON COLUMN tasks.is_archived IS 'Archived tasks keep their status and list items; they leave the board but stay searchable';
+COMMENT ON COLUMN tasks.recurrence_rule IS 'Recurring tasks: the scheduler creates the next instance on completion or when its date arrives';
 COMMENT ON TABLE list_items IS 'Only exists for tasks where type=list. Simple text entries with checkboxes';
 COMMENT ON TABLE audit_log IS 'Complete change history for undo functionality and agent monitoring';
-COMMENT ON TABLE column_dividers IS 'Visual time-of-day separators for Today column. Not tasks - purely UI elements for organization';
\ No newline at end of file
+COMMENT ON TABLE column_dividers IS 'Visual time-of-day separators for Today column. Not tasks - purely UI elements for organization';
+COMMENT ON TABLE saved_filters IS 'Named board views; criteria is {routine_ids, due, status, has_items, text}';
+COMMENT ON TABLE rag_outbox IS 'Changes waiting to be indexed by the Vivaldi RAG service; dead entries gave up after RAG_MAX_ATTEMPTS';
+COMMENT ON TABLE webhooks IS 'Outbound webhooks; events are patterns like task.completed, task.* or *';
+COMMENT ON TABLE webhook_deliveries IS 'Webhook delivery queue and log; failed entries gave up after WEBHOOK_MAX_ATTEMPTS';
+COMMENT ON TABLE inbound_hooks IS 'Tokenized capture endpoints; only the SHA-256 of the token is stored';
+COMMENT ON COLUMN audit_log.actor_name IS 'Which hook made the change (actor = hook)';
+COMMENT ON TABLE schema_migrations IS 'Migrations applied by npm run migrate; the server refuses to start while any are pending';
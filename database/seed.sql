@@ -0,0 +1,32 @@
+-- CLIO Task Manager Sample Data
+-- Development/testing data for a freshly migrated database:
+--   npm run migrate
+--   psql -d clio_board -f database/seed.sql
+
+INSERT INTO routines (id, title, description, color, icon, status) VALUES
+    ('550e8400-e29b-41d4-a716-446655440001', 'Bathroom Renovation', 'Master bathroom remodel project', '#e74c3c', '🔧', 'active'),
+    ('550e8400-e29b-41d4-a716-446655440002', 'Weekly Errands', 'Recurring weekly tasks', '#2ecc71', '🛒', 'active'),
+    ('550e8400-e29b-41d4-a716-446655440003', 'Writing', 'Blog posts and articles', '#9b59b6', '📝', 'active');
+
+INSERT INTO tasks (id, routine_id, title, notes, column_name, rank, type) VALUES
+    ('550e8400-e29b-41d4-a716-446655440101', '550e8400-e29b-41d4-a716-446655440001', 'Grout white tile', 'Need to finish the shower area first', 'today', 'A', 'task'),
+    ('550e8400-e29b-41d4-a716-446655440102', '550e8400-e29b-41d4-a716-446655440001', 'Call contractor', 'Get quote for plumbing work', 'today', 'B', 'task'),
+    ('550e8400-e29b-41d4-a716-446655440103', '550e8400-e29b-41d4-a716-446655440002', 'Costco List', 'Weekly grocery run', 'tomorrow', 'V', 'list'),
+    ('550e8400-e29b-41d4-a716-446655440104', NULL, 'Pick up dry cleaning', 'The blue shirts are ready', 'tomorrow', 'W', 'task'),
+    ('550e8400-e29b-41d4-a716-446655440105', '550e8400-e29b-41d4-a716-446655440003', 'Write blog post', 'Topic: Task management systems', 'this_week', 'V', 'task'),
+    ('550e8400-e29b-41d4-a716-446655440106', NULL, 'Plan summer vacation', 'Research destinations', 'horizon', 'V', 'task');
+
+-- Sample list items for the Costco List
+INSERT INTO list_items (task_id, title, completed, rank) VALUES
+    ('550e8400-e29b-41d4-a716-446655440103', 'Milk', false, 'V'),
+    ('550e8400-e29b-41d4-a716-446655440103', 'Eggs', false, 'W'),
+    ('550e8400-e29b-41d4-a716-446655440103', 'Meat', false, 'X'),
+    ('550e8400-e29b-41d4-a716-446655440103', 'Syrup', false, 'Y'),
+    ('550e8400-e29b-41d4-a716-446655440103', 'Wine', false, 'Z');
+
+-- Sample notes
+INSERT INTO notes (title, content, type, column_position, rank) VALUES
+    ('Voice Note', 'Remember to check for sales at Costco this week', 'user', 1, 'V'),
+    ('Ideas', 'Blog post idea: How AI agents can help with task management', 'user', 2, 'V'),
+    ('System Observation', 'User tends to create more tasks on Monday mornings', 'agent', 3, 'V'),
+    ('Pattern Analysis', 'Bathroom project tasks are taking longer than estimated', 'agent', 4, 'V');
@@ -37,6 +37,9 @@ class ClioBoardApp {
         RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED'
     };
     
+    // Request options that aren't entity fields - never part of an edit conflict
+    static REQUEST_FLAGS = ['place_by_due_date'];
+    
     constructor() {
         console.log('🏗️ ClioBoardApp constructor called');
         this.tasks = [];
@@ -47,12 +50,23 @@ class ClioBoardApp {
         this.sortables = {};
         this.expandedLists = new Set(); // Track which lists are expanded
         this.routineTagsMinimized = localStorage.getItem('routineTagsMinimized') === 'true'; // Global toggle for all routine tags (Trello-style)
+        this.placeByDueDate = localStorage.getItem('placeByDueDate') === 'true'; // Due date picks the column for new/edited tasks
         this.currentView = ClioBoardApp.VIEWS.TASKS; // Track current view
         this.currentRoutine = null; // Track current routine for detail view
         this.pendingToggles = new Set(); // Track tasks with pending completion toggles
         this.abortControllers = new Map(); // Track API requests for cancellation
         this.isOnline = navigator.onLine; // Track network connectivity status
         this.connectionLossTime = null; // Track when connection was lost
+        this.clientId = window.crypto && crypto.randomUUID ? crypto.randomUUID() : `client-${Date.now()}-${Math.random().toString(36).slice(2)}`; // Lets live updates skip our own changes
+        this.eventSource = null; // Live updates stream (/api/events)
+        this.pendingLiveEvents = []; // Changes waiting to be applied
+        this.liveUpdateTimer = null;
+        this.searchTimer = null; // Debounces search-as-you-type
+        this.savedFilters = []; // Saved board views (/api/filters)
+        this.activeFilterId = localStorage.getItem('activeFilterId'); // Saved filter applied to the board
+        this.searchRequest = 0; // Latest search, so slower earlier responses are dropped
+        this.captureTimer = null; // Debounces the add bar preview
+        this.captureRequest = 0; // Latest preview, so slower earlier responses are dropped
         
         console.log('🏗️ Constructor complete, calling init()');
         this.init();
@@ -78,12 +92,15 @@ class ClioBoardApp {
             await this.loadDividers();
             console.log(`📍 Loaded ${this.dividers.length} dividers`);
 
+            await this.loadSavedFilters();
+
             // Render board
             console.log('🎨 Rendering board...');
             this.renderBoard();
             
             // Initialize drag-and-drop
             this.initializeDragAndDrop();
+            this.updateFilterDragState();
             
             // Set up event listeners
             this.setupEventListeners();
@@ -94,6 +111,9 @@ class ClioBoardApp {
             // Set up error boundary system for user feedback
             this.setupErrorBoundary();
             
+            // Follow changes made by agents and other tabs
+            this.setupLiveUpdates();
+            
             console.log('✅ CLIO Board initialized successfully');
         } catch (error) {
             console.error('❌ Failed to initialize CLIO Board:', error);
@@ -110,16 +130,24 @@ class ClioBoardApp {
         const retryDelay = options.retryDelay ?? 1000; // Base delay in ms
         const retryMultiplier = options.retryMultiplier ?? 2; // Exponential backoff
         
+        // options.base is the entity the edit was made against; its version
+        // goes out as If-Match so the server can reject it if it's stale
+        const ifMatch = options.base && options.base.version !== undefined
+            ? { 'If-Match': `"${options.base.version}"` }
+            : {};
+        
         // Internal retry wrapper - this does the actual network call
         const attemptRequest = async (attempt = 0) => {
             const url = `${this.apiUrl}${endpoint}`;
             const config = {
+                ...options,
                 headers: {
                     'Content-Type': 'application/json',
+                    'X-Client-Id': this.clientId,
+                    ...ifMatch,
                     ...options.headers
                 },
-                timeout: options.timeout || 10000, // 10 second default timeout
-                ...options
+                timeout: options.timeout || 10000 // 10 second default timeout
             };
 
             const attemptPrefix = attempt > 0 ? `🔄 API Retry ${attempt}:` : '🌐 API Call:';
@@ -155,6 +183,12 @@ class ClioBoardApp {
                     error.retryable = this.isRetryableError(response.status);
                     error.userMessage = this.getUserFriendlyMessage(response.status, errorData);
                     error.attempt = attempt + 1;
+                    if (response.status === 412) {
+                        error.current = errorData.current; // Server's newer version
+                    }
+                    if (response.status === 409) {
+                        error.duplicates = errorData.duplicates; // Likely duplicates of a new task/note
+                    }
                     
                     throw error;
                 }
@@ -243,6 +277,11 @@ class ClioBoardApp {
             }
         }
         
+        // Changed elsewhere since we read it - merge, or ask which version wins
+        if (lastError.status === 412 && lastError.current && options.base) {
+            return this.resolveConflict(endpoint, options, lastError.current);
+        }
+        
         // Only emit network error events for actual network/server errors
         // Don't show the red popup for validation errors (400) - those are user input errors
         if (lastError.status !== 400) {
@@ -303,6 +342,17 @@ class ClioBoardApp {
 
     async loadTasks() {
         console.log('📡 loadTasks() called, making API call...');
+        if (this.activeFilterId) {
+            try {
+                this.tasks = await this.apiCall(`/api/tasks?filter=${encodeURIComponent(this.activeFilterId)}`);
+                console.log('📋 loadTasks() complete, received', this.tasks.length, 'filtered tasks');
+                return;
+            } catch (error) {
+                if (error.status !== 404) throw error;
+                // The filter was deleted - fall back to the whole board
+                this.setActiveFilter(null);
+            }
+        }
         this.tasks = await this.apiCall('/api/tasks');
         console.log('📋 loadTasks() complete, received', this.tasks.length, 'tasks');
     }
@@ -330,22 +380,48 @@ class ClioBoardApp {
 
     async createTask(taskData) {
         console.log('➕ Creating task:', taskData.title);
-        const newTask = await this.apiCall('/api/tasks', {
-            method: 'POST',
-            body: JSON.stringify(taskData)
-        });
+        const newTask = await this.createWithDuplicateCheck('/api/tasks?on_duplicate=reject', taskData, 'task');
+        if (!newTask) return null;
         this.tasks.push(newTask);
         return newTask;
     }
 
+    // POST a new task/note; if the server finds likely duplicates (409), let the
+    // user confirm and resend with force. Returns null when they decide not to.
+    // Tasks and notes only check when asked to, with on_duplicate=reject.
+    async createWithDuplicateCheck(endpoint, data, kind) {
+        try {
+            return await this.apiCall(endpoint, {
+                method: 'POST',
+                body: JSON.stringify(data)
+            });
+        } catch (error) {
+            if (error.status !== 409 || !Array.isArray(error.duplicates)) throw error;
+
+            const list = error.duplicates
+                .map(d => `• ${d.title || d.preview || 'Untitled'}`)
+                .join('\n');
+            if (!confirm(`Similar ${kind}s already exist:\n\n${list}\n\nCreate this ${kind} anyway?`)) {
+                return null;
+            }
+            return this.apiCall(endpoint, {
+                method: 'POST',
+                body: JSON.stringify({ ...data, force: true })
+            });
+        }
+    }
+
     async moveTask(taskId, newColumn, newPosition = null) {
         console.log(`🔄 Moving task ${taskId} to ${newColumn} at position ${newPosition}`);
+        const task = this.tasks.find(t => t.id === taskId);
         const updatedTask = await this.apiCall(`/api/tasks/${taskId}/move`, {
             method: 'PUT',
             body: JSON.stringify({ 
                 column: newColumn,
                 position: newPosition 
-            })
+            }),
+            // The move body says `column`, the task `column_name`
+            base: task ? { version: task.version, column: task.column_name, position: task.position } : null
         });
         
         // Update local data
@@ -469,7 +545,8 @@ class ClioBoardApp {
         const hasListItems = task.type === 'list' && task.items && task.items.length > 0;
         const minimizedRoutineTag = this.renderMinimizedRoutineTag(routineInfo);
         const fullRoutineTag = this.renderFullRoutineTag(routineInfo);
-        const hasBottomContent = fullRoutineTag || dueDate;
+        const isRecurring = !!task.recurrence_rule;
+        const hasBottomContent = fullRoutineTag || dueDate || isRecurring;
         
         div.innerHTML = `
             <div class="flex items-start justify-between ${hasListItems || hasBottomContent ? 'mb-1' : ''}">
@@ -510,7 +587,8 @@ class ClioBoardApp {
                 <div class="flex items-center justify-between ${hasListItems ? 'mt-1' : 'mt-0.5'}">
                     ${fullRoutineTag}
                     <div class="flex items-center space-x-2 text-xs text-gray-500">
-                        ${dueDate ? `<span><i class="fas fa-calendar mr-1"></i>${dueDate}</span>` : ''}
+                        ${isRecurring ? `<span title="${this.describeRecurrence(task.recurrence_rule)}"><i class="fas fa-redo"></i></span>` : ''}
+                        ${dueDate ? `<span class="${task.is_overdue ? 'text-red-600 font-medium' : ''}" ${task.is_overdue ? 'title="Overdue"' : ''}><i class="fas ${task.is_overdue ? 'fa-exclamation-circle' : 'fa-calendar'} mr-1"></i>${dueDate}</span>` : ''}
                     </div>
                 </div>
             ` : ''}
@@ -915,6 +993,21 @@ class ClioBoardApp {
         console.log('🎊 BIG ROUTINE COMPLETION CELEBRATION! 🎉');
     }
 
+    // Due-date placement toggle - when on, setting a due date moves the task to the matching column
+    toggleDueDatePlacement() {
+        this.placeByDueDate = !this.placeByDueDate;
+        localStorage.setItem('placeByDueDate', this.placeByDueDate.toString());
+        console.log(`📅 Due-date placement ${this.placeByDueDate ? 'on' : 'off'}`);
+        this.updateDueDatePlacementToggle();
+    }
+
+    updateDueDatePlacementToggle() {
+        const toggle = document.getElementById('date-placement-toggle');
+        if (!toggle) return;
+        toggle.classList.toggle('text-blue-600', this.placeByDueDate);
+        toggle.classList.toggle('text-gray-600', !this.placeByDueDate);
+    }
+
     // Trello-style routine tag toggle functionality
     toggleRoutineTagsDisplay() {
         this.routineTagsMinimized = !this.routineTagsMinimized;
@@ -1119,6 +1212,18 @@ class ClioBoardApp {
         document.getElementById('add-task-form').addEventListener('submit', (e) => {
             this.handleAddTask(e);
         });
+
+        // Quick capture bar: preview the interpretation while typing, add on Enter
+        const captureInput = document.getElementById('capture-input');
+        if (captureInput) {
+            captureInput.addEventListener('input', () => {
+                clearTimeout(this.captureTimer);
+                this.captureTimer = setTimeout(() => this.previewCapture(), 300);
+            });
+            document.getElementById('capture-form').addEventListener('submit', (e) => {
+                this.handleCapture(e);
+            });
+        }
         
         // Close modal on escape key
         document.addEventListener('keydown', (e) => {
@@ -1129,6 +1234,8 @@ class ClioBoardApp {
                 const addTaskModal = document.getElementById('add-task-modal');
                 const editTaskModal = document.getElementById('edit-task-modal');
                 const archiveModal = document.getElementById('archive-modal');
+                const agentActivityModal = document.getElementById('agent-activity-modal');
+                const searchModal = document.getElementById('search-modal');
                 const routineModal = document.getElementById('routine-modal');
                 
                 // Check modals in z-index priority order (highest first)
@@ -1144,6 +1251,10 @@ class ClioBoardApp {
                     this.closeEditTaskModal();
                 } else if (archiveModal && !archiveModal.classList.contains('hidden')) {
                     this.closeArchiveModal();
+                } else if (agentActivityModal && !agentActivityModal.classList.contains('hidden')) {
+                    this.closeAgentActivityModal();
+                } else if (searchModal && !searchModal.classList.contains('hidden')) {
+                    this.closeSearchModal();
                 } else if (routineModal && !routineModal.classList.contains('hidden')) {
                     this.closeRoutineModal();
                 }
@@ -1166,6 +1277,68 @@ class ClioBoardApp {
             });
         }
 
+        // Due-date placement toggle
+        const datePlacementToggle = document.getElementById('date-placement-toggle');
+        if (datePlacementToggle) {
+            datePlacementToggle.addEventListener('click', () => {
+                this.toggleDueDatePlacement();
+            });
+            this.updateDueDatePlacementToggle();
+        }
+
+        // Search button, and "/" anywhere outside a text field
+        const searchBtn = document.getElementById('search-btn');
+        if (searchBtn) {
+            searchBtn.addEventListener('click', () => {
+                this.openSearchModal();
+            });
+        }
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey) return;
+            const target = e.target;
+            if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+            e.preventDefault();
+            this.openSearchModal();
+        });
+
+        const closeSearchModalBtn = document.getElementById('close-search-modal');
+        if (closeSearchModalBtn) {
+            closeSearchModalBtn.addEventListener('click', () => {
+                this.closeSearchModal();
+            });
+        }
+
+        const searchInput = document.getElementById('search-input');
+        if (searchInput) {
+            searchInput.addEventListener('input', () => {
+                clearTimeout(this.searchTimer);
+                this.searchTimer = setTimeout(() => this.runSearch(), 300);
+            });
+            searchInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    clearTimeout(this.searchTimer);
+                    this.runSearch();
+                }
+            });
+        }
+
+        // Agent activity button
+        const agentActivityBtn = document.getElementById('agent-activity-btn');
+        if (agentActivityBtn) {
+            agentActivityBtn.addEventListener('click', () => {
+                this.openAgentActivityModal();
+            });
+        }
+
+        const closeAgentActivityModalBtn = document.getElementById('close-agent-activity-modal');
+        if (closeAgentActivityModalBtn) {
+            closeAgentActivityModalBtn.addEventListener('click', () => {
+                this.closeAgentActivityModal();
+            });
+        }
+
         // Close modals when clicking outside
         const addTaskModal = document.getElementById('add-task-modal');
         const editTaskModal = document.getElementById('edit-task-modal');
@@ -1196,6 +1369,24 @@ class ClioBoardApp {
             });
         }
         
+        const agentActivityModal = document.getElementById('agent-activity-modal');
+        if (agentActivityModal) {
+            agentActivityModal.addEventListener('click', (e) => {
+                if (e.target === agentActivityModal) {
+                    this.closeAgentActivityModal();
+                }
+            });
+        }
+
+        const searchModal = document.getElementById('search-modal');
+        if (searchModal) {
+            searchModal.addEventListener('click', (e) => {
+                if (e.target === searchModal) {
+                    this.closeSearchModal();
+                }
+            });
+        }
+        
         if (routineModal) {
             routineModal.addEventListener('click', (e) => {
                 if (e.target === routineModal) {
@@ -1383,6 +1574,14 @@ class ClioBoardApp {
             });
         }
 
+        // Edit modal repeat picker
+        const editRecurrenceSelect = document.getElementById('edit-task-recurrence');
+        if (editRecurrenceSelect) {
+            editRecurrenceSelect.addEventListener('change', () => {
+                this.updateRecurrenceIntervalVisibility();
+            });
+        }
+
         // Global click listener to close menus when clicking outside
         document.addEventListener('click', (e) => {
             // Check if the click is outside any task menu or menu button
@@ -1790,6 +1989,72 @@ class ClioBoardApp {
         }, duration);
     }
     
+    // Show undo toast after a destructive action
+    showUndoNotification(message, duration = 8000) {
+        const notification = document.createElement('div');
+        notification.className = 'fixed bottom-4 right-4 z-50 max-w-md bg-gray-800 text-white px-4 py-3 rounded-lg shadow-lg transform transition-all duration-300 translate-x-full';
+        
+        notification.innerHTML = `
+            <div class="flex items-center">
+                <div class="flex-1">
+                    <div class="text-sm">${this.escapeHtml(message)}</div>
+                </div>
+                <button class="undo-btn ml-3 text-blue-300 hover:text-blue-200 text-sm font-medium">Undo</button>
+                <button class="ml-3 text-gray-400 hover:text-gray-200 dismiss-undo">✕</button>
+            </div>
+        `;
+        
+        document.body.appendChild(notification);
+        
+        // Animate in
+        setTimeout(() => {
+            notification.style.transform = 'translateX(0)';
+        }, 100);
+        
+        notification.querySelector('.undo-btn').addEventListener('click', async () => {
+            this.hideNotification(notification);
+            await this.undoLastAction();
+        });
+        
+        notification.querySelector('.dismiss-undo').addEventListener('click', () => {
+            this.hideNotification(notification);
+        });
+        
+        // Auto-dismiss
+        setTimeout(() => {
+            this.hideNotification(notification);
+        }, duration);
+    }
+    
+    // Revert the most recent change via the audit log and refresh the current view
+    async undoLastAction() {
+        try {
+            const result = await this.apiCall('/api/undo', {
+                method: 'POST',
+                body: JSON.stringify({ steps: 1 })
+            });
+            
+            if (!result.undone || result.undone.length === 0) {
+                this.showWarningNotification('Nothing to undo');
+                return;
+            }
+            
+            await this.loadTasks();
+            await this.loadRoutines();
+            await this.loadDividers();
+            this.renderBoard();
+            
+            if (this.currentView === 'notes') {
+                await this.loadNotesView();
+            }
+            
+            this.showSuccessNotification(this.escapeHtml(result.undone[0].description));
+        } catch (error) {
+            console.error('Failed to undo:', error);
+            this.showError(error.status === 409 ? error.message : 'Failed to undo');
+        }
+    }
+    
     // Show persistent offline notification
     showOfflineNotification() {
         if (document.getElementById('offline-notification')) return; // Already showing
@@ -2524,6 +2789,7 @@ class ClioBoardApp {
                 this.renderRoutineTasks(tasks);
             }
             
+            this.showUndoNotification('Task archived');
             console.log('✅ Task archived from modal');
         } catch (error) {
             console.error('Error archiving task from modal:', error);
@@ -3122,6 +3388,17 @@ class ClioBoardApp {
             await this.loadRoutines();
             this.updateTaskCounts();
             
+            if (newStatus === ClioBoardApp.TASK_STATUS.COMPLETED) {
+                this.showUndoNotification('Task completed');
+                
+                // Completing a recurring task creates its next instance
+                const task = this.tasks.find(t => t.id === taskId);
+                if (task && task.recurrence_rule) {
+                    await this.loadTasks();
+                    this.renderBoard();
+                }
+            }
+            
         } catch (error) {
             if (error.name === 'AbortError') {
                 console.log(`🚫 Toggle aborted: ${taskId}`);
@@ -3221,6 +3498,7 @@ class ClioBoardApp {
             await this.loadTasks();
             await this.loadRoutines(); // Refresh routine task counts
             this.renderBoard();
+            this.showUndoNotification('Task archived');
         } catch (error) {
             console.error('Failed to archive task:', error);
             this.showError('Failed to archive task');
@@ -3325,7 +3603,7 @@ class ClioBoardApp {
                 this.renderRoutineNotes(filteredNotes);
             }
             
-            this.showSuccessNotification('Note archived successfully');
+            this.showUndoNotification('Note archived');
         } catch (error) {
             console.error('Failed to archive note:', error);
             this.showErrorNotification('Failed to archive note');
@@ -3624,8 +3902,11 @@ class ClioBoardApp {
             dueDateDisplay.textContent = 'Set date';
         }
         
+        this.populateRecurrenceFields(task.recurrence_rule);
+        
         // Load list items if it's a list
         this.loadEditListItems(task);
+        this.loadRelatedItems(task.id);
         
         // Initialize list sorting for edit modal AFTER items are loaded
         setTimeout(() => {
@@ -3651,9 +3932,67 @@ class ClioBoardApp {
         // Reset form
         document.getElementById('edit-task-form').reset();
         document.getElementById('edit-list-items-container').innerHTML = '';
+        document.getElementById('edit-related-section').classList.add('hidden');
+        document.getElementById('edit-related-container').innerHTML = '';
         this.editingTask = null;
     }
 
+    // Related tasks and notes for the edit modal, computed by the API (no RAG service needed)
+    async loadRelatedItems(taskId) {
+        const section = document.getElementById('edit-related-section');
+        const container = document.getElementById('edit-related-container');
+        section.classList.add('hidden');
+        container.innerHTML = '';
+
+        try {
+            const related = await this.apiCall(`/api/tasks/${taskId}/related`);
+            // The modal may have moved on to another task meanwhile
+            if (!this.editingTask || this.editingTask.id !== taskId) return;
+
+            const items = [
+                ...related.tasks.map(item => ({ kind: 'task', item })),
+                ...related.notes.map(item => ({ kind: 'note', item }))
+            ];
+            if (items.length === 0) return;
+
+            items.forEach(({ kind, item }) => {
+                const row = document.createElement('button');
+                row.type = 'button';
+                row.className = 'w-full text-left flex items-center space-x-2 px-2 py-1 text-sm rounded hover:bg-gray-100';
+                const icon = kind === 'task' ? 'fa-check-square' : 'fa-sticky-note';
+                const label = item.title || item.preview || 'Untitled';
+                row.innerHTML = `
+                    <i class="fas ${icon} text-xs text-gray-400"></i>
+                    <span class="flex-1 truncate ${item.status === 'completed' ? 'text-gray-500 line-through' : 'text-gray-800'}">${this.escapeHtml(label)}</span>
+                    ${item.routine ? `<span class="text-xs text-gray-400 truncate">${this.escapeHtml(item.routine)}</span>` : ''}
+                `;
+                row.addEventListener('click', () => this.openRelatedItem(kind, item.id));
+                container.appendChild(row);
+            });
+            section.classList.remove('hidden');
+        } catch (error) {
+            // Related items are extra; the modal works without them
+            console.error('Failed to load related items:', error);
+        }
+    }
+
+    async openRelatedItem(kind, id) {
+        try {
+            if (kind === 'task') {
+                const task = await this.apiCall(`/api/tasks/${id}`);
+                this.closeEditTaskModal();
+                this.openEditTaskModal(task);
+            } else {
+                const note = await this.apiCall(`/api/notes/${id}`);
+                this.closeEditTaskModal();
+                this.openNoteModal(note);
+            }
+        } catch (error) {
+            console.error('Failed to open related item:', error);
+            this.showErrorNotification(`Failed to open ${kind}`);
+        }
+    }
+
     async openArchiveModal() {
         const modal = document.getElementById('archive-modal');
         modal.classList.remove('hidden');
@@ -3961,6 +4300,771 @@ class ClioBoardApp {
         return div;
     }
 
+    // ==================== Edit Conflicts ====================
+
+    async resolveConflict(endpoint, options, current) {
+        const base = options.base;
+        const mine = options.body ? JSON.parse(options.body) : {};
+        const flags = {};
+        const changed = {};
+        const conflicts = [];
+
+        Object.keys(mine).forEach(field => {
+            if (ClioBoardApp.REQUEST_FLAGS.includes(field)) {
+                flags[field] = mine[field];
+                return;
+            }
+            // Not part of this edit, or the server already has it
+            if (field in base && this.sameFieldValue(mine[field], base[field])) return;
+            if (field in current && this.sameFieldValue(mine[field], current[field])) return;
+
+            changed[field] = mine[field];
+            // Both sides changed it, differently. Positions shift whenever a
+            // neighbour moves, so a position alone never counts.
+            if (field !== 'position' && field in base && field in current &&
+                !this.sameFieldValue(base[field], current[field])) {
+                conflicts.push(field);
+            }
+        });
+
+        if (Object.keys(changed).length === 0) {
+            console.log('🔀 Edit already matches the latest version');
+            return current;
+        }
+
+        if (conflicts.length > 0) {
+            const keepMine = await this.showConflictPrompt(conflicts, changed, current);
+            if (!keepMine) {
+                conflicts.forEach(field => delete changed[field]);
+                if (Object.keys(changed).length === 0) {
+                    return current;
+                }
+            }
+        } else {
+            console.log('🔀 Merging edit onto the latest version:', Object.keys(changed));
+        }
+
+        return this.apiCall(endpoint, {
+            ...options,
+            body: JSON.stringify({ ...changed, ...flags }),
+            base: current
+        });
+    }
+
+    sameFieldValue(a, b) {
+        const normalize = (value) => {
+            if (value === undefined || value === null || value === '') return null;
+            // Dates come back as timestamps but are sent as YYYY-MM-DD
+            if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+            return value;
+        };
+        return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+    }
+
+    showConflictPrompt(fields, mine, current) {
+        const format = (value) => {
+            if (value === undefined || value === null || value === '') return '<span class="text-gray-400">(empty)</span>';
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return this.escapeHtml(text.length > 120 ? `${text.slice(0, 120)}…` : text);
+        };
+
+        return new Promise(resolve => {
+            const popup = document.createElement('div');
+            popup.className = 'fixed inset-0 bg-black bg-opacity-25 flex items-center justify-center z-[100]';
+            popup.innerHTML = `
+                <div class="bg-white rounded-lg p-4 max-w-lg w-full mx-4 shadow-lg">
+                    <h3 class="text-md font-semibold mb-1">Changed somewhere else</h3>
+                    <p class="text-sm text-gray-600 mb-3">This was edited on another device or by the agent while you were working on it.</p>
+                    <table class="w-full text-sm mb-4">
+                        <thead>
+                            <tr class="text-left text-xs uppercase tracking-wider text-gray-500">
+                                <th class="py-1 pr-2">Field</th>
+                                <th class="py-1 pr-2">Yours</th>
+                                <th class="py-1">Theirs</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${fields.map(field => `
+                                <tr class="border-t border-gray-100 align-top">
+                                    <td class="py-1 pr-2 text-gray-500">${this.escapeHtml(field.replace(/_/g, ' '))}</td>
+                                    <td class="py-1 pr-2 break-words">${format(mine[field])}</td>
+                                    <td class="py-1 break-words">${format(current[field])}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    <div class="flex justify-end space-x-2">
+                        <button type="button" class="keep-theirs px-3 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300">Keep theirs</button>
+                        <button type="button" class="keep-mine px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700">Use mine</button>
+                    </div>
+                </div>
+            `;
+
+            const close = (keepMine) => {
+                document.body.removeChild(popup);
+                resolve(keepMine);
+            };
+
+            popup.querySelector('.keep-mine').addEventListener('click', () => close(true));
+            popup.querySelector('.keep-theirs').addEventListener('click', () => close(false));
+
+            document.body.appendChild(popup);
+        });
+    }
+
+    // ==================== Live Updates ====================
+
+    setupLiveUpdates() {
+        if (!window.EventSource) {
+            console.warn('⚠️ EventSource not supported - live updates disabled');
+            return;
+        }
+
+        console.log('📻 Connecting to live updates...');
+        this.eventSource = new EventSource(`${this.apiUrl}/api/events`);
+
+        this.eventSource.addEventListener('ready', () => {
+            console.log('📻 Live updates connected');
+        });
+
+        this.eventSource.addEventListener('change', (e) => {
+            const event = JSON.parse(e.data);
+            // Our own changes are already on screen
+            if (event.origin === this.clientId) return;
+            this.queueLiveEvent(event);
+        });
+
+        this.eventSource.addEventListener('resync', () => {
+            console.log('📻 Missed live updates, reloading board');
+            this.queueLiveEvent({ entityType: 'board', action: 'resync' });
+        });
+
+        // EventSource reconnects on its own and replays what it missed
+        this.eventSource.onerror = () => {
+            console.warn('⚠️ Live updates connection lost, retrying...');
+        };
+    }
+
+    queueLiveEvent(event) {
+        this.pendingLiveEvents.push(event);
+
+        // Coalesce bursts (bulk operations, rollover) into one refresh
+        clearTimeout(this.liveUpdateTimer);
+        this.liveUpdateTimer = setTimeout(() => this.applyLiveEvents(), 150);
+    }
+
+    async applyLiveEvents() {
+        // Don't pull cards out from under an active drag
+        if (document.querySelector('.sortable-chosen, .sortable-drag')) {
+            this.liveUpdateTimer = setTimeout(() => this.applyLiveEvents(), 500);
+            return;
+        }
+
+        const events = this.pendingLiveEvents;
+        this.pendingLiveEvents = [];
+        if (events.length === 0) return;
+
+        console.log(`📻 Applying ${events.length} live update(s)`);
+
+        const taskIds = new Set();
+        const agentTaskIds = new Set();
+        let reloadBoard = false;
+        let reloadRoutines = false;
+        let reloadNotes = false;
+        let reloadDividers = false;
+        let reloadFilters = false;
+
+        events.forEach(event => {
+            switch (event.entityType) {
+                case 'task':
+                case 'list_item': {
+                    const taskId = event.entityType === 'task' ? event.entityId : event.taskId;
+                    if (!taskId) {
+                        reloadBoard = true;
+                        break;
+                    }
+                    taskIds.add(taskId);
+                    if (event.actor === 'agent') agentTaskIds.add(taskId);
+                    break;
+                }
+                case 'routine':
+                    reloadRoutines = true;
+                    break;
+                case 'note':
+                    reloadNotes = true;
+                    break;
+                case 'divider':
+                    reloadDividers = true;
+                    break;
+                case 'saved_filter':
+                    reloadFilters = true;
+                    break;
+                case 'webhook':
+                case 'inbound_hook':
+                    // Not shown on the board
+                    break;
+                default:
+                    reloadBoard = true;
+            }
+        });
+
+        // Any task change can move tasks in or out of a filtered board
+        if (this.activeFilterId && taskIds.size > 0) reloadBoard = true;
+
+        try {
+            if (reloadFilters) {
+                await this.loadSavedFilters();
+                // The active filter's criteria may have changed
+                if (this.activeFilterId) reloadBoard = true;
+            }
+
+            if (reloadBoard || taskIds.size > 20) {
+                await this.loadTasks();
+                await this.loadRoutines();
+                await this.loadDividers();
+                this.renderBoard();
+            } else {
+                if (reloadDividers) {
+                    await this.loadDividers();
+                    this.renderColumn('today');
+                }
+                await this.refreshLiveTasks(taskIds);
+                if (reloadRoutines) {
+                    await this.loadRoutines();
+                    // Routine tags and paused styling come from this.routines
+                    this.tasks.filter(t => t.routine_id).forEach(task => {
+                        const card = document.querySelector(`[data-task-id="${task.id}"]`);
+                        if (card) card.replaceWith(this.createTaskCard(task));
+                    });
+                }
+            }
+
+            if (reloadRoutines && this.currentView === 'routines') {
+                await this.loadRoutinesView();
+            }
+            if (reloadNotes && this.currentView === 'notes') {
+                await this.loadNotesView();
+            }
+
+            this.highlightAgentChanges(agentTaskIds);
+        } catch (error) {
+            console.error('❌ Failed to apply live updates:', error);
+        }
+    }
+
+    async refreshLiveTasks(taskIds) {
+        const columnsToRender = new Set();
+
+        for (const taskId of taskIds) {
+            const index = this.tasks.findIndex(t => t.id === taskId);
+            const previous = index !== -1 ? this.tasks[index] : null;
+
+            let task = null;
+            try {
+                task = await this.apiCall(`/api/tasks/${taskId}`, { maxRetries: 0 });
+            } catch (error) {
+                if (error.status !== 404) throw error;
+            }
+
+            // Deleted or archived elsewhere
+            if (!task || task.is_archived) {
+                if (previous) {
+                    this.tasks.splice(index, 1);
+                    columnsToRender.add(previous.column_name);
+                }
+                continue;
+            }
+
+            if (previous) {
+                this.tasks[index] = task;
+            } else {
+                this.tasks.push(task);
+            }
+
+            if (previous && previous.column_name === task.column_name && previous.position === task.position) {
+                // Same slot - swap just this card
+                const card = document.querySelector(`[data-task-id="${taskId}"]`);
+                if (card && !columnsToRender.has(task.column_name)) {
+                    card.replaceWith(this.createTaskCard(task));
+                } else {
+                    columnsToRender.add(task.column_name);
+                }
+            } else {
+                if (previous) columnsToRender.add(previous.column_name);
+                columnsToRender.add(task.column_name);
+            }
+        }
+
+        // Positions of the other cards in these columns have shifted
+        for (const column of columnsToRender) {
+            const columnTasks = await this.apiCall(`/api/tasks?column=${column}`);
+            this.tasks = this.tasks.filter(t => t.column_name !== column).concat(columnTasks);
+            this.renderColumn(column);
+        }
+
+        this.updateTaskCounts();
+    }
+
+    highlightAgentChanges(taskIds) {
+        taskIds.forEach(taskId => {
+            const card = document.querySelector(`[data-task-id="${taskId}"]`);
+            if (!card) return;
+            card.classList.add('ring-2', 'ring-purple-400');
+            setTimeout(() => card.classList.remove('ring-2', 'ring-purple-400'), 2000);
+        });
+    }
+
+    // ==================== Saved Filters ====================
+
+    async loadSavedFilters() {
+        try {
+            this.savedFilters = await this.apiCall('/api/filters');
+        } catch (error) {
+            console.error('Failed to load saved filters:', error);
+            this.savedFilters = [];
+        }
+        this.renderPinnedFilters();
+    }
+
+    renderPinnedFilters() {
+        const container = document.getElementById('pinned-filters');
+        if (!container) return;
+
+        const active = this.savedFilters.find(f => f.id === this.activeFilterId);
+        // An applied filter stays visible even if it isn't pinned
+        const shown = this.savedFilters.filter(f => f.pinned || f === active);
+
+        if (shown.length === 0) {
+            container.classList.add('hidden');
+            container.innerHTML = '';
+            return;
+        }
+
+        const chipClass = (selected) => selected
+            ? 'px-3 py-1 rounded-full bg-blue-600 text-white'
+            : 'px-3 py-1 rounded-full bg-gray-100 text-gray-700 hover:bg-gray-200';
+
+        container.innerHTML = `
+            <span class="text-xs text-gray-500"><i class="fas fa-filter mr-1"></i>Views</span>
+            <button class="${chipClass(!active)}" data-filter-id="">All tasks</button>
+            ${shown.map(f => `<button class="${chipClass(f === active)}" data-filter-id="${f.id}">${this.escapeHtml(f.name)}</button>`).join('')}
+        `;
+        container.classList.remove('hidden');
+
+        container.querySelectorAll('[data-filter-id]').forEach(chip => {
+            chip.addEventListener('click', () => {
+                this.applySavedFilter(chip.dataset.filterId || null);
+            });
+        });
+    }
+
+    setActiveFilter(filterId) {
+        this.activeFilterId = filterId;
+        if (filterId) {
+            localStorage.setItem('activeFilterId', filterId);
+        } else {
+            localStorage.removeItem('activeFilterId');
+        }
+    }
+
+    async applySavedFilter(filterId) {
+        this.setActiveFilter(filterId);
+        if (this.currentView !== ClioBoardApp.VIEWS.TASKS) {
+            this.switchView(ClioBoardApp.VIEWS.TASKS);
+        }
+
+        try {
+            await this.loadTasks();
+            this.renderBoard();
+        } catch (error) {
+            console.error('Failed to apply filter:', error);
+            this.showErrorNotification('Failed to apply filter');
+        }
+        this.renderPinnedFilters();
+        this.updateFilterDragState();
+    }
+
+    // Card positions are board-wide, so reordering only works on the whole board
+    updateFilterDragState() {
+        Object.values(this.sortables).forEach(sortable => {
+            sortable.option('disabled', !!this.activeFilterId);
+        });
+    }
+
+    // ==================== Quick Capture ====================
+
+    async previewCapture() {
+        const text = document.getElementById('capture-input').value.trim();
+        const request = ++this.captureRequest;
+
+        if (!text) {
+            this.renderCapturePreview(null);
+            return;
+        }
+
+        try {
+            const result = await this.apiCall('/api/capture', {
+                method: 'POST',
+                body: JSON.stringify({ text, dry_run: true }),
+                maxRetries: 0
+            });
+            if (request !== this.captureRequest) return;
+            this.renderCapturePreview(result.interpretation);
+        } catch (error) {
+            if (request !== this.captureRequest) return;
+            this.renderCapturePreview(null, error.status === 400 ? error.userMessage : null);
+        }
+    }
+
+    // What the add bar will create, with anything it couldn't match
+    renderCapturePreview(interpretation, errorMessage = null) {
+        const preview = document.getElementById('capture-preview');
+        if (!interpretation && !errorMessage) {
+            preview.classList.add('hidden');
+            preview.innerHTML = '';
+            return;
+        }
+
+        if (errorMessage) {
+            preview.innerHTML = `<span class="text-red-600">${this.escapeHtml(errorMessage)}</span>`;
+        } else {
+            const warnings = interpretation.warnings
+                .map(warning => `<span class="block text-amber-600"><i class="fas fa-exclamation-triangle mr-1"></i>${this.escapeHtml(warning)}</span>`)
+                .join('');
+            preview.innerHTML = `<span class="block">${this.escapeHtml(interpretation.summary)}</span>${warnings}`;
+        }
+        preview.classList.remove('hidden');
+    }
+
+    async handleCapture(event) {
+        event.preventDefault();
+        const input = document.getElementById('capture-input');
+        const text = input.value.trim();
+        if (!text) return;
+
+        clearTimeout(this.captureTimer);
+        this.captureRequest++;
+
+        try {
+            const result = await this.createWithDuplicateCheck('/api/capture', { text }, 'task');
+            if (!result) return; // Kept the existing task instead
+
+            this.tasks.push(result.task);
+            await this.loadRoutines();
+            this.renderBoard();
+
+            input.value = '';
+            this.renderCapturePreview(null);
+            this.showSuccessNotification(this.escapeHtml(result.interpretation.summary));
+        } catch (error) {
+            console.error('Failed to capture task:', error);
+            if (error.status === 400) {
+                this.renderCapturePreview(null, error.userMessage);
+            } else {
+                this.showError(error.userMessage || 'Failed to add task');
+            }
+        }
+    }
+
+    // ==================== Search ====================
+
+    openSearchModal() {
+        const modal = document.getElementById('search-modal');
+        const input = document.getElementById('search-input');
+        modal.classList.remove('hidden');
+        input.focus();
+        input.select();
+    }
+
+    closeSearchModal() {
+        clearTimeout(this.searchTimer);
+        document.getElementById('search-modal').classList.add('hidden');
+    }
+
+    async runSearch() {
+        const query = document.getElementById('search-input').value.trim();
+        const container = document.getElementById('search-results');
+        const errorLine = document.getElementById('search-error');
+        const request = ++this.searchRequest;
+
+        if (!query) {
+            errorLine.classList.add('hidden');
+            container.innerHTML = '';
+            return;
+        }
+
+        try {
+            const result = await this.apiCall(`/api/search?q=${encodeURIComponent(query)}`, { maxRetries: 0 });
+            if (request !== this.searchRequest) return;
+            errorLine.classList.add('hidden');
+            this.renderSearchResults(result);
+        } catch (error) {
+            if (request !== this.searchRequest) return;
+            // Syntax errors explain themselves; keep the last results on screen
+            errorLine.textContent = error.status === 400 ? error.userMessage : 'Search failed - try again';
+            errorLine.classList.remove('hidden');
+        }
+    }
+
+    renderSearchResults(result) {
+        const container = document.getElementById('search-results');
+        const { tasks, notes, routines } = result.results;
+
+        if (result.totalHits === 0) {
+            container.innerHTML = '<p class="text-gray-500 text-center py-8">No matches</p>';
+            return;
+        }
+
+        container.innerHTML = '';
+        const groups = [
+            { label: 'Tasks', kind: 'task', items: tasks },
+            { label: 'Notes', kind: 'note', items: notes },
+            { label: 'Routines', kind: 'routine', items: routines }
+        ];
+        groups.filter(group => group.items.length > 0).forEach(group => {
+            const section = document.createElement('div');
+            section.innerHTML = `<h4 class="text-xs font-semibold text-gray-500 uppercase mb-2">${group.label}</h4>`;
+            group.items.forEach(item => {
+                section.appendChild(this.createSearchResultCard(group.kind, item));
+            });
+            container.appendChild(section);
+        });
+    }
+
+    createSearchResultCard(kind, item) {
+        const div = document.createElement('div');
+        div.className = 'rounded-lg p-3 mb-2 border border-gray-200 hover:bg-gray-50 cursor-pointer';
+
+        const title = item.highlight && item.highlight.title
+            ? this.renderSearchHighlight(item.highlight.title)
+            : this.escapeHtml(item.title || item.name);
+        const snippet = item.highlight && item.highlight.snippet
+            ? this.renderSearchHighlight(item.highlight.snippet)
+            : '';
+
+        const details = [];
+        if (kind === 'task') {
+            details.push(item.column, item.status === 'completed' ? 'Completed' : 'Pending');
+            if (item.due) details.push(`Due ${new Date(`${item.due}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`);
+        } else if (kind === 'routine') {
+            details.push(item.status.charAt(0).toUpperCase() + item.status.slice(1));
+        }
+        if (item.routine) details.push(this.escapeHtml(item.routine));
+        if (item.isArchived) details.push('Archived');
+
+        div.innerHTML = `
+            <div class="text-sm font-medium ${item.status === 'completed' ? 'text-gray-500' : 'text-gray-900'}">${title}</div>
+            ${details.length > 0 ? `<div class="text-xs text-gray-500 mt-1">${details.join(' • ')}</div>` : ''}
+            ${snippet ? `<div class="text-xs text-gray-600 mt-1">${snippet}</div>` : ''}
+        `;
+
+        div.addEventListener('click', () => {
+            this.openSearchResult(kind, item.id);
+        });
+        return div;
+    }
+
+    // Highlights arrive as plain text with <mark> around matches
+    renderSearchHighlight(text) {
+        return this.escapeHtml(text)
+            .replace(/&lt;mark&gt;/g, '<mark>')
+            .replace(/&lt;\/mark&gt;/g, '</mark>');
+    }
+
+    async openSearchResult(kind, id) {
+        try {
+            if (kind === 'task') {
+                const task = await this.apiCall(`/api/tasks/${id}`);
+                this.closeSearchModal();
+                this.openEditTaskModal(task);
+            } else if (kind === 'note') {
+                const note = await this.apiCall(`/api/notes/${id}`);
+                this.closeSearchModal();
+                this.openNoteModal(note);
+            } else {
+                const routine = await this.apiCall(`/api/routines/${id}`);
+                this.closeSearchModal();
+                await this.openRoutineModal(routine);
+            }
+        } catch (error) {
+            console.error('Failed to open search result:', error);
+            this.showErrorNotification('Failed to open search result');
+        }
+    }
+
+    // ==================== Agent Activity ====================
+
+    async openAgentActivityModal() {
+        const modal = document.getElementById('agent-activity-modal');
+        modal.classList.remove('hidden');
+        await this.loadAgentActivity();
+    }
+
+    closeAgentActivityModal() {
+        const modal = document.getElementById('agent-activity-modal');
+        modal.classList.add('hidden');
+    }
+
+    async loadAgentActivity() {
+        const container = document.getElementById('agent-activity-container');
+        container.innerHTML = '<p class="text-gray-500 text-center py-8">Loading agent activity...</p>';
+
+        try {
+            const result = await this.apiCall('/api/agent-activity');
+            this.agentSessions = result.sessions || [];
+            this.renderAgentActivity();
+        } catch (error) {
+            console.error('Failed to load agent activity:', error);
+            container.innerHTML = '<p class="text-red-500 text-center py-8">Failed to load agent activity</p>';
+        }
+    }
+
+    renderAgentActivity() {
+        const container = document.getElementById('agent-activity-container');
+
+        if (!this.agentSessions || this.agentSessions.length === 0) {
+            container.innerHTML = '<p class="text-gray-500 text-center py-8">No agent activity in the last 7 days</p>';
+            return;
+        }
+
+        container.innerHTML = '';
+        this.agentSessions.forEach(session => {
+            container.appendChild(this.createAgentSessionCard(session));
+        });
+    }
+
+    createAgentSessionCard(session) {
+        const div = document.createElement('div');
+        div.className = 'bg-gray-50 rounded-lg p-3 border border-gray-200';
+
+        const formatTime = (value) => new Date(value).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit',
+            hour12: true
+        });
+
+        const openCount = session.entries.filter(entry => entry.revertible).length;
+
+        // Newest change first, matching the order a revert walks through them
+        const entriesHtml = [...session.entries].reverse().map(entry => `
+            <div class="flex items-start justify-between py-1 ${entry.undone ? 'opacity-50' : ''}">
+                <div class="flex-1 text-xs ${entry.undone ? 'text-gray-500 line-through' : 'text-gray-700'}">
+                    <span class="text-gray-400 mr-2">${new Date(entry.createdAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}</span>
+                    ${this.escapeHtml(entry.summary)}
+                </div>
+                ${entry.revertible ? `
+                    <button class="revert-agent-entry-btn text-xs text-blue-600 hover:text-blue-800 ml-2 flex-shrink-0" data-audit-id="${entry.id}" title="Revert this change">
+                        <i class="fas fa-undo mr-1"></i>Revert
+                    </button>
+                ` : ''}
+            </div>
+        `).join('');
+
+        div.innerHTML = `
+            <div class="flex items-start justify-between mb-2">
+                <div class="flex-1">
+                    <div class="flex items-center space-x-2 mb-1">
+                        <i class="fas fa-robot text-green-500"></i>
+                        <h3 class="text-sm font-medium text-gray-900">${formatTime(session.startedAt)} – ${formatTime(session.endedAt)}</h3>
+                    </div>
+                    <div class="flex items-center space-x-2 text-xs text-gray-500">
+                        <span>${session.entryCount} change${session.entryCount === 1 ? '' : 's'}</span>
+                        <span>•</span>
+                        <span>${session.entityCount} item${session.entityCount === 1 ? '' : 's'}</span>
+                        ${session.revertedCount > 0 ? `<span>•</span><span>${session.revertedCount} reverted</span>` : ''}
+                    </div>
+                </div>
+                ${openCount > 0 ? `
+                    <button class="revert-agent-session-btn text-xs px-2 py-1 border border-red-300 text-red-600 hover:bg-red-50 rounded transition-colors" title="Revert every change in this session">
+                        <i class="fas fa-undo mr-1"></i>Revert session
+                    </button>
+                ` : ''}
+            </div>
+            <div class="divide-y divide-gray-200 border-t border-gray-200">${entriesHtml}</div>
+        `;
+
+        div.querySelectorAll('.revert-agent-entry-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.revertAgentChange(btn.dataset.auditId);
+            });
+        });
+
+        const sessionBtn = div.querySelector('.revert-agent-session-btn');
+        if (sessionBtn) {
+            sessionBtn.addEventListener('click', () => {
+                this.revertAgentSession(session);
+            });
+        }
+
+        return div;
+    }
+
+    async revertAgentChange(auditId, force = false) {
+        try {
+            const result = await this.apiCall(`/api/agent-activity/entries/${auditId}/revert`, {
+                method: 'POST',
+                body: JSON.stringify({ force })
+            });
+
+            if (result.status === 'conflict') {
+                if (confirm(`${result.message}\n\nRevert anyway and discard the newer change?`)) {
+                    await this.revertAgentChange(auditId, true);
+                }
+                return;
+            }
+
+            if (result.status !== 'reverted') {
+                this.showWarningNotification(result.message || 'Change could not be reverted');
+                return;
+            }
+
+            this.showSuccessNotification('Agent change reverted');
+            await this.refreshAfterAgentRevert();
+        } catch (error) {
+            console.error('Failed to revert agent change:', error);
+            this.showError('Failed to revert agent change');
+        }
+    }
+
+    async revertAgentSession(session) {
+        if (!confirm(`Revert all ${session.entryCount} changes the agent made in this session?`)) {
+            return;
+        }
+
+        try {
+            const result = await this.apiCall(`/api/agent-activity/sessions/${session.id}/revert`, {
+                method: 'POST',
+                body: JSON.stringify({})
+            });
+
+            const conflicts = result.results.filter(r => r.status === 'conflict').length;
+            if (conflicts > 0) {
+                this.showWarningNotification(`Reverted ${result.reverted} change(s); ${conflicts} skipped because you edited them since`);
+            } else {
+                this.showSuccessNotification(`Reverted ${result.reverted} agent change(s)`);
+            }
+
+            await this.refreshAfterAgentRevert();
+        } catch (error) {
+            console.error('Failed to revert agent session:', error);
+            this.showError('Failed to revert agent session');
+        }
+    }
+
+    async refreshAfterAgentRevert() {
+        await this.loadAgentActivity();
+        await this.loadTasks();
+        await this.loadRoutines();
+        await this.loadDividers();
+        this.renderBoard();
+
+        if (this.currentView === 'notes') {
+            await this.loadNotesView();
+        }
+    }
+
     renderArchivedListItems(items) {
         if (!items || items.length === 0) return '';
         
@@ -3974,6 +5078,63 @@ class ClioBoardApp {
         return `<div class="mt-2 space-y-1">${itemsHtml}</div>`;
     }
 
+    populateRecurrenceFields(rule) {
+        const select = document.getElementById('edit-task-recurrence');
+        const intervalInput = document.getElementById('edit-task-recurrence-interval');
+        
+        select.value = rule ? rule.frequency : '';
+        intervalInput.value = rule && rule.interval ? rule.interval : (rule && rule.frequency === 'after_completion' ? 7 : 1);
+        this.updateRecurrenceIntervalVisibility();
+    }
+
+    updateRecurrenceIntervalVisibility() {
+        const frequency = document.getElementById('edit-task-recurrence').value;
+        const intervalInput = document.getElementById('edit-task-recurrence-interval');
+        const usesInterval = frequency === 'daily' || frequency === 'after_completion';
+        intervalInput.classList.toggle('hidden', !usesInterval);
+        intervalInput.title = frequency === 'after_completion' ? 'Days after completion' : 'Every N days';
+    }
+
+    buildRecurrenceRule(dueDate, existingRule) {
+        const frequency = document.getElementById('edit-task-recurrence').value;
+        if (!frequency) return null;
+        
+        const interval = Math.max(1, parseInt(document.getElementById('edit-task-recurrence-interval').value) || 1);
+        
+        // Keep multi-day weekly rules (e.g. set by the agent) that the picker can't express
+        if (frequency === 'weekly' && existingRule && existingRule.frequency === 'weekly' && existingRule.weekdays.length > 1) {
+            return existingRule;
+        }
+        
+        // Weekly/monthly rules anchor on the due date, or today when there is none
+        const anchor = dueDate ? new Date(`${dueDate}T00:00:00`) : new Date();
+        
+        switch (frequency) {
+            case 'weekly':
+                return { frequency, weekdays: [anchor.getDay()] };
+            case 'monthly':
+                return { frequency, day_of_month: anchor.getDate() };
+            default:
+                return { frequency, interval };
+        }
+    }
+
+    describeRecurrence(rule) {
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        switch (rule.frequency) {
+            case 'daily':
+                return rule.interval > 1 ? `Repeats every ${rule.interval} days` : 'Repeats daily';
+            case 'weekly':
+                return `Repeats weekly on ${(rule.weekdays || []).map(d => dayNames[d]).join(', ')}`;
+            case 'monthly':
+                return `Repeats monthly on day ${rule.day_of_month}`;
+            case 'after_completion':
+                return `Repeats ${rule.interval || 1} day(s) after completion`;
+            default:
+                return 'Repeats';
+        }
+    }
+
     loadEditListItems(task) {
         const container = document.getElementById('edit-list-items-container');
         container.innerHTML = '';
@@ -4090,8 +5251,10 @@ class ClioBoardApp {
             title: document.getElementById('edit-task-title').value,
             notes: document.getElementById('edit-task-notes').value,
             due_date: document.getElementById('edit-task-due-date').value || null,
-            routine_id: document.getElementById('edit-task-routine').value || null
+            routine_id: document.getElementById('edit-task-routine').value || null,
+            place_by_due_date: this.placeByDueDate
         };
+        taskData.recurrence_rule = this.buildRecurrenceRule(taskData.due_date, this.editingTask.recurrence_rule);
         
         try {
             this.showLoading();
@@ -4099,7 +5262,8 @@ class ClioBoardApp {
             // Update the task
             await this.apiCall(`/api/tasks/${this.editingTask.id}`, {
                 method: 'PUT',
-                body: JSON.stringify(taskData)
+                body: JSON.stringify(taskData),
+                base: this.editingTask
             });
             
             // Handle list items if this is or becomes a list
@@ -4132,7 +5296,8 @@ class ClioBoardApp {
                                 title: itemTitle,
                                 completed: isCompleted,
                                 position: position
-                            })
+                            }),
+                            base: existingItems.find(item => String(item.id) === itemId)
                         });
                     }
                 }
@@ -4186,7 +5351,8 @@ class ClioBoardApp {
             notes: document.getElementById('task-notes').value,
             column_name: document.getElementById('task-column').value,
             due_date: document.getElementById('task-due-date').value || null,
-            routine_id: document.getElementById('task-routine').value || null
+            routine_id: document.getElementById('task-routine').value || null,
+            place_by_due_date: this.placeByDueDate
         };
         
         try {
@@ -4194,6 +5360,7 @@ class ClioBoardApp {
             
             // Create the task first
             const newTask = await this.createTask(taskData);
+            if (!newTask) return; // Kept the existing task instead
             
             // If there are list items, add them to convert it to a list
             if (listItems.length > 0 && newTask && newTask.id) {
@@ -4350,7 +5517,7 @@ class ClioBoardApp {
 
         try {
             await this.moveTask(taskId, newColumn, newPosition);
-            // Reload today column to get synced positions (backend renumbers with dividers)
+            // Reload today column to get the derived positions of tasks and dividers
             if (newColumn === 'today' || oldColumn === 'today') {
                 await this.loadTasks();
                 await this.loadDividers();
@@ -4360,6 +5527,9 @@ class ClioBoardApp {
                 }
             }
             this.updateTaskCounts();
+            if (oldColumn !== newColumn) {
+                this.showUndoNotification('Task moved');
+            }
         } catch (error) {
             console.error('Failed to move task:', error);
             // Reload board to revert changes
@@ -5200,7 +6370,8 @@ class ClioBoardApp {
                 await this.apiCall(`/api/routines/${this.editingRoutine.id}`, {
                     method: 'PUT',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(routineData)
+                    body: JSON.stringify(routineData),
+                    base: this.editingRoutine
                 });
             } else {
                 // Create new routine
@@ -5652,6 +6823,9 @@ class ClioBoardApp {
         // Always populate the routine dropdown with current routines
         this.populateNoteRoutineDropdown(this.routines);
         
+        // Version the edit is based on (If-Match)
+        this.editingNote = note && note.id ? note : null;
+        
         if (note && note.id) {
             // Edit mode - existing note with ID
             title.textContent = 'Edit Note';
@@ -5806,15 +6980,14 @@ class ClioBoardApp {
                 // Update existing note
                 await this.apiCall(`/api/notes/${noteId}`, {
                     method: 'PUT',
-                    body: JSON.stringify(noteData)
+                    body: JSON.stringify(noteData),
+                    base: this.editingNote
                 });
                 this.showSuccessNotification('Note updated successfully');
             } else {
                 // Create new note
-                await this.apiCall('/api/notes', {
-                    method: 'POST',
-                    body: JSON.stringify(noteData)
-                });
+                const note = await this.createWithDuplicateCheck('/api/notes?on_duplicate=reject', noteData, 'note');
+                if (!note) return; // Kept the existing note instead
                 this.showSuccessNotification('Note created successfully');
             }
             
@@ -5860,7 +7033,7 @@ class ClioBoardApp {
                 this.renderRoutineNotes(filteredNotes);
             }
             
-            this.showSuccessNotification('Note archived successfully');
+            this.showUndoNotification('Note archived');
             console.log('✅ Note archived from modal');
         } catch (error) {
             console.error('Error archiving note from modal:', error);
@@ -6047,29 +7220,6 @@ class ClioBoardApp {
         return updates;
     }
     
-    async updateAllNotePositionsInColumn(columnElement) {
-        // Update positions for all notes in a column after a reorder
-        const notes = columnElement.querySelectorAll('.note-card');
-        const columnId = parseInt(columnElement.id.replace('notes-col-', ''));
-        
-        for (let i = 0; i < notes.length; i++) {
-            const noteId = notes[i].getAttribute('data-note-id');
-            if (noteId) {
-                try {
-                    await this.apiCall(`/api/notes/${noteId}/move`, {
-                        method: 'PUT',
-                        body: JSON.stringify({ 
-                            column: columnId,
-                            position: i 
-                        })
-                    });
-                } catch (error) {
-                    console.error('Error updating note position:', error);
-                }
-            }
-        }
-    }
-    
     initializeNotesDragAndDrop() {
         // Initialize sortable for each notes column
         for (let i = 1; i <= 4; i++) {
@@ -6097,15 +7247,9 @@ class ClioBoardApp {
                                 })
                             });
                             
-                            // Update the data attribute
+                            // Update the data attribute (the server only rewrites the moved note)
                             evt.item.setAttribute('data-column', newColumn);
                             
-                            // Update all other notes' positions in the affected column(s)
-                            await this.updateAllNotePositionsInColumn(evt.to);
-                            if (evt.from !== evt.to) {
-                                await this.updateAllNotePositionsInColumn(evt.from);
-                            }
-                            
                         } catch (error) {
                             console.error('Error moving note:', error);
                             this.showErrorNotification('Failed to move note');